@@ -1,11 +1,99 @@
 import { useState, useEffect, useCallback, useRef, useMemo } from "react";
 import { getAllTOEICWords, TOEIC_LESSONS } from "./data/toeicVocab";
 import { exportData, importData, exportToCSV, autoBackup, getAvailableBackups, restoreBackup } from "./utils/dataManager";
+import { createReviewEvent, appendReviewEvents, loadReviewLog, getWordReviewHistory } from "./utils/reviewLog";
+import { getDateKey, recordActivity, getActivityRange, summarizeActivity, getHeatmapWeeks } from "./utils/activityHistory";
+import { getDueForecast, buildDueLoad, isOverdue, rationOverdueWords, recordCatchUpReviews } from "./utils/forecast";
+import {
+  RECOGNITION,
+  PRODUCTION,
+  getCardDirection,
+  getCardWordId,
+  expandCards,
+  applyCards,
+  mergeCards,
+} from "./utils/cardDirections";
+import { buildCloze, splitExample } from "./utils/cloze";
+import { DEFAULT_ANSWER_CHECKING, gradeAnswer, normalizeAnswer } from "./utils/answerGrading";
+import { createBrowserRecognizer, scorePronunciation } from "./utils/speechRecognition";
+import { getDictationSentence, scoreDictation } from "./utils/dictation";
+import { buildCustomStudyQueue, DEFAULT_CUSTOM_STUDY, getCustomStudyOptions, getFailedTodayIds } from "./utils/customStudy";
+import { pickAutoMode, summarizeByExercise } from "./utils/autoMode";
+import { getConfusions, pickDistractors } from "./utils/distractors";
+import { buildWordFormQuestion, getWordFamily, parseWordForms } from "./utils/wordForms";
+import { shuffle } from "./utils/shuffle";
+import { DEFAULT_SHORTCUTS, SHORTCUT_ACTIONS, findShortcutConflicts, formatShortcutKey, getEventKey, getShortcutAction, getShortcuts } from "./utils/shortcuts";
+import {
+  addMockTestResult,
+  advanceMockTest,
+  buildMockTest,
+  closeMockTestPart,
+  getPartTimeLeft,
+  MOCK_TEST_PARTS,
+  openMockTestPart,
+  scoreMockTest,
+  startMockTest,
+} from "./utils/mockTest";
+import {
+  filterQuizScope,
+  getQuestionTimeLimit,
+  getQuizSetup,
+  planQuizItems,
+  QUESTION_TIME_LIMITS,
+  QUIZ_COUNTS,
+  QUIZ_ITEM_WORDS,
+  QUIZ_SCOPES,
+  TOTAL_TIME_LIMITS,
+} from "./utils/quizSetup";
+import {
+  appendQuizRecord,
+  createQuizAnswer,
+  createQuizRecord,
+  getQuizAccuracy,
+  getWrongWordIds,
+  loadQuizHistory,
+  MAX_LOCAL_QUIZ_HISTORY,
+  mergeQuizHistory,
+  saveQuizHistory,
+  summarizeQuizHistory,
+} from "./utils/quizHistory";
+import { CRAM_TARGETS, createCramProgress, isCramCardDone, recordCramAnswer, requeueForCram, summarizeCram } from "./utils/cram";
+import { clearSessionCheckpoint, getRatedCards, isMidBatch, loadSessionCheckpoint, saveSessionCheckpoint } from "./utils/sessionCheckpoint";
+import { DEFAULT_LEECH_THRESHOLD, getLapseUpdate, isSuspended, getLeeches, unsuspendWord, resetWordProgress } from "./utils/leech";
+import {
+  parseDateKey,
+  getVacationDays,
+  isVacationActive,
+  getDueClock,
+  needsVacationShift,
+  isStreakBridged,
+  shiftWordsForVacation,
+} from "./utils/vacation";
+import {
+  DEFAULT_NEW_CARDS_PER_DAY,
+  DEFAULT_REVIEWS_PER_DAY,
+  getCardKind,
+  recordStudiedCards,
+  getRemainingAllowance,
+  applyDailyLimits,
+} from "./utils/dailyLimits";
+import {
+  CLASSIC_INTERVALS,
+  SCHEDULERS,
+  DEFAULT_REQUEST_RETENTION,
+  MIN_REQUEST_RETENTION,
+  MAX_REQUEST_RETENTION,
+  FSRS_DEFAULT_PARAMS,
+  getScheduler,
+  scheduleReview,
+  previewInterval,
+  formatInterval,
+} from "./utils/scheduler";
 
 // ═══════════════════════════════════════════════════════════════
 // 🧠 VOCABMASTER PRO — Ultimate English Learning App
 // ═══════════════════════════════════════════════════════════════
-// Methods: SM-2 SRS, Active Recall, Leitner Box, Interleaving,
+// Methods: SM-2 / FSRS SRS, Active Recall, Leitner Box, Interleaving,
 //          Retrieval Practice, Dual Coding, Context Learning
 // ═══════════════════════════════════════════════════════════════
 
@@ -65,38 +153,18 @@ const ACHIEVEMENTS = [
   { id: "polyglot", name: "Word Collector", desc: "Learn 500 words", icon: "📖", condition: (s) => s.totalWords >= 500 },
 ];
 
-// ── SM-2 SPACED REPETITION ENGINE ─────────────────────────────
+// ── SPACED REPETITION ENGINE ───────────────────────────────────
+// Interval math lives in the pluggable schedulers (utils/scheduler.js);
+// schedulerSettings is stats.scheduler: { id, requestRetention, leechThreshold }
 const SRSEngine = {
-  // Optimized intervals for language learning: 1d → 3d → 7d → 14d → 30d → 60d
-  INTERVALS: [1, 3, 7, 14, 30, 60],
+  // Classic ladder: 1d → 3d → 7d → 14d → 30d → 60d
+  INTERVALS: CLASSIC_INTERVALS,
 
-  processReview(word, quality) {
+  processReview(word, quality, schedulerSettings = null) {
     // quality: 0-5 (0=blackout, 5=perfect)
-    let { easeFactor = 2.5, interval = 0, repetitions = 0 } = word.srs || {};
-
-    if (quality >= 3) {
-      // Correct answer - advance to next interval
-      if (repetitions < SRSEngine.INTERVALS.length) {
-        interval = SRSEngine.INTERVALS[repetitions];
-      } else {
-        // After all intervals, word is mastered (stay at 60 days)
-        interval = 60;
-      }
-      repetitions++;
-    } else {
-      // Wrong answer - reset to beginning
-      repetitions = 0;
-      interval = 1;
-    }
-
-    // Adjust ease factor based on quality (SM-2 algorithm)
-    easeFactor = Math.max(1.3, easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
-
-    const nextReview = new Date();
-    nextReview.setDate(nextReview.getDate() + interval);
-
-    // Mark as mastered if reached final interval
-    const mastered = repetitions >= SRSEngine.INTERVALS.length;
+    const now = new Date();
+    // New/lapsed words go through minute learning steps before day intervals
+    const scheduled = scheduleReview(word.srs || {}, quality, schedulerSettings || {}, now);
 
     // Track correct/wrong reviews for weak areas analysis
     const isCorrect = quality >= 3;
@@ -105,15 +173,13 @@ const SRSEngine = {
 
     return {
       ...word.srs,
-      easeFactor,
-      interval,
-      repetitions,
-      nextReview: nextReview.toISOString(),
-      lastReview: new Date().toISOString(),
+      ...scheduled,
+      // Lapse count; a word that keeps lapsing is marked as a leech and suspended
+      ...getLapseUpdate(word.srs, quality, schedulerSettings?.leechThreshold ?? DEFAULT_LEECH_THRESHOLD),
+      lastReview: now.toISOString(),
       totalReviews: (word.srs?.totalReviews || 0) + 1,
       correctReviews,
       wrongReviews,
-      mastered,
     };
   },
 
@@ -134,19 +200,20 @@ const SRSEngine = {
     return 0;
   },
 
-  isDueForReview(word) {
-    // Mastered words don't need review
-    if (word.srs?.mastered) return false;
+  isDueForReview(word, now = new Date()) {
+    // Mastered words come back for maintenance reviews once their interval passes
+    if (isSuspended(word)) return false;
     if (!word.srs?.nextReview) return true;
-    return new Date(word.srs.nextReview) <= new Date();
+    return new Date(word.srs.nextReview) <= now;
   },
 
-  // Get predicted next interval based on current progress
-  getNextInterval(word, quality) {
-    const reps = word.srs?.repetitions || 0;
-    if (quality < 3) return 1; // Reset
-    if (reps >= SRSEngine.INTERVALS.length) return 60; // Already mastered
-    return SRSEngine.INTERVALS[reps];
+  isMaintenanceDue(word, now = new Date()) {
+    return !!word.srs?.mastered && SRSEngine.isDueForReview(word, now);
+  },
+
+  // Get predicted next interval in days (fractional while in learning steps)
+  getNextInterval(word, quality, schedulerSettings = null) {
+    return previewInterval(word.srs || {}, quality, schedulerSettings || {});
   },
 
   qualityFromRating(rating) {
@@ -185,15 +252,6 @@ const SAMPLE_WORDS = [
 ];
 
 // ── HELPER FUNCTIONS ──────────────────────────────────────────
-const shuffleArray = (arr) => {
-  const a = [...arr];
-  for (let i = a.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [a[i], a[j]] = [a[j], a[i]];
-  }
-  return a;
-};
-
 const getFailureRate = (word) => {
   const totalReviews = word.srs?.totalReviews || 0;
   const wrongReviews = word.srs?.wrongReviews || 0;
@@ -201,11 +259,44 @@ const getFailureRate = (word) => {
 };
 
 const isWeakWord = (word) => {
+  // Suspended leeches wait in the leech workbench instead
+  if (isSuspended(word)) return false;
   const totalReviews = word.srs?.totalReviews || 0;
   if (totalReviews < 3) return false;
   return getFailureRate(word) >= 0.3;
 };
 
+// Cards shown before a word still in learning steps comes back in the same batch
+const LEARNING_REQUEUE_GAP = 3;
+
+// Learn modes where hints lower the SRS quality (getQualityFromHints)
+const HINTED_LEARN_MODES = ["type", "cloze"];
+
+// Calculate XP based on hints used
+const getXPFromHints = (isCorrect, hintsUsed) => {
+  if (!isCorrect) return 5; // Wrong answer = minimal XP
+  if (hintsUsed === 0) return 15; // Perfect
+  if (hintsUsed === 1) return 10; // Excellent
+  if (hintsUsed === 2) return 5;  // Good
+  if (hintsUsed === 3) return 0;  // Fair
+  return -5; // 4 hints = needs practice
+};
+
+// Card direction each Learn mode tests (Active Recall takes both)
+const LEARN_MODE_DIRECTIONS = {
+  flashcard: RECOGNITION,
+  type: PRODUCTION,
+  cloze: PRODUCTION,
+  sentence: RECOGNITION,
+  listen: RECOGNITION,
+  speak: RECOGNITION,
+  dictation: RECOGNITION,
+  vietmix: RECOGNITION,
+};
+
+// Exercises the Auto mode mixes (per-exercise results on the done screen)
+const AUTO_EXERCISE_ICONS = { flashcard: "📇", recall: "🧠", listen: "👂", type: "⌨️", cloze: "🧩", dictation: "🎧" };
+
 const getReviewPriority = (word, isDue = false) => {
   const reps = word.srs?.repetitions || 0;
   const interval = word.srs?.interval || 0;
@@ -249,14 +340,18 @@ const interleaveByLesson = (words, limit) => {
 };
 
 // Smart word selection: prioritize due + weak words, then interleave lessons
-const selectWordsForReview = (allWords, dueWords, limit) => {
+// excludeIds: words held back from this session (e.g. overdue words deferred by catch-up mode)
+// allowance: what is left of today's new-word/review limits ({ newCards, reviews })
+// Suspended words (leeches) are never selected
+const selectWordsForReview = (allWords, dueWords, limit, { excludeIds = null, allowance = null } = {}) => {
   const dueIds = new Set(dueWords.map((w) => w.id));
 
-  const prioritizedDue = [...dueWords]
+  const prioritizedDue = dueWords
+    .filter((w) => !isSuspended(w))
     .sort((a, b) => getReviewPriority(b, true) - getReviewPriority(a, true));
 
   if (prioritizedDue.length >= limit) {
-    return interleaveByLesson(prioritizedDue, limit);
+    return applyDailyLimits(interleaveByLesson(prioritizedDue, limit), allowance);
   }
 
   const selected = interleaveByLesson(prioritizedDue, prioritizedDue.length);
@@ -264,13 +359,13 @@ const selectWordsForReview = (allWords, dueWords, limit) => {
 
   if (remaining > 0) {
     const notDue = allWords
-      .filter((w) => !dueIds.has(w.id) && !w.srs?.mastered)
+      .filter((w) => !dueIds.has(w.id) && !w.srs?.mastered && !isSuspended(w) && !excludeIds?.has(w.id))
       .sort((a, b) => getReviewPriority(b, false) - getReviewPriority(a, false));
 
     selected.push(...interleaveByLesson(notDue, remaining));
   }
 
-  return selected;
+  return applyDailyLimits(selected, allowance);
 };
 
 const speak = (text, rate = 0.85) => {
@@ -536,29 +631,59 @@ const StatCard = ({ icon, label, value, color = THEME.accent, sub }) => (
   </div>
 );
 
-const RatingButtons = ({ onRate, showEasy = true, word = null }) => {
-  // Calculate actual next intervals based on word's current progress
+// Keyboard shortcuts while the component is mounted: handlers maps action ids to callbacks
+// (undefined = not available right now). Capture listeners run first and stop the key there.
+const useShortcuts = (handlers, shortcuts, { capture = false } = {}) => {
+  const handlersRef = useRef(handlers);
+  useEffect(() => {
+    handlersRef.current = handlers;
+  });
+  useEffect(() => {
+    const onKeyDown = (event) => {
+      const active = Object.keys(handlersRef.current).filter(action => handlersRef.current[action]);
+      const action = getShortcutAction(event, shortcuts, active);
+      if (!action || event.defaultPrevented) return;
+      event.preventDefault();
+      if (capture) event.stopPropagation();
+      handlersRef.current[action]();
+    };
+    window.addEventListener("keydown", onKeyDown, capture);
+    return () => window.removeEventListener("keydown", onKeyDown, capture);
+  }, [shortcuts, capture]);
+};
+
+const RatingButtons = ({ onRate, showEasy = true, showGood = true, word = null, scheduler = null, shortcuts = DEFAULT_SHORTCUTS }) => {
+  const isClassic = getScheduler(scheduler?.id).id === "classic";
+
+  // Calculate actual next intervals from the active scheduler (minutes while in learning steps)
   const getIntervalLabel = (rating) => {
-    if (!word) return { again: "< 1d", hard: "1d", good: "3d", easy: "7d" }[rating];
+    if (!word) return { again: "1m", hard: "10m", good: "3d", easy: "7d" }[rating];
 
     const quality = SRSEngine.qualityFromRating(rating);
-    const nextInterval = SRSEngine.getNextInterval(word, quality);
+    const nextInterval = SRSEngine.getNextInterval(word, quality, scheduler);
 
-    if (rating === "again") return "< 1d";
-    if (nextInterval >= 60) return "60d (Mastered!)";
-    return `${nextInterval}d`;
+    if (isClassic && !word.srs?.mastered && nextInterval >= 60) return "60d (Mastered!)";
+    return formatInterval(nextInterval);
   };
 
   // Check if this is a new word (never reviewed before)
   const isNewWord = !word?.srs?.repetitions || word.srs.repetitions === 0;
 
+  useShortcuts({
+    again: () => onRate("again"),
+    hard: () => onRate("hard"),
+    good: !isNewWord && showGood ? () => onRate("good") : undefined,
+    easy: !isNewWord && showEasy ? () => onRate("easy") : undefined,
+  }, shortcuts);
+
   return (
     <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
       {[
         { key: "again", label: "Again", icon: "✕", color: THEME.danger, bg: THEME.dangerGlow },
         { key: "hard", label: "Hard", icon: "⚡", color: THEME.warning, bg: THEME.warningGlow },
-        // Hide Good and Easy for new words (force 1-day review first)
-        ...(!isNewWord ? [{ key: "good", label: "Good", icon: "✓", color: THEME.success, bg: THEME.successGlow }] : []),
+        // Hide Good and Easy for new words (they go through the learning steps first)
+        // and Good when a typed answer was wrong
+        ...(!isNewWord && showGood ? [{ key: "good", label: "Good", icon: "✓", color: THEME.success, bg: THEME.successGlow }] : []),
         ...(!isNewWord && showEasy ? [{ key: "easy", label: "Easy", icon: "★", color: THEME.info, bg: "rgba(116,185,255,0.3)" }] : []),
       ].map(({ key, label, icon, color, bg }) => (
         <button key={key} className="vm-btn" onClick={() => onRate(key)} style={{
@@ -569,15 +694,227 @@ const RatingButtons = ({ onRate, showEasy = true, word = null }) => {
           <span style={{ fontSize: 20 }}>{icon}</span>
           <span style={{ fontWeight: 700 }}>{label}</span>
           <span style={{ fontSize: 10, opacity: 0.7 }}>{getIntervalLabel(key)}</span>
+          <span className="vm-mono" style={{ fontSize: 9, opacity: 0.5 }}>{formatShortcutKey(shortcuts[key])}</span>
         </button>
       ))}
     </div>
   );
 };
 
+// Shortcut list, toggled with the help key (its own state, so opening it never re-renders a session)
+const ShortcutsHelp = ({ shortcuts }) => {
+  const [open, setOpen] = useState(false);
+  useShortcuts({ help: () => setOpen(o => !o) }, shortcuts);
+  useShortcuts({ exit: open ? () => setOpen(false) : undefined }, shortcuts, { capture: true });
+  if (!open) return null;
+
+  const groups = [["study", "Study"], ["rating", "Rating"], ["quiz", "Quiz"], ["general", "General"]];
+  return (
+    <div onClick={() => setOpen(false)} style={{
+      position: "fixed", inset: 0, zIndex: 1000, background: "rgba(0,0,0,0.6)",
+      display: "flex", alignItems: "center", justifyContent: "center", padding: 16,
+    }}>
+      <div className="vm-card" onClick={e => e.stopPropagation()} style={{ padding: 20, width: "100%", maxWidth: 420, maxHeight: "80vh", overflowY: "auto", animation: "vmScaleIn 0.2s ease" }}>
+        <div style={{ fontSize: 18, fontWeight: 800, marginBottom: 4 }}>⌨️ Keyboard Shortcuts</div>
+        <div style={{ fontSize: 12, color: THEME.textMuted, marginBottom: 12 }}>In an answer field use Alt + key · remap in Settings</div>
+        {groups.map(([group, title]) => (
+          <div key={group} style={{ marginBottom: 12 }}>
+            <div style={{ fontSize: 11, fontWeight: 700, color: THEME.textMuted, textTransform: "uppercase", letterSpacing: 1, marginBottom: 6 }}>{title}</div>
+            {SHORTCUT_ACTIONS.filter(action => action.group === group).map(action => (
+              <div key={action.id} style={{ display: "flex", justifyContent: "space-between", padding: "4px 0", fontSize: 13 }}>
+                <span style={{ color: THEME.textSecondary }}>{action.label}</span>
+                <span className="vm-mono vm-tag" style={{ background: THEME.surface, color: THEME.text }}>{formatShortcutKey(shortcuts[action.id])}</span>
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// Letter-by-letter feedback for a typed answer (from gradeAnswer)
+const AnswerDiff = ({ grade }) => {
+  if (!grade || grade.exact) return null;
+  const styles = {
+    match: { color: THEME.success },
+    wrong: { color: THEME.danger, textDecoration: "underline" },
+    missing: { color: THEME.warning, opacity: 0.7 },
+    extra: { color: THEME.danger, textDecoration: "line-through" },
+  };
+  return (
+    <div style={{ marginTop: 8 }}>
+      {grade.diff.length > 0 && (
+        <div className="vm-mono" style={{ fontSize: 18, fontWeight: 700, letterSpacing: 1 }}>
+          {grade.diff.map((d, i) => <span key={i} style={styles[d.status]}>{d.char}</span>)}
+        </div>
+      )}
+      <div style={{ fontSize: 12, color: THEME.textMuted, marginTop: 4 }}>
+        {grade.verdict === "typo" && "Accepted with a typo (counts as Hard)"}
+        {grade.verdict === "synonym" && `Synonym accepted - the word was "${grade.expected}"`}
+        {grade.verdict === "wrong" && `Expected "${grade.expected}"`}
+      </div>
+    </div>
+  );
+};
+
+// Derived forms and collocations of a word (utils/wordForms)
+const WordFamilyTags = ({ word }) => {
+  const { forms, collocations } = getWordFamily(word);
+  if (forms.length < 2 && collocations.length === 0) return null;
+  return (
+    <div style={{ marginTop: 8 }}>
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 6 }}>
+        <span style={{ fontSize: 11, color: THEME.textMuted, fontWeight: 600 }}>🧩</span>
+        {forms.slice(1).map((f, i) => (
+          <span key={i} className="vm-tag" style={{ background: `${THEME.accent}10`, color: THEME.accent }}>
+            {f.form}{f.partOfSpeech && <span style={{ opacity: 0.6 }}> {f.partOfSpeech}</span>}
+          </span>
+        ))}
+      </div>
+      {collocations.map((c, i) => (
+        <div key={i} style={{ fontSize: 12, color: THEME.textSecondary, fontStyle: "italic", marginTop: 4 }}>{c}</div>
+      ))}
+    </div>
+  );
+};
+
+// Cram mode switch for Learn/Quiz setup: off, or how many correct answers each word needs
+const CramToggle = ({ target, onChange }) => (
+  <div className="vm-card" style={{ padding: 14, marginBottom: 16, border: target ? `1.5px solid ${THEME.warning}50` : undefined }}>
+    <div style={{ display: "flex", alignItems: "center", gap: 12 }}>
+      <span style={{ fontSize: 22 }}>🎯</span>
+      <div style={{ flex: 1 }}>
+        <div style={{ fontSize: 14, fontWeight: 700 }}>Cram mode</div>
+        <div style={{ fontSize: 12, color: THEME.textSecondary }}>
+          {target ? `Every word until ${target}× correct - review schedule untouched` : "Drill without changing review schedules"}
+        </div>
+      </div>
+    </div>
+    <div style={{ display: "flex", gap: 6, marginTop: 10 }}>
+      {[null, ...CRAM_TARGETS].map(value => (
+        <button key={value ?? "off"} className="vm-btn" onClick={() => onChange(value)} style={{
+          flex: 1, padding: "8px 0", borderRadius: 8, fontSize: 12, fontWeight: 700,
+          background: target === value ? `${THEME.warning}25` : THEME.surface,
+          color: target === value ? THEME.warning : THEME.textSecondary,
+          border: `1px solid ${target === value ? `${THEME.warning}50` : THEME.border}`,
+        }}>{value ? `${value}×` : "Off"}</button>
+      ))}
+    </div>
+  </div>
+);
+
+const CramSummary = ({ summary }) => (
+  <div className="vm-card" style={{ padding: 16, marginBottom: 24, textAlign: "left" }}>
+    <div style={{ fontSize: 14, fontWeight: 700, marginBottom: 8, textAlign: "center" }}>🎯 Cram results</div>
+    <div style={{ fontSize: 13, color: THEME.textSecondary, textAlign: "center", marginBottom: summary.toughest.length ? 12 : 0 }}>
+      {summary.cards} words · {summary.attempts} answers · {summary.accuracy}% correct · {summary.firstTry} never missed
+    </div>
+    {summary.toughest.map(({ card, misses }) => (
+      <div key={card.id} style={{ display: "flex", justifyContent: "space-between", padding: "6px 0", borderTop: `1px solid ${THEME.border}`, fontSize: 13 }}>
+        <span style={{ fontWeight: 600 }}>{card.term}</span>
+        <span style={{ color: THEME.danger }}>missed {misses}×</span>
+      </div>
+    ))}
+    <div style={{ fontSize: 11, color: THEME.textMuted, marginTop: 10, textAlign: "center" }}>Review schedules were not changed</div>
+  </div>
+);
+
+// Quiz types on the Quiz screen (also the choices for a mixed quiz)
+const QUIZ_TYPES = [
+  { id: "mc", icon: "🔤", name: "Multiple Choice", desc: "Pick the right definition", color: THEME.accent },
+  { id: "tf", icon: "✅", name: "True / False", desc: "Is this definition correct?", color: THEME.success },
+  { id: "reading", icon: "📖", name: "Reading", desc: "TOEIC-style comprehension", color: "#00b894", featured: true },
+  { id: "fill", icon: "✏️", name: "Fill in Blank", desc: "Complete the sentence", color: THEME.warning },
+  { id: "spell", icon: "📝", name: "Spelling", desc: "Type the correct word", color: THEME.info },
+  { id: "listen", icon: "👂", name: "Listening", desc: "Identify the spoken word", color: THEME.danger },
+  { id: "match", icon: "🔗", name: "Matching", desc: "Match words to meanings", color: "#a29bfe" },
+  { id: "wordform", icon: "🧩", name: "Word Forms", desc: "Pick the right form or collocation", color: "#e17055" },
+];
+
+// A quiz mixing several types (utils/quizSetup)
+const MIXED_QUIZ_TYPE = { id: "mixed", icon: "🎲", name: "Mixed", color: THEME.accent };
+const getQuizTypeInfo = (id) => (id === "mixed" ? MIXED_QUIZ_TYPE : QUIZ_TYPES.find((type) => type.id === id)) || { icon: "❓", name: id };
+
+const formatQuizDuration = (seconds) => (seconds >= 60 ? `${Math.floor(seconds / 60)}m ${seconds % 60}s` : `${seconds}s`);
+const formatQuizDate = (iso) => new Date(iso).toLocaleString([], { month: "short", day: "numeric", hour: "2-digit", minute: "2-digit" });
+
+// Answer recorded when a question's time runs out (it matches no option)
+const QUIZ_TIME_UP = { text: "", correct: false };
+
+// Quiz setup (utils/quizSetup): question count, word scope, timer and mixed-quiz types
+const QuizSetupCard = ({ setup, onChange, tags, wordCount }) => {
+  const chip = (key, label, isOn, onClick) => (
+    <button key={key} className="vm-btn" onClick={onClick} style={{
+      padding: "6px 10px", borderRadius: 8, fontSize: 12, fontWeight: 700,
+      background: isOn ? `${THEME.accent}25` : THEME.surface,
+      color: isOn ? THEME.accent : THEME.textSecondary,
+      border: `1px solid ${isOn ? `${THEME.accent}50` : THEME.border}`,
+    }}>{label}</button>
+  );
+  const row = (title, chips) => (
+    <div style={{ marginTop: 10 }}>
+      <div style={{ fontSize: 11, fontWeight: 700, color: THEME.textMuted, marginBottom: 6 }}>{title}</div>
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 6 }}>{chips}</div>
+    </div>
+  );
+  const toggleMixType = (id) => {
+    const mixTypes = setup.mixTypes.includes(id) ? setup.mixTypes.filter(t => t !== id) : [...setup.mixTypes, id];
+    if (mixTypes.length > 0) onChange({ mixTypes });
+  };
+
+  return (
+    <div className="vm-card" style={{ padding: 16, marginBottom: 16 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline" }}>
+        <div style={{ fontSize: 13, fontWeight: 700, color: THEME.textMuted }}>⚙️ QUIZ SETUP</div>
+        <div style={{ fontSize: 12, color: wordCount > 0 ? THEME.textSecondary : THEME.danger }}>{wordCount} words in scope</div>
+      </div>
+      {row("QUESTIONS", QUIZ_COUNTS.map(count => chip(count, count, setup.count === count, () => onChange({ count }))))}
+      {row("WORDS", QUIZ_SCOPES.map(scope => chip(scope.id, scope.label, setup.scope === scope.id, () => onChange({ scope: scope.id }))))}
+      {setup.scope === "tag" && row("TAG", tags.length > 0
+        ? tags.map(tag => chip(tag, `#${tag}`, setup.tag === tag, () => onChange({ tag })))
+        : <div style={{ fontSize: 12, color: THEME.textMuted }}>No tags yet - add them when adding words</div>)}
+      {row("TIMER", [
+        chip("off", "Off", setup.timer === "off", () => onChange({ timer: "off" })),
+        ...QUESTION_TIME_LIMITS.map(sec => chip(`q${sec}`, `${sec}s / question`, setup.timer === "question" && setup.questionSeconds === sec, () => onChange({ timer: "question", questionSeconds: sec }))),
+        ...TOTAL_TIME_LIMITS.map(min => chip(`t${min}`, `${min} min total`, setup.timer === "total" && setup.totalMinutes === min, () => onChange({ timer: "total", totalMinutes: min }))),
+      ])}
+      {row("MIXED QUIZ TYPES", QUIZ_TYPES.map(type => chip(type.id, `${type.icon} ${type.name}`, setup.mixTypes.includes(type.id), () => toggleMixType(type.id))))}
+    </div>
+  );
+};
+
+// Countdown for timed quizzes; calls onExpire once the deadline passes (render with key={deadline})
+const QuizTimer = ({ deadline, onExpire }) => {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    if (!deadline) return undefined;
+    const timer = setInterval(() => {
+      const at = Date.now();
+      setNow(at);
+      if (at >= deadline) {
+        clearInterval(timer);
+        onExpire();
+      }
+    }, 250);
+    return () => clearInterval(timer);
+  }, [deadline, onExpire]);
+
+  if (!deadline) return null;
+  const left = Math.max(0, Math.ceil((deadline - now) / 1000));
+  return (
+    <div className="vm-tag vm-mono" style={{ background: left <= 5 ? `${THEME.danger}15` : `${THEME.warning}15`, color: left <= 5 ? THEME.danger : THEME.warning }}>
+      ⏱ {Math.floor(left / 60)}:{String(left % 60).padStart(2, "0")}
+    </div>
+  );
+};
+
 const WordCard = ({ word, showDef, onFlip, compact }) => {
   const mastery = SRSEngine.getMasteryLevel(word);
   const m = MASTERY[mastery];
+  // Production cards prompt with the meaning and hide the English word until revealed
+  const hideTerm = getCardDirection(word) === PRODUCTION && !showDef;
   return (
     <div className="vm-card" onClick={onFlip} style={{
       padding: compact ? 16 : 28, cursor: onFlip ? "pointer" : "default",
@@ -596,19 +933,34 @@ const WordCard = ({ word, showDef, onFlip, compact }) => {
           <span className="vm-tag" style={{ background: `${THEME.accent}15`, color: THEME.accentLight, fontSize: 11 }}>
             {word.partOfSpeech}
           </span>
-          <button className="vm-btn" onClick={(e) => { e.stopPropagation(); speak(word.term); }}
-            style={{ background: "none", color: THEME.accentLight, fontSize: 18, padding: 4 }}>
-            🔊
-          </button>
+          {!hideTerm && (
+            <button className="vm-btn" onClick={(e) => { e.stopPropagation(); speak(word.term); }}
+              style={{ background: "none", color: THEME.accentLight, fontSize: 18, padding: 4 }}>
+              🔊
+            </button>
+          )}
         </div>
       </div>
       
-      <div style={{ fontSize: compact ? 24 : 32, fontWeight: 800, marginBottom: 4, letterSpacing: "-0.5px" }}>
-        {word.term}
-      </div>
-      <div className="vm-mono" style={{ fontSize: 13, color: THEME.textMuted, marginBottom: showDef ? 16 : 0 }}>
-        {word.phonetic}
-      </div>
+      {hideTerm ? (
+        <>
+          <div style={{ fontSize: 11, fontWeight: 700, color: THEME.textMuted, marginBottom: 8, textTransform: "uppercase", letterSpacing: 1 }}>
+            Meaning → English word
+          </div>
+          <div style={{ fontSize: compact ? 18 : 22, fontWeight: 700, lineHeight: 1.4 }}>
+            {word.definition}
+          </div>
+        </>
+      ) : (
+        <>
+          <div style={{ fontSize: compact ? 24 : 32, fontWeight: 800, marginBottom: 4, letterSpacing: "-0.5px" }}>
+            {word.term}
+          </div>
+          <div className="vm-mono" style={{ fontSize: 13, color: THEME.textMuted, marginBottom: showDef ? 16 : 0 }}>
+            {word.phonetic}
+          </div>
+        </>
+      )}
       
       {showDef && (
         <div style={{ animation: "vmFadeIn 0.4s ease" }}>
@@ -617,6 +969,9 @@ const WordCard = ({ word, showDef, onFlip, compact }) => {
             border: `1px solid ${THEME.accent}15`, marginBottom: 14,
           }}>
             <div style={{ fontSize: 17, fontWeight: 500, lineHeight: 1.5 }}>{word.definition}</div>
+            {word.mnemonic && (
+              <div style={{ fontSize: 13, color: THEME.warning, marginTop: 8, lineHeight: 1.5 }}>💡 {word.mnemonic}</div>
+            )}
           </div>
           
           {word.examples?.length > 0 && (
@@ -661,12 +1016,13 @@ const WordCard = ({ word, showDef, onFlip, compact }) => {
               ))}
             </div>
           )}
+          <WordFamilyTags word={word} />
         </div>
       )}
       
       {!showDef && onFlip && (
         <div style={{ marginTop: 20, textAlign: "center", color: THEME.textMuted, fontSize: 13 }}>
-          Tap to reveal definition
+          {hideTerm ? "Tap to reveal the word" : "Tap to reveal definition"}
         </div>
       )}
     </div>
@@ -679,7 +1035,9 @@ export default function VocabMasterPro({
   userEmail = null,
   userPhoto = null,
   onSignOut = null,
-  firestoreService = null
+  firestoreService = null,
+  // Speech recognizer for the Speak mode (see utils/speechRecognition); defaults to the browser's
+  speechRecognizer = null
 } = {}) {
   // Ref to prevent save loop when syncing from Firestore
   const isSyncingFromFirestore = useRef(false);
@@ -689,6 +1047,10 @@ export default function VocabMasterPro({
   const pendingReviewUpdate = useRef(null);
   // Ref to accumulate learn session data across batches (deferred to avoid parent re-render)
   const pendingLearnUpdates = useRef({ reviews: [], queueWords: [] });
+  // Checkpoint the Learn/Review screen picks up when the user resumes an interrupted session
+  const resumeSessionRef = useRef(null);
+  // Catch-up plan in use (overdue words rated are counted against its daily share)
+  const catchUpPlanRef = useRef(null);
 
   // State
   const [words, setWords] = useState(() => {
@@ -709,6 +1071,21 @@ export default function VocabMasterPro({
   });
 
   const [screen, setScreen] = useState("home");
+  // Session interrupted on a previous visit (reload, closed tab) - offered on Home
+  const [savedSession, setSavedSession] = useState(() => loadSessionCheckpoint(userId));
+  // Custom Study launched from the builder ({ name, filters }); Learn sessions use it until exit
+  const [activeCustomStudy, setActiveCustomStudy] = useState(null);
+  // Cram mode for the next Learn/Quiz session: correct answers each word needs (null = off)
+  const [cramTarget, setCramTarget] = useState(null);
+  // Builder filters (a ref, so they survive the builder remounting on parent renders)
+  const customStudyDraftRef = useRef(DEFAULT_CUSTOM_STUDY);
+  // Mock test in progress (a ref, so answers and timers survive the screen remounting)
+  const mockTestRef = useRef(null);
+  // Completed quizzes (utils/quizHistory), the one open in the detail view, and a retry of
+  // a past quiz's wrong words ({ wordIds, type }) the next quiz uses instead of the setup scope
+  const [quizHistory, setQuizHistory] = useState(() => loadQuizHistory(userId));
+  const [openQuizId, setOpenQuizId] = useState(null);
+  const [retryQuiz, setRetryQuiz] = useState(null);
   const [selectedLesson, setSelectedLesson] = useState(null); // null = all lessons
   const [reviewFocusModePref, setReviewFocusModePref] = useState(false);
 
@@ -878,7 +1255,8 @@ export default function VocabMasterPro({
       
       const yesterday = new Date();
       yesterday.setDate(yesterday.getDate() - 1);
-      const isConsecutive = prev.lastStudyDate === yesterday.toDateString();
+      // Days skipped during a vacation don't break the streak
+      const isConsecutive = prev.lastStudyDate === yesterday.toDateString() || isStreakBridged(prev.lastStudyDate, prev.vacation);
       
       const hour = new Date().getHours();
       return {
@@ -891,13 +1269,136 @@ export default function VocabMasterPro({
       };
     });
   }, []);
-  
+
+  // Commit a Learn/Review session: card states into words, reviews into XP/streak/daily stats
+  // reviews: [{ quality, hintsUsed, kind, overdue }]
+  const commitSessionResults = useCallback((reviews, cards) => {
+    if (cards.length > 0) setWords(prev => applyCards(prev, cards));
+    if (reviews.length === 0) return;
+
+    updateStreak();
+    setStats(prev => {
+      const totalXP = reviews.reduce((sum, review) => {
+        const { quality, hintsUsed: reviewHintsUsed = 0 } = review;
+        if (reviewHintsUsed > 0) {
+          const isCorrect = quality >= 3;
+          return sum + getXPFromHints(isCorrect, reviewHintsUsed);
+        }
+        return sum + (quality >= 4 ? 15 : quality >= 3 ? 10 : 5);
+      }, 0);
+
+      const newTodayReviews = (prev.todayDate === new Date().toDateString() ? prev.todayReviews : 0) + reviews.length;
+      const dailyGoal = prev.dailyGoal || 20;
+
+      if (newTodayReviews >= dailyGoal && (prev.todayReviews < dailyGoal)) {
+        setTimeout(() => showToast(`🎉 Daily goal reached! ${dailyGoal} reviews completed!`, "success"), 300);
+      }
+
+      return {
+        ...prev,
+        totalReviews: prev.totalReviews + reviews.length,
+        todayReviews: newTodayReviews,
+        todayDate: new Date().toDateString(),
+        xp: prev.xp + totalXP,
+        dailyHistory: recordActivity(prev.dailyHistory, {
+          reviews: reviews.length,
+          correct: reviews.filter(review => review.quality >= 3).length,
+          xp: totalXP,
+        }),
+        todayCounts: recordStudiedCards(prev.todayCounts, reviews.map(review => review.kind)),
+        catchUp: recordCatchUpReviews(prev.catchUp, catchUpPlanRef.current, reviews.filter(review => review.overdue).length),
+      };
+    });
+  }, [updateStreak, showToast]);
+
+  // Interrupted session, not resumed: commit its ratings (mid-batch cards never reached Firestore)
+  const commitSavedSession = useCallback(() => {
+    if (!savedSession) return;
+    commitSessionResults(savedSession.reviews, savedSession.cards);
+    if (firestoreService && userId && savedSession.cards.length > 0) {
+      firestoreService.saveWords(mergeCards(words, savedSession.cards));
+    }
+    clearSessionCheckpoint(userId);
+    setSavedSession(null);
+    showToast(`💾 Saved ${savedSession.reviews.length} ratings from your last session`);
+  }, [savedSession, commitSessionResults, firestoreService, userId, words, showToast]);
+
+  const resumeSavedSession = () => {
+    resumeSessionRef.current = savedSession;
+    setSavedSession(null);
+    setScreen(savedSession.screen);
+  };
+
+  // Going anywhere but Home without resuming commits the interrupted session
+  // (the next session would overwrite its checkpoint)
+  useEffect(() => {
+    if (savedSession && screen !== "home") commitSavedSession();
+  }, [savedSession, screen, commitSavedSession]);
+
+  // Every card: recognition for each word, plus production once enabled and unlocked
+  const allCards = useMemo(() => expandCards(words, stats.productionCards), [words, stats.productionCards]);
+
+  // Back from vacation: push the affected due dates back once, in bulk
+  useEffect(() => {
+    if (!dataReady || isInLearningSession.current || !needsVacationShift(stats.vacation)) return;
+
+    const shifted = shiftWordsForVacation(allCards, stats.vacation);
+    if (shifted.length > 0) {
+      setWords(prev => applyCards(prev, shifted));
+      if (firestoreService && userId) firestoreService.saveWords(mergeCards(words, shifted));
+    }
+
+    setStats(prev => ({ ...prev, vacation: { ...prev.vacation, appliedAt: new Date().toISOString() } }));
+    showToast(`🏖️ Welcome back! ${shifted.length} reviews moved ${getVacationDays(stats.vacation)} days later`);
+  }, [dataReady, words, allCards, stats.vacation, firestoreService, userId, showToast]);
+
+  // Active scheduler settings ({ id, requestRetention, loadBalance, ... }); Classic when unset
+  // Load balancing also needs how many reviews are already booked per day
+  const schedulerSettings = useMemo(() => (
+    stats.scheduler?.loadBalance ? { ...stats.scheduler, dueLoad: buildDueLoad(allCards) } : stats.scheduler
+  ), [stats.scheduler, allCards]);
+
+  // Append review events to the review log (localStorage + Firestore, no React state)
+  const recordReviewEvents = useCallback((events) => {
+    if (!events || events.length === 0) return;
+    appendReviewEvents(events, userId);
+    if (firestoreService && userId) {
+      firestoreService.saveReviewEvents(events);
+    }
+  }, [firestoreService, userId]);
+
+  const recordQuizResult = useCallback((record) => {
+    appendQuizRecord(record, userId);
+    setQuizHistory(prev => [...prev, record].slice(-MAX_LOCAL_QUIZ_HISTORY));
+    if (firestoreService && userId) {
+      firestoreService.saveQuizResult(record);
+    }
+  }, [firestoreService, userId]);
+
+  // Quizzes taken on other devices come from Firestore
+  useEffect(() => {
+    if (!firestoreService || !userId) return;
+    firestoreService.getQuizHistory().then((result) => {
+      if (!result.success) return;
+      const merged = mergeQuizHistory(loadQuizHistory(userId), result.data);
+      saveQuizHistory(merged, userId);
+      // A render mid-session would reset the session screen; the list catches up next time
+      if (!isInLearningSession.current) setQuizHistory(merged.slice(-MAX_LOCAL_QUIZ_HISTORY));
+    });
+  }, [firestoreService, userId]);
+
   // Update word after review (full update - use outside of learning sessions)
-  const updateWordSRS = useCallback((wordId, rating) => {
+  // details: { mode, hintsUsed, responseTimeMs, reviewedAt } for the review log
+  const updateWordSRS = useCallback((wordId, rating, details = {}) => {
     const quality = SRSEngine.qualityFromRating(rating);
+    const word = words.find(w => w.id === wordId);
+    if (word) {
+      const reviewedAt = details.reviewedAt ? new Date(details.reviewedAt) : new Date();
+      recordReviewEvents([createReviewEvent(word, SRSEngine.processReview(word, quality, schedulerSettings), { ...details, rating, quality }, reviewedAt)]);
+    }
     setWords(prev => prev.map(w => {
       if (w.id !== wordId) return w;
-      const updated = { ...w, srs: SRSEngine.processReview(w, quality) };
+      const updated = { ...w, srs: SRSEngine.processReview(w, quality, schedulerSettings) };
 
       // Save to Firestore if available
       if (firestoreService && userId) {
@@ -916,25 +1417,31 @@ export default function VocabMasterPro({
         setTimeout(() => showToast(`🎉 Daily goal reached! ${dailyGoal} reviews completed!`, "success"), 300);
       }
 
+      const xpGained = quality >= 4 ? 15 : quality >= 3 ? 10 : 5;
       return {
         ...prev,
         totalReviews: prev.totalReviews + 1,
-        xp: prev.xp + (quality >= 4 ? 15 : quality >= 3 ? 10 : 5),
+        xp: prev.xp + xpGained,
+        dailyHistory: recordActivity(prev.dailyHistory, { reviews: 1, correct: quality >= 3 ? 1 : 0, xp: xpGained }),
+        todayCounts: word ? recordStudiedCards(prev.todayCounts, [getCardKind(word)]) : prev.todayCounts,
+        catchUp: recordCatchUpReviews(prev.catchUp, catchUpPlanRef.current, word && isOverdue(word) ? 1 : 0),
       };
     });
-  }, [updateStreak, firestoreService, userId, showToast]);
+  }, [words, schedulerSettings, updateStreak, firestoreService, userId, showToast, recordReviewEvents]);
 
-  // Update word during learning session (NO Firestore, NO parent state - pure calculation only!)
-  const updateWordSRSInSession = useCallback((word, rating) => {
+  // Update word during learning session (NO word saves, NO parent state - pure calculation only!)
+  const updateWordSRSInSession = useCallback((word, rating, details = {}) => {
     const quality = SRSEngine.qualityFromRating(rating);
-    const updated = { ...word, srs: SRSEngine.processReview(word, quality) };
+    const updated = { ...word, srs: SRSEngine.processReview(word, quality, schedulerSettings) };
 
-    // ⚠️ DO NOT save to Firestore here!
+    // ⚠️ DO NOT save words to Firestore here!
     // Firestore subscription would trigger re-render and reset LearnScreen
     // Will batch save all updates when session ends
+    // (The review log has no subscription, so events are recorded right away)
+    recordReviewEvents([createReviewEvent(word, updated.srs, { ...details, rating, quality })]);
 
     return { updated, quality };
-  }, []);
+  }, [schedulerSettings, recordReviewEvents]);
   
   // Computed
   // Filter words by selected lesson (null = all lessons)
@@ -943,10 +1450,61 @@ export default function VocabMasterPro({
     return words.filter(w => w.lesson === selectedLesson);
   }, [words, selectedLesson]);
 
-  const dueWords = useMemo(() => filteredWords.filter(w => SRSEngine.isDueForReview(w)), [filteredWords]);
-  const allDueWords = useMemo(() => words.filter(w => SRSEngine.isDueForReview(w)), [words]);
+  // Due checks use a clock frozen at the vacation start while on vacation
+  const filteredCards = useMemo(() => expandCards(filteredWords, stats.productionCards), [filteredWords, stats.productionCards]);
+  // Due cards (both directions) - due counts are per card
+  const dueWords = useMemo(() => {
+    const dueClock = getDueClock(stats.vacation);
+    return filteredCards.filter(w => SRSEngine.isDueForReview(w, dueClock));
+  }, [filteredCards, stats.vacation]);
+  const allDueWords = useMemo(() => {
+    const dueClock = getDueClock(stats.vacation);
+    return allCards.filter(w => SRSEngine.isDueForReview(w, dueClock));
+  }, [allCards, stats.vacation]);
+  const onVacation = isVacationActive(stats.vacation);
+  // Catch-up mode: ration the overdue backlog over stats.catchUpDays days (plan saved in stats.catchUp)
+  const catchUpPlan = useMemo(
+    () => rationOverdueWords(dueWords, stats.catchUpDays, getReviewPriority, new Date(), stats.catchUp),
+    [dueWords, stats.catchUpDays, stats.catchUp]
+  );
+  useEffect(() => {
+    catchUpPlanRef.current = catchUpPlan.plan;
+  }, [catchUpPlan.plan]);
+  // What is left of today's new-word and review limits
+  const dailyAllowance = useMemo(
+    () => getRemainingAllowance({ todayCounts: stats.todayCounts, newCardsPerDay: stats.newCardsPerDay, reviewsPerDay: stats.reviewsPerDay }),
+    [stats.todayCounts, stats.newCardsPerDay, stats.reviewsPerDay]
+  );
+  // Typed-answer checking options (typo tolerance, diacritics, articles)
+  const answerChecking = { ...DEFAULT_ANSWER_CHECKING, ...stats.answerChecking };
+  const shortcuts = useMemo(() => getShortcuts(stats.shortcuts), [stats.shortcuts]);
+  // null when the browser can't do speech recognition (the Speak mode is hidden)
+  const recognizer = useMemo(() => speechRecognizer || createBrowserRecognizer(), [speechRecognizer]);
+  // direction: keep one card direction (modes that only test recognition or production)
+  const cardsInDirection = (cards, direction) => (direction && stats.productionCards ? cards.filter(c => getCardDirection(c) === direction) : cards);
+  const selectSessionWords = (limit = 1000, direction = null) => {
+    return selectWordsForReview(cardsInDirection(filteredCards, direction), cardsInDirection(catchUpPlan.selected, direction), limit, {
+      excludeIds: catchUpPlan.deferredIds,
+      allowance: dailyAllowance,
+    });
+  };
+  // Custom Study queue (all lessons - the filters pick them)
+  const selectCustomStudyWords = (filters, direction = null) => {
+    const dueClock = getDueClock(stats.vacation);
+    return buildCustomStudyQueue(cardsInDirection(allCards, direction), filters, {
+      failedTodayIds: getFailedTodayIds(loadReviewLog(userId)),
+      getMasteryLevel: (card) => SRSEngine.getMasteryLevel(card),
+      getPriority: (card) => getReviewPriority(card, SRSEngine.isDueForReview(card, dueClock)),
+    });
+  };
+  // Cram set: the custom study, or every card of the selected lesson - due or not, no daily limits
+  const selectCramWords = (direction = null) => (activeCustomStudy
+    ? selectCustomStudyWords(activeCustomStudy.filters, direction)
+    : shuffle(cardsInDirection(filteredCards, direction).filter(card => !isSuspended(card))));
   const weakWords = useMemo(() => words.filter((w) => isWeakWord(w)), [words]);
+  const leeches = useMemo(() => getLeeches(allCards), [allCards]);
   const lessonInsights = useMemo(() => {
+    const dueClock = getDueClock(stats.vacation);
     return TOEIC_LESSONS.map((lesson) => {
       const lessonWords = words.filter((w) => w.lesson === lesson.id);
       const total = lessonWords.length;
@@ -963,7 +1521,7 @@ export default function VocabMasterPro({
         };
       }
 
-      const due = lessonWords.filter((w) => SRSEngine.isDueForReview(w)).length;
+      const due = lessonWords.filter((w) => SRSEngine.isDueForReview(w, dueClock)).length;
       const weak = lessonWords.filter((w) => isWeakWord(w)).length;
       const mastered = lessonWords.filter((w) => w.srs?.mastered).length;
       const progress = mastered / total;
@@ -981,11 +1539,12 @@ export default function VocabMasterPro({
     })
       .filter((lesson) => lesson.total > 0)
       .sort((a, b) => b.priority - a.priority || a.progress - b.progress);
-  }, [words]);
+  }, [words, stats.vacation]);
   const recommendedLesson = lessonInsights[0] || null;
+  const maintenanceDueCount = useMemo(() => allDueWords.filter(w => w.srs?.mastered).length, [allDueWords]);
   const todayPlan = useMemo(() => {
     const dailyGoal = stats.dailyGoal || 20;
-    const dueCount = allDueWords.length;
+    const dueCount = allDueWords.length - maintenanceDueCount;
     const weakCount = weakWords.length;
     const catchupBoost = Math.min(15, dueCount);
     const weakBoost = Math.min(10, weakCount);
@@ -993,12 +1552,17 @@ export default function VocabMasterPro({
 
     return {
       dueCount,
+      maintenanceCount: maintenanceDueCount,
+      newRemaining: dailyAllowance.newCards,
+      newLimit: dailyAllowance.newLimit,
+      reviewsRemaining: dailyAllowance.reviews,
+      reviewLimit: dailyAllowance.reviewLimit,
       weakCount,
       suggestedReviews,
       recommendedLessonTitle: recommendedLesson?.title || "No recommendation",
       recommendedLessonId: recommendedLesson?.id || null,
     };
-  }, [stats.dailyGoal, allDueWords.length, weakWords.length, recommendedLesson]);
+  }, [stats.dailyGoal, allDueWords.length, maintenanceDueCount, dailyAllowance, weakWords.length, recommendedLesson]);
   const masteryDist = useMemo(() => {
     const dist = [0, 0, 0, 0, 0];
     words.forEach(w => dist[SRSEngine.getMasteryLevel(w)]++);
@@ -1035,6 +1599,47 @@ export default function VocabMasterPro({
           )}
         </div>
       </div>
+
+      {/* Interrupted Session */}
+      {savedSession && (
+        <div className="vm-card" style={{
+          padding: 16, marginBottom: 20, background: `${THEME.warning}10`, border: `1.5px solid ${THEME.warning}35`,
+        }}>
+          <div style={{ display: "flex", alignItems: "center", gap: 12, marginBottom: 12 }}>
+            <span style={{ fontSize: 24 }}>⏸️</span>
+            <div>
+              <div style={{ fontSize: 14, fontWeight: 700 }}>
+                Unfinished {savedSession.screen === "learn" ? "Learn" : "Review"} session
+              </div>
+              <div style={{ fontSize: 12, color: THEME.textSecondary }}>
+                {savedSession.reviews.length} rating{savedSession.reviews.length === 1 ? "" : "s"} not saved yet · {new Date(savedSession.savedAt).toLocaleString()}
+              </div>
+            </div>
+          </div>
+          <div style={{ display: "flex", gap: 8 }}>
+            <button className="vm-btn" onClick={resumeSavedSession} style={{
+              flex: 1, padding: 12, borderRadius: 12, background: THEME.gradient1, color: "#fff", fontSize: 14,
+            }}>▶️ Resume</button>
+            <button className="vm-btn" onClick={commitSavedSession} style={{
+              flex: 1, padding: 12, borderRadius: 12, background: THEME.surface, color: THEME.text, fontSize: 14, border: `1px solid ${THEME.border}`,
+            }}>💾 Save results</button>
+          </div>
+        </div>
+      )}
+
+      {/* Vacation Banner */}
+      {onVacation && (
+        <div className="vm-card" style={{
+          padding: "14px 16px", marginBottom: 20, display: "flex", alignItems: "center", gap: 12,
+          background: `${THEME.info}12`, border: `1.5px solid ${THEME.info}30`,
+        }}>
+          <span style={{ fontSize: 24 }}>🏖️</span>
+          <div>
+            <div style={{ fontSize: 14, fontWeight: 700 }}>On vacation until {parseDateKey(stats.vacation.end).toLocaleDateString()}</div>
+            <div style={{ fontSize: 12, color: THEME.textSecondary }}>Reviews are paused and your streak is safe</div>
+          </div>
+        </div>
+      )}
       
       {/* Today's Progress */}
       <div className="vm-card" style={{ padding: 20, marginBottom: 20, position: "relative", overflow: "hidden" }}>
@@ -1068,11 +1673,15 @@ export default function VocabMasterPro({
           Recommended lesson: <strong style={{ color: THEME.text }}>{todayPlan.recommendedLessonTitle}</strong>
         </div>
 
-        <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr", gap: 8, marginBottom: 14 }}>
+        <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 8, marginBottom: 14 }}>
           <div style={{ padding: 10, borderRadius: 10, background: `${THEME.danger}10`, border: `1px solid ${THEME.danger}25` }}>
             <div style={{ fontSize: 18, fontWeight: 800, color: THEME.danger }}>{todayPlan.dueCount}</div>
             <div style={{ fontSize: 10, color: THEME.textMuted }}>Due today</div>
           </div>
+          <div style={{ padding: 10, borderRadius: 10, background: `${THEME.success}10`, border: `1px solid ${THEME.success}25` }}>
+            <div style={{ fontSize: 18, fontWeight: 800, color: THEME.success }}>{todayPlan.maintenanceCount}</div>
+            <div style={{ fontSize: 10, color: THEME.textMuted }}>Maintenance due</div>
+          </div>
           <div style={{ padding: 10, borderRadius: 10, background: `${THEME.warning}12`, border: `1px solid ${THEME.warning}25` }}>
             <div style={{ fontSize: 18, fontWeight: 800, color: THEME.warning }}>{todayPlan.weakCount}</div>
             <div style={{ fontSize: 10, color: THEME.textMuted }}>Weak words</div>
@@ -1083,6 +1692,17 @@ export default function VocabMasterPro({
           </div>
         </div>
 
+        <div style={{ display: "flex", gap: 12, fontSize: 11, color: THEME.textSecondary, marginTop: -6, marginBottom: 14 }}>
+          <span>🆕 New left: <b style={{ color: THEME.text }}>{todayPlan.newRemaining}</b>/{todayPlan.newLimit}</span>
+          <span>🔁 Reviews left: <b style={{ color: THEME.text }}>{todayPlan.reviewsRemaining}</b>/{todayPlan.reviewLimit}</span>
+        </div>
+
+        {catchUpPlan.deferredIds.size > 0 && (
+          <div style={{ fontSize: 11, color: THEME.textSecondary, marginTop: -6, marginBottom: 14 }}>
+            🐢 Catch-up: {catchUpPlan.remainingToday} of today's {catchUpPlan.dailyShare} overdue words left, {catchUpPlan.deferredIds.size} more from tomorrow ({catchUpPlan.dailyShare} a day)
+          </div>
+        )}
+
         <div style={{ display: "flex", gap: 8 }}>
           <button
             className="vm-btn"
@@ -1161,6 +1781,24 @@ export default function VocabMasterPro({
           <span style={{ fontSize: 12, opacity: 0.7 }}>{words.length} total</span>
         </button>
       </div>
+
+      {/* Leeches */}
+      {leeches.length > 0 && (
+        <button className="vm-btn" onClick={() => setScreen("leeches")} style={{
+          width: "100%", padding: "14px 16px", borderRadius: 16, marginBottom: 24, textAlign: "left",
+          background: `${THEME.danger}10`, border: `1.5px solid ${THEME.danger}30`, color: THEME.text,
+          display: "flex", alignItems: "center", gap: 12,
+        }}>
+          <span style={{ fontSize: 24 }}>🩸</span>
+          <div style={{ flex: 1 }}>
+            <div style={{ fontSize: 14, fontWeight: 700 }}>{leeches.length} leech{leeches.length > 1 ? "es" : ""}</div>
+            <div style={{ fontSize: 12, color: THEME.textSecondary }}>
+              {leeches.filter(isSuspended).length} suspended · rewrite them in the leech workbench
+            </div>
+          </div>
+          <span style={{ color: THEME.textMuted, fontSize: 18 }}>›</span>
+        </button>
+      )}
       
       {/* Mastery Distribution */}
       <div className="vm-card" style={{ padding: 20, marginBottom: 20 }}>
@@ -1244,11 +1882,15 @@ export default function VocabMasterPro({
     const [phase, setPhase] = useState("think");
     const [typedAnswer, setTypedAnswer] = useState("");
     const [isCorrect, setIsCorrect] = useState(null);
+    // gradeAnswer result for typed answers (Type Answer / Cloze)
+    const [answerGrade, setAnswerGrade] = useState(null);
     const [sessionStats, setSessionStats] = useState({ correct: 0, incorrect: 0 });
     const [sessionHistory, setSessionHistory] = useState([]);
     const inputRef = useRef(null);
     // Track session reviews for batch stats update at end (use ref to avoid re-renders)
     const sessionReviewsRef = useRef([]);
+    // When the current card was shown (response time for the review log)
+    const cardShownAtRef = useRef(Date.now());
     // Batch learning - track all available words and current batch
     const [allAvailableWords, setAllAvailableWords] = useState([]);
     const [batchSize, setBatchSize] = useState(20);
@@ -1259,6 +1901,15 @@ export default function VocabMasterPro({
     const [correctSentence, setCorrectSentence] = useState([]);
     // Flashcard state
     const [isFlipped, setIsFlipped] = useState(false);
+    // Speak mode state
+    const [speechTarget, setSpeechTarget] = useState("term");
+    const [isListening, setIsListening] = useState(false);
+    const [speechResult, setSpeechResult] = useState(null);
+    const [speechAttempts, setSpeechAttempts] = useState(0);
+    // Dictation result (scoreDictation)
+    const [dictationScore, setDictationScore] = useState(null);
+    // Cram session score (createCramProgress) - null for a normal session
+    const [cramProgress, setCramProgress] = useState(null);
 
     // Progressive Hints state
     const [hintsUsed, setHintsUsed] = useState(0);
@@ -1534,12 +2185,27 @@ export default function VocabMasterPro({
       // Reset accumulated data for fresh session (not for continue batch)
       if (batchIndex === 0) {
         pendingLearnUpdates.current = { reviews: [], queueWords: [] };
+        setCramProgress(cramTarget ? createCramProgress(cramTarget) : null);
       }
 
       setMode(selectedMode);
 
-      // Get all available words for review (no limit)
-      const allWords = selectWordsForReview(filteredWords, dueWords, 1000);
+      // Get all available cards for review (no limit), in the direction this mode tests
+      const direction = LEARN_MODE_DIRECTIONS[selectedMode];
+      const sessionWords = cramTarget ? selectCramWords(direction)
+        : activeCustomStudy ? selectCustomStudyWords(activeCustomStudy.filters, direction)
+        : selectSessionWords(undefined, direction);
+      // Cloze and Dictation need an example sentence that contains the word
+      const allWords = selectedMode === "cloze" ? sessionWords.filter(w => buildCloze(w))
+        : selectedMode === "dictation" ? sessionWords.filter(w => getDictationSentence(w))
+        : selectedMode === "auto" ? sessionWords.map(card => ({ ...card, autoMode: pickAutoMode(card, {
+          masteryLevel: SRSEngine.getMasteryLevel(card),
+          failureRate: getFailureRate(card),
+          isProduction: getCardDirection(card) === PRODUCTION,
+          productionCards: !!stats.productionCards,
+          supports: (exercise) => (exercise === "cloze" ? !!buildCloze(card) : exercise === "dictation" ? !!getDictationSentence(card) : true),
+        }) }))
+        : sessionWords;
       setAllAvailableWords(allWords);
       setCurrentBatchIndex(batchIndex);
 
@@ -1554,8 +2220,13 @@ export default function VocabMasterPro({
       setSessionStats({ correct: 0, incorrect: 0 });
       setSessionHistory([]); // Reset session history for new batch
       sessionReviewsRef.current = []; // Reset session reviews
+      cardShownAtRef.current = Date.now();
       setTypedAnswer("");
       setIsCorrect(null);
+      setAnswerGrade(null);
+      setSpeechResult(null);
+      setSpeechAttempts(0);
+      setDictationScore(null);
       setUserSentence([]);
     };
 
@@ -1574,6 +2245,28 @@ export default function VocabMasterPro({
       setIsFlipped(false);
     }, [idx]);
 
+    // Resume an interrupted session: earlier ratings become pending updates, the batch continues
+    useEffect(() => {
+      const checkpoint = resumeSessionRef.current;
+      if (checkpoint?.screen !== "learn") return;
+      resumeSessionRef.current = null;
+      isInLearningSession.current = true;
+      pendingLearnUpdates.current = { reviews: checkpoint.reviews, queueWords: checkpoint.cards };
+      sessionReviewsRef.current = [];
+
+      const cardsById = new Map(allCards.map(card => [card.id, card]));
+      const midBatch = isMidBatch(checkpoint);
+      setMode(checkpoint.mode);
+      setAllAvailableWords((checkpoint.availableIds || []).map(id => cardsById.get(id)).filter(Boolean));
+      setCurrentBatchIndex(checkpoint.batchIndex || 0);
+      setQueue(checkpoint.queue);
+      setIdx(midBatch ? checkpoint.idx : checkpoint.queue.length - 1);
+      setPhase(!midBatch ? "done" : checkpoint.mode === "vietmix" ? "reveal" : "think");
+      setSessionStats(checkpoint.sessionStats || { correct: 0, incorrect: 0 });
+      setSessionHistory(checkpoint.sessionHistory || []);
+      cardShownAtRef.current = Date.now();
+    }, []);
+
     const generateSentence = (word) => {
       // Generate simple sentence templates
       const templates = [
@@ -1597,6 +2290,8 @@ export default function VocabMasterPro({
     };
 
     const currentWord = queue[idx];
+    // Exercise for the current card (Auto picks one per card when the batch is built)
+    const cardMode = mode === "auto" ? currentWord?.autoMode : mode;
     const progress = queue.length > 0 ? (idx / queue.length) : 0;
     const currentPassageIndex = Math.floor(idx / 5);
     const currentPassageStart = currentPassageIndex * 5;
@@ -1676,8 +2371,37 @@ export default function VocabMasterPro({
       setSelectedMCOption(null);
       setMcChoices([]);
       setIsFlipped(false); // Reset flip state
+      cardShownAtRef.current = Date.now();
     }, [idx]);
 
+    const showNextCard = () => {
+      setIdx(i => i + 1);
+      setPhase(mode === "vietmix" ? "reveal" : "think");
+      setTypedAnswer("");
+      setIsCorrect(null);
+      setAnswerGrade(null);
+      setSpeechResult(null);
+      setSpeechAttempts(0);
+      setDictationScore(null);
+    };
+
+    // Cram: scored locally only (no SRS, review log, Firestore or checkpoint); a word comes back until it has enough correct answers
+    const rateCram = (rating) => {
+      const isGood = rating !== "again";
+      const nextProgress = recordCramAnswer(cramProgress, activeSessionWord.id, isGood);
+      setCramProgress(nextProgress);
+
+      const nextQueue = mode !== "vietmix" && !isCramCardDone(nextProgress, activeSessionWord.id)
+        ? requeueForCram(queue, idx, activeSessionWord)
+        : queue;
+      setQueue(nextQueue);
+      setSessionStats(prev => ({ correct: prev.correct + (isGood ? 1 : 0), incorrect: prev.incorrect + (isGood ? 0 : 1) }));
+      setSessionHistory(prev => [...prev, { word: activeSessionWord, mode: cardMode, rating, isGood, hintsUsed: HINTED_LEARN_MODES.includes(cardMode) ? hintsUsed : 0 }]);
+
+      if (idx + 1 >= nextQueue.length) setPhase("done");
+      else showNextCard();
+    };
+
     const handleRate = (rating) => {
       if (!activeSessionWord) return;
 
@@ -1685,9 +2409,9 @@ export default function VocabMasterPro({
       let adjustedRating = rating;
       let adjustedQuality;
 
-      if (mode === "type" && hintsUsed > 0 && isCorrect) {
-        // Override quality based on hints for correct answers
-        adjustedQuality = getQualityFromHints(isCorrect, hintsUsed);
+      if (HINTED_LEARN_MODES.includes(cardMode) && isCorrect && (hintsUsed > 0 || answerGrade?.exact === false)) {
+        // Override quality based on hints and typos (partial credit) for correct answers
+        adjustedQuality = Math.min(getQualityFromHints(isCorrect, hintsUsed), answerGrade?.quality ?? 5);
         // Map quality back to rating for consistency
         if (adjustedQuality === 5) adjustedRating = "easy";
         else if (adjustedQuality === 4) adjustedRating = "good";
@@ -1695,48 +2419,75 @@ export default function VocabMasterPro({
         else adjustedRating = "again";
       }
 
+      if (cramProgress) {
+        rateCram(adjustedRating);
+        return;
+      }
+
       // Save to Firestore only (no parent state updates to prevent re-render)
-      const { updated, quality: originalQuality } = updateWordSRSInSession(activeSessionWord, adjustedRating);
+      // A wrong typed answer that is another word's term was a mix-up (feeds future distractors)
+      const confusedWith = HINTED_LEARN_MODES.includes(cardMode) && isCorrect === false
+        ? words.find(w => w.id !== getCardWordId(activeSessionWord) && normalizeAnswer(w.term) === normalizeAnswer(typedAnswer))?.id
+        : null;
+
+      const { updated, quality: originalQuality } = updateWordSRSInSession(activeSessionWord, adjustedRating, {
+        mode: cardMode,
+        hintsUsed: HINTED_LEARN_MODES.includes(cardMode) ? hintsUsed : 0,
+        responseTimeMs: Date.now() - cardShownAtRef.current,
+        confusedWith,
+      });
       const finalQuality = adjustedQuality || originalQuality;
 
       // Track review for batch stats update at end (with hint-adjusted quality for Type mode)
       sessionReviewsRef.current.push({
         quality: finalQuality,
         rating: adjustedRating,
-        hintsUsed: mode === "type" ? hintsUsed : 0,
+        hintsUsed: HINTED_LEARN_MODES.includes(cardMode) ? hintsUsed : 0,
+        kind: getCardKind(activeSessionWord),
+        overdue: isOverdue(activeSessionWord),
       });
 
       // Update the word in queue for immediate UI feedback
-      setQueue(prev => prev.map(w => w.id === activeSessionWord.id ? updated : w));
+      let nextQueue = queue.map(w => w.id === activeSessionWord.id ? updated : w);
+
+      // Words still in learning steps come back a few cards later in this batch
+      if (updated.srs.learningStep != null && !updated.srs.suspended && mode !== "vietmix" && queue.some(w => w.id === updated.id)) {
+        const insertAt = Math.min(idx + 1 + LEARNING_REQUEUE_GAP, nextQueue.length);
+        nextQueue = [...nextQueue.slice(0, insertAt), updated, ...nextQueue.slice(insertAt)];
+      }
+      setQueue(nextQueue);
 
       // Update session stats (local state, safe)
       const isGood = adjustedRating === "good" || adjustedRating === "easy";
-      setSessionStats(p => ({
-        correct: p.correct + (isGood ? 1 : 0),
-        incorrect: p.incorrect + (isGood ? 0 : 1),
-      }));
+      const nextSessionStats = {
+        correct: sessionStats.correct + (isGood ? 1 : 0),
+        incorrect: sessionStats.incorrect + (isGood ? 0 : 1),
+      };
+      setSessionStats(nextSessionStats);
 
       // Track word in session history for review display
-      setSessionHistory(prev => [...prev, {
+      const nextSessionHistory = [...sessionHistory, {
         word: activeSessionWord,
+        mode: cardMode,
         rating: adjustedRating,
         isGood,
-        hintsUsed: mode === "type" ? hintsUsed : 0,
-      }]);
+        hintsUsed: HINTED_LEARN_MODES.includes(cardMode) ? hintsUsed : 0,
+      }];
+      setSessionHistory(nextSessionHistory);
 
-      if (idx + 1 >= queue.length) {
+      if (idx + 1 >= nextQueue.length) {
         // End of batch - accumulate in ref (DON'T call batchUpdateStats to avoid parent re-render)
+        // Re-queued words appear more than once; keep one (latest) copy of each
+        const batchWords = [...new Map(nextQueue.map(w => [w.id, w])).values()];
         pendingLearnUpdates.current.reviews.push(...sessionReviewsRef.current);
-        pendingLearnUpdates.current.queueWords.push(...queue.map(w => {
-          // Include current word's updated SRS from this batch
-          const qw = w.id === activeSessionWord.id ? updated : w;
-          return qw;
-        }));
+        pendingLearnUpdates.current.queueWords.push(...batchWords);
         sessionReviewsRef.current = [];
 
         // Save to Firestore async (non-blocking, no parent state change)
         if (firestoreService && userId) {
-          const wordsToSave = queue.map(w => w.id === activeSessionWord.id ? updated : w);
+          // Cards → stored words; earlier batches are merged too so both directions of a word stick
+          const batchWordIds = new Set(batchWords.map(getCardWordId));
+          const wordsToSave = mergeCards(words, pendingLearnUpdates.current.queueWords).filter(w => batchWordIds.has(w.id));
           setTimeout(async () => {
             try {
               await firestoreService.saveWords(wordsToSave);
@@ -1749,31 +2500,95 @@ export default function VocabMasterPro({
 
         setPhase("done");
       } else {
-        // Move to next word
-        setIdx(i => i + 1);
-        setPhase(mode === "vietmix" ? "reveal" : "think");
-        setTypedAnswer("");
-        setIsCorrect(null);
+        showNextCard();
       }
+
+      // Checkpoint after every rating so a reload can resume (localStorage only - no parent update)
+      const batchDone = idx + 1 >= nextQueue.length;
+      saveSessionCheckpoint(userId, {
+        screen: "learn",
+        mode,
+        batchIndex: currentBatchIndex,
+        availableIds: allAvailableWords.map(w => w.id),
+        queue: nextQueue,
+        idx: idx + 1,
+        sessionStats: nextSessionStats,
+        sessionHistory: nextSessionHistory,
+        reviews: [...pendingLearnUpdates.current.reviews, ...sessionReviewsRef.current],
+        // A finished batch is already in pendingLearnUpdates
+        cards: [...pendingLearnUpdates.current.queueWords, ...(batchDone ? [] : getRatedCards(nextQueue, idx + 1))],
+      });
     };
 
     const checkTyped = () => {
       if (!currentWord) return;
-      const correct = typedAnswer.trim().toLowerCase() === currentWord.term.toLowerCase();
-      setIsCorrect(correct);
+      const grade = gradeAnswer(typedAnswer, [currentWord.term], { ...answerChecking, synonyms: currentWord.synonyms });
+      setAnswerGrade(grade);
+      setIsCorrect(grade.correct);
+      setPhase("reveal");
+    };
+
+    // Cloze: the sentence with the word blanked, plus hints (translation → definition → first letter)
+    const currentCloze = cardMode === "cloze" && currentWord ? buildCloze(currentWord) : null;
+    const clozeHints = currentCloze ? [
+      currentCloze.translation && { icon: "🇻🇳", label: "Translation", content: currentCloze.translation },
+      { icon: "📖", label: "Meaning", content: currentWord.definition },
+      { icon: "✏️", label: "First letter", content: `Starts with "${currentCloze.answer[0].toUpperCase()}..." (${currentCloze.answer.length} letters)` },
+    ].filter(Boolean) : [];
+
+    const checkCloze = () => {
+      if (!currentCloze) return;
+      // The inflected form from the sentence or the dictionary form
+      const grade = gradeAnswer(typedAnswer, [currentCloze.answer, currentWord.term], answerChecking);
+      setAnswerGrade(grade);
+      setIsCorrect(grade.correct);
+      setPhase("reveal");
+    };
+
+    // Speak mode: the term, or the English half of its first example
+    const speechExample = cardMode === "speak" && currentWord?.examples?.[0] ? splitExample(currentWord.examples[0]).sentence : "";
+    const speechText = speechTarget === "example" && speechExample ? speechExample : currentWord?.term;
+
+    const listenForSpeech = async () => {
+      if (!recognizer || isListening) return;
+      setIsListening(true);
+      try {
+        const { transcripts } = await recognizer.listen({ lang: "en-US" });
+        if (transcripts.length === 0) {
+          setSpeechResult({ error: "Didn't catch that - tap the mic and try again" });
+        } else {
+          setSpeechResult(scorePronunciation(transcripts, speechText));
+          setSpeechAttempts(a => a + 1);
+          setPhase("reveal");
+        }
+      } catch (error) {
+        // Inline message rather than a toast (a parent update would reset the session)
+        setSpeechResult({
+          error: error?.code === "not-allowed" ? "Microphone access is blocked for this site" : "Speech recognition failed - try again",
+        });
+      } finally {
+        setIsListening(false);
+      }
+    };
+
+    // Dictation: the example sentence is spoken, the target word's span decides the rating
+    const currentDictation = cardMode === "dictation" && currentWord ? getDictationSentence(currentWord) : null;
+
+    const checkDictation = () => {
+      if (!currentDictation) return;
+      setDictationScore(scoreDictation(typedAnswer, currentDictation, answerChecking));
       setPhase("reveal");
     };
 
+    // A retry can still pass, but not as Good
+    const speechRating = speechResult?.rating === "good" && speechAttempts > 1 ? "hard" : speechResult?.rating;
+
     // Progressive Hints functions
     const generateMCChoices = (correctWord) => {
-      // Generate 3 distractors based on similar words from the queue
-      const otherWords = queue
-        .filter(w => w.id !== correctWord.id && w.term !== correctWord.term)
-        .sort(() => Math.random() - 0.5)
-        .slice(0, 3)
-        .map(w => w.term);
-
-      // If not enough words in queue, add generic distractors
+      // 3 distractors from the whole word list (same part of speech, look-alikes, past confusions)
+      const otherWords = pickDistractors(correctWord, words, { confusions: getConfusions(loadReviewLog(userId)) }).map(w => w.term);
+
+      // Only a tiny word list runs short - top up with generic distractors
       const genericDistractors = ["expand", "continue", "reduce", "increase", "decrease", "maintain"];
       while (otherWords.length < 3) {
         const distractor = genericDistractors[Math.floor(Math.random() * genericDistractors.length)];
@@ -1850,18 +2665,17 @@ export default function VocabMasterPro({
       return 2; // 3+ hints = Again with partial credit
     };
 
-    // Calculate XP based on hints used
-    const getXPFromHints = (isCorrect, hintsUsed) => {
-      if (!isCorrect) return 5; // Wrong answer = minimal XP
-      if (hintsUsed === 0) return 15; // Perfect
-      if (hintsUsed === 1) return 10; // Excellent
-      if (hintsUsed === 2) return 5;  // Good
-      if (hintsUsed === 3) return 0;  // Fair
-      return -5; // 4 hints = needs practice
-    };
-
     // Exit session handler - apply all deferred updates NOW
     const exitSession = () => {
+      if (cramProgress) {
+        // Nothing to commit - cram leaves words and stats as they were
+        isInLearningSession.current = false;
+        setCramProgress(null);
+        setActiveCustomStudy(null);
+        setMode(null);
+        return;
+      }
+
       // Combine any remaining current-batch reviews with accumulated ones
       const allReviews = [...pendingLearnUpdates.current.reviews, ...sessionReviewsRef.current];
       const allQueueWords = [...pendingLearnUpdates.current.queueWords];
@@ -1871,43 +2685,9 @@ export default function VocabMasterPro({
         allQueueWords.push(...queue);
       }
 
-      // Apply stats update (parent state - OK because we're leaving the session)
-      if (allReviews.length > 0) {
-        updateStreak();
-        setStats(prev => {
-          const totalXP = allReviews.reduce((sum, review) => {
-            const { quality, hintsUsed: reviewHintsUsed = 0 } = review;
-            if (reviewHintsUsed > 0) {
-              const isCorrect = quality >= 3;
-              return sum + getXPFromHints(isCorrect, reviewHintsUsed);
-            }
-            return sum + (quality >= 4 ? 15 : quality >= 3 ? 10 : 5);
-          }, 0);
-
-          const newTodayReviews = (prev.todayDate === new Date().toDateString() ? prev.todayReviews : 0) + allReviews.length;
-          const dailyGoal = prev.dailyGoal || 20;
-
-          if (newTodayReviews >= dailyGoal && (prev.todayReviews < dailyGoal)) {
-            setTimeout(() => showToast(`🎉 Daily goal reached! ${dailyGoal} reviews completed!`, "success"), 300);
-          }
-
-          return {
-            ...prev,
-            totalReviews: prev.totalReviews + allReviews.length,
-            todayReviews: newTodayReviews,
-            todayDate: new Date().toDateString(),
-            xp: prev.xp + totalXP,
-          };
-        });
-      }
-
-      // Sync all updated queue words to parent words state
-      if (allQueueWords.length > 0) {
-        setWords(prev => prev.map(w => {
-          const queueWord = allQueueWords.find(q => q.id === w.id);
-          return queueWord || w;
-        }));
-      }
+      // Apply stats and card updates (parent state - OK because we're leaving the session)
+      commitSessionResults(allReviews, allQueueWords);
+      clearSessionCheckpoint(userId);
 
       // Reset pending data
       pendingLearnUpdates.current = { reviews: [], queueWords: [] };
@@ -1915,9 +2695,29 @@ export default function VocabMasterPro({
       // Resume Firestore updates after exiting
       isInLearningSession.current = false;
 
+      // A custom study is a one-off session
+      setActiveCustomStudy(null);
       setMode(null);
     };
 
+    // Keyboard: space reveals, R replays the audio the exercise is about, H takes the next hint
+    const replayText = cardMode === "dictation" ? currentDictation?.sentence
+      : cardMode === "speak" ? speechText
+      : currentWord && (phase === "reveal" || (["flashcard", "recall", "listen"].includes(cardMode) && getCardDirection(currentWord) !== PRODUCTION)) ? currentWord.term
+      : null;
+    useShortcuts({
+      exit: mode ? exitSession : () => setScreen("home"),
+      reveal: phase !== "think" || !currentWord ? undefined
+        : cardMode === "flashcard" ? () => setIsFlipped(f => !f)
+        : ["recall", "listen"].includes(cardMode) ? () => setPhase("reveal")
+        : undefined,
+      replay: replayText ? () => speak(replayText, cardMode === "listen" ? 0.7 : undefined) : undefined,
+      hint: phase !== "think" ? undefined
+        : cardMode === "type" && currentHintLevel < 4 ? showNextHint
+        : cardMode === "cloze" && currentHintLevel < clozeHints.length ? () => { setCurrentHintLevel(l => l + 1); setHintsUsed(h => h + 1); }
+        : undefined,
+    }, shortcuts);
+
     // Empty state - no words available
     if (words.length === 0) {
       return (
@@ -1940,7 +2740,8 @@ export default function VocabMasterPro({
 
     // Mode Select
     if (!mode) {
-      const availableWords = selectWordsForReview(filteredWords || [], dueWords || [], 1000);
+      const availableWords = cramTarget ? selectCramWords()
+        : activeCustomStudy ? selectCustomStudyWords(activeCustomStudy.filters) : selectSessionWords();
       const totalAvailable = availableWords?.length || 0;
       const totalBatches = batchSize > 0 ? Math.ceil(totalAvailable / batchSize) : 0;
 
@@ -1951,74 +2752,108 @@ export default function VocabMasterPro({
             <div style={{ fontSize: 22, fontWeight: 800 }}>Choose Learning Mode</div>
           </div>
 
-          {/* Lesson Selector */}
-          <div className="vm-card" style={{ padding: 16, marginBottom: 16 }}>
-            <div style={{ fontSize: 13, fontWeight: 700, color: THEME.textMuted, marginBottom: 10 }}>📚 SELECT LESSON</div>
-            <select
-              className="vm-btn"
-              value={selectedLesson || ""}
-              onChange={(e) => setSelectedLesson(e.target.value || null)}
-              style={{
-                width: "100%",
-                padding: "12px 16px",
-                fontSize: 14,
-                fontWeight: 600,
-                borderRadius: 12,
-                background: THEME.card,
-                border: `1px solid ${THEME.border}`,
-                color: THEME.text,
-                cursor: "pointer",
-              }}
-            >
-              <option value="">All Lessons ({words.length} words)</option>
-              {TOEIC_LESSONS.map(lesson => {
-                const lessonWordCount = words.filter(w => w.lesson === lesson.id).length;
-                return (
-                  <option key={lesson.id} value={lesson.id}>
-                    {lesson.title} ({lessonWordCount} words)
-                  </option>
-                );
-              })}
-            </select>
-            {selectedLesson && (
-              <div style={{ marginTop: 8, fontSize: 12, color: THEME.textSecondary }}>
-                {TOEIC_LESSONS.find(l => l.id === selectedLesson)?.description}
-              </div>
-            )}
-            {recommendedLesson && (
-              <div style={{
-                marginTop: 12,
-                padding: 10,
-                borderRadius: 10,
-                background: `${THEME.warning}12`,
-                border: `1px solid ${THEME.warning}30`,
-                display: "flex",
-                alignItems: "center",
-                justifyContent: "space-between",
-                gap: 10,
-              }}>
-                <div style={{ fontSize: 11, color: THEME.textSecondary }}>
-                  Suggested now: <strong style={{ color: THEME.text }}>{recommendedLesson.title}</strong>
+          {/* Lesson Selector (a custom study has its own lesson filter) */}
+          {!activeCustomStudy && (
+            <div className="vm-card" style={{ padding: 16, marginBottom: 16 }}>
+              <div style={{ fontSize: 13, fontWeight: 700, color: THEME.textMuted, marginBottom: 10 }}>📚 SELECT LESSON</div>
+              <select
+                className="vm-btn"
+                value={selectedLesson || ""}
+                onChange={(e) => setSelectedLesson(e.target.value || null)}
+                style={{
+                  width: "100%",
+                  padding: "12px 16px",
+                  fontSize: 14,
+                  fontWeight: 600,
+                  borderRadius: 12,
+                  background: THEME.card,
+                  border: `1px solid ${THEME.border}`,
+                  color: THEME.text,
+                  cursor: "pointer",
+                }}
+              >
+                <option value="">All Lessons ({words.length} words)</option>
+                {TOEIC_LESSONS.map(lesson => {
+                  const lessonWordCount = words.filter(w => w.lesson === lesson.id).length;
+                  return (
+                    <option key={lesson.id} value={lesson.id}>
+                      {lesson.title} ({lessonWordCount} words)
+                    </option>
+                  );
+                })}
+              </select>
+              {selectedLesson && (
+                <div style={{ marginTop: 8, fontSize: 12, color: THEME.textSecondary }}>
+                  {TOEIC_LESSONS.find(l => l.id === selectedLesson)?.description}
                 </div>
-                <button
-                  className="vm-btn"
-                  onClick={() => setSelectedLesson(recommendedLesson.id)}
-                  style={{
-                    padding: "6px 10px",
-                    borderRadius: 8,
-                    fontSize: 11,
-                    fontWeight: 700,
-                    background: `${THEME.warning}20`,
-                    color: THEME.warning,
-                    border: `1px solid ${THEME.warning}40`,
-                    flexShrink: 0,
-                  }}
-                >
-                  Use
-                </button>
+              )}
+              {recommendedLesson && (
+                <div style={{
+                  marginTop: 12,
+                  padding: 10,
+                  borderRadius: 10,
+                  background: `${THEME.warning}12`,
+                  border: `1px solid ${THEME.warning}30`,
+                  display: "flex",
+                  alignItems: "center",
+                  justifyContent: "space-between",
+                  gap: 10,
+                }}>
+                  <div style={{ fontSize: 11, color: THEME.textSecondary }}>
+                    Suggested now: <strong style={{ color: THEME.text }}>{recommendedLesson.title}</strong>
+                  </div>
+                  <button
+                    className="vm-btn"
+                    onClick={() => setSelectedLesson(recommendedLesson.id)}
+                    style={{
+                      padding: "6px 10px",
+                      borderRadius: 8,
+                      fontSize: 11,
+                      fontWeight: 700,
+                      background: `${THEME.warning}20`,
+                      color: THEME.warning,
+                      border: `1px solid ${THEME.warning}40`,
+                      flexShrink: 0,
+                    }}
+                  >
+                    Use
+                  </button>
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Custom Study */}
+          {activeCustomStudy ? (
+            <div className="vm-card" style={{
+              padding: 16, marginBottom: 16, display: "flex", alignItems: "center", gap: 12,
+              background: `${THEME.info}12`, border: `1.5px solid ${THEME.info}35`,
+            }}>
+              <span style={{ fontSize: 24 }}>🎛️</span>
+              <div style={{ flex: 1 }}>
+                <div style={{ fontSize: 14, fontWeight: 700 }}>Custom Study: {activeCustomStudy.name}</div>
+                <div style={{ fontSize: 12, color: THEME.textSecondary }}>Pick any mode below to study these cards</div>
               </div>
-            )}
-          </div>
+              <button className="vm-btn" onClick={() => setScreen("custom")} style={{
+                padding: "6px 10px", borderRadius: 8, fontSize: 12, background: THEME.surface, color: THEME.textSecondary, border: `1px solid ${THEME.border}`,
+              }}>Edit</button>
+              <button className="vm-btn" onClick={() => setActiveCustomStudy(null)} style={{
+                padding: "6px 10px", borderRadius: 8, fontSize: 12, background: THEME.surface, color: THEME.textSecondary, border: `1px solid ${THEME.border}`,
+              }}>✕</button>
+            </div>
+          ) : (
+            <button className="vm-btn vm-card" onClick={() => setScreen("custom")} style={{
+              width: "100%", padding: 14, marginBottom: 16, textAlign: "left", display: "flex", alignItems: "center", gap: 12,
+            }}>
+              <span style={{ fontSize: 22 }}>🎛️</span>
+              <div>
+                <div style={{ fontSize: 14, fontWeight: 700, color: THEME.text }}>Custom Study</div>
+                <div style={{ fontSize: 12, color: THEME.textSecondary }}>Combine filters: mastery, tags, failure rate, failed today...</div>
+              </div>
+            </button>
+          )}
+
+          <CramToggle target={cramTarget} onChange={setCramTarget} />
 
           {/* Word count info */}
           <div className="vm-card" style={{ padding: 16, marginBottom: 24, background: `${THEME.accent}08` }}>
@@ -2044,11 +2879,15 @@ export default function VocabMasterPro({
           ) : (
             <>
               {[
+                { id: "auto", icon: "🔀", name: "Auto", desc: "Exercise picked per word from its mastery → New: flashcard, Familiar: typing, Known: cloze/dictation", color: THEME.accent, new: true },
                 { id: "flashcard", icon: "📇", name: "Learn Flashcard", desc: "Passive learning → Read word + meaning → Build recognition", rec: true, color: THEME.info, new: true },
                 { id: "type", icon: "⌨️", name: "Type Answer", desc: "Active recall → Type the word from definition", color: THEME.success },
+                { id: "cloze", icon: "🧩", name: "Cloze", desc: "Fill in the missing word in a real example sentence", color: THEME.success, new: true },
                 { id: "recall", icon: "🧠", name: "Active Recall", desc: "See word → Think → Reveal → Rate", color: THEME.accent },
                 { id: "sentence", icon: "📝", name: "Sentence Builder", desc: "Build sentences using vocabulary words", color: THEME.warning },
                 { id: "listen", icon: "👂", name: "Listening", desc: "Hear pronunciation → Recall meaning → Rate", color: THEME.info },
+                { id: "dictation", icon: "🎧", name: "Dictation", desc: "Hear a full example sentence → Type it → Word-by-word score", color: THEME.info, new: true },
+                ...(recognizer ? [{ id: "speak", icon: "🎤", name: "Speak", desc: "Say the word or an example sentence → Get rated on pronunciation", color: THEME.danger, new: true }] : []),
                 { id: "vietmix", icon: "📰", name: "VietMix Reading", desc: "Doc tieng Viet chen tu tieng Anh (kem nghia)", color: THEME.accentLight, new: true },
               ].map(m => (
           <button key={m.id} className="vm-btn vm-card" onClick={() => startSession(m.id)} style={{
@@ -2094,6 +2933,7 @@ export default function VocabMasterPro({
       const totalBatches = Math.ceil(allAvailableWords.length / batchSize);
       const currentBatchNum = currentBatchIndex + 1;
       const hasMoreBatches = (currentBatchIndex + 1) * batchSize < allAvailableWords.length;
+      const cramSummary = cramProgress && summarizeCram(cramProgress, allAvailableWords.slice(0, (currentBatchIndex + 1) * batchSize));
 
       return (
         <div style={{ padding: "40px 16px 100px", maxWidth: 480, margin: "0 auto", textAlign: "center", animation: "vmBounceIn 0.5s ease" }}>
@@ -2120,11 +2960,24 @@ export default function VocabMasterPro({
               <div style={{ fontSize: 11, color: THEME.textMuted }}>Accuracy</div>
             </div>
             <div className="vm-card" style={{ padding: 16 }}>
-              <div style={{ fontSize: 28, fontWeight: 800, color: THEME.warning }}>+{total * 10}</div>
+              <div style={{ fontSize: 28, fontWeight: 800, color: THEME.warning }}>+{cramProgress ? 0 : total * 10}</div>
               <div style={{ fontSize: 11, color: THEME.textMuted }}>XP</div>
             </div>
           </div>
 
+          {cramSummary && <CramSummary summary={cramSummary} />}
+
+          {/* Auto: how each exercise went */}
+          {mode === "auto" && (
+            <div style={{ display: "flex", flexWrap: "wrap", justifyContent: "center", gap: 8, marginBottom: 24 }}>
+              {summarizeByExercise(sessionHistory).map(({ mode: exercise, correct, total: exerciseTotal }) => (
+                <span key={exercise} className="vm-tag" style={{ background: THEME.surface, color: THEME.textSecondary, fontSize: 12 }}>
+                  {AUTO_EXERCISE_ICONS[exercise]} {exercise} {correct}/{exerciseTotal}
+                </span>
+              ))}
+            </div>
+          )}
+
           {/* Reviewed Words List */}
           {sessionHistory.length > 0 && (
             <div className="vm-card" style={{ padding: 16, marginBottom: 24, textAlign: "left", maxHeight: 300, overflowY: "auto" }}>
@@ -2140,7 +2993,9 @@ export default function VocabMasterPro({
                   }}>
                     <div style={{ fontSize: 18 }}>{item.isGood ? "✓" : "✗"}</div>
                     <div style={{ flex: 1 }}>
-                      <div style={{ fontSize: 15, fontWeight: 600, color: THEME.text }}>{item.word.term}</div>
+                      <div style={{ fontSize: 15, fontWeight: 600, color: THEME.text }}>
+                        {mode === "auto" && AUTO_EXERCISE_ICONS[item.mode]} {item.word.term}
+                      </div>
                       <div style={{ fontSize: 12, color: THEME.textSecondary }}>{item.word.definition}</div>
                     </div>
                     <div style={{
@@ -2191,7 +3046,7 @@ export default function VocabMasterPro({
     if (!currentWord) return null;
 
     // Learn Flashcard Mode (Passive Learning)
-    if (mode === "flashcard") {
+    if (cardMode === "flashcard") {
       // Text-to-Speech function
       const speakWord = () => {
         if ('speechSynthesis' in window) {
@@ -2404,6 +3259,9 @@ export default function VocabMasterPro({
                   </div>
                 )}
 
+                {/* Word family and collocations */}
+                <WordFamilyTags word={currentWord} />
+
                 <div style={{
                   marginTop: 16,
                   padding: "10px",
@@ -2792,14 +3650,14 @@ export default function VocabMasterPro({
             <div style={{ marginBottom: 16 }}>
               <WordCard word={activeSessionWord || currentWord} showDef compact />
             </div>
-            <RatingButtons onRate={handleRate} word={activeSessionWord || currentWord} />
+            <RatingButtons scheduler={schedulerSettings} shortcuts={shortcuts} onRate={handleRate} word={activeSessionWord || currentWord} />
           </div>
         )}
       </div>
     );
 
     // Active Recall Mode
-    if (mode === "recall") return (
+    if (cardMode === "recall") return (
       <div style={{ padding: "20px 16px 100px", maxWidth: 480, margin: "0 auto", animation: "vmFadeIn 0.3s ease" }}>
         <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", marginBottom: 20 }}>
           <button className="vm-btn" onClick={exitSession} style={{ background: "none", color: THEME.textSecondary, fontSize: 22, padding: 4 }}>←</button>
@@ -2838,14 +3696,14 @@ export default function VocabMasterPro({
         
         {phase === "reveal" && (
           <div style={{ marginTop: 20, animation: "vmSlideUp 0.3s ease" }}>
-            <RatingButtons onRate={handleRate} word={currentWord} />
+            <RatingButtons scheduler={schedulerSettings} shortcuts={shortcuts} onRate={handleRate} word={currentWord} />
           </div>
         )}
       </div>
     );
 
     // Type Answer Mode
-    if (mode === "type") return (
+    if (cardMode === "type") return (
       <div style={{ padding: "20px 16px 100px", maxWidth: 480, margin: "0 auto", animation: "vmFadeIn 0.3s ease" }}>
         <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", marginBottom: 20 }}>
           <button className="vm-btn" onClick={exitSession} style={{ background: "none", color: THEME.textSecondary, fontSize: 22, padding: 4 }}>←</button>
@@ -2991,6 +3849,7 @@ export default function VocabMasterPro({
                   <span style={{ fontWeight: 700, color: THEME.text, fontSize: 18 }}>{currentWord.term}</span>
                 </div>
               )}
+              <AnswerDiff grade={answerGrade} />
 
               {/* Show hint usage and score */}
               {isCorrect && hintsUsed > 0 && (
@@ -3010,8 +3869,109 @@ export default function VocabMasterPro({
             </div>
 
             <RatingButtons
+              scheduler={schedulerSettings} shortcuts={shortcuts}
+              onRate={handleRate}
+              showEasy={isCorrect && hintsUsed === 0 && answerGrade?.exact !== false}
+              showGood={isCorrect && hintsUsed < 3}
+              word={currentWord}
+            />
+          </div>
+        )}
+      </div>
+    );
+
+    // Cloze Mode
+    if (cardMode === "cloze" && currentCloze) return (
+      <div style={{ padding: "20px 16px 100px", maxWidth: 480, margin: "0 auto", animation: "vmFadeIn 0.3s ease" }}>
+        <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", marginBottom: 20 }}>
+          <button className="vm-btn" onClick={exitSession} style={{ background: "none", color: THEME.textSecondary, fontSize: 22, padding: 4 }}>←</button>
+          <div style={{ fontSize: 13, fontWeight: 600, color: THEME.textSecondary }}>{idx + 1} / {queue.length}</div>
+          <div className="vm-mono" style={{ fontSize: 12, color: THEME.success }}>Cloze</div>
+        </div>
+
+        <div style={{ height: 4, borderRadius: 2, background: THEME.border, marginBottom: 24, overflow: "hidden" }}>
+          <div style={{ height: "100%", width: `${((idx + (phase === "reveal" ? 1 : 0.5)) / queue.length) * 100}%`, background: THEME.gradient2, transition: "width 0.4s ease", borderRadius: 2 }} />
+        </div>
+
+        <div className="vm-card" style={{ padding: 24, marginBottom: 20 }}>
+          <div style={{ fontSize: 11, fontWeight: 700, color: THEME.textMuted, textTransform: "uppercase", letterSpacing: 1, marginBottom: 12 }}>Fill in the missing word</div>
+          <div style={{ fontSize: 19, fontWeight: 500, lineHeight: 1.6 }}>
+            {currentCloze.before}
+            {phase === "reveal" ? (
+              <span style={{ fontWeight: 800, color: isCorrect ? THEME.success : THEME.danger }}>{currentCloze.answer}</span>
+            ) : (
+              <span style={{ color: THEME.accent, fontWeight: 700 }}>_____</span>
+            )}
+            {currentCloze.after}
+          </div>
+        </div>
+
+        {/* Hints shown so far */}
+        {clozeHints.slice(0, phase === "reveal" ? clozeHints.length : currentHintLevel).map(hint => (
+          <div key={hint.label} className="vm-card" style={{
+            padding: 14, marginBottom: 12, background: `${THEME.warning}08`, border: `1.5px solid ${THEME.warning}25`,
+            animation: "vmSlideDown 0.3s ease",
+          }}>
+            <div style={{ fontSize: 12, fontWeight: 700, color: THEME.warning, marginBottom: 4 }}>{hint.icon} {hint.label}</div>
+            <div style={{ fontSize: 14, color: THEME.textSecondary }}>{hint.content}</div>
+          </div>
+        ))}
+
+        {phase === "think" && (
+          <div style={{ animation: "vmFadeIn 0.3s ease" }}>
+            <div style={{ marginBottom: 16 }}>
+              <input ref={inputRef} className="vm-input" value={typedAnswer} onChange={e => setTypedAnswer(e.target.value)}
+                onKeyDown={e => e.key === "Enter" && typedAnswer.trim() && checkCloze()}
+                placeholder="Type the missing word..." autoFocus
+                style={{ fontSize: 18, padding: "16px 20px", textAlign: "center", fontWeight: 600 }}
+              />
+            </div>
+
+            {currentHintLevel < clozeHints.length && (
+              <div style={{ marginBottom: 16, textAlign: "center" }}>
+                <button className="vm-btn" onClick={() => { setCurrentHintLevel(l => l + 1); setHintsUsed(h => h + 1); }} style={{
+                  padding: "12px 24px", borderRadius: 12, background: `${THEME.warning}15`, color: THEME.warning,
+                  fontSize: 14, fontWeight: 600, border: `1.5px solid ${THEME.warning}30`,
+                }}>
+                  💡 {clozeHints[currentHintLevel].label} ({hintsUsed}/{clozeHints.length})
+                </button>
+              </div>
+            )}
+
+            <button className="vm-btn" onClick={checkCloze} disabled={!typedAnswer.trim()} style={{
+              width: "100%", padding: 16, borderRadius: 14,
+              background: typedAnswer.trim() ? THEME.gradient2 : THEME.border,
+              color: typedAnswer.trim() ? "#fff" : THEME.textMuted,
+              fontSize: 16, opacity: typedAnswer.trim() ? 1 : 0.5,
+            }}>Check Answer</button>
+          </div>
+        )}
+
+        {phase === "reveal" && (
+          <div style={{ animation: "vmSlideUp 0.3s ease" }}>
+            <div className="vm-card" style={{
+              padding: 16, marginBottom: 16, textAlign: "center",
+              background: isCorrect ? `${THEME.success}10` : `${THEME.danger}10`,
+              border: `2px solid ${isCorrect ? THEME.success : THEME.danger}30`,
+            }}>
+              <div style={{ fontSize: 18, fontWeight: 700, color: isCorrect ? THEME.success : THEME.danger }}>
+                {isCorrect ? "✅ Correct!" : "❌ Not quite..."}
+              </div>
+              <AnswerDiff grade={answerGrade} />
+              <div style={{ marginTop: 8, fontSize: 14, color: THEME.textSecondary }}>
+                <span style={{ fontWeight: 700, color: THEME.text }}>{currentWord.term}</span> · {currentWord.definition}
+              </div>
+              {isCorrect && hintsUsed > 0 && (
+                <div style={{ fontSize: 12, color: THEME.textMuted, marginTop: 6 }}>
+                  💡 Used {hintsUsed} hint{hintsUsed > 1 ? "s" : ""}
+                </div>
+              )}
+            </div>
+
+            <RatingButtons
+              scheduler={schedulerSettings} shortcuts={shortcuts}
               onRate={handleRate}
-              showEasy={isCorrect && hintsUsed === 0}
+              showEasy={isCorrect && hintsUsed === 0 && answerGrade?.exact !== false}
               showGood={isCorrect && hintsUsed < 3}
               word={currentWord}
             />
@@ -3020,8 +3980,158 @@ export default function VocabMasterPro({
       </div>
     );
 
+    // Dictation Mode
+    if (cardMode === "dictation" && currentDictation) {
+      const statusColors = { match: THEME.success, typo: THEME.warning, wrong: THEME.danger, missing: THEME.textMuted, extra: THEME.danger };
+      return (
+        <div style={{ padding: "20px 16px 100px", maxWidth: 480, margin: "0 auto", animation: "vmFadeIn 0.3s ease" }}>
+          <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", marginBottom: 20 }}>
+            <button className="vm-btn" onClick={exitSession} style={{ background: "none", color: THEME.textSecondary, fontSize: 22, padding: 4 }}>←</button>
+            <div style={{ fontSize: 13, fontWeight: 600, color: THEME.textSecondary }}>{idx + 1} / {queue.length}</div>
+            <div className="vm-mono" style={{ fontSize: 12, color: THEME.info }}>Dictation</div>
+          </div>
+
+          <div style={{ height: 4, borderRadius: 2, background: THEME.border, marginBottom: 24, overflow: "hidden" }}>
+            <div style={{ height: "100%", width: `${((idx + (phase === "reveal" ? 1 : 0.5)) / queue.length) * 100}%`, background: `linear-gradient(90deg, ${THEME.info}, ${THEME.accentLight})`, transition: "width 0.4s ease", borderRadius: 2 }} />
+          </div>
+
+          <div className="vm-card" style={{ padding: 24, textAlign: "center", marginBottom: 20 }}>
+            <div style={{ fontSize: 11, fontWeight: 700, color: THEME.textMuted, textTransform: "uppercase", letterSpacing: 1, marginBottom: 16 }}>Type the sentence you hear</div>
+            <div style={{ display: "flex", gap: 12, justifyContent: "center" }}>
+              <button className="vm-btn" onClick={() => speak(currentDictation.sentence)} style={{
+                padding: "12px 24px", borderRadius: 12, background: `${THEME.info}15`, color: THEME.info, fontSize: 15, border: `1.5px solid ${THEME.info}30`,
+              }}>🔊 Play</button>
+              <button className="vm-btn" onClick={() => speak(currentDictation.sentence, 0.55)} style={{
+                padding: "12px 20px", borderRadius: 12, background: THEME.surface, color: THEME.textSecondary, fontSize: 15, border: `1px solid ${THEME.border}`,
+              }}>🐢 Slow</button>
+            </div>
+          </div>
+
+          {phase === "think" && (
+            <div style={{ animation: "vmFadeIn 0.3s ease" }}>
+              <textarea ref={inputRef} className="vm-input" value={typedAnswer} onChange={e => setTypedAnswer(e.target.value)}
+                onKeyDown={e => { if (e.key === "Enter" && !e.shiftKey && typedAnswer.trim()) { e.preventDefault(); checkDictation(); } }}
+                placeholder="Type what you heard..." rows={3} autoFocus
+                style={{ fontSize: 16, padding: "14px 16px", lineHeight: 1.5, resize: "none", marginBottom: 16 }}
+              />
+              <button className="vm-btn" onClick={checkDictation} disabled={!typedAnswer.trim()} style={{
+                width: "100%", padding: 16, borderRadius: 14,
+                background: typedAnswer.trim() ? THEME.gradient1 : THEME.border,
+                color: typedAnswer.trim() ? "#fff" : THEME.textMuted,
+                fontSize: 16, opacity: typedAnswer.trim() ? 1 : 0.5,
+              }}>Check</button>
+            </div>
+          )}
+
+          {phase === "reveal" && dictationScore && (
+            <div style={{ animation: "vmSlideUp 0.3s ease" }}>
+              <div className="vm-card" style={{ padding: 20, marginBottom: 16 }}>
+                <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 12 }}>
+                  <div style={{ fontSize: 16, fontWeight: 700, color: dictationScore.targetCaptured ? THEME.success : THEME.danger }}>
+                    {dictationScore.targetCaptured ? `✅ Got "${currentWord.term}"` : `❌ Missed "${currentWord.term}"`}
+                  </div>
+                  <div className="vm-mono" style={{ fontSize: 13, color: THEME.textSecondary }}>
+                    {dictationScore.correctWords}/{dictationScore.totalWords} words
+                  </div>
+                </div>
+                <div style={{ fontSize: 17, lineHeight: 1.8 }}>
+                  {dictationScore.alignment.map((entry, i) => (
+                    <span key={i} title={entry.status === "match" || entry.status === "missing" ? undefined : `You typed "${entry.typed}"`} style={{
+                      color: statusColors[entry.status], fontWeight: entry.status === "match" ? 500 : 700, marginRight: 6,
+                      textDecoration: entry.status === "extra" ? "line-through" : entry.status === "wrong" || entry.status === "typo" ? "underline" : "none",
+                      opacity: entry.status === "missing" ? 0.7 : 1,
+                    }}>{entry.status === "extra" ? entry.typed : entry.word}</span>
+                  ))}
+                </div>
+                {currentDictation.translation && (
+                  <div style={{ fontSize: 13, color: THEME.textMuted, marginTop: 10 }}>{currentDictation.translation}</div>
+                )}
+                <div style={{ fontSize: 11, color: THEME.textMuted, marginTop: 10 }}>
+                  <span style={{ color: THEME.success }}>correct</span> · <span style={{ color: THEME.warning }}>typo</span> · <span style={{ color: THEME.danger }}>wrong / extra</span> · missing
+                </div>
+              </div>
+              <button className="vm-btn" onClick={() => handleRate(dictationScore.rating)} style={{
+                width: "100%", padding: 16, borderRadius: 14, background: THEME.gradient1, color: "#fff", fontSize: 16,
+              }}>Continue ({dictationScore.rating})</button>
+            </div>
+          )}
+        </div>
+      );
+    }
+
+    // Speak Mode
+    if (cardMode === "speak") return (
+      <div style={{ padding: "20px 16px 100px", maxWidth: 480, margin: "0 auto", animation: "vmFadeIn 0.3s ease" }}>
+        <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", marginBottom: 20 }}>
+          <button className="vm-btn" onClick={() => { recognizer?.stop(); exitSession(); }} style={{ background: "none", color: THEME.textSecondary, fontSize: 22, padding: 4 }}>←</button>
+          <div style={{ fontSize: 13, fontWeight: 600, color: THEME.textSecondary }}>{idx + 1} / {queue.length}</div>
+          <div className="vm-mono" style={{ fontSize: 12, color: THEME.danger }}>Speak</div>
+        </div>
+
+        <div style={{ height: 4, borderRadius: 2, background: THEME.border, marginBottom: 24, overflow: "hidden" }}>
+          <div style={{ height: "100%", width: `${((idx + (phase === "reveal" ? 1 : 0.5)) / queue.length) * 100}%`, background: `linear-gradient(90deg, ${THEME.danger}, ${THEME.accent})`, transition: "width 0.4s ease", borderRadius: 2 }} />
+        </div>
+
+        <div style={{ display: "flex", gap: 8, marginBottom: 16 }}>
+          {[{ id: "term", label: "Word" }, { id: "example", label: "Sentence" }].map(t => (
+            <button key={t.id} className="vm-btn" onClick={() => { setSpeechTarget(t.id); setSpeechResult(null); setSpeechAttempts(0); setPhase("think"); }}
+              disabled={t.id === "example" && !speechExample}
+              style={{
+                flex: 1, padding: 10, borderRadius: 10, fontSize: 13, fontWeight: 600,
+                background: speechTarget === t.id ? `${THEME.danger}20` : THEME.surface,
+                color: speechTarget === t.id ? THEME.danger : THEME.textSecondary,
+                border: `1.5px solid ${speechTarget === t.id ? THEME.danger : THEME.border}`,
+                opacity: t.id === "example" && !speechExample ? 0.4 : 1,
+              }}>{t.label}</button>
+          ))}
+        </div>
+
+        <div className="vm-card" style={{ padding: 28, textAlign: "center", marginBottom: 20 }}>
+          <div style={{ fontSize: 11, fontWeight: 700, color: THEME.textMuted, textTransform: "uppercase", letterSpacing: 1, marginBottom: 12 }}>Say this out loud</div>
+          <div style={{ fontSize: speechText === currentWord.term ? 32 : 19, fontWeight: speechText === currentWord.term ? 800 : 500, lineHeight: 1.5, marginBottom: 8 }}>{speechText}</div>
+          {speechText === currentWord.term && <div className="vm-mono" style={{ fontSize: 13, color: THEME.textMuted, marginBottom: 4 }}>{currentWord.phonetic}</div>}
+          <div style={{ fontSize: 14, color: THEME.textSecondary }}>{currentWord.definition}</div>
+          <button className="vm-btn" onClick={() => speak(speechText, 0.7)} style={{
+            marginTop: 16, padding: "8px 20px", borderRadius: 10, background: `${THEME.info}15`, color: THEME.info, fontSize: 13,
+          }}>🔊 Hear it first</button>
+        </div>
+
+        {speechResult && !speechResult.error && (
+          <div className="vm-card" style={{
+            padding: 16, marginBottom: 16, textAlign: "center", animation: "vmSlideUp 0.3s ease",
+            background: speechResult.rating === "again" ? `${THEME.danger}10` : `${THEME.success}10`,
+            border: `2px solid ${speechResult.rating === "again" ? THEME.danger : speechResult.rating === "hard" ? THEME.warning : THEME.success}30`,
+          }}>
+            <div style={{ fontSize: 18, fontWeight: 700, color: speechResult.rating === "again" ? THEME.danger : THEME.success }}>
+              {speechResult.rating === "good" ? "✅ Clear!" : speechResult.rating === "hard" ? "⚡ Almost" : "❌ Not recognised"}
+            </div>
+            <div style={{ fontSize: 14, color: THEME.textSecondary, marginTop: 8 }}>
+              Heard: <span style={{ fontWeight: 700, color: THEME.text }}>"{speechResult.heard}"</span> · {Math.round(speechResult.similarity * 100)}% match
+            </div>
+          </div>
+        )}
+        {speechResult?.error && (
+          <div style={{ fontSize: 13, color: THEME.warning, textAlign: "center", marginBottom: 16 }}>{speechResult.error}</div>
+        )}
+
+        <div style={{ display: "flex", gap: 12 }}>
+          <button className="vm-btn" onClick={listenForSpeech} disabled={isListening} style={{
+            flex: 1, padding: 16, borderRadius: 14, fontSize: 16,
+            background: isListening ? `${THEME.danger}30` : phase === "reveal" ? THEME.surface : `linear-gradient(135deg, ${THEME.danger}, ${THEME.accent})`,
+            color: phase === "reveal" && !isListening ? THEME.textSecondary : "#fff",
+            border: phase === "reveal" ? `1px solid ${THEME.border}` : "none",
+          }}>{isListening ? "🎙️ Listening..." : phase === "reveal" ? "🎤 Try again" : "🎤 Tap and speak"}</button>
+          {phase === "reveal" && speechRating && (
+            <button className="vm-btn" onClick={() => handleRate(speechRating)} style={{
+              flex: 1, padding: 16, borderRadius: 14, background: THEME.gradient1, color: "#fff", fontSize: 16,
+            }}>Continue ({speechRating})</button>
+          )}
+        </div>
+      </div>
+    );
+
     // Listening Mode
-    if (mode === "listen") return (
+    if (cardMode === "listen") return (
       <div style={{ padding: "20px 16px 100px", maxWidth: 480, margin: "0 auto", animation: "vmFadeIn 0.3s ease" }}>
         <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", marginBottom: 20 }}>
           <button className="vm-btn" onClick={exitSession} style={{ background: "none", color: THEME.textSecondary, fontSize: 22, padding: 4 }}>←</button>
@@ -3062,14 +4172,14 @@ export default function VocabMasterPro({
         
         {phase === "reveal" && (
           <div style={{ animation: "vmSlideUp 0.3s ease" }}>
-            <RatingButtons onRate={handleRate} word={currentWord} />
+            <RatingButtons scheduler={schedulerSettings} shortcuts={shortcuts} onRate={handleRate} word={currentWord} />
           </div>
         )}
       </div>
     );
 
     // Sentence Builder Mode
-    if (mode === "sentence") {
+    if (cardMode === "sentence") {
       // Generate sentence on first render for this word
       if (phase === "think" && userSentence.length === 0 && sentenceWords.length === 0) {
         const { correct, shuffled } = generateSentence(currentWord);
@@ -3217,7 +4327,7 @@ export default function VocabMasterPro({
                 </div>
               </div>
 
-              <RatingButtons onRate={(rating) => {
+              <RatingButtons scheduler={schedulerSettings} shortcuts={shortcuts} onRate={(rating) => {
                 handleRate(isCorrect ? (rating === "again" ? "hard" : rating) : "again");
                 // Reset for next word
                 setUserSentence([]);
@@ -3246,6 +4356,8 @@ export default function VocabMasterPro({
     const [sessionResults, setSessionResults] = useState([]);
     const [sessionHistory, setSessionHistory] = useState([]);
     const [focusMode, setFocusMode] = useState(reviewFocusModePref);
+    // When the current card was shown (response time for the review log)
+    const cardShownAtRef = useRef(Date.now());
 
     // Batch learning state
     const [allAvailableWords, setAllAvailableWords] = useState([]);
@@ -3259,13 +4371,41 @@ export default function VocabMasterPro({
       }
     }, [reviewFocusModePref]);
 
+    useEffect(() => {
+      cardShownAtRef.current = Date.now();
+    }, [idx, queue]);
+
+    // Resume an interrupted session: earlier ratings become the pending update, the batch continues
+    useEffect(() => {
+      const checkpoint = resumeSessionRef.current;
+      if (checkpoint?.screen !== "review") return;
+      resumeSessionRef.current = null;
+      isInLearningSession.current = true;
+      pendingReviewUpdate.current = { allResults: [], cardsToSave: checkpoint.cards, allResultsAccum: checkpoint.reviews };
+
+      const cardsById = new Map(allCards.map(card => [card.id, card]));
+      const midBatch = isMidBatch(checkpoint);
+      setFocusMode(!!checkpoint.focusMode);
+      setAllAvailableWords((checkpoint.availableIds || []).map(id => cardsById.get(id)).filter(Boolean));
+      setCurrentBatchIndex(checkpoint.batchIndex || 0);
+      setQueue(checkpoint.queue);
+      setIdx(midBatch ? checkpoint.idx : checkpoint.queue.length - 1);
+      setFlipped(false);
+      setStarted(true);
+      setSessionDone(!midBatch);
+      setSessionStats(checkpoint.sessionStats || { correct: 0, incorrect: 0 });
+      setSessionResults([]);
+      setSessionHistory(checkpoint.sessionHistory || []);
+    }, []);
+
     const startReview = (batchIndex = 0) => {
       isInLearningSession.current = true;
       let allWords;
       if (focusMode) {
-        // Focus mode: prioritize weak words (high failure rate)
-        const weakWords = words
+        // Focus mode: prioritize weak cards (high failure rate, either direction)
+        const weakWords = allCards
           .filter(w => {
+            if (isSuspended(w)) return false;
             const totalReviews = w.srs?.totalReviews || 0;
             const wrongReviews = w.srs?.wrongReviews || 0;
             if (totalReviews < 2) return false;
@@ -3278,20 +4418,21 @@ export default function VocabMasterPro({
             return bRate - aRate; // Highest failure rate first
           });
 
-        allWords = weakWords.length > 0 ? weakWords : selectWordsForReview(filteredWords, dueWords, 1000);
+        allWords = weakWords.length > 0 ? applyDailyLimits(weakWords, dailyAllowance) : selectSessionWords();
         if (weakWords.length > 0 && batchIndex === 0) {
           showToast(`🎯 Focusing on ${allWords.length} weak words`, "info");
         }
       } else {
         // Normal mode: prioritize due words, then least reviewed
-        allWords = selectWordsForReview(filteredWords, dueWords, 1000);
+        allWords = selectSessionWords();
       }
 
       console.log('🚀 startReview: allWords.length =', allWords.length, 'words.length =', words.length, 'dueWords.length =', dueWords.length);
 
       // Check if there are any words to review
       if (allWords.length === 0) {
-        showToast('⚠️ No words available for review', 'warning');
+        const limitsReached = dailyAllowance.newCards === 0 && dailyAllowance.reviews === 0;
+        showToast(limitsReached ? '✅ Daily limits reached - come back tomorrow' : '⚠️ No words available for review', 'warning');
         return;
       }
 
@@ -3332,45 +4473,71 @@ export default function VocabMasterPro({
 
       const currentWord = queue[idx];
 
+      // Compute and log the new SRS state now; parent words are updated at batch end
+      const quality = SRSEngine.qualityFromRating(rating);
+      const updated = { ...currentWord, srs: SRSEngine.processReview(currentWord, quality, schedulerSettings) };
+      recordReviewEvents([createReviewEvent(currentWord, updated.srs, {
+        rating,
+        quality,
+        mode: focusMode ? "review-focus" : "review",
+        responseTimeMs: Date.now() - cardShownAtRef.current,
+      })]);
+
       // Store result for batch SRS update
+      const kind = getCardKind(currentWord);
+      const overdue = isOverdue(currentWord);
       setSessionResults(prev => [...prev, {
         wordId: currentWord.id,
-        rating
+        rating,
+        kind,
+        overdue,
+        updated
       }]);
 
+      // Keep queue copies current; words still in learning steps come back later in this batch
+      let nextQueue = queue.map(w => w.id === updated.id ? updated : w);
+      if (updated.srs.learningStep != null && !updated.srs.suspended) {
+        const insertAt = Math.min(idx + 1 + LEARNING_REQUEUE_GAP, nextQueue.length);
+        nextQueue = [...nextQueue.slice(0, insertAt), updated, ...nextQueue.slice(insertAt)];
+      }
+      setQueue(nextQueue);
+
       const isGood = rating === "good" || rating === "easy";
-      setSessionStats(p => ({ correct: p.correct + (isGood ? 1 : 0), incorrect: p.incorrect + (isGood ? 0 : 1) }));
+      const nextSessionStats = { correct: sessionStats.correct + (isGood ? 1 : 0), incorrect: sessionStats.incorrect + (isGood ? 0 : 1) };
+      setSessionStats(nextSessionStats);
 
       // Track word in session history for review display
-      setSessionHistory(prev => [...prev, { word: currentWord, rating, isGood }]);
+      const nextSessionHistory = [...sessionHistory, { word: currentWord, rating, isGood }];
+      setSessionHistory(nextSessionHistory);
+
+      // Collect ALL results of this batch including the current one
+      const allResults = [...sessionResults, { wordId: currentWord.id, rating, kind, overdue, updated }];
+      const batchDone = idx + 1 >= nextQueue.length;
 
-      if (idx + 1 >= queue.length) {
-        // Collect ALL words including current one for batch update
-        const allResults = [...sessionResults, { wordId: currentWord.id, rating }];
+      if (batchDone) {
 
         // ⚠️ Set flag to prevent Firestore listener interference
         isSyncingFromFirestore.current = true;
 
-        // ✅ Compute SRS updates WITHOUT calling setWords (avoid parent re-render)
-        const wordsToSave = allResults.map(result => {
-          const w = words.find(word => word.id === result.wordId);
-          if (!w) return null;
-          const quality = SRSEngine.qualityFromRating(result.rating);
-          return { ...w, srs: SRSEngine.processReview(w, quality) };
-        }).filter(Boolean);
+        // ✅ SRS updates were computed in order as each card was rated; keep the latest per card
+        const cardsToSave = [...new Map(allResults.map(result => [result.wordId, result.updated])).values()];
 
         // ✅ Store pending updates in ref (will apply when user exits review)
         const prevPending = pendingReviewUpdate.current;
+        const pendingCards = prevPending ? [...prevPending.cardsToSave, ...cardsToSave] : cardsToSave;
         pendingReviewUpdate.current = {
           allResults,
-          wordsToSave: prevPending ? [...prevPending.wordsToSave, ...wordsToSave] : wordsToSave,
+          cardsToSave: pendingCards,
           allResultsAccum: prevPending ? [...prevPending.allResultsAccum, ...allResults] : allResults,
         };
 
         // ✅ Set session done (local state only, no parent re-render)
         setSessionDone(true);
 
-        // ✅ Batch save to Firestore (async, non-blocking)
+        // ✅ Batch save to Firestore (async, non-blocking) - cards merged back into stored words
+        // (the whole queue, so cards rated before a resumed reload are saved too)
+        const batchWordIds = new Set(nextQueue.map(getCardWordId));
+        const wordsToSave = mergeCards(words, pendingCards).filter(w => batchWordIds.has(w.id));
         if (firestoreService && userId && wordsToSave.length > 0) {
           setTimeout(async () => {
             try {
@@ -3385,43 +4552,40 @@ export default function VocabMasterPro({
         setIdx(i => i + 1);
         setFlipped(false);
       }
+
+      // Checkpoint after every rating so a reload can resume (localStorage only - no parent update)
+      const pending = pendingReviewUpdate.current;
+      const uncommitted = [...(pending?.allResultsAccum || []), ...(batchDone ? [] : allResults)];
+      saveSessionCheckpoint(userId, {
+        screen: "review",
+        mode: focusMode ? "review-focus" : "review",
+        focusMode,
+        batchIndex: currentBatchIndex,
+        availableIds: allAvailableWords.map(w => w.id),
+        queue: nextQueue,
+        idx: idx + 1,
+        sessionStats: nextSessionStats,
+        sessionHistory: nextSessionHistory,
+        reviews: uncommitted.map(result => ({ quality: SRSEngine.qualityFromRating(result.rating), rating: result.rating, kind: result.kind, overdue: result.overdue })),
+        // A finished batch is already in the pending update
+        cards: [...(pending?.cardsToSave || []), ...(batchDone ? [] : allResults.map(result => result.updated))],
+      });
     };
 
     // Apply deferred setWords/setStats when user exits review
     const applyPendingReviewUpdates = () => {
+      // Leaving review: the checkpoint is no longer needed
+      clearSessionCheckpoint(userId);
       const pending = pendingReviewUpdate.current;
       if (!pending) return;
 
-      const { wordsToSave, allResultsAccum } = pending;
+      const { cardsToSave, allResultsAccum } = pending;
 
       // Now safe to update parent state (user is leaving review)
-      setWords(prev => prev.map(w => {
-        const updated = wordsToSave.find(u => u.id === w.id);
-        return updated || w;
-      }));
-
-      updateStreak();
-      setStats(prev => {
-        const totalXP = allResultsAccum.reduce((sum, result) => {
-          const quality = SRSEngine.qualityFromRating(result.rating);
-          return sum + (quality >= 4 ? 15 : quality >= 3 ? 10 : 5);
-        }, 0);
-
-        const newTodayReviews = (prev.todayDate === new Date().toDateString() ? prev.todayReviews : 0) + allResultsAccum.length;
-        const dailyGoal = prev.dailyGoal || 20;
-
-        if (newTodayReviews >= dailyGoal && (prev.todayReviews < dailyGoal)) {
-          setTimeout(() => showToast(`🎉 Daily goal reached! ${dailyGoal} reviews completed!`, "success"), 300);
-        }
-
-        return {
-          ...prev,
-          totalReviews: prev.totalReviews + allResultsAccum.length,
-          todayReviews: newTodayReviews,
-          todayDate: new Date().toDateString(),
-          xp: prev.xp + totalXP,
-        };
-      });
+      commitSessionResults(
+        allResultsAccum.map(result => ({ quality: SRSEngine.qualityFromRating(result.rating), kind: result.kind, overdue: result.overdue })),
+        cardsToSave
+      );
 
       pendingReviewUpdate.current = null;
       isSyncingFromFirestore.current = false;
@@ -3429,6 +4593,16 @@ export default function VocabMasterPro({
 
     console.log('🔍 ReviewScreen state:', { started, sessionDone, wordsLength: words?.length });
 
+    const reviewCard = started && !sessionDone ? queue[idx] : null;
+    useShortcuts({
+      exit: reviewCard
+        ? () => { applyPendingReviewUpdates(); isInLearningSession.current = false; setStarted(false); }
+        : sessionDone ? () => { applyPendingReviewUpdates(); isInLearningSession.current = false; setStarted(false); setScreen("home"); }
+        : () => setScreen("home"),
+      reveal: reviewCard && !flipped ? () => setFlipped(true) : undefined,
+      replay: reviewCard && (flipped || getCardDirection(reviewCard) !== PRODUCTION) ? () => speak(reviewCard.term) : undefined,
+    }, shortcuts);
+
     // Empty state - no words available
     if (words.length === 0) {
       console.log('📭 ReviewScreen: No words');
@@ -3454,14 +4628,14 @@ export default function VocabMasterPro({
       console.log('🎬 ReviewScreen: Pre-start screen');
       // Calculate available words for review
       const availableWords = focusMode
-        ? (words || []).filter(w => {
+        ? applyDailyLimits((words || []).filter(w => {
             const totalReviews = w.srs?.totalReviews || 0;
             const wrongReviews = w.srs?.wrongReviews || 0;
             if (totalReviews < 2) return false;
             const failureRate = wrongReviews / totalReviews;
             return failureRate > 0.25;
-          })
-        : selectWordsForReview(filteredWords || [], dueWords || [], 1000);
+          }), dailyAllowance)
+        : selectSessionWords();
 
       const totalAvailable = availableWords?.length || 0;
       const totalBatches = batchSize > 0 ? Math.ceil(totalAvailable / batchSize) : 0;
@@ -3659,7 +4833,7 @@ export default function VocabMasterPro({
         
         {flipped && (
           <div style={{ marginTop: 20, animation: "vmSlideUp 0.3s ease" }}>
-            <RatingButtons onRate={handleRate} word={currentWord} />
+            <RatingButtons scheduler={schedulerSettings} shortcuts={shortcuts} onRate={handleRate} word={currentWord} />
           </div>
         )}
       </div>
@@ -3677,12 +4851,41 @@ export default function VocabMasterPro({
     const [score, setScore] = useState(0);
     const [quizDone, setQuizDone] = useState(false);
     const [spellingInput, setSpellingInput] = useState("");
+    const [answerGrade, setAnswerGrade] = useState(null);
     const [quizResults, setQuizResults] = useState([]);
     const spellingRef = useRef(null);
     const processingRef = useRef(false);
     // Reading comprehension state
     const [readingQuestionIdx, setReadingQuestionIdx] = useState(0);
     const [readingScore, setReadingScore] = useState(0);
+    // Cram quiz score (createCramProgress) - null for a normal quiz
+    const [cramProgress, setCramProgress] = useState(null);
+    // Timers from the quiz setup: the current question's and the whole quiz's deadline (ms)
+    const [questionDeadline, setQuestionDeadline] = useState(null);
+    const [quizDeadline, setQuizDeadline] = useState(null);
+    const [timedOut, setTimedOut] = useState(false);
+    // Answered questions for the quiz history (createQuizAnswer)
+    const [quizAnswers, setQuizAnswers] = useState([]);
+    const quizStartedAtRef = useRef(null);
+    const quizSetup = getQuizSetup(stats.quizSetup);
+    const retryWords = retryQuiz ? words.filter(w => retryQuiz.wordIds.includes(w.id) && !isSuspended(w)) : [];
+    const dueClock = getDueClock(stats.vacation);
+    const scopedWords = filterQuizScope(filteredWords, quizSetup, {
+      // Words never studied have no review scheduled yet
+      isDue: (w) => !!w.srs?.nextReview && SRSEngine.isDueForReview(w, dueClock),
+      isWeak: isWeakWord,
+    });
+    // When the current question was shown (response time for the review log)
+    const questionShownAtRef = useRef(Date.now());
+
+    useEffect(() => {
+      questionShownAtRef.current = Date.now();
+    }, [questions, qIdx, readingQuestionIdx]);
+
+    const getAnswerTiming = () => ({
+      reviewedAt: new Date().toISOString(),
+      responseTimeMs: Date.now() - questionShownAtRef.current,
+    });
 
     const generateReadingPassage = (vocabWords) => {
       // TOEIC-style passage templates
@@ -3724,84 +4927,117 @@ export default function VocabMasterPro({
       };
     };
 
+    const updateQuizSetup = (changes) => setStats(prev => ({ ...prev, quizSetup: { ...getQuizSetup(prev.quizSetup), ...changes } }));
+
+    // Deadline of a question under the per-question timer
+    const getQuestionDeadline = (q) => {
+      const seconds = q && getQuestionTimeLimit(quizSetup, q.type);
+      return seconds ? Date.now() + seconds * 1000 : null;
+    };
+
     const generateQuiz = (type) => {
-      setQuizType(type);
-      const pool = shuffleArray(filteredWords);
+      // Cram quizzes the whole set once; missed words are added back as the quiz goes.
+      // A retry of a past quiz asks about every word it got wrong.
+      const pool = retryQuiz ? shuffle(retryWords)
+        : cramTarget ? selectCramWords(RECOGNITION)
+        : shuffle(scopedWords);
+      if (pool.length === 0) {
+        showToast("No words match this quiz setup", "warning");
+        return;
+      }
       const qs = [];
-      const count = Math.min(10, pool.length);
-
-      for (let i = 0; i < count; i++) {
-        const word = pool[i];
-        const others = pool.filter((_, j) => j !== i);
-        const distractors = shuffleArray(others).slice(0, 3);
+      const plan = planQuizItems(type === "mixed" ? quizSetup.mixTypes : [type], cramTarget || retryQuiz ? pool.length : quizSetup.count);
+      // Distractors come from the whole word list, favouring words the user mixed up before
+      const confusions = getConfusions(loadReviewLog(userId));
+      let next = 0;
+
+      for (const itemType of plan) {
+        if (next >= pool.length) break;
+        // Matching and reading use several words; skipped when too few are left
+        const size = QUIZ_ITEM_WORDS[itemType];
+        const itemWords = size ? pool.slice(next, next + size.max) : [];
+        if (size && itemWords.length < size.min) continue;
+        // Word forms need a word with a family: the next one that has it is brought forward
+        let wordForm = null;
+        for (let i = next; itemType === "wordform" && !wordForm && i < pool.length; i++) {
+          wordForm = buildWordFormQuestion(pool[i]);
+          if (wordForm) [pool[next], pool[i]] = [pool[i], pool[next]];
+        }
+        if (itemType === "wordform" && !wordForm) continue;
+        const word = pool[next];
+        next += size ? itemWords.length : 1;
+        const distractorsBy = (field) => pickDistractors(word, words, { field, confusions });
 
-        if (type === "mc") {
-          const options = shuffleArray([
+        if (itemType === "mc") {
+          const options = shuffle([
             { text: word.definition, correct: true },
-            ...distractors.map(d => ({ text: d.definition, correct: false })),
+            ...distractorsBy("definition").map(d => ({ text: d.definition, correct: false, wordId: d.id })),
           ]);
           qs.push({ word, options, type: "mc" });
-        } else if (type === "tf") {
+        } else if (itemType === "tf") {
           const isTrue = Math.random() > 0.5;
-          const fakeDef = distractors[0]?.definition || "Not a real definition";
+          const fakeDef = distractorsBy("definition")[0]?.definition || "Not a real definition";
           qs.push({ word, shownDef: isTrue ? word.definition : fakeDef, isTrue, type: "tf" });
-        } else if (type === "fill") {
-          const example = word.examples?.[0] || `The word is ${word.term}.`;
-          const blank = example.replace(new RegExp(word.term, "gi"), "_____");
-          qs.push({ word, blank, type: "fill" });
-        } else if (type === "spell") {
+        } else if (itemType === "fill") {
+          // Blank the form used in the sentence (e.g. "postponed"), which is also accepted
+          const cloze = buildCloze(word);
+          const blank = cloze
+            ? `${cloze.before}_____${cloze.after}${cloze.translation ? ` (${cloze.translation})` : ""}`
+            : `The word is _____.`;
+          qs.push({ word, blank, answers: cloze ? [word.term, cloze.answer] : [word.term], type: "fill" });
+        } else if (itemType === "spell") {
           qs.push({ word, type: "spell" });
-        } else if (type === "listen") {
-          const options = shuffleArray([
+        } else if (itemType === "listen") {
+          const options = shuffle([
             { text: word.term, correct: true },
-            ...distractors.slice(0, 3).map(d => ({ text: d.term, correct: false })),
+            ...distractorsBy("term").map(d => ({ text: d.term, correct: false, wordId: d.id })),
           ]);
           qs.push({ word, options, type: "listen" });
-        } else if (type === "match") {
+        } else if (itemType === "wordform") {
+          qs.push({ word, ...wordForm, type: "wordform" });
+        } else if (itemType === "match") {
           // Match uses pairs
-          const matchWords = pool.slice(i, Math.min(i + 4, pool.length));
-          if (matchWords.length >= 2) {
-            qs.push({ words: matchWords, type: "match" });
-          }
-          if (qs.length >= 5) break;
-        } else if (type === "reading") {
+          qs.push({ words: itemWords, type: "match" });
+        } else if (itemType === "reading") {
           // Reading comprehension - generate passage with 3-5 words
-          const passageWords = pool.slice(i, Math.min(i + 5, pool.length));
-          if (passageWords.length >= 3) {
-            // Generate a business/TOEIC-style passage
-            const passage = generateReadingPassage(passageWords);
-            // Create 3 comprehension questions
-            const readingQuestions = [
-              {
-                question: `What is the main purpose of this ${passage.type}?`,
-                options: shuffleArray([
-                  { text: passage.correctPurpose, correct: true },
-                  { text: "To provide entertainment", correct: false },
-                  { text: "To request a refund", correct: false },
-                  { text: "To complain about service", correct: false },
-                ])
-              },
-              {
-                question: `According to the passage, what does "${passageWords[0].term}" mean?`,
-                options: shuffleArray([
-                  { text: passageWords[0].definition, correct: true },
-                  ...distractors.slice(0, 3).map(d => ({ text: d.definition, correct: false })),
-                ])
-              },
-              {
-                question: passage.specificQuestion,
-                options: shuffleArray([
-                  { text: passage.correctAnswer, correct: true },
-                  ...passage.wrongAnswers.map(a => ({ text: a, correct: false })),
-                ])
-              }
-            ];
-            qs.push({ type: "reading", passage: passage.text, passageType: passage.type, questions: readingQuestions, words: passageWords });
-          }
-          if (qs.length >= 3) break; // Reading has multiple questions, so limit to 3 passages
+          const passageWords = itemWords;
+          // Generate a business/TOEIC-style passage
+          const passage = generateReadingPassage(passageWords);
+          // Create 3 comprehension questions
+          const readingQuestions = [
+            {
+              question: `What is the main purpose of this ${passage.type}?`,
+              options: shuffle([
+                { text: passage.correctPurpose, correct: true },
+                { text: "To provide entertainment", correct: false },
+                { text: "To request a refund", correct: false },
+                { text: "To complain about service", correct: false },
+              ])
+            },
+            {
+              question: `According to the passage, what does "${passageWords[0].term}" mean?`,
+              options: shuffle([
+                { text: passageWords[0].definition, correct: true },
+                ...pickDistractors(passageWords[0], words, { field: "definition", confusions }).map(d => ({ text: d.definition, correct: false })),
+              ])
+            },
+            {
+              question: passage.specificQuestion,
+              options: shuffle([
+                { text: passage.correctAnswer, correct: true },
+                ...passage.wrongAnswers.map(a => ({ text: a, correct: false })),
+              ])
+            }
+          ];
+          qs.push({ type: "reading", passage: passage.text, passageType: passage.type, questions: readingQuestions, words: passageWords });
         }
       }
+      if (qs.length === 0) {
+        showToast("Not enough words for this quiz type", "warning");
+        return;
+      }
 
+      setQuizType(type);
       setQuestions(qs);
       setQIdx(0);
       setSelected(null);
@@ -3811,6 +5047,12 @@ export default function VocabMasterPro({
       setQuizResults([]);
       setReadingQuestionIdx(0);
       setReadingScore(0);
+      setCramProgress(cramTarget ? createCramProgress(cramTarget) : null);
+      setQuestionDeadline(getQuestionDeadline(qs[0]));
+      setQuizDeadline(quizSetup.timer === "total" ? Date.now() + quizSetup.totalMinutes * 60000 : null);
+      setTimedOut(false);
+      setQuizAnswers([]);
+      quizStartedAtRef.current = Date.now();
     };
 
     const checkAnswer = (answer) => {
@@ -3822,36 +5064,52 @@ export default function VocabMasterPro({
 
       const q = questions[qIdx];
       let correct = false;
+      let grade = null;
 
       if (q.type === "reading") {
         // For reading, answer is the selected option
         correct = answer.correct;
         if (correct) setReadingScore(s => s + 1);
-      } else if (q.type === "mc" || q.type === "listen") {
+      } else if (q.type === "mc" || q.type === "listen" || q.type === "wordform") {
         correct = answer.correct;
       } else if (q.type === "tf") {
         correct = answer === q.isTrue;
       } else if (q.type === "fill" || q.type === "spell") {
-        correct = answer.toLowerCase().trim() === q.word.term.toLowerCase();
+        // Synonyms fit a blank, but spelling asks for the word itself
+        grade = gradeAnswer(answer === QUIZ_TIME_UP ? "" : answer, q.answers || [q.word.term], {
+          ...answerChecking,
+          synonyms: q.type === "fill" ? q.word.synonyms : [],
+        });
+        correct = grade.correct;
       }
 
       setIsCorrect(correct);
+      setAnswerGrade(grade);
       if (correct) setScore(s => s + 1);
+      setQuizAnswers(prev => [...prev, createQuizAnswer(q, answer, correct, q.type === "reading" ? q.questions[readingQuestionIdx] : null)]);
+      if (cramProgress && q.word) setCramProgress(prev => recordCramAnswer(prev, q.word.id, correct));
 
       // Store result for batch SRS update later (reading updates all words in passage)
+      const timing = getAnswerTiming();
       if (q.type === "reading") {
         q.words?.forEach(word => {
           setQuizResults(prev => [...prev, {
             wordId: word.id,
+            type: q.type,
             correct,
-            rating: correct ? "good" : "again"
+            rating: correct ? "good" : "again",
+            ...timing
           }]);
         });
       } else {
         setQuizResults(prev => [...prev, {
           wordId: q.word?.id,
+          type: q.type,
           correct,
-          rating: correct ? "good" : "again"
+          rating: correct ? (grade && !grade.exact ? "hard" : "good") : "again",
+          // The option picked instead (feeds future distractors)
+          confusedWith: !correct ? answer?.wordId || null : null,
+          ...timing
         }]);
       }
 
@@ -3861,18 +5119,45 @@ export default function VocabMasterPro({
       }, 100);
     };
 
-    const nextQuestion = () => {
-      processingRef.current = false;
+    const answerMatch = (correct) => {
+      if (processingRef.current) return;
+      processingRef.current = true;
+      setAnswered(true);
+      setIsCorrect(correct);
+      if (correct) setScore(s => s + 1);
 
+      // Store matching results for batch SRS update
       const q = questions[qIdx];
+      setQuizAnswers(prev => [...prev, createQuizAnswer(q, null, correct)]);
+      const timing = getAnswerTiming();
+      q.words.forEach(word => {
+        setQuizResults(prev => [...prev, {
+          wordId: word.id,
+          type: q.type,
+          correct,
+          rating: correct ? "good" : "again",
+          ...timing
+        }]);
+      });
 
-      // Handle reading comprehension with multiple questions
+      setTimeout(() => {
+        window.scrollTo({ top: document.body.scrollHeight, behavior: 'smooth' });
+      }, 100);
+    };
+
+    const nextQuestion = () => {
+      processingRef.current = false;
+
+      const q = questions[qIdx];
+
+      // Handle reading comprehension with multiple questions
       if (q.type === "reading" && q.questions && readingQuestionIdx + 1 < q.questions.length) {
         // Move to next question in the same passage
         setReadingQuestionIdx(idx => idx + 1);
         setSelected(null);
         setAnswered(false);
         setIsCorrect(false);
+        setQuestionDeadline(getQuestionDeadline(q));
         return;
       }
 
@@ -3881,11 +5166,56 @@ export default function VocabMasterPro({
         setReadingQuestionIdx(0);
       }
 
-      if (qIdx + 1 >= questions.length) {
+      // Cram: a single-word question comes back (options reshuffled) until answered correctly enough times
+      let nextQuestions = questions;
+      if (cramProgress && q.word && !isCramCardDone(cramProgress, q.word.id)) {
+        nextQuestions = requeueForCram(questions, qIdx, q.options ? { ...q, options: shuffle(q.options) } : q);
+        setQuestions(nextQuestions);
+      }
+
+      if (qIdx + 1 >= nextQuestions.length) {
+        finishQuiz();
+      } else {
+        setQIdx(q => q + 1);
+        setSelected(null);
+        setAnswered(false);
+        setIsCorrect(false);
+        setAnswerGrade(null);
+        setSpellingInput("");
+        setQuestionDeadline(getQuestionDeadline(nextQuestions[qIdx + 1]));
+      }
+    };
+
+    const finishQuiz = (timeUp = false) => {
+      setQuestionDeadline(null);
+      setQuizDeadline(null);
+      if (quizAnswers.length > 0) {
+        recordQuizResult(createQuizRecord({
+          type: quizType,
+          setup: retryQuiz ? { scope: "retry" } : quizSetup,
+          lesson: selectedLesson,
+          cram: !!cramProgress,
+          startedAt: quizStartedAtRef.current,
+          timedOut: timeUp,
+          // A passage counts each of its questions
+          total: questions.reduce((sum, item) => sum + (item.questions?.length || 1), 0),
+          answers: quizAnswers,
+        }));
+      }
+      if (retryQuiz) setRetryQuiz(null);
+      if (cramProgress) {
+        // Cram leaves SRS and quiz stats untouched
+        setQuizDone(true);
+      } else {
         // Batch update SRS for all answered questions
         quizResults.forEach(result => {
           if (result.wordId) {
-            updateWordSRS(result.wordId, result.rating);
+            updateWordSRS(result.wordId, result.rating, {
+              mode: `quiz-${result.type}`,
+              responseTimeMs: result.responseTimeMs,
+              reviewedAt: result.reviewedAt,
+              confusedWith: result.confusedWith,
+            });
           }
         });
 
@@ -3895,15 +5225,43 @@ export default function VocabMasterPro({
           setStats(p => ({ ...p, perfectQuizzes: (p.perfectQuizzes || 0) + 1 }));
         }
         setStats(p => ({ ...p, totalQuizzes: (p.totalQuizzes || 0) + 1 }));
+      }
+    };
+
+    // Per-question timer: the question counts as wrong
+    const handleQuestionTimeUp = () => {
+      const q = questions[qIdx];
+      if (!q || answered) return;
+      if (q.type === "match") {
+        setSelected(QUIZ_TIME_UP);
+        answerMatch(false);
       } else {
-        setQIdx(q => q + 1);
-        setSelected(null);
-        setAnswered(false);
-        setIsCorrect(false);
-        setSpellingInput("");
+        checkAnswer(QUIZ_TIME_UP);
       }
     };
 
+    // Total timer: the quiz ends; questions not reached are left out of the review schedule
+    const handleQuizTimeUp = () => {
+      setTimedOut(true);
+      finishQuiz(true);
+    };
+
+    // Keyboard: number keys pick an option (1/2 = True/False), space continues, R replays the word
+    const activeQuestion = quizType && !quizDone ? questions[qIdx] : null;
+    const activeOptions = activeQuestion?.type === "tf" ? [true, false]
+      : activeQuestion?.type === "reading" ? activeQuestion.questions?.[readingQuestionIdx]?.options
+      : activeQuestion?.options;
+    const pickOption = (i) => (!answered && activeOptions?.[i] !== undefined ? () => checkAnswer(activeOptions[i]) : undefined);
+    useShortcuts({
+      exit: quizType ? () => setQuizType(null) : () => setScreen("home"),
+      option1: pickOption(0),
+      option2: pickOption(1),
+      option3: pickOption(2),
+      option4: pickOption(3),
+      reveal: activeQuestion && answered ? nextQuestion : undefined,
+      replay: activeQuestion?.type === "listen" ? () => speak(activeQuestion.word.term) : undefined,
+    }, shortcuts);
+
     // Empty state - no words available
     if (words.length === 0) {
       return (
@@ -3968,15 +5326,33 @@ export default function VocabMasterPro({
           )}
         </div>
 
+        {retryQuiz && (
+          <div className="vm-card" style={{ padding: 14, marginBottom: 16, border: `1.5px solid ${THEME.danger}40`, display: "flex", alignItems: "center", gap: 12 }}>
+            <span style={{ fontSize: 22 }}>🔁</span>
+            <div style={{ flex: 1 }}>
+              <div style={{ fontSize: 14, fontWeight: 700 }}>Retry {retryWords.length} missed word{retryWords.length === 1 ? "" : "s"}</div>
+              <div style={{ fontSize: 12, color: THEME.textSecondary }}>Pick a quiz type, or repeat {getQuizTypeInfo(retryQuiz.type).name}</div>
+            </div>
+            <button className="vm-btn" onClick={() => generateQuiz(retryQuiz.type)} style={{
+              padding: "8px 14px", borderRadius: 8, fontSize: 12, fontWeight: 700, background: THEME.gradient1, color: "#fff",
+            }}>Start</button>
+            <button className="vm-btn" onClick={() => setRetryQuiz(null)} title="Cancel retry" style={{ background: "none", color: THEME.textMuted, fontSize: 16, padding: 4 }}>✕</button>
+          </div>
+        )}
+
+        <QuizSetupCard
+          setup={quizSetup}
+          onChange={updateQuizSetup}
+          tags={getCustomStudyOptions(words).tags}
+          wordCount={retryQuiz ? retryWords.length : cramTarget ? selectCramWords(RECOGNITION).length : scopedWords.length}
+        />
+
+        <CramToggle target={cramTarget} onChange={setCramTarget} />
+
         <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 12 }}>
           {[
-            { id: "mc", icon: "🔤", name: "Multiple Choice", desc: "Pick the right definition", color: THEME.accent },
-            { id: "tf", icon: "✅", name: "True / False", desc: "Is this definition correct?", color: THEME.success },
-            { id: "reading", icon: "📖", name: "Reading", desc: "TOEIC-style comprehension", color: "#00b894", featured: true },
-            { id: "fill", icon: "✏️", name: "Fill in Blank", desc: "Complete the sentence", color: THEME.warning },
-            { id: "spell", icon: "📝", name: "Spelling", desc: "Type the correct word", color: THEME.info },
-            { id: "listen", icon: "👂", name: "Listening", desc: "Identify the spoken word", color: THEME.danger },
-            { id: "match", icon: "🔗", name: "Matching", desc: "Match words to meanings", color: "#a29bfe" },
+            ...QUIZ_TYPES,
+            { ...MIXED_QUIZ_TYPE, desc: quizSetup.mixTypes.map(id => getQuizTypeInfo(id).icon).join(" ") },
           ].map(q => (
             <button key={q.id} className="vm-btn vm-card" onClick={() => generateQuiz(q.id)} style={{
               padding: 20, display: "flex", flexDirection: "column", alignItems: "center", gap: 8, textAlign: "center",
@@ -3987,18 +5363,32 @@ export default function VocabMasterPro({
             </button>
           ))}
         </div>
+
+        <button className="vm-btn vm-card" onClick={() => setScreen("mock")} style={{
+          width: "100%", marginTop: 12, padding: 18, display: "flex", alignItems: "center", gap: 14, textAlign: "left",
+          border: `1.5px solid ${THEME.accent}40`,
+        }}>
+          <div style={{ fontSize: 32 }}>📝</div>
+          <div>
+            <div style={{ fontSize: 15, fontWeight: 700, color: THEME.accent }}>TOEIC Mock Test</div>
+            <div style={{ fontSize: 12, color: THEME.textMuted }}>Timed Parts 5–7 with an estimated Reading score</div>
+          </div>
+        </button>
       </div>
     );
 
     // Quiz Done
     if (quizDone) {
       const accuracy = Math.round((score / questions.length) * 100);
+      const cramSummary = cramProgress && summarizeCram(cramProgress, [...new Map(questions.filter(q => q.word).map(q => [q.word.id, q.word])).values()]);
       return (
         <div style={{ padding: "40px 16px 100px", maxWidth: 480, margin: "0 auto", textAlign: "center", animation: "vmBounceIn 0.5s ease" }}>
           <div style={{ fontSize: 64, marginBottom: 16 }}>{accuracy === 100 ? "🏆" : accuracy >= 70 ? "🎉" : "💪"}</div>
           <div style={{ fontSize: 28, fontWeight: 800, marginBottom: 8 }}>Quiz Complete!</div>
           <div style={{ fontSize: 40, fontWeight: 800, color: accuracy >= 70 ? THEME.success : THEME.warning }}>{score}/{questions.length}</div>
-          <div style={{ fontSize: 16, color: THEME.textSecondary, marginBottom: 32 }}>{accuracy}% correct</div>
+          <div style={{ fontSize: 16, color: THEME.textSecondary, marginBottom: timedOut ? 8 : 32 }}>{accuracy}% correct</div>
+          {timedOut && <div style={{ fontSize: 14, color: THEME.warning, marginBottom: 32 }}>⏱ Time ran out before the last questions</div>}
+          {cramSummary && <CramSummary summary={cramSummary} />}
           <div style={{ display: "flex", gap: 12 }}>
             <button className="vm-btn" onClick={() => generateQuiz(quizType)} style={{ flex: 1, padding: 16, borderRadius: 14, background: THEME.gradient1, color: "#fff", fontSize: 15 }}>Try Again</button>
             <button className="vm-btn" onClick={() => setQuizType(null)} style={{ flex: 1, padding: 16, borderRadius: 14, background: THEME.card, color: THEME.text, fontSize: 15, border: `1px solid ${THEME.border}` }}>Other Quiz</button>
@@ -4016,6 +5406,8 @@ export default function VocabMasterPro({
         <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", marginBottom: 16 }}>
           <button className="vm-btn" onClick={() => setQuizType(null)} style={{ background: "none", color: THEME.textSecondary, fontSize: 22, padding: 4 }}>←</button>
           <div style={{ fontSize: 13, fontWeight: 600, color: THEME.textSecondary }}>Q{qIdx + 1} / {questions.length}</div>
+          <QuizTimer key={`q${questionDeadline}`} deadline={answered ? null : questionDeadline} onExpire={handleQuestionTimeUp} />
+          <QuizTimer key={`t${quizDeadline}`} deadline={quizDeadline} onExpire={handleQuizTimeUp} />
           <div className="vm-tag" style={{ background: `${THEME.success}15`, color: THEME.success }}>{score} ✓</div>
         </div>
         
@@ -4047,6 +5439,32 @@ export default function VocabMasterPro({
           </div>
         )}
 
+        {/* Word Forms */}
+        {q.type === "wordform" && (
+          <div style={{ animation: "vmFadeIn 0.3s ease" }}>
+            <div className="vm-card" style={{ padding: 20, marginBottom: 20 }}>
+              <div style={{ fontSize: 11, fontWeight: 700, color: THEME.textMuted, textTransform: "uppercase", letterSpacing: 1, marginBottom: 12 }}>
+                Choose the word that best completes the sentence
+              </div>
+              <div style={{ fontSize: 17, lineHeight: 1.6 }}>{q.blank}</div>
+            </div>
+            {q.options.map((opt, i) => (
+              <button key={i} className="vm-btn" onClick={() => checkAnswer(opt)} disabled={answered} style={{
+                width: "100%", padding: 16, marginBottom: 10, borderRadius: 14, textAlign: "left",
+                background: !answered ? THEME.card : opt.correct ? `${THEME.success}15` : (selected === opt ? `${THEME.danger}15` : THEME.card),
+                border: `1.5px solid ${!answered ? THEME.border : opt.correct ? THEME.success : (selected === opt ? THEME.danger : THEME.border)}`,
+                color: THEME.text, fontSize: 15, fontWeight: 600, opacity: answered && !opt.correct && selected !== opt ? 0.4 : 1,
+              }}>
+                <span style={{ fontWeight: 600, marginRight: 8, color: THEME.textMuted }}>{String.fromCharCode(65 + i)}.</span>
+                {opt.text}
+                {answered && opt.partOfSpeech && <span className="vm-mono" style={{ marginLeft: 8, fontSize: 12, fontWeight: 400, color: THEME.textMuted }}>{opt.partOfSpeech}</span>}
+                {answered && opt.correct && <span style={{ float: "right", color: THEME.success }}>✓</span>}
+                {answered && selected === opt && !opt.correct && <span style={{ float: "right", color: THEME.danger }}>✕</span>}
+              </button>
+            ))}
+          </div>
+        )}
+
         {/* True/False */}
         {q.type === "tf" && (
           <div style={{ animation: "vmFadeIn 0.3s ease" }}>
@@ -4095,10 +5513,11 @@ export default function VocabMasterPro({
             ) : (
               <div className="vm-card" style={{
                 padding: 16, textAlign: "center",
-                background: selected.toLowerCase().trim() === q.word.term.toLowerCase() ? `${THEME.success}10` : `${THEME.danger}10`,
+                background: isCorrect ? `${THEME.success}10` : `${THEME.danger}10`,
               }}>
-                <div style={{ fontSize: 24 }}>{selected.toLowerCase().trim() === q.word.term.toLowerCase() ? "✅" : "❌"}</div>
+                <div style={{ fontSize: 24 }}>{isCorrect ? "✅" : "❌"}</div>
                 <div style={{ fontWeight: 700, fontSize: 18, marginTop: 8 }}>Answer: {q.word.term}</div>
+                <AnswerDiff grade={answerGrade} />
               </div>
             )}
           </div>
@@ -4129,10 +5548,11 @@ export default function VocabMasterPro({
             ) : (
               <div className="vm-card" style={{
                 padding: 16, textAlign: "center",
-                background: selected.toLowerCase().trim() === q.word.term.toLowerCase() ? `${THEME.success}10` : `${THEME.danger}10`,
+                background: isCorrect ? `${THEME.success}10` : `${THEME.danger}10`,
               }}>
-                <div style={{ fontSize: 24 }}>{selected.toLowerCase().trim() === q.word.term.toLowerCase() ? "✅" : "❌"}</div>
+                <div style={{ fontSize: 24 }}>{isCorrect ? "✅" : "❌"}</div>
                 <div style={{ fontWeight: 700, fontSize: 20, marginTop: 8, letterSpacing: 1 }}>{q.word.term}</div>
+                <AnswerDiff grade={answerGrade} />
               </div>
             )}
           </div>
@@ -4216,26 +5636,7 @@ export default function VocabMasterPro({
         )}
 
         {/* Matching */}
-        {q.type === "match" && <MatchingQuiz question={q} answered={answered} onAnswer={(correct) => {
-          if (processingRef.current) return;
-          processingRef.current = true;
-          setAnswered(true);
-          setIsCorrect(correct);
-          if (correct) setScore(s => s + 1);
-
-          // Store matching results for batch SRS update
-          q.words.forEach(word => {
-            setQuizResults(prev => [...prev, {
-              wordId: word.id,
-              correct,
-              rating: correct ? "good" : "again"
-            }]);
-          });
-
-          setTimeout(() => {
-            window.scrollTo({ top: document.body.scrollHeight, behavior: 'smooth' });
-          }, 100);
-        }} />}
+        {q.type === "match" && <MatchingQuiz question={q} answered={answered} onAnswer={answerMatch} />}
 
         {answered && (
           <div style={{ marginTop: 24, marginBottom: 40, animation: "vmBounceIn 0.5s ease" }}>
@@ -4246,7 +5647,7 @@ export default function VocabMasterPro({
             }}>
               <div style={{ fontSize: 40, marginBottom: 8 }}>{isCorrect ? "✅" : "❌"}</div>
               <div style={{ fontSize: 18, fontWeight: 700, color: isCorrect ? THEME.success : THEME.danger }}>
-                {isCorrect ? "Correct!" : "Incorrect!"}
+                {isCorrect ? "Correct!" : selected === QUIZ_TIME_UP ? "Time's up!" : "Incorrect!"}
               </div>
             </div>
             <button className="vm-btn" onClick={nextQuestion} style={{
@@ -4278,7 +5679,7 @@ export default function VocabMasterPro({
       setSelectedWord(null);
     }, [question]);
     
-    const shuffledDefs = useMemo(() => shuffleArray(pairs.map(p => ({ id: p.id, definition: p.definition }))), [pairs]);
+    const shuffledDefs = useMemo(() => shuffle(pairs.map(p => ({ id: p.id, definition: p.definition }))), [pairs]);
     
     const handleWordClick = (wordId) => {
       if (answered || matched[wordId]) return;
@@ -4330,6 +5731,360 @@ export default function VocabMasterPro({
     );
   };
 
+  // ── MOCK TEST SCREEN ────────────────────────────────────────
+  const MockTestScreen = () => {
+    // Restored from mockTestRef when the screen remounts mid-test (null = intro)
+    const [session, setSession] = useState(() => mockTestRef.current);
+    const [now, setNow] = useState(() => Date.now());
+    const history = stats.mockTestHistory || [];
+
+    const saveSession = (next) => {
+      mockTestRef.current = next;
+      setSession(next);
+    };
+
+    // Part clock: when it runs out the test moves on by itself
+    useEffect(() => {
+      if (session?.phase !== "part") return undefined;
+      const timer = setInterval(() => {
+        const current = mockTestRef.current;
+        const at = Date.now();
+        if (current?.phase === "part" && getPartTimeLeft(current.test.parts[current.partIdx], current.timeUsed, current.openedAt, at) <= 0) {
+          const next = advanceMockTest(current, at);
+          mockTestRef.current = next;
+          setSession(next);
+        }
+        setNow(at);
+      }, 1000);
+      return () => clearInterval(timer);
+    }, [session?.phase, session?.partIdx]);
+
+    const formatClock = (seconds) => {
+      const total = Math.ceil(seconds);
+      return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, "0")}`;
+    };
+
+    const startTest = () => {
+      // Words the user has studied, or the whole lesson while there are too few of them
+      const active = filteredWords.filter(w => !isSuspended(w));
+      const studied = active.filter(w => w.srs?.repetitions > 0);
+      const test = buildMockTest(studied.length >= 40 ? studied : active, { confusions: getConfusions(loadReviewLog(userId)) });
+      if (!test) {
+        showToast("Not enough words with example sentences for a mock test", "warning");
+        return;
+      }
+      isInLearningSession.current = true;
+      saveSession(startMockTest(test));
+    };
+
+    const exitTest = () => {
+      if (session?.phase !== "result" && !window.confirm("Leave the mock test? Your answers will not be scored.")) return;
+      isInLearningSession.current = false;
+      mockTestRef.current = null;
+      setScreen("quiz");
+    };
+
+    const submitTest = () => {
+      const closed = closeMockTestPart(session);
+      const result = scoreMockTest(closed.test, closed.answers, closed.timeUsed);
+      isInLearningSession.current = false;
+      saveSession({ ...closed, phase: "result", result });
+      setStats(prev => ({ ...prev, mockTestHistory: addMockTestResult(prev.mockTestHistory, result) }));
+    };
+
+    const jumpToQuestion = (question) => {
+      saveSession(openMockTestPart(session, session.test.parts.findIndex(part => part.id === question.part)));
+      setTimeout(() => document.getElementById(`mock-${question.id}`)?.scrollIntoView({ block: "center" }), 0);
+    };
+
+    const header = (title, right = null) => (
+      <div style={{ display: "flex", alignItems: "center", gap: 12, marginBottom: 16 }}>
+        <button className="vm-btn" onClick={exitTest} style={{ background: "none", color: THEME.textSecondary, fontSize: 22, padding: 4 }}>←</button>
+        <div style={{ fontSize: 20, fontWeight: 800, flex: 1 }}>{title}</div>
+        {right}
+      </div>
+    );
+
+    // Intro
+    if (!session) return (
+      <div style={{ padding: "20px 16px 100px", maxWidth: 480, margin: "0 auto", animation: "vmFadeIn 0.4s ease" }}>
+        {header("TOEIC Mock Test")}
+        <div style={{ fontSize: 13, color: THEME.textSecondary, marginBottom: 20, lineHeight: 1.5 }}>
+          A short timed Reading test built from your words{selectedLesson ? " in this lesson" : ""}. Each part has its own clock;
+          you can flag questions and check your answers before submitting.
+        </div>
+        {MOCK_TEST_PARTS.map(part => (
+          <div key={part.id} className="vm-card" style={{ padding: 16, marginBottom: 12 }}>
+            <div style={{ fontSize: 15, fontWeight: 700, marginBottom: 4 }}>{part.title}</div>
+            <div style={{ fontSize: 13, color: THEME.textSecondary }}>{part.instructions}</div>
+            <div style={{ fontSize: 12, color: THEME.textMuted, marginTop: 6 }}>⏱ {part.secondsPerQuestion}s per question</div>
+          </div>
+        ))}
+        {history.length > 0 && (
+          <div className="vm-card" style={{ padding: 16, marginBottom: 12 }}>
+            <div style={{ fontSize: 13, fontWeight: 700, color: THEME.textMuted, marginBottom: 8 }}>RECENT SCORES</div>
+            {history.slice(-3).reverse().map(entry => (
+              <div key={entry.id} style={{ display: "flex", justifyContent: "space-between", fontSize: 14, padding: "4px 0" }}>
+                <span style={{ color: THEME.textSecondary }}>{new Date(entry.takenAt).toLocaleDateString()}</span>
+                <span style={{ fontWeight: 700 }}>{entry.score} <span style={{ color: THEME.textMuted, fontWeight: 400 }}>({entry.correct}/{entry.total})</span></span>
+              </div>
+            ))}
+          </div>
+        )}
+        <button className="vm-btn" onClick={startTest} style={{ width: "100%", padding: 16, borderRadius: 14, background: THEME.gradient1, color: "#fff", fontSize: 16, fontWeight: 700, marginTop: 8 }}>
+          Start Test
+        </button>
+      </div>
+    );
+
+    const { test, answers, flagged } = session;
+
+    // Result
+    if (session.phase === "result") {
+      const { result } = session;
+      const previous = history.length > 1 ? history[history.length - 2] : null;
+      const wrong = test.questions.filter(q => !q.options[answers[q.id]]?.correct);
+      return (
+        <div style={{ padding: "20px 16px 100px", maxWidth: 480, margin: "0 auto", animation: "vmBounceIn 0.5s ease" }}>
+          {header("Mock Test Result")}
+          <div className="vm-card" style={{ padding: 24, marginBottom: 16, textAlign: "center" }}>
+            <div style={{ fontSize: 12, fontWeight: 700, color: THEME.textMuted, letterSpacing: 1 }}>ESTIMATED READING SCORE</div>
+            <div style={{ fontSize: 48, fontWeight: 800, color: THEME.accent }}>{result.score}<span style={{ fontSize: 18, color: THEME.textMuted }}> / 495</span></div>
+            <div style={{ fontSize: 14, color: THEME.textSecondary }}>{result.correct} of {result.total} correct</div>
+            {previous && (
+              <div style={{ fontSize: 13, marginTop: 6, color: result.score >= previous.score ? THEME.success : THEME.danger }}>
+                {result.score >= previous.score ? "+" : ""}{result.score - previous.score} since your last test
+              </div>
+            )}
+          </div>
+
+          <div className="vm-card" style={{ padding: 16, marginBottom: 16 }}>
+            {result.parts.map(part => (
+              <div key={part.id} style={{ marginBottom: 12 }}>
+                <div style={{ display: "flex", justifyContent: "space-between", fontSize: 13, marginBottom: 4 }}>
+                  <span style={{ fontWeight: 600 }}>{part.title}</span>
+                  <span style={{ color: THEME.textSecondary }}>{part.correct}/{part.total} · {formatClock(part.timeUsedSec)} of {formatClock(part.timeLimitSec)}</span>
+                </div>
+                <div style={{ height: 6, borderRadius: 3, background: THEME.border, overflow: "hidden" }}>
+                  <div style={{ height: "100%", width: `${(part.correct / part.total) * 100}%`, background: THEME.gradient1 }} />
+                </div>
+              </div>
+            ))}
+          </div>
+
+          {wrong.length > 0 && (
+            <div className="vm-card" style={{ padding: 16, marginBottom: 16 }}>
+              <div style={{ fontSize: 13, fontWeight: 700, color: THEME.textMuted, marginBottom: 8 }}>TO GO OVER ({wrong.length})</div>
+              {wrong.map(q => (
+                <div key={q.id} style={{ padding: "8px 0", borderTop: `1px solid ${THEME.border}`, fontSize: 13 }}>
+                  <div style={{ color: THEME.text, marginBottom: 4 }}>{q.number}. {q.prompt}</div>
+                  {answers[q.id] !== undefined && <div style={{ color: THEME.danger }}>✕ {q.options[answers[q.id]].text}</div>}
+                  <div style={{ color: THEME.success }}>✓ {q.options.find(o => o.correct).text}</div>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div style={{ display: "flex", gap: 12 }}>
+            <button className="vm-btn" onClick={() => { mockTestRef.current = null; setSession(null); }} style={{ flex: 1, padding: 16, borderRadius: 14, background: THEME.gradient1, color: "#fff", fontSize: 15 }}>New Test</button>
+            <button className="vm-btn" onClick={exitTest} style={{ flex: 1, padding: 16, borderRadius: 14, background: THEME.card, color: THEME.text, fontSize: 15, border: `1px solid ${THEME.border}` }}>Back to Quiz</button>
+          </div>
+        </div>
+      );
+    }
+
+    // Review before submitting
+    if (session.phase === "review") {
+      const unanswered = test.questions.filter(q => answers[q.id] === undefined).length;
+      return (
+        <div style={{ padding: "20px 16px 100px", maxWidth: 480, margin: "0 auto", animation: "vmFadeIn 0.4s ease" }}>
+          {header("Review Answers")}
+          <div style={{ fontSize: 13, color: THEME.textSecondary, marginBottom: 16 }}>
+            Tap a question to go back to it. Parts whose time is up can no longer be changed.
+          </div>
+          {test.parts.map(part => {
+            const timeLeft = getPartTimeLeft(part, session.timeUsed);
+            return (
+              <div key={part.id} className="vm-card" style={{ padding: 16, marginBottom: 12 }}>
+                <div style={{ display: "flex", justifyContent: "space-between", marginBottom: 10 }}>
+                  <span style={{ fontSize: 14, fontWeight: 700 }}>{part.title}</span>
+                  <span style={{ fontSize: 12, color: timeLeft > 0 ? THEME.textSecondary : THEME.danger }}>
+                    {timeLeft > 0 ? `⏱ ${formatClock(timeLeft)} left` : "Time's up"}
+                  </span>
+                </div>
+                <div style={{ display: "flex", flexWrap: "wrap", gap: 8 }}>
+                  {test.questions.filter(q => q.part === part.id).map(q => {
+                    const isAnswered = answers[q.id] !== undefined;
+                    return (
+                      <button key={q.id} className="vm-btn vm-mono" disabled={timeLeft <= 0} onClick={() => jumpToQuestion(q)} style={{
+                        width: 40, height: 40, borderRadius: 8, fontSize: 13, fontWeight: 700,
+                        background: isAnswered ? `${THEME.accent}20` : THEME.surface,
+                        color: flagged[q.id] ? THEME.warning : isAnswered ? THEME.accent : THEME.textMuted,
+                        border: `1.5px solid ${flagged[q.id] ? THEME.warning : isAnswered ? `${THEME.accent}60` : THEME.border}`,
+                        opacity: timeLeft > 0 ? 1 : 0.6,
+                      }}>{q.number}</button>
+                    );
+                  })}
+                </div>
+              </div>
+            );
+          })}
+          <div style={{ fontSize: 13, color: unanswered ? THEME.warning : THEME.textSecondary, margin: "4px 0 12px", textAlign: "center" }}>
+            {unanswered ? `${unanswered} question${unanswered === 1 ? "" : "s"} unanswered` : "All questions answered"}
+            {Object.values(flagged).some(Boolean) && ` · ${Object.values(flagged).filter(Boolean).length} flagged`}
+          </div>
+          <button className="vm-btn" onClick={submitTest} style={{ width: "100%", padding: 16, borderRadius: 14, background: THEME.gradient1, color: "#fff", fontSize: 16, fontWeight: 700 }}>
+            Submit Test
+          </button>
+        </div>
+      );
+    }
+
+    // Part in progress
+    const part = test.parts[session.partIdx];
+    const timeLeft = getPartTimeLeft(part, session.timeUsed, session.openedAt, now);
+    const partQuestions = test.questions.filter(q => q.part === part.id);
+    // Questions grouped under their passage (Part 5 questions stand alone)
+    const groups = partQuestions.reduce((list, q) => {
+      const last = list[list.length - 1];
+      if (q.passageId && last?.passageId === q.passageId) last.questions.push(q);
+      else list.push({ passageId: q.passageId, questions: [q] });
+      return list;
+    }, []);
+    const isLastOpenPart = !test.parts.some((other, i) => i > session.partIdx && getPartTimeLeft(other, session.timeUsed) > 0);
+
+    return (
+      <div style={{ padding: "20px 16px 100px", maxWidth: 480, margin: "0 auto" }}>
+        {header(part.title, (
+          <div className="vm-tag vm-mono" style={{ background: timeLeft < 60 ? `${THEME.danger}15` : `${THEME.accent}15`, color: timeLeft < 60 ? THEME.danger : THEME.accent }}>
+            ⏱ {formatClock(timeLeft)}
+          </div>
+        ))}
+        <div style={{ fontSize: 13, color: THEME.textSecondary, marginBottom: 16 }}>
+          {part.instructions} {partQuestions.filter(q => answers[q.id] !== undefined).length}/{partQuestions.length} answered.
+        </div>
+
+        {groups.map(group => {
+          const passage = test.passages.find(p => p.id === group.passageId);
+          return (
+            <div key={group.passageId || group.questions[0].id} style={{ marginBottom: 20 }}>
+              {passage && (
+                <div style={{ marginBottom: 12 }}>
+                  <div style={{ fontSize: 12, fontWeight: 700, color: THEME.textMuted, marginBottom: 6 }}>
+                    Questions {group.questions[0].number}–{group.questions[group.questions.length - 1].number} refer to the following {passage.texts.length > 1 ? "texts" : "text"}.
+                  </div>
+                  {passage.texts.map((text, i) => (
+                    <div key={i} className="vm-card" style={{ padding: 16, marginBottom: 8, background: THEME.surface }}>
+                      <div className="vm-mono" style={{ fontSize: 12, color: THEME.textMuted, whiteSpace: "pre-line", marginBottom: 8 }}>{text.heading}</div>
+                      <div style={{ fontSize: 14, lineHeight: 1.7, whiteSpace: "pre-line" }}>{text.body}</div>
+                    </div>
+                  ))}
+                </div>
+              )}
+              {group.questions.map(q => (
+                <div key={q.id} id={`mock-${q.id}`} className="vm-card" style={{ padding: 16, marginBottom: 10 }}>
+                  <div style={{ display: "flex", gap: 8, alignItems: "flex-start", marginBottom: 10 }}>
+                    <div style={{ flex: 1, fontSize: 14, lineHeight: 1.5 }}><b>{q.number}.</b> {q.prompt}</div>
+                    <button className="vm-btn" onClick={() => saveSession({ ...session, flagged: { ...flagged, [q.id]: !flagged[q.id] } })} title="Flag for review" style={{
+                      background: "none", fontSize: 16, padding: 2, color: flagged[q.id] ? THEME.warning : THEME.textMuted, opacity: flagged[q.id] ? 1 : 0.5,
+                    }}>⚑</button>
+                  </div>
+                  {q.options.map((option, i) => {
+                    const isChosen = answers[q.id] === i;
+                    return (
+                      <button key={i} className="vm-btn" onClick={() => saveSession({ ...session, answers: { ...answers, [q.id]: i } })} style={{
+                        width: "100%", padding: "10px 12px", marginBottom: 6, borderRadius: 10, textAlign: "left", fontSize: 14,
+                        background: isChosen ? `${THEME.accent}20` : THEME.surface,
+                        border: `1.5px solid ${isChosen ? THEME.accent : THEME.border}`, color: THEME.text,
+                      }}>
+                        <span style={{ fontWeight: 600, marginRight: 8, color: THEME.textMuted }}>({String.fromCharCode(65 + i)})</span>
+                        {option.text}
+                      </button>
+                    );
+                  })}
+                </div>
+              ))}
+            </div>
+          );
+        })}
+
+        <button className="vm-btn" onClick={() => saveSession(advanceMockTest(session))} style={{ width: "100%", padding: 16, borderRadius: 14, background: THEME.gradient1, color: "#fff", fontSize: 15, fontWeight: 700 }}>
+          {isLastOpenPart ? "Review Answers" : "Next Part →"}
+        </button>
+      </div>
+    );
+  };
+
+  // ── QUIZ DETAIL SCREEN ──────────────────────────────────────
+  const QuizDetailScreen = () => {
+    const record = quizHistory.find(r => r.id === openQuizId);
+    if (!record) return (
+      <div style={{ padding: "40px 16px 100px", maxWidth: 480, margin: "0 auto", textAlign: "center" }}>
+        <div style={{ fontSize: 15, color: THEME.textSecondary, marginBottom: 20 }}>This quiz is no longer in your history.</div>
+        <button className="vm-btn" onClick={() => setScreen("profile")} style={{ padding: "12px 24px", borderRadius: 12, background: THEME.card, color: THEME.text, border: `1px solid ${THEME.border}` }}>Back to Stats</button>
+      </div>
+    );
+
+    const type = getQuizTypeInfo(record.type);
+    const wrongAnswers = record.answers.filter(a => !a.correct);
+    // Words that are still in the word list (deleted ones can't be quizzed again)
+    const wrongWordIds = getWrongWordIds(record).filter(id => words.some(w => w.id === id));
+    const scopeLabel = record.scope === "retry" ? "Retry of missed words"
+      : record.scope === "tag" ? `#${record.tag}`
+      : QUIZ_SCOPES.find(scope => scope.id === record.scope)?.label;
+
+    return (
+      <div style={{ padding: "20px 16px 100px", maxWidth: 480, margin: "0 auto", animation: "vmFadeIn 0.4s ease" }}>
+        <div style={{ display: "flex", alignItems: "center", gap: 12, marginBottom: 20 }}>
+          <button className="vm-btn" onClick={() => setScreen("profile")} style={{ background: "none", color: THEME.textSecondary, fontSize: 22, padding: 4 }}>←</button>
+          <div style={{ fontSize: 22, fontWeight: 800 }}>{type.icon} {type.name}</div>
+        </div>
+
+        <div className="vm-card" style={{ padding: 20, marginBottom: 16, textAlign: "center" }}>
+          <div style={{ fontSize: 36, fontWeight: 800, color: getQuizAccuracy(record) >= 70 ? THEME.success : THEME.warning }}>{record.correct}/{record.total}</div>
+          <div style={{ fontSize: 13, color: THEME.textSecondary }}>
+            {getQuizAccuracy(record)}% · {formatQuizDuration(record.durationSec)} · {formatQuizDate(record.finishedAt)}
+          </div>
+          <div style={{ fontSize: 12, color: THEME.textMuted, marginTop: 4 }}>
+            {[scopeLabel, record.lesson && TOEIC_LESSONS.find(l => l.id === record.lesson)?.title, record.cram && "Cram", record.timedOut && "Time ran out"].filter(Boolean).join(" · ")}
+          </div>
+        </div>
+
+        {wrongWordIds.length > 0 && (
+          <button className="vm-btn" onClick={() => { setRetryQuiz({ wordIds: wrongWordIds, type: record.type }); setScreen("quiz"); }} style={{
+            width: "100%", padding: 16, borderRadius: 14, background: THEME.gradient1, color: "#fff", fontSize: 15, fontWeight: 700, marginBottom: 16,
+          }}>
+            🔁 Quiz the {wrongWordIds.length} missed word{wrongWordIds.length === 1 ? "" : "s"} again
+          </button>
+        )}
+
+        <div className="vm-card" style={{ padding: 16 }}>
+          <div style={{ fontSize: 13, fontWeight: 700, color: THEME.textMuted, marginBottom: 8 }}>
+            {wrongAnswers.length > 0 ? `WRONG ANSWERS (${wrongAnswers.length})` : "NO WRONG ANSWERS 🎉"}
+          </div>
+          {wrongAnswers.map((answer, i) => (
+            <div key={i} style={{ padding: "10px 0", borderTop: `1px solid ${THEME.border}`, fontSize: 13 }}>
+              <div style={{ display: "flex", justifyContent: "space-between", gap: 8, marginBottom: 4 }}>
+                <span style={{ fontWeight: 700 }}>{answer.terms.join(", ")}</span>
+                <span style={{ fontSize: 14 }}>{getQuizTypeInfo(answer.type).icon}</span>
+              </div>
+              {answer.prompt && answer.prompt !== answer.terms.join(", ") && (
+                <div style={{ color: THEME.textSecondary, marginBottom: 4, lineHeight: 1.5 }}>{answer.prompt}</div>
+              )}
+              {answer.given !== null
+                ? <div style={{ color: THEME.danger }}>✕ {answer.given}</div>
+                : answer.expected !== null && <div style={{ color: THEME.textMuted }}>No answer</div>}
+              {answer.expected !== null && <div style={{ color: THEME.success }}>✓ {answer.expected}</div>}
+            </div>
+          ))}
+          {record.answers.length > wrongAnswers.length && (
+            <div style={{ fontSize: 12, color: THEME.textMuted, marginTop: 8 }}>{record.answers.length - wrongAnswers.length} answered correctly</div>
+          )}
+        </div>
+      </div>
+    );
+  };
+
   // ── WORDS LIST SCREEN ───────────────────────────────────────
   const WordsScreen = () => {
     const [search, setSearch] = useState("");
@@ -4337,7 +6092,7 @@ export default function VocabMasterPro({
     const [showImport, setShowImport] = useState(false);
     const [importText, setImportText] = useState("");
     const [showAdd, setShowAdd] = useState(false);
-    const [newWord, setNewWord] = useState({ term: "", definition: "", phonetic: "", partOfSpeech: "n", examples: "", synonyms: "", category: "custom" });
+    const [newWord, setNewWord] = useState({ term: "", definition: "", phonetic: "", partOfSpeech: "n", examples: "", synonyms: "", wordForms: "", collocations: "", tags: "", category: "custom" });
     const [expandedId, setExpandedId] = useState(null);
 
     const filtered = useMemo(() => {
@@ -4364,6 +6119,7 @@ export default function VocabMasterPro({
           examples: parts[4] ? parts[4].split(";").map(e => e.trim()) : [],
           synonyms: parts[5] ? parts[5].split(",").map(s => s.trim()) : [],
           category: parts[6] || "custom",
+          addedAt: new Date().toISOString(),
           srs: {},
         };
       }).filter(Boolean);
@@ -4392,6 +6148,10 @@ export default function VocabMasterPro({
         ...newWord,
         examples: newWord.examples ? newWord.examples.split(";").map(e => e.trim()).filter(Boolean) : [],
         synonyms: newWord.synonyms ? newWord.synonyms.split(",").map(s => s.trim()).filter(Boolean) : [],
+        wordForms: parseWordForms(newWord.wordForms),
+        collocations: newWord.collocations ? newWord.collocations.split(";").map(c => c.trim()).filter(Boolean) : [],
+        tags: newWord.tags ? newWord.tags.split(",").map(t => t.trim().toLowerCase()).filter(Boolean) : [],
+        addedAt: new Date().toISOString(),
         srs: {},
       };
       setWords(prev => [...prev, word]);
@@ -4403,7 +6163,7 @@ export default function VocabMasterPro({
 
       showToast(`Added "${word.term}"`);
       setShowAdd(false);
-      setNewWord({ term: "", definition: "", phonetic: "", partOfSpeech: "n", examples: "", synonyms: "", category: "custom" });
+      setNewWord({ term: "", definition: "", phonetic: "", partOfSpeech: "n", examples: "", synonyms: "", wordForms: "", collocations: "", tags: "", category: "custom" });
     };
 
     const deleteWord = async (id) => {
@@ -4462,6 +6222,9 @@ export default function VocabMasterPro({
           { key: "phonetic", label: "Phonetic", placeholder: "e.g. /juːˈbɪkwɪtəs/" },
           { key: "examples", label: "Examples (;separated)", placeholder: "e.g. It's ubiquitous today; Found everywhere" },
           { key: "synonyms", label: "Synonyms (,separated)", placeholder: "e.g. omnipresent, pervasive" },
+          { key: "wordForms", label: "Word forms (,separated)", placeholder: "e.g. ubiquity (n), ubiquitously (adv)" },
+          { key: "collocations", label: "Collocations (;separated sentences)", placeholder: "e.g. Smartphones have become ubiquitous; The ubiquity of phones changed retail" },
+          { key: "tags", label: "Tags (,separated)", placeholder: "e.g. meeting, unit-3" },
         ].map(f => (
           <div key={f.key} style={{ marginBottom: 14 }}>
             <label style={{ fontSize: 12, fontWeight: 600, color: THEME.textSecondary, marginBottom: 6, display: "block" }}>{f.label}</label>
@@ -4637,71 +6400,553 @@ export default function VocabMasterPro({
     );
   };
 
-  // ── PROFILE/STATS SCREEN ────────────────────────────────────
-  const ProfileScreen = () => {
-    const weeklyData = useMemo(() => {
-      const days = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
-      return days.map((d, i) => ({ day: d, reviews: Math.floor(Math.random() * 20) + (stats.todayReviews || 0) * (i === new Date().getDay() - 1 ? 1 : 0) }));
-    }, [stats]);
+  // ── CUSTOM STUDY BUILDER ────────────────────────────────────
+  const CustomStudyScreen = () => {
+    const [filters, setFilters] = useState(() => customStudyDraftRef.current);
+    const [presetName, setPresetName] = useState("");
+    const presets = stats.customStudyPresets || [];
+    const options = getCustomStudyOptions(words);
+    const matching = selectCustomStudyWords(filters);
+    const currentPreset = presets.find(preset => JSON.stringify(preset.filters) === JSON.stringify(filters));
+
+    const update = (patch) => {
+      const next = { ...filters, ...patch };
+      customStudyDraftRef.current = next;
+      setFilters(next);
+    };
+    const toggleIn = (key, value) => update({
+      [key]: filters[key].includes(value) ? filters[key].filter(v => v !== value) : [...filters[key], value],
+    });
 
-    const maxReviews = Math.max(...weeklyData.map(d => d.reviews), 1);
+    const savePreset = () => {
+      const name = presetName.trim();
+      if (!name) {
+        showToast("Give the preset a name", "warning");
+        return;
+      }
+      setStats(prev => ({
+        ...prev,
+        customStudyPresets: [...(prev.customStudyPresets || []).filter(preset => preset.name !== name), { id: `preset_${Date.now()}`, name, filters }],
+      }));
+      showToast(`💾 Saved preset "${name}"`);
+    };
 
-    // Calculate weak words (failure rate > 30% and at least 3 reviews)
-    const weakWords = useMemo(() => {
-      return words
-        .filter(w => {
-          const totalReviews = w.srs?.totalReviews || 0;
-          const wrongReviews = w.srs?.wrongReviews || 0;
-          if (totalReviews < 3) return false; // Need at least 3 reviews to be statistically relevant
-          const failureRate = wrongReviews / totalReviews;
-          return failureRate > 0.3; // More than 30% failure rate
-        })
-        .map(w => ({
-          ...w,
-          failureRate: ((w.srs?.wrongReviews || 0) / (w.srs?.totalReviews || 1)) * 100
-        }))
-        .sort((a, b) => b.failureRate - a.failureRate) // Highest failure rate first
-        .slice(0, 10); // Top 10 weak words
-    }, [words]);
+    const deletePreset = (id) => {
+      setStats(prev => ({ ...prev, customStudyPresets: (prev.customStudyPresets || []).filter(preset => preset.id !== id) }));
+    };
+
+    const launch = () => {
+      setActiveCustomStudy({ name: currentPreset?.name || "Custom filters", filters });
+      setScreen("learn");
+    };
+
+    const chip = (key, label, active, onClick) => (
+      <button key={key} className="vm-btn" onClick={onClick} style={{
+        padding: "7px 12px", borderRadius: 10, fontSize: 12, fontWeight: 600,
+        background: active ? `${THEME.accent}25` : THEME.surface,
+        color: active ? THEME.accentLight : THEME.textSecondary,
+        border: `1.5px solid ${active ? THEME.accent : THEME.border}`,
+      }}>{label}</button>
+    );
+
+    const section = (title, children) => (
+      <div className="vm-card" style={{ padding: 16, marginBottom: 12 }}>
+        <div style={{ fontSize: 12, fontWeight: 700, color: THEME.textMuted, marginBottom: 10, textTransform: "uppercase", letterSpacing: 0.5 }}>{title}</div>
+        <div style={{ display: "flex", flexWrap: "wrap", gap: 6 }}>{children}</div>
+      </div>
+    );
+
+    const lastReviewedChoices = [
+      { id: "any", label: "Any time", patch: { reviewedWithinDays: null, notReviewedForDays: null } },
+      { id: "1", label: "Last 24h", patch: { reviewedWithinDays: 1, notReviewedForDays: null } },
+      { id: "7", label: "Last 7 days", patch: { reviewedWithinDays: 7, notReviewedForDays: null } },
+      { id: "-14", label: "Not for 14+ days", patch: { reviewedWithinDays: null, notReviewedForDays: 14 } },
+      { id: "-30", label: "Not for 30+ days", patch: { reviewedWithinDays: null, notReviewedForDays: 30 } },
+    ];
 
     return (
       <div style={{ padding: "20px 16px 100px", maxWidth: 480, margin: "0 auto", animation: "vmFadeIn 0.4s ease" }}>
-        <div style={{ fontSize: 22, fontWeight: 800, marginBottom: 24 }}>Your Progress</div>
-        
-        {/* Stats Grid */}
-        <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 12, marginBottom: 24 }}>
-          <StatCard icon="📚" label="Total Words" value={words.length} color={THEME.accent} />
-          <StatCard icon="🔥" label="Streak" value={`${stats.streak}d`} color={THEME.danger} />
-          <StatCard icon="📊" label="Total Reviews" value={stats.totalReviews} color={THEME.success} />
-          <StatCard icon="⚡" label="XP" value={stats.xp} color={THEME.warning} />
+        <div style={{ display: "flex", alignItems: "center", gap: 12, marginBottom: 8 }}>
+          <button className="vm-btn" onClick={() => setScreen("learn")} style={{ background: "none", color: THEME.textSecondary, fontSize: 22, padding: 4 }}>←</button>
+          <div style={{ fontSize: 22, fontWeight: 800 }}>🎛️ Custom Study</div>
         </div>
-        
-        {/* Weekly Chart */}
-        <div className="vm-card" style={{ padding: 20, marginBottom: 20 }}>
-          <div style={{ fontSize: 14, fontWeight: 700, marginBottom: 16 }}>📊 This Week</div>
-          <div style={{ display: "flex", alignItems: "flex-end", gap: 8, height: 120 }}>
-            {weeklyData.map((d, i) => (
-              <div key={i} style={{ flex: 1, textAlign: "center" }}>
-                <div style={{
-                  height: `${Math.max((d.reviews / maxReviews) * 100, 4)}%`,
-                  background: d.reviews > 0 ? THEME.gradient1 : THEME.border,
-                  borderRadius: "6px 6px 0 0",
-                  transition: "height 0.5s ease",
+        <div style={{ fontSize: 13, color: THEME.textSecondary, marginBottom: 16 }}>
+          Combine filters into one queue, then study it in any Learn mode. Daily limits don't apply.
+        </div>
+
+        {presets.length > 0 && section("Presets", presets.map(preset => (
+          <span key={preset.id} style={{ display: "inline-flex", alignItems: "center", gap: 2 }}>
+            {chip(preset.id, preset.name, currentPreset?.id === preset.id, () => update(preset.filters))}
+            <button className="vm-btn" onClick={() => deletePreset(preset.id)} title="Delete preset" style={{ background: "none", color: THEME.textMuted, fontSize: 12, padding: 4 }}>✕</button>
+          </span>
+        )))}
+
+        {section("Lessons", TOEIC_LESSONS.map((lesson, i) => chip(lesson.id, `L${i + 1}`, filters.lessons.includes(lesson.id), () => toggleIn("lessons", lesson.id))))}
+        {section("Category", options.categories.map(id => chip(id, CATEGORIES.find(c => c.id === id)?.name || id, filters.categories.includes(id), () => toggleIn("categories", id))))}
+        {section("Mastery", MASTERY.map(m => chip(m.level, `${m.icon} ${m.name}`, filters.mastery.includes(m.level), () => toggleIn("mastery", m.level))))}
+        {section("Part of speech", options.partsOfSpeech.map(pos => chip(pos, pos, filters.partsOfSpeech.includes(pos), () => toggleIn("partsOfSpeech", pos))))}
+        {section("Tags", options.tags.length > 0
+          ? options.tags.map(tag => chip(tag, `#${tag}`, filters.tags.includes(tag), () => toggleIn("tags", tag)))
+          : <div style={{ fontSize: 12, color: THEME.textMuted }}>No tags yet - add them when adding words</div>)}
+        {section("Failure rate", [0, 0.25, 0.5].map(rate => chip(rate, rate === 0 ? "Any" : `≥ ${rate * 100}%`, filters.minFailureRate === rate, () => update({ minFailureRate: rate }))))}
+        {section("Added", [null, 7, 30].map(days => chip(`${days}`, days == null ? "Any time" : `Last ${days} days`, filters.addedWithinDays === days, () => update({ addedWithinDays: days }))))}
+        {section("Last reviewed", lastReviewedChoices.map(choice => chip(
+          choice.id, choice.label,
+          filters.reviewedWithinDays === choice.patch.reviewedWithinDays && filters.notReviewedForDays === choice.patch.notReviewedForDays,
+          () => update(choice.patch)
+        )))}
+        {section("Only", chip("failed", "❌ Failed today", filters.failedToday, () => update({ failedToday: !filters.failedToday })))}
+        {section("Order", [
+          { id: "priority", label: "Priority" },
+          { id: "random", label: "Random" },
+          { id: "alphabetical", label: "A → Z" },
+        ].map(order => chip(order.id, order.label, filters.order === order.id, () => update({ order: order.id }))))}
+        {section("Card limit", [20, 50, 100, null].map(limit => chip(`${limit}`, limit == null ? "All" : limit, filters.limit === limit, () => update({ limit }))))}
+
+        <div className="vm-card" style={{ padding: 16, marginBottom: 12 }}>
+          <div style={{ display: "flex", gap: 8 }}>
+            <input className="vm-input" value={presetName} onChange={e => setPresetName(e.target.value)}
+              placeholder={currentPreset ? currentPreset.name : "Preset name"} style={{ flex: 1, fontSize: 14, padding: "10px 12px" }} />
+            <button className="vm-btn" onClick={savePreset} style={{
+              padding: "10px 16px", borderRadius: 10, fontSize: 13, background: THEME.surface, color: THEME.text, border: `1px solid ${THEME.border}`,
+            }}>💾 Save preset</button>
+          </div>
+        </div>
+
+        <div style={{ display: "flex", gap: 8 }}>
+          <button className="vm-btn" onClick={() => update(DEFAULT_CUSTOM_STUDY)} style={{
+            padding: 16, borderRadius: 14, fontSize: 14, background: THEME.surface, color: THEME.textSecondary, border: `1px solid ${THEME.border}`,
+          }}>Reset</button>
+          <button className="vm-btn" onClick={launch} disabled={matching.length === 0} style={{
+            flex: 1, padding: 16, borderRadius: 14, fontSize: 16, color: "#fff",
+            background: matching.length > 0 ? THEME.gradient1 : THEME.border, opacity: matching.length > 0 ? 1 : 0.5,
+          }}>{matching.length > 0 ? `Study ${matching.length} card${matching.length === 1 ? "" : "s"} →` : "No cards match"}</button>
+        </div>
+      </div>
+    );
+  };
+
+  // ── KEYBOARD SHORTCUTS SCREEN ───────────────────────────────
+  const ShortcutsScreen = () => {
+    // Action waiting for its new key
+    const [listeningFor, setListeningFor] = useState(null);
+    const conflicts = findShortcutConflicts(shortcuts);
+    const conflicting = new Set(conflicts.flat());
+    const labelOf = (id) => SHORTCUT_ACTIONS.find(action => action.id === id)?.label;
+
+    useEffect(() => {
+      if (!listeningFor) return undefined;
+      const onKeyDown = (event) => {
+        if (["Shift", "Control", "Alt", "Meta"].includes(event.key)) return;
+        event.preventDefault();
+        event.stopPropagation();
+        // Esc cancels, unless Esc is what the exit shortcut should become
+        if (event.key === "Escape" && listeningFor !== "exit") {
+          setListeningFor(null);
+          return;
+        }
+        setStats(prev => ({ ...prev, shortcuts: { ...prev.shortcuts, [listeningFor]: getEventKey(event) } }));
+      };
+      window.addEventListener("keydown", onKeyDown, true);
+      return () => window.removeEventListener("keydown", onKeyDown, true);
+    }, [listeningFor]);
+
+    return (
+      <div style={{ padding: "20px 16px 100px", maxWidth: 480, margin: "0 auto", animation: "vmFadeIn 0.4s ease" }}>
+        <div style={{ display: "flex", alignItems: "center", gap: 12, marginBottom: 8 }}>
+          <button className="vm-btn" onClick={() => setScreen("settings")} style={{ background: "none", color: THEME.textSecondary, fontSize: 22, padding: 4 }}>←</button>
+          <div style={{ fontSize: 22, fontWeight: 800 }}>Keyboard Shortcuts</div>
+        </div>
+        <div style={{ fontSize: 13, color: THEME.textSecondary, marginBottom: 20 }}>
+          Click a key, then press the new one. Press {formatShortcutKey(shortcuts.help)} anywhere to see this list; in an answer field hold Alt.
+        </div>
+
+        {conflicts.length > 0 && (
+          <div className="vm-card" style={{ padding: 14, marginBottom: 16, background: `${THEME.danger}10`, border: `1.5px solid ${THEME.danger}35` }}>
+            <div style={{ fontSize: 13, fontWeight: 700, color: THEME.danger, marginBottom: 4 }}>Keys used twice</div>
+            {conflicts.map(([a, b]) => (
+              <div key={`${a}-${b}`} style={{ fontSize: 12, color: THEME.textSecondary }}>
+                {labelOf(a)} and {labelOf(b)} both use {formatShortcutKey(shortcuts[a])}
+              </div>
+            ))}
+          </div>
+        )}
+
+        {[["study", "Study"], ["rating", "Rating buttons"], ["quiz", "Quiz options"], ["general", "General"]].map(([group, title]) => (
+          <div key={group} className="vm-card" style={{ padding: 16, marginBottom: 16 }}>
+            <div style={{ fontSize: 13, fontWeight: 700, color: THEME.textMuted, marginBottom: 10 }}>{title.toUpperCase()}</div>
+            {SHORTCUT_ACTIONS.filter(action => action.group === group).map(action => {
+              const isListening = listeningFor === action.id;
+              const isCustom = shortcuts[action.id] !== DEFAULT_SHORTCUTS[action.id];
+              return (
+                <div key={action.id} style={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: 12, padding: "6px 0" }}>
+                  <span style={{ fontSize: 14, color: THEME.text }}>{action.label}</span>
+                  <button className="vm-btn vm-mono" onClick={() => setListeningFor(isListening ? null : action.id)} style={{
+                    minWidth: 88, padding: "8px 12px", borderRadius: 8, fontSize: 13, fontWeight: 700,
+                    background: isListening ? `${THEME.accent}25` : THEME.surface,
+                    color: conflicting.has(action.id) ? THEME.danger : isCustom ? THEME.accent : THEME.text,
+                    border: `1.5px solid ${isListening ? THEME.accent : conflicting.has(action.id) ? `${THEME.danger}60` : THEME.border}`,
+                  }}>
+                    {isListening ? "Press a key..." : formatShortcutKey(shortcuts[action.id])}
+                  </button>
+                </div>
+              );
+            })}
+          </div>
+        ))}
+
+        <button className="vm-btn" onClick={() => setStats(prev => ({ ...prev, shortcuts: {} }))} style={{
+          width: "100%", padding: 14, borderRadius: 12, background: THEME.card, color: THEME.textSecondary, fontSize: 14, border: `1px solid ${THEME.border}`,
+        }}>Reset to defaults</button>
+      </div>
+    );
+  };
+
+  // ── LEECH WORKBENCH SCREEN ──────────────────────────────────
+  const LeechScreen = () => {
+    const [reviewLog] = useState(() => loadReviewLog(userId));
+    const [editingId, setEditingId] = useState(null);
+    const [draft, setDraft] = useState({ definition: "", mnemonic: "" });
+    const ratingColors = { again: THEME.danger, hard: THEME.warning, good: THEME.success, easy: THEME.info };
+
+    // Leeches are cards: merge the card back into its stored word (plus any rewritten fields)
+    const saveLeech = (card, msg, fields = {}) => {
+      const updated = { ...mergeCards(words, [card])[0], ...fields };
+      setWords(prev => prev.map(w => w.id === updated.id ? updated : w));
+      if (firestoreService && userId) firestoreService.saveWord(updated);
+      showToast(msg);
+    };
+
+    const startEditing = (word) => {
+      setEditingId(word.id);
+      setDraft({ definition: word.definition || "", mnemonic: word.mnemonic || "" });
+    };
+
+    const saveEdit = (word) => {
+      if (!draft.definition.trim()) {
+        showToast("Definition can't be empty", "warning");
+        return;
+      }
+      setEditingId(null);
+      saveLeech(word, `✏️ Updated "${word.term}"`, { definition: draft.definition.trim(), mnemonic: draft.mnemonic.trim() });
+    };
+
+    return (
+      <div style={{ padding: "20px 16px 100px", maxWidth: 480, margin: "0 auto", animation: "vmFadeIn 0.4s ease" }}>
+        <div style={{ display: "flex", alignItems: "center", gap: 12, marginBottom: 8 }}>
+          <button className="vm-btn" onClick={() => setScreen("home")} style={{ background: "none", color: THEME.textSecondary, fontSize: 22, padding: 4 }}>←</button>
+          <div style={{ fontSize: 22, fontWeight: 800 }}>🩸 Leech Workbench</div>
+        </div>
+        <div style={{ fontSize: 13, color: THEME.textSecondary, marginBottom: 20 }}>
+          Words forgotten {stats.scheduler?.leechThreshold ?? DEFAULT_LEECH_THRESHOLD}+ times are suspended from reviews.
+          Rewrite the definition or add a mnemonic, then unsuspend or start over.
+        </div>
+
+        {leeches.length === 0 && (
+          <div className="vm-card" style={{ padding: 32, textAlign: "center", color: THEME.textSecondary }}>
+            <div style={{ fontSize: 40, marginBottom: 8 }}>🎉</div>
+            No leeches right now
+          </div>
+        )}
+
+        {leeches.map(word => {
+          const history = getWordReviewHistory(reviewLog, word.id);
+          const failures = history.filter(e => e.quality < 3);
+          const lastFailure = failures[failures.length - 1];
+          const isEditing = editingId === word.id;
+
+          return (
+            <div key={word.id} className="vm-card" style={{ padding: 18, marginBottom: 12 }}>
+              <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: 8, marginBottom: 6 }}>
+                <div style={{ fontSize: 18, fontWeight: 800, flex: 1 }}>{word.term}</div>
+                {getCardDirection(word) === PRODUCTION && (
+                  <span className="vm-tag" style={{ background: `${THEME.info}15`, color: THEME.info }}>Production</span>
+                )}
+                <span className="vm-tag" style={{
+                  background: isSuspended(word) ? `${THEME.danger}15` : `${THEME.success}15`,
+                  color: isSuspended(word) ? THEME.danger : THEME.success,
+                }}>
+                  {isSuspended(word) ? "Suspended" : "Active"}
+                </span>
+              </div>
+
+              {isEditing ? (
+                <div style={{ marginBottom: 12 }}>
+                  <textarea className="vm-input" value={draft.definition} onChange={e => setDraft(p => ({ ...p, definition: e.target.value }))}
+                    placeholder="Definition" style={{ height: 80, resize: "vertical", marginBottom: 8 }} />
+                  <input className="vm-input" value={draft.mnemonic} onChange={e => setDraft(p => ({ ...p, mnemonic: e.target.value }))}
+                    placeholder="💡 Mnemonic (optional)" />
+                </div>
+              ) : (
+                <>
+                  <div style={{ fontSize: 14, color: THEME.textSecondary, lineHeight: 1.5 }}>{word.definition}</div>
+                  {word.mnemonic && <div style={{ fontSize: 13, color: THEME.warning, marginTop: 4 }}>💡 {word.mnemonic}</div>}
+                </>
+              )}
+
+              <div style={{ display: "flex", gap: 12, fontSize: 12, color: THEME.textMuted, margin: "10px 0 8px" }}>
+                <span>{word.srs?.lapses || 0} lapses</span>
+                <span>{Math.round(getFailureRate(word) * 100)}% failed</span>
+                {lastFailure && <span>last failed {new Date(lastFailure.timestamp).toLocaleDateString()}</span>}
+              </div>
+
+              {/* Failure history (oldest → newest) */}
+              {history.length > 0 && (
+                <div style={{ display: "flex", flexWrap: "wrap", gap: 3, marginBottom: 12 }}>
+                  {history.slice(-30).map(event => (
+                    <div key={event.id} title={`${new Date(event.timestamp).toLocaleString()} · ${event.rating} · ${event.mode}`} style={{
+                      width: 10, height: 10, borderRadius: 2, background: ratingColors[event.rating] || THEME.textMuted,
+                    }} />
+                  ))}
+                </div>
+              )}
+
+              <div style={{ display: "flex", gap: 8 }}>
+                {isEditing ? (
+                  <>
+                    <button className="vm-btn" onClick={() => saveEdit(word)} style={{
+                      flex: 1, padding: "8px 12px", borderRadius: 8, background: THEME.gradient1, color: "#fff", fontSize: 12, fontWeight: 700,
+                    }}>Save</button>
+                    <button className="vm-btn" onClick={() => setEditingId(null)} style={{
+                      flex: 1, padding: "8px 12px", borderRadius: 8, background: `${THEME.accent}10`, color: THEME.accent, fontSize: 12,
+                    }}>Cancel</button>
+                  </>
+                ) : (
+                  <>
+                    <button className="vm-btn" onClick={() => startEditing(word)} style={{
+                      flex: 1, padding: "8px 12px", borderRadius: 8, background: `${THEME.accent}12`, color: THEME.accent, fontSize: 12,
+                    }}>✏️ Rewrite</button>
+                    <button className="vm-btn" onClick={() => saveLeech(resetWordProgress(word), `🔁 "${word.term}" starts over as new`)} style={{
+                      flex: 1, padding: "8px 12px", borderRadius: 8, background: `${THEME.warning}12`, color: THEME.warning, fontSize: 12,
+                    }}>🔁 Reset</button>
+                    {isSuspended(word) && (
+                      <button className="vm-btn" onClick={() => saveLeech(unsuspendWord(word), `▶️ "${word.term}" is back in reviews`)} style={{
+                        flex: 1, padding: "8px 12px", borderRadius: 8, background: `${THEME.success}12`, color: THEME.success, fontSize: 12,
+                      }}>▶️ Unsuspend</button>
+                    )}
+                  </>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    );
+  };
+
+  // ── PROFILE/STATS SCREEN ────────────────────────────────────
+  const ProfileScreen = () => {
+    const [chartRange, setChartRange] = useState(7);
+    const [showAllQuizzes, setShowAllQuizzes] = useState(false);
+    const quizTrends = summarizeQuizHistory(quizHistory);
+    const listedQuizzes = [...quizHistory].reverse().slice(0, showAllQuizzes ? undefined : 5);
+
+    // Real per-day totals from stats.dailyHistory
+    const activityData = getActivityRange(stats.dailyHistory, chartRange);
+    const activitySummary = summarizeActivity(activityData);
+    const heatmapWeeks = getHeatmapWeeks(stats.dailyHistory);
+    const studyDaysThisYear = heatmapWeeks.flat().filter(d => d && d.reviews > 0).length;
+
+    const maxReviews = Math.max(...activityData.map(d => d.reviews), 1);
+    // Only label a few bars on the longer ranges
+    const labelEvery = chartRange === 7 ? 1 : chartRange === 30 ? 5 : 15;
+    const heatmapColors = [THEME.border, `${THEME.accent}50`, `${THEME.accent}90`, `${THEME.accent}cc`, THEME.accentLight];
+
+    // Due counts for the next 30 days from each word's srs.nextReview
+    const forecast = getDueForecast(allCards, 30);
+    const forecastWeekTotal = forecast.slice(1, 8).reduce((sum, d) => sum + d.count, 0);
+    const maxForecast = Math.max(...forecast.map(d => d.count), 1);
+
+    // Calculate weak words (failure rate > 30% and at least 3 reviews)
+    const weakWords = useMemo(() => {
+      return words
+        .filter(w => {
+          const totalReviews = w.srs?.totalReviews || 0;
+          const wrongReviews = w.srs?.wrongReviews || 0;
+          if (totalReviews < 3) return false; // Need at least 3 reviews to be statistically relevant
+          const failureRate = wrongReviews / totalReviews;
+          return failureRate > 0.3; // More than 30% failure rate
+        })
+        .map(w => ({
+          ...w,
+          failureRate: ((w.srs?.wrongReviews || 0) / (w.srs?.totalReviews || 1)) * 100
+        }))
+        .sort((a, b) => b.failureRate - a.failureRate) // Highest failure rate first
+        .slice(0, 10); // Top 10 weak words
+    }, [words]);
+
+    return (
+      <div style={{ padding: "20px 16px 100px", maxWidth: 480, margin: "0 auto", animation: "vmFadeIn 0.4s ease" }}>
+        <div style={{ fontSize: 22, fontWeight: 800, marginBottom: 24 }}>Your Progress</div>
+        
+        {/* Stats Grid */}
+        <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 12, marginBottom: 24 }}>
+          <StatCard icon="📚" label="Total Words" value={words.length} color={THEME.accent} />
+          <StatCard icon="🔥" label="Streak" value={`${stats.streak}d`} color={THEME.danger} />
+          <StatCard icon="📊" label="Total Reviews" value={stats.totalReviews} color={THEME.success} />
+          <StatCard icon="⚡" label="XP" value={stats.xp} color={THEME.warning} />
+        </div>
+        
+        {/* Activity Chart */}
+        <div className="vm-card" style={{ padding: 20, marginBottom: 20 }}>
+          <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", marginBottom: 12 }}>
+            <div style={{ fontSize: 14, fontWeight: 700 }}>📊 Activity</div>
+            <div style={{ display: "flex", gap: 6 }}>
+              {[7, 30, 90].map(range => (
+                <button key={range} className="vm-btn" onClick={() => setChartRange(range)} style={{
+                  padding: "4px 10px", borderRadius: 8, fontSize: 11, fontWeight: 700,
+                  background: chartRange === range ? THEME.accent : THEME.surface,
+                  color: chartRange === range ? "#fff" : THEME.textSecondary,
+                  border: `1px solid ${chartRange === range ? THEME.accent : THEME.border}`,
+                }}>
+                  {range}d
+                </button>
+              ))}
+            </div>
+          </div>
+          <div style={{ display: "flex", gap: 16, fontSize: 11, color: THEME.textSecondary, marginBottom: 20 }}>
+            <span><b style={{ color: THEME.text }}>{activitySummary.reviews}</b> reviews</span>
+            <span><b style={{ color: THEME.success }}>{activitySummary.accuracy ?? "–"}{activitySummary.accuracy !== null ? "%" : ""}</b> accuracy</span>
+            <span><b style={{ color: THEME.warning }}>{activitySummary.xp}</b> XP</span>
+            <span><b style={{ color: THEME.text }}>{activitySummary.activeDays}</b>/{chartRange} days</span>
+          </div>
+          <div style={{ display: "flex", alignItems: "flex-end", gap: chartRange === 7 ? 8 : chartRange === 30 ? 3 : 1, height: 120 }}>
+            {activityData.map((d, i) => (
+              <div key={d.date} style={{ flex: 1, height: "100%", display: "flex", flexDirection: "column", justifyContent: "flex-end", textAlign: "center" }}
+                title={`${d.date}: ${d.reviews} reviews${d.accuracy !== null ? `, ${d.accuracy}% correct` : ""}, ${d.xp} XP`}>
+                <div style={{
+                  height: `${Math.max((d.reviews / maxReviews) * 100, 4)}%`,
+                  background: d.reviews > 0 ? THEME.gradient1 : THEME.border,
+                  borderRadius: chartRange === 7 ? "6px 6px 0 0" : "2px 2px 0 0",
+                  transition: "height 0.5s ease",
                   minHeight: 4,
                   position: "relative",
                 }}>
-                  {d.reviews > 0 && (
+                  {chartRange === 7 && d.reviews > 0 && (
                     <div style={{ position: "absolute", top: -18, left: "50%", transform: "translateX(-50%)", fontSize: 10, fontWeight: 700, color: THEME.accent }}>
                       {d.reviews}
                     </div>
                   )}
                 </div>
-                <div style={{ fontSize: 10, color: THEME.textMuted, marginTop: 6, fontWeight: 600 }}>{d.day}</div>
+                <div style={{ fontSize: 10, color: THEME.textMuted, marginTop: 6, fontWeight: 600, height: 12, whiteSpace: "nowrap" }}>
+                  {(activityData.length - 1 - i) % labelEvery === 0 ? (chartRange === 7 ? d.day : d.label) : ""}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        {/* Review Forecast */}
+        <div className="vm-card" style={{ padding: 20, marginBottom: 20 }}>
+          <div style={{ fontSize: 14, fontWeight: 700, marginBottom: 12 }}>📅 Upcoming Reviews</div>
+          <div style={{ display: "flex", gap: 16, fontSize: 11, color: THEME.textSecondary, marginBottom: 20 }}>
+            <span><b style={{ color: THEME.danger }}>{forecast[0].count}</b> today{forecast[0].overdue > 0 ? ` (${forecast[0].overdue} overdue)` : ""}</span>
+            <span><b style={{ color: THEME.text }}>{forecast[1].count}</b> tomorrow</span>
+            <span><b style={{ color: THEME.text }}>{forecastWeekTotal}</b> next 7 days</span>
+          </div>
+          <div style={{ display: "flex", alignItems: "flex-end", gap: 3, height: 100 }}>
+            {forecast.map((d, i) => (
+              <div key={d.date} style={{ flex: 1, height: "100%", display: "flex", flexDirection: "column", justifyContent: "flex-end", textAlign: "center" }}
+                title={`${d.date}: ${d.count} due${d.overdue > 0 ? ` (${d.overdue} overdue)` : ""}`}>
+                <div style={{
+                  height: `${Math.max((d.count / maxForecast) * 100, 4)}%`,
+                  background: d.overdue > 0 ? THEME.danger : d.count > 0 ? THEME.info : THEME.border,
+                  borderRadius: "2px 2px 0 0",
+                  minHeight: 4,
+                }} />
+                <div style={{ fontSize: 10, color: THEME.textMuted, marginTop: 6, fontWeight: 600, height: 12, whiteSpace: "nowrap" }}>
+                  {i % 7 === 0 ? (i === 0 ? "Today" : d.label) : ""}
+                </div>
               </div>
             ))}
           </div>
         </div>
 
+        {/* Yearly Heatmap */}
+        <div className="vm-card" style={{ padding: 20, marginBottom: 20 }}>
+          <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", marginBottom: 12 }}>
+            <div style={{ fontSize: 14, fontWeight: 700 }}>🗓️ Study Days</div>
+            <div style={{ fontSize: 11, color: THEME.textSecondary }}>{studyDaysThisYear} days in the last year</div>
+          </div>
+          <div style={{ overflowX: "auto", paddingBottom: 4 }}>
+            <div style={{ display: "flex", gap: 2, width: "max-content" }}>
+              {heatmapWeeks.map((week, w) => (
+                <div key={w} style={{ display: "flex", flexDirection: "column", gap: 2 }}>
+                  {week.map((day, d) => (
+                    <div key={d} title={day ? `${day.date}: ${day.reviews} reviews` : undefined} style={{
+                      width: 8, height: 8, borderRadius: 2,
+                      background: day ? heatmapColors[day.level] : "transparent",
+                    }} />
+                  ))}
+                </div>
+              ))}
+            </div>
+          </div>
+          <div style={{ display: "flex", alignItems: "center", justifyContent: "flex-end", gap: 3, marginTop: 8, fontSize: 10, color: THEME.textMuted }}>
+            Less
+            {heatmapColors.map((color, i) => (
+              <div key={i} style={{ width: 8, height: 8, borderRadius: 2, background: color }} />
+            ))}
+            More
+          </div>
+        </div>
+
+        {/* Quiz History */}
+        {quizHistory.length > 0 && (
+          <div className="vm-card" style={{ padding: 20, marginBottom: 20 }}>
+            <div style={{ fontSize: 14, fontWeight: 700, marginBottom: 14 }}>❓ Quiz History</div>
+            {quizTrends.map(trend => {
+              const type = getQuizTypeInfo(trend.type);
+              return (
+                <div key={trend.type} style={{ display: "flex", alignItems: "center", gap: 10, marginBottom: 12 }}>
+                  <span style={{ fontSize: 18, width: 24, textAlign: "center" }}>{type.icon}</span>
+                  <div style={{ flex: 1 }}>
+                    <div style={{ fontSize: 13, fontWeight: 600 }}>{type.name}</div>
+                    <div style={{ fontSize: 11, color: THEME.textMuted }}>
+                      {trend.count} quiz{trend.count === 1 ? "" : "zes"} · avg {trend.average}% · best {trend.best}%
+                      {trend.trend !== null && (
+                        <span style={{ marginLeft: 6, fontWeight: 700, color: trend.trend >= 0 ? THEME.success : THEME.danger }}>
+                          {trend.trend >= 0 ? "▲" : "▼"} {Math.abs(trend.trend)}%
+                        </span>
+                      )}
+                    </div>
+                  </div>
+                  {/* Last few results, oldest first */}
+                  <div style={{ display: "flex", alignItems: "flex-end", gap: 2, height: 24 }}>
+                    {trend.recent.map((accuracy, i) => (
+                      <div key={i} title={`${accuracy}%`} style={{ width: 6, height: `${Math.max(8, accuracy)}%`, borderRadius: 2, background: accuracy >= 70 ? THEME.success : THEME.warning }} />
+                    ))}
+                  </div>
+                </div>
+              );
+            })}
+
+            <div style={{ fontSize: 11, fontWeight: 700, color: THEME.textMuted, margin: "16px 0 4px" }}>RECENT QUIZZES</div>
+            {listedQuizzes.map(record => {
+              const accuracy = getQuizAccuracy(record);
+              return (
+                <div key={record.id} className="vm-btn" onClick={() => { setOpenQuizId(record.id); setScreen("quizDetail"); }} style={{
+                  display: "flex", alignItems: "center", gap: 10, padding: "10px 0", borderBottom: `1px solid ${THEME.border}15`, cursor: "pointer",
+                }}>
+                  <span style={{ fontSize: 16 }}>{getQuizTypeInfo(record.type).icon}</span>
+                  <div style={{ flex: 1, fontSize: 12, color: THEME.textSecondary }}>
+                    {formatQuizDate(record.finishedAt)} · {formatQuizDuration(record.durationSec)}{record.timedOut ? " · ⏱" : ""}{record.cram ? " · 🎯" : ""}
+                  </div>
+                  <span className="vm-mono" style={{ fontSize: 13, fontWeight: 700, color: accuracy >= 70 ? THEME.success : THEME.warning }}>
+                    {record.correct}/{record.total}
+                  </span>
+                  <span style={{ color: THEME.textMuted }}>›</span>
+                </div>
+              );
+            })}
+            {quizHistory.length > 5 && (
+              <button className="vm-btn" onClick={() => setShowAllQuizzes(!showAllQuizzes)} style={{ marginTop: 10, background: "none", color: THEME.accent, fontSize: 12, fontWeight: 600 }}>
+                {showAllQuizzes ? "Show less" : `Show all ${quizHistory.length}`}
+              </button>
+            )}
+          </div>
+        )}
+
         {/* Weak Words Analysis */}
         {weakWords.length > 0 && (
           <div className="vm-card" style={{ padding: 20, marginBottom: 20 }}>
@@ -4799,11 +7044,109 @@ export default function VocabMasterPro({
   const SettingsScreen = () => {
     const fileInputRef = useRef(null);
     const [backups, setBackups] = useState([]);
+    // Personal scheduler optimizer (runs in a Web Worker)
+    const [optimizer, setOptimizer] = useState({ status: "idle", progress: 0, result: null });
+    const optimizerWorkerRef = useRef(null);
+    const [vacationDraft, setVacationDraft] = useState(() => {
+      const end = new Date();
+      end.setDate(end.getDate() + 7);
+      return { start: getDateKey(new Date()), end: getDateKey(end) };
+    });
 
     useEffect(() => {
       setBackups(getAvailableBackups());
     }, []);
 
+    useEffect(() => () => optimizerWorkerRef.current?.terminate(), []);
+
+    // Vacation is pending until its due dates have been shifted (appliedAt)
+    const pendingVacation = stats.vacation && !stats.vacation.appliedAt && stats.vacation.end >= getDateKey(new Date())
+      ? stats.vacation
+      : null;
+
+    const startVacation = () => {
+      if (!vacationDraft.start || !vacationDraft.end || vacationDraft.start > vacationDraft.end) {
+        showToast("End date must be on or after the start date", "warning");
+        return;
+      }
+      if (vacationDraft.end < getDateKey(new Date())) {
+        showToast("Vacation must end today or later", "warning");
+        return;
+      }
+      setStats(prev => ({ ...prev, vacation: { start: vacationDraft.start, end: vacationDraft.end, appliedAt: null } }));
+      showToast(`🏖️ Vacation set: ${getVacationDays(vacationDraft)} days`);
+    };
+
+    // Ending early shortens the vacation to yesterday so the days already away are still shifted
+    const endVacation = () => {
+      const today = getDateKey(new Date());
+      setStats(prev => {
+        if (!prev.vacation || prev.vacation.start >= today) return { ...prev, vacation: null };
+        const yesterday = new Date();
+        yesterday.setDate(yesterday.getDate() - 1);
+        return { ...prev, vacation: { ...prev.vacation, end: getDateKey(yesterday) } };
+      });
+    };
+
+    const runOptimizer = () => {
+      optimizerWorkerRef.current?.terminate();
+      const worker = new Worker(new URL("./workers/optimizer.worker.js", import.meta.url), { type: "module" });
+      optimizerWorkerRef.current = worker;
+      setOptimizer({ status: "running", progress: 0, result: null });
+
+      const finish = (result) => {
+        worker.terminate();
+        optimizerWorkerRef.current = null;
+        setOptimizer({ status: "done", progress: 1, result });
+      };
+
+      worker.onmessage = (e) => {
+        if (e.data.type === "progress") {
+          setOptimizer(prev => ({ ...prev, progress: e.data.pass / e.data.maxPasses }));
+          return;
+        }
+        finish(e.data.result);
+      };
+      worker.onerror = (error) => finish({ success: false, error: error.message || "Optimizer failed" });
+      worker.postMessage({
+        events: loadReviewLog(userId),
+        initialParams: stats.scheduler?.params || FSRS_DEFAULT_PARAMS,
+      });
+    };
+
+    // Tuned weights are FSRS weights, so applying them also switches to FSRS. Applying again
+    // keeps the setup from before the first apply, so Revert always goes back to it
+    const applyOptimizedParams = () => {
+      const { params } = optimizer.result;
+      setStats(prev => ({
+        ...prev,
+        scheduler: {
+          ...prev.scheduler,
+          id: "fsrs",
+          params,
+          optimizedAt: new Date().toISOString(),
+          previous: prev.scheduler?.previous || { id: prev.scheduler?.id || "classic", params: prev.scheduler?.params || null },
+        },
+      }));
+      showToast("✅ Personal scheduler applied", "success");
+    };
+
+    const revertOptimizedParams = () => {
+      setStats(prev => ({
+        ...prev,
+        scheduler: {
+          ...prev.scheduler,
+          id: prev.scheduler?.previous?.id || "classic",
+          params: prev.scheduler?.previous?.params || null,
+          optimizedAt: null,
+          previous: null,
+        },
+      }));
+      showToast("↩️ Scheduler settings reverted", "info");
+    };
+
+    const formatPercent = (value) => (value == null ? "–" : `${(value * 100).toFixed(1)}%`);
+
     const handleExportJSON = () => {
       exportData(words, stats);
       showToast("✅ Data exported successfully!", "success");
@@ -5006,6 +7349,378 @@ export default function VocabMasterPro({
           </div>
         </div>
 
+        {/* Daily Limits */}
+        <div className="vm-card" style={{ padding: 20, marginBottom: 16 }}>
+          <div style={{ fontSize: 16, fontWeight: 700, marginBottom: 16, display: "flex", alignItems: "center", gap: 8 }}>
+            🚦 <span>Daily Limits</span>
+          </div>
+          {[
+            { key: "newCardsPerDay", label: "New words per day", options: [5, 10, 20, 50], fallback: DEFAULT_NEW_CARDS_PER_DAY },
+            { key: "reviewsPerDay", label: "Reviews per day", options: [50, 100, 200, 500], fallback: DEFAULT_REVIEWS_PER_DAY },
+          ].map(({ key, label, options, fallback }) => (
+            <div key={key} style={{ marginBottom: 14 }}>
+              <div style={{ fontSize: 13, color: THEME.textSecondary, marginBottom: 8 }}>{label}</div>
+              <div style={{ display: "flex", gap: 8 }}>
+                {options.map(value => {
+                  const isActive = (stats[key] || fallback) === value;
+                  return (
+                    <button
+                      key={value}
+                      className="vm-btn"
+                      onClick={() => setStats(prev => ({ ...prev, [key]: value }))}
+                      style={{
+                        flex: 1, padding: 12, borderRadius: 12, fontSize: 14, fontWeight: 700,
+                        background: isActive ? THEME.gradient1 : `${THEME.accent}10`,
+                        color: isActive ? "#fff" : THEME.accent,
+                        border: `2px solid ${isActive ? "transparent" : THEME.accent + "30"}`,
+                      }}
+                    >
+                      {value}
+                    </button>
+                  );
+                })}
+              </div>
+            </div>
+          ))}
+          <div style={{ fontSize: 12, color: THEME.textMuted }}>
+            Today: {dailyAllowance.newLimit - dailyAllowance.newCards} new, {dailyAllowance.reviewLimit - dailyAllowance.reviews} reviews done
+          </div>
+        </div>
+
+        {/* Card Directions */}
+        <div className="vm-card" style={{ padding: 20, marginBottom: 16 }}>
+          <div style={{ fontSize: 16, fontWeight: 700, marginBottom: 16, display: "flex", alignItems: "center", gap: 8 }}>
+            🔁 <span>Card Directions</span>
+          </div>
+          <button
+            className="vm-btn"
+            onClick={() => setStats(prev => ({ ...prev, productionCards: !prev.productionCards }))}
+            style={{
+              width: "100%", padding: 14, borderRadius: 12, textAlign: "left",
+              background: stats.productionCards ? `${THEME.accent}20` : `${THEME.accent}08`,
+              border: `2px solid ${stats.productionCards ? THEME.accent : THEME.accent + "20"}`,
+              color: THEME.text, display: "flex", alignItems: "center", justifyContent: "space-between", gap: 12,
+            }}
+          >
+            <div>
+              <div style={{ fontSize: 14, fontWeight: 700 }}>Production cards (meaning → English)</div>
+              <div style={{ fontSize: 12, color: THEME.textSecondary, marginTop: 4 }}>
+                Once you recognise a word, also practise producing it, on its own schedule. Type Answer reviews production; Active Recall and Review mix both.
+              </div>
+            </div>
+            <span style={{ fontSize: 12, fontWeight: 700, color: stats.productionCards ? THEME.success : THEME.textMuted }}>
+              {stats.productionCards ? "ON" : "OFF"}
+            </span>
+          </button>
+        </div>
+
+        {/* Answer Checking */}
+        <div className="vm-card" style={{ padding: 20, marginBottom: 16 }}>
+          <div style={{ fontSize: 16, fontWeight: 700, marginBottom: 16, display: "flex", alignItems: "center", gap: 8 }}>
+            ✍️ <span>Answer Checking</span>
+          </div>
+          <div style={{ fontSize: 13, color: THEME.textSecondary, marginBottom: 16 }}>
+            How strictly typed answers are marked in Type Answer, Cloze, Fill-in and Spelling
+          </div>
+          <div style={{ display: "flex", flexDirection: "column", gap: 8 }}>
+            {[
+              { key: "typoTolerance", label: "Accept small typos", desc: "1 typo for 5-8 letters, 2 for longer words. Counts as Hard." },
+              { key: "ignoreDiacritics", label: "Ignore accents", desc: "\"cafe\" matches \"café\"" },
+              { key: "ignoreArticles", label: "Ignore a / an / the / to", desc: "\"the budget\" matches \"budget\"" },
+            ].map(option => {
+              const isOn = answerChecking[option.key];
+              return (
+                <button
+                  key={option.key}
+                  className="vm-btn"
+                  onClick={() => setStats(prev => ({ ...prev, answerChecking: { ...prev.answerChecking, [option.key]: !isOn } }))}
+                  style={{
+                    width: "100%", padding: 14, borderRadius: 12, textAlign: "left",
+                    background: isOn ? `${THEME.accent}20` : `${THEME.accent}08`,
+                    border: `2px solid ${isOn ? THEME.accent : THEME.accent + "20"}`,
+                    color: THEME.text, display: "flex", alignItems: "center", justifyContent: "space-between", gap: 12,
+                  }}
+                >
+                  <div>
+                    <div style={{ fontSize: 14, fontWeight: 700 }}>{option.label}</div>
+                    <div style={{ fontSize: 12, color: THEME.textSecondary, marginTop: 4 }}>{option.desc}</div>
+                  </div>
+                  <span style={{ fontSize: 12, fontWeight: 700, color: isOn ? THEME.success : THEME.textMuted }}>
+                    {isOn ? "ON" : "OFF"}
+                  </span>
+                </button>
+              );
+            })}
+          </div>
+        </div>
+
+        {/* Keyboard Shortcuts */}
+        <button className="vm-btn vm-card" onClick={() => setScreen("shortcuts")} style={{
+          width: "100%", padding: 20, marginBottom: 16, textAlign: "left", display: "flex", alignItems: "center", gap: 12,
+        }}>
+          <span style={{ fontSize: 16 }}>⌨️</span>
+          <div style={{ flex: 1 }}>
+            <div style={{ fontSize: 16, fontWeight: 700, color: THEME.text }}>Keyboard Shortcuts</div>
+            <div style={{ fontSize: 13, color: THEME.textSecondary, marginTop: 4 }}>
+              {formatShortcutKey(shortcuts.reveal)} reveal · {formatShortcutKey(shortcuts.again)}-{formatShortcutKey(shortcuts.easy)} rate · {formatShortcutKey(shortcuts.help)} show all · remap keys
+            </div>
+          </div>
+          <span style={{ color: THEME.textMuted, fontSize: 18 }}>›</span>
+        </button>
+
+        {/* Scheduler Settings */}
+        <div className="vm-card" style={{ padding: 20, marginBottom: 16 }}>
+          <div style={{ fontSize: 16, fontWeight: 700, marginBottom: 16, display: "flex", alignItems: "center", gap: 8 }}>
+            🧠 <span>Scheduler</span>
+          </div>
+          <div style={{ fontSize: 13, color: THEME.textSecondary, marginBottom: 16 }}>
+            Choose how review intervals are calculated
+          </div>
+
+          <div style={{ display: "flex", flexDirection: "column", gap: 8 }}>
+            {Object.values(SCHEDULERS).map(scheduler => {
+              const isActive = getScheduler(stats.scheduler?.id).id === scheduler.id;
+              return (
+                <button
+                  key={scheduler.id}
+                  className="vm-btn"
+                  onClick={() => setStats(prev => ({ ...prev, scheduler: { ...prev.scheduler, id: scheduler.id } }))}
+                  style={{
+                    padding: 14, borderRadius: 12, textAlign: "left",
+                    background: isActive ? `${THEME.accent}20` : `${THEME.accent}08`,
+                    border: `2px solid ${isActive ? THEME.accent : THEME.accent + "20"}`,
+                    color: THEME.text, transition: "all 0.2s ease"
+                  }}
+                >
+                  <div style={{ fontSize: 14, fontWeight: 700, color: isActive ? THEME.accentLight : THEME.text }}>
+                    {isActive ? "● " : "○ "}{scheduler.name}
+                  </div>
+                  <div style={{ fontSize: 12, color: THEME.textSecondary, marginTop: 4 }}>{scheduler.description}</div>
+                </button>
+              );
+            })}
+          </div>
+
+          {getScheduler(stats.scheduler?.id).id === "fsrs" && (
+            <div style={{ marginTop: 16 }}>
+              <div style={{ fontSize: 13, fontWeight: 700, marginBottom: 4 }}>Target retention</div>
+              <div style={{ fontSize: 12, color: THEME.textSecondary, marginBottom: 10 }}>
+                Higher retention means shorter intervals and more reviews
+              </div>
+              <div style={{ display: "flex", gap: 8 }}>
+                {[0.8, 0.85, 0.9, 0.95].filter(r => r >= MIN_REQUEST_RETENTION && r <= MAX_REQUEST_RETENTION).map(retention => {
+                  const isActive = (stats.scheduler?.requestRetention || DEFAULT_REQUEST_RETENTION) === retention;
+                  return (
+                    <button
+                      key={retention}
+                      className="vm-btn"
+                      onClick={() => setStats(prev => ({ ...prev, scheduler: { ...prev.scheduler, requestRetention: retention } }))}
+                      style={{
+                        flex: 1, padding: 12, borderRadius: 12, fontSize: 14, fontWeight: 700,
+                        background: isActive ? THEME.gradient1 : `${THEME.accent}10`,
+                        color: isActive ? "#fff" : THEME.accent,
+                        border: `2px solid ${isActive ? "transparent" : THEME.accent + "30"}`,
+                      }}
+                    >
+                      {Math.round(retention * 100)}%
+                    </button>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+
+          {/* Personal optimizer */}
+          <div style={{ marginTop: 16, paddingTop: 16, borderTop: `1px solid ${THEME.border}` }}>
+            <div style={{ fontSize: 13, fontWeight: 700, marginBottom: 4 }}>Personal optimizer</div>
+            <div style={{ fontSize: 12, color: THEME.textSecondary, marginBottom: 10 }}>
+              Tunes FSRS to how fast you forget, using the review history stored on this device
+            </div>
+
+            {stats.scheduler?.previous && (
+              <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: 8, padding: 10, marginBottom: 10, borderRadius: 10, background: `${THEME.success}10`, border: `1px solid ${THEME.success}30` }}>
+                <div style={{ fontSize: 12, color: THEME.success }}>
+                  Personal parameters active{stats.scheduler.optimizedAt ? ` since ${new Date(stats.scheduler.optimizedAt).toLocaleDateString()}` : ""}
+                </div>
+                <button className="vm-btn" onClick={revertOptimizedParams} style={{ padding: "6px 12px", borderRadius: 8, fontSize: 12, background: THEME.surface, color: THEME.text, border: `1px solid ${THEME.border}` }}>
+                  Revert
+                </button>
+              </div>
+            )}
+
+            <button className="vm-btn" onClick={runOptimizer} disabled={optimizer.status === "running"} style={{
+              width: "100%", padding: 12, borderRadius: 12, fontSize: 14, fontWeight: 700,
+              background: `${THEME.accent}15`, color: THEME.accent, border: `1.5px solid ${THEME.accent}30`,
+              opacity: optimizer.status === "running" ? 0.6 : 1,
+            }}>
+              {optimizer.status === "running" ? `Optimizing… ${Math.round(optimizer.progress * 100)}%` : "⚙️ Optimize from my history"}
+            </button>
+
+            {optimizer.status === "done" && optimizer.result && !optimizer.result.success && (
+              <div style={{ fontSize: 12, color: THEME.warning, marginTop: 10 }}>{optimizer.result.error}</div>
+            )}
+
+            {optimizer.status === "done" && optimizer.result?.success && (
+              <div style={{ marginTop: 12 }}>
+                <div style={{ fontSize: 12, color: THEME.textSecondary, marginBottom: 8 }}>
+                  Predicted vs actual retention over {optimizer.result.before.count} reviews
+                </div>
+                <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr", gap: 8, marginBottom: 12 }}>
+                  {[
+                    { label: "Actual", value: formatPercent(optimizer.result.before.actualRetention), color: THEME.text },
+                    // Classic is not an FSRS model, so its baseline is FSRS with default weights
+                    { label: (stats.scheduler?.id || "classic") === "classic" ? "FSRS defaults" : "Current", value: formatPercent(optimizer.result.before.predictedRetention), sub: `loss ${optimizer.result.before.logLoss.toFixed(3)}`, color: THEME.textSecondary },
+                    { label: "Optimized", value: formatPercent(optimizer.result.after.predictedRetention), sub: `loss ${optimizer.result.after.logLoss.toFixed(3)}`, color: THEME.success },
+                  ].map(({ label, value, sub, color }) => (
+                    <div key={label} style={{ padding: 10, borderRadius: 10, background: THEME.surface, border: `1px solid ${THEME.border}`, textAlign: "center" }}>
+                      <div style={{ fontSize: 16, fontWeight: 800, color }}>{value}</div>
+                      <div style={{ fontSize: 10, color: THEME.textMuted }}>{label}</div>
+                      {sub && <div style={{ fontSize: 10, color: THEME.textMuted }}>{sub}</div>}
+                    </div>
+                  ))}
+                </div>
+                <button className="vm-btn" onClick={applyOptimizedParams} style={{
+                  width: "100%", padding: 12, borderRadius: 12, fontSize: 14, fontWeight: 700,
+                  background: THEME.gradient1, color: "#fff",
+                }}>
+                  Apply optimized parameters
+                </button>
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* Workload Settings */}
+        <div className="vm-card" style={{ padding: 20, marginBottom: 16 }}>
+          <div style={{ fontSize: 16, fontWeight: 700, marginBottom: 16, display: "flex", alignItems: "center", gap: 8 }}>
+            📅 <span>Workload</span>
+          </div>
+
+          <button
+            className="vm-btn"
+            onClick={() => setStats(prev => ({ ...prev, scheduler: { ...prev.scheduler, loadBalance: !prev.scheduler?.loadBalance } }))}
+            style={{
+              width: "100%", padding: 14, borderRadius: 12, textAlign: "left", marginBottom: 16,
+              background: stats.scheduler?.loadBalance ? `${THEME.accent}20` : `${THEME.accent}08`,
+              border: `2px solid ${stats.scheduler?.loadBalance ? THEME.accent : THEME.accent + "20"}`,
+              color: THEME.text, display: "flex", alignItems: "center", justifyContent: "space-between", gap: 12,
+            }}
+          >
+            <div>
+              <div style={{ fontSize: 14, fontWeight: 700 }}>Load balancing</div>
+              <div style={{ fontSize: 12, color: THEME.textSecondary, marginTop: 4 }}>Shift new intervals by a few days toward quieter days</div>
+            </div>
+            <span style={{ fontSize: 12, fontWeight: 700, color: stats.scheduler?.loadBalance ? THEME.success : THEME.textMuted }}>
+              {stats.scheduler?.loadBalance ? "ON" : "OFF"}
+            </span>
+          </button>
+
+          <div style={{ fontSize: 13, fontWeight: 700, marginBottom: 4 }}>Catch-up mode</div>
+          <div style={{ fontSize: 12, color: THEME.textSecondary, marginBottom: 10 }}>
+            After missed days, spread overdue words over several days (most urgent first)
+          </div>
+          <div style={{ display: "flex", gap: 8 }}>
+            {[0, 3, 5, 7].map(days => {
+              const isActive = (stats.catchUpDays || 0) === days;
+              return (
+                <button
+                  key={days}
+                  className="vm-btn"
+                  onClick={() => setStats(prev => ({ ...prev, catchUpDays: days }))}
+                  style={{
+                    flex: 1, padding: 12, borderRadius: 12, fontSize: 13, fontWeight: 700,
+                    background: isActive ? THEME.gradient1 : `${THEME.accent}10`,
+                    color: isActive ? "#fff" : THEME.accent,
+                    border: `2px solid ${isActive ? "transparent" : THEME.accent + "30"}`,
+                  }}
+                >
+                  {days === 0 ? "Off" : `${days} days`}
+                </button>
+              );
+            })}
+          </div>
+
+          <div style={{ fontSize: 13, fontWeight: 700, margin: "16px 0 4px" }}>Leech threshold</div>
+          <div style={{ fontSize: 12, color: THEME.textSecondary, marginBottom: 10 }}>
+            Suspend a word after this many lapses so you can rewrite it in the leech workbench
+          </div>
+          <div style={{ display: "flex", gap: 8 }}>
+            {[4, 6, 8, 12, 0].map(threshold => {
+              const isActive = (stats.scheduler?.leechThreshold ?? DEFAULT_LEECH_THRESHOLD) === threshold;
+              return (
+                <button
+                  key={threshold}
+                  className="vm-btn"
+                  onClick={() => setStats(prev => ({ ...prev, scheduler: { ...prev.scheduler, leechThreshold: threshold } }))}
+                  style={{
+                    flex: 1, padding: 12, borderRadius: 12, fontSize: 13, fontWeight: 700,
+                    background: isActive ? THEME.gradient1 : `${THEME.accent}10`,
+                    color: isActive ? "#fff" : THEME.accent,
+                    border: `2px solid ${isActive ? "transparent" : THEME.accent + "30"}`,
+                  }}
+                >
+                  {threshold === 0 ? "Off" : threshold}
+                </button>
+              );
+            })}
+          </div>
+        </div>
+
+        {/* Vacation Mode */}
+        <div className="vm-card" style={{ padding: 20, marginBottom: 16 }}>
+          <div style={{ fontSize: 16, fontWeight: 700, marginBottom: 8, display: "flex", alignItems: "center", gap: 8 }}>
+            🏖️ <span>Vacation Mode</span>
+          </div>
+          <div style={{ fontSize: 12, color: THEME.textSecondary, marginBottom: 14 }}>
+            Freeze due dates and your streak while you're away. When you return, reviews are moved back by the length of the vacation.
+          </div>
+
+          {pendingVacation ? (
+            <>
+              <div style={{
+                padding: 14, borderRadius: 12, marginBottom: 12,
+                background: `${THEME.info}12`, border: `1.5px solid ${THEME.info}30`,
+              }}>
+                <div style={{ fontSize: 14, fontWeight: 700 }}>
+                  {isVacationActive(pendingVacation) ? "On vacation" : "Vacation scheduled"}
+                </div>
+                <div style={{ fontSize: 12, color: THEME.textSecondary, marginTop: 4 }}>
+                  {parseDateKey(pendingVacation.start).toLocaleDateString()} – {parseDateKey(pendingVacation.end).toLocaleDateString()} ({getVacationDays(pendingVacation)} days)
+                </div>
+              </div>
+              <button className="vm-btn" onClick={endVacation} style={{
+                width: "100%", padding: 12, borderRadius: 12, fontSize: 13, fontWeight: 700,
+                background: `${THEME.accent}10`, color: THEME.accent, border: `2px solid ${THEME.accent}30`,
+              }}>
+                {isVacationActive(pendingVacation) ? "End vacation now" : "Cancel vacation"}
+              </button>
+            </>
+          ) : (
+            <>
+              <div style={{ display: "flex", gap: 8, marginBottom: 12 }}>
+                {[["start", "From"], ["end", "To"]].map(([key, label]) => (
+                  <label key={key} style={{ flex: 1, fontSize: 12, color: THEME.textSecondary }}>
+                    {label}
+                    <input
+                      type="date"
+                      className="vm-input"
+                      value={vacationDraft[key]}
+                      onChange={e => setVacationDraft(prev => ({ ...prev, [key]: e.target.value }))}
+                      style={{ marginTop: 4 }}
+                    />
+                  </label>
+                ))}
+              </div>
+              <button className="vm-btn" onClick={startVacation} style={{
+                width: "100%", padding: 12, borderRadius: 12, fontSize: 13, fontWeight: 700,
+                background: THEME.gradient1, color: "#fff",
+              }}>
+                Start vacation
+              </button>
+            </>
+          )}
+        </div>
+
         {/* Data Management */}
         <div className="vm-card" style={{ padding: 20, marginBottom: 16 }}>
           <div style={{ fontSize: 16, fontWeight: 700, marginBottom: 16, display: "flex", alignItems: "center", gap: 8 }}>
@@ -5118,6 +7833,11 @@ export default function VocabMasterPro({
     words: WordsScreen,
     profile: ProfileScreen,
     settings: SettingsScreen,
+    leeches: LeechScreen,
+    custom: CustomStudyScreen,
+    shortcuts: ShortcutsScreen,
+    mock: MockTestScreen,
+    quizDetail: QuizDetailScreen,
   };
   const CurrentScreen = screens[screen] || HomeScreen;
 
@@ -5150,6 +7870,8 @@ export default function VocabMasterPro({
       <div style={{ position: "relative", zIndex: 1 }}>
         <CurrentScreen />
       </div>
+
+      <ShortcutsHelp shortcuts={shortcuts} />
       
       {/* Toast */}
       {toast && (
@@ -14,7 +14,11 @@ import {
   subscribeToVietMixArticles,
   migrateLocalStorageToFirestore,
   deleteAllUserData,
-  importTOEICWords
+  importTOEICWords,
+  saveReviewEvents,
+  getReviewLog,
+  saveQuizResult,
+  getQuizHistory
 } from './firebase/firestoreService';
 import VocabMasterPro from './VocabMasterPro';
 import AuthScreen from './firebase/AuthScreen';
@@ -99,6 +103,10 @@ export default function VocabMasterProWithAuth() {
       subscribeToStats: (callback) => subscribeToStats(user.uid, callback),
       deleteAllUserData: () => deleteAllUserData(user.uid),
       importTOEICWords: (toeicWords, lessonIds) => importTOEICWords(user.uid, toeicWords, lessonIds),
+      saveReviewEvents: (events) => saveReviewEvents(user.uid, events),
+      getReviewLog: () => getReviewLog(user.uid),
+      saveQuizResult: (record) => saveQuizResult(user.uid, record),
+      getQuizHistory: () => getQuizHistory(user.uid),
     };
   }, [user?.uid]);
 
@@ -2,6 +2,8 @@
 // Auto-generated from raw_words.txt
 // Organized into 19 Lessons (50 words each)
 
+import { WORD_FAMILIES } from "./wordFamilies";
+
 export const TOEIC_LESSONS = [
   {
     id: "lesson-1",
@@ -1077,6 +1079,7 @@ export const getAllTOEICWords = () => {
   return TOEIC_LESSONS.flatMap(lesson =>
     lesson.words.map(word => ({
       ...word,
+      ...WORD_FAMILIES[word.term],
       id: `toeic_${lesson.id}_${word.term.toLowerCase().replace(/[^a-z0-9]/g, '_')}`,
       lesson: lesson.id,
       lessonTitle: lesson.title,
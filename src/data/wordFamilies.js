@@ -0,0 +1,348 @@
+// TOEIC Word Families - derived forms and collocations of built-in words (TOEIC Part 5)
+// Keyed by term. wordForms lists the other members of the word's family; collocations are
+// sentences built around a collocation, each using one member exactly as written. The
+// word-form quiz blanks that member and offers the rest of the family (and its inflections),
+// so every sentence has to rule them out: "must _____ with" takes comply, not complied.
+
+export const WORD_FAMILIES = {
+  implement: {
+    wordForms: [{ form: "implementation", partOfSpeech: "n" }, { form: "implementable", partOfSpeech: "adj" }],
+    collocations: [
+      "The company plans to implement a new travel policy next month.",
+      "The manager is responsible for the successful implementation of the plan.",
+    ],
+  },
+  comply: {
+    wordForms: [{ form: "compliance", partOfSpeech: "n" }, { form: "compliant", partOfSpeech: "adj" }],
+    collocations: [
+      "All visitors must comply with the safety regulations.",
+      "The factory was closed for failing to operate in compliance with environmental laws.",
+      "Our new packaging is fully compliant with industry standards.",
+    ],
+  },
+  efficiency: {
+    wordForms: [{ form: "efficient", partOfSpeech: "adj" }, { form: "efficiently", partOfSpeech: "adv" }],
+    collocations: [
+      "Energy efficiency is a top priority for the company.",
+      "The new software is more efficient than the old system.",
+      "The team worked efficiently to finish the project ahead of schedule.",
+    ],
+  },
+  coordinate: {
+    wordForms: [{ form: "coordination", partOfSpeech: "n" }, { form: "coordinator", partOfSpeech: "n" }],
+    collocations: [
+      "Ms. Kim will coordinate the delivery schedules for all three warehouses.",
+      "The event was organized in close coordination with the sales team.",
+      "Please contact the event coordinator if you have any questions.",
+    ],
+  },
+  supervise: {
+    wordForms: [{ form: "supervisor", partOfSpeech: "n" }, { form: "supervision", partOfSpeech: "n" }, { form: "supervisory", partOfSpeech: "adj" }],
+    collocations: [
+      "Mr. Lee was asked to supervise the new interns this summer.",
+      "All new staff work under the supervision of a senior manager.",
+      "Please report any safety issues to your immediate supervisor.",
+    ],
+  },
+  postpone: {
+    wordForms: [{ form: "postponement", partOfSpeech: "n" }],
+    collocations: [
+      "The board decided to postpone the meeting until next Monday.",
+      "A two-week postponement of the product launch has been announced.",
+    ],
+  },
+  eligible: {
+    wordForms: [{ form: "eligibility", partOfSpeech: "n" }, { form: "ineligible", partOfSpeech: "adj" }],
+    collocations: [
+      "Customers who return items within 30 days are eligible for a full refund.",
+      "Please check the eligibility requirements before you apply.",
+      "Part-time staff are ineligible for the bonus because they work fewer than 20 hours a week.",
+    ],
+  },
+  proficiency: {
+    wordForms: [{ form: "proficient", partOfSpeech: "adj" }, { form: "proficiently", partOfSpeech: "adv" }],
+    collocations: [
+      "Applicants must demonstrate a high level of proficiency in English.",
+      "Ms. Ortiz is proficient in several accounting programs.",
+      "He handled the difficult negotiations proficiently.",
+    ],
+  },
+  allocate: {
+    wordForms: [{ form: "allocation", partOfSpeech: "n" }],
+    collocations: [
+      "The director will allocate additional funds to the research team.",
+      "Each department's budget allocation is reviewed every year.",
+    ],
+  },
+  notify: {
+    wordForms: [{ form: "notification", partOfSpeech: "n" }],
+    collocations: [
+      "Please notify the front desk if you plan to check out early.",
+      "You will receive a written notification when your order has shipped.",
+    ],
+  },
+  clarify: {
+    wordForms: [{ form: "clarification", partOfSpeech: "n" }],
+    collocations: [
+      "Could you clarify the terms of the agreement before we sign?",
+      "If any instructions are unclear, please ask your manager for clarification.",
+    ],
+  },
+  adequate: {
+    wordForms: [{ form: "adequately", partOfSpeech: "adv" }, { form: "adequacy", partOfSpeech: "n" }],
+    collocations: [
+      "The warehouse does not have adequate space for the new shipment.",
+      "Staff must be adequately trained before using the equipment.",
+    ],
+  },
+  reimburse: {
+    wordForms: [{ form: "reimbursement", partOfSpeech: "n" }],
+    collocations: [
+      "The company will reimburse employees for all approved travel expenses.",
+      "To receive a reimbursement, submit your receipts to the accounting department.",
+    ],
+  },
+  acknowledge: {
+    wordForms: [{ form: "acknowledgment", partOfSpeech: "n" }],
+    collocations: [
+      "Please acknowledge receipt of this email by replying today.",
+      "The award was given in acknowledgment of her twenty years of service.",
+    ],
+  },
+  anticipate: {
+    wordForms: [{ form: "anticipation", partOfSpeech: "n" }, { form: "anticipated", partOfSpeech: "adj" }],
+    collocations: [
+      "We do not anticipate any delays in shipping.",
+      "Extra staff were hired in anticipation of high demand during the holidays.",
+      "The anticipated increase in sales did not happen.",
+    ],
+  },
+  verify: {
+    wordForms: [{ form: "verification", partOfSpeech: "n" }, { form: "verifiable", partOfSpeech: "adj" }],
+    collocations: [
+      "Please verify your shipping address before placing the order.",
+      "All new accounts require identity verification.",
+    ],
+  },
+  retain: {
+    wordForms: [{ form: "retention", partOfSpeech: "n" }],
+    collocations: [
+      "Good benefits help companies retain their best employees.",
+      "The new training program has improved employee retention.",
+    ],
+  },
+  negotiate: {
+    wordForms: [{ form: "negotiation", partOfSpeech: "n" }, { form: "negotiator", partOfSpeech: "n" }, { form: "negotiable", partOfSpeech: "adj" }],
+    collocations: [
+      "We hope to negotiate a lower price with the supplier.",
+      "The contract is still under negotiation.",
+      "The salary for this position is negotiable.",
+      "The company hired an experienced negotiator to handle the merger talks.",
+    ],
+  },
+  evaluate: {
+    wordForms: [{ form: "evaluation", partOfSpeech: "n" }, { form: "evaluator", partOfSpeech: "n" }],
+    collocations: [
+      "The committee will evaluate all proposals carefully.",
+      "Every employee receives an annual performance evaluation.",
+    ],
+  },
+  compensate: {
+    wordForms: [{ form: "compensation", partOfSpeech: "n" }, { form: "compensatory", partOfSpeech: "adj" }],
+    collocations: [
+      "The airline will compensate passengers for the delay.",
+      "Employees are satisfied with their compensation and benefits.",
+    ],
+  },
+  emphasize: {
+    wordForms: [{ form: "emphasis", partOfSpeech: "n" }, { form: "emphatic", partOfSpeech: "adj" }],
+    collocations: [
+      "The manager wants to emphasize the importance of safety.",
+      "Our company places great emphasis on customer service.",
+    ],
+  },
+  exceed: {
+    wordForms: [{ form: "excess", partOfSpeech: "n" }, { form: "excessive", partOfSpeech: "adj" }, { form: "exceedingly", partOfSpeech: "adv" }],
+    collocations: [
+      "Sales this year are expected to exceed last year's total.",
+      "Orders in excess of $500 qualify for free shipping.",
+      "The cost of the repair was excessive, so we bought a new printer.",
+    ],
+  },
+  productive: {
+    wordForms: [{ form: "productivity", partOfSpeech: "n" }, { form: "production", partOfSpeech: "n" }, { form: "productively", partOfSpeech: "adv" }],
+    collocations: [
+      "The meeting was very productive, and we agreed on a plan.",
+      "Production of the new model will begin in March.",
+      "The team used the extra time productively to prepare for the audit.",
+    ],
+  },
+  significant: {
+    wordForms: [{ form: "significantly", partOfSpeech: "adv" }, { form: "significance", partOfSpeech: "n" }],
+    collocations: [
+      "There has been a significant increase in online sales.",
+      "Sales rose significantly in the last quarter.",
+    ],
+  },
+  sustainable: {
+    wordForms: [{ form: "sustain", partOfSpeech: "v" }, { form: "sustainability", partOfSpeech: "n" }, { form: "sustainably", partOfSpeech: "adv" }],
+    collocations: [
+      "The company is committed to sustainable business practices.",
+      "It will be difficult to sustain this level of growth.",
+      "Our new factory was designed with sustainability in mind.",
+    ],
+  },
+  adhere: {
+    wordForms: [{ form: "adherence", partOfSpeech: "n" }],
+    collocations: [
+      "All staff must adhere to the new safety guidelines.",
+      "Strict adherence to the schedule is required.",
+    ],
+  },
+  competitive: {
+    wordForms: [{ form: "compete", partOfSpeech: "v" }, { form: "competition", partOfSpeech: "n" }, { form: "competitor", partOfSpeech: "n" }],
+    collocations: [
+      "Our prices are highly competitive.",
+      "Small shops find it hard to compete with large online retailers.",
+      "The company faces strong competition from overseas firms.",
+      "Our main competitor has just opened a store across the street.",
+    ],
+  },
+  promote: {
+    wordForms: [{ form: "promotion", partOfSpeech: "n" }, { form: "promotional", partOfSpeech: "adj" }],
+    collocations: [
+      "We will promote the new product line on social media.",
+      "She received a promotion to sales manager last month.",
+    ],
+  },
+  manufacture: {
+    wordForms: [{ form: "manufacturer", partOfSpeech: "n" }, { form: "manufacturing", partOfSpeech: "n" }],
+    collocations: [
+      "The factory will manufacture over 10,000 units per month.",
+      "Please contact the manufacturer if the product arrives damaged.",
+      "The company moved its manufacturing operations to Vietnam.",
+    ],
+  },
+  inspect: {
+    wordForms: [{ form: "inspection", partOfSpeech: "n" }, { form: "inspector", partOfSpeech: "n" }],
+    collocations: [
+      "Technicians must inspect the equipment every month.",
+      "The factory passed its annual safety inspection.",
+      "A safety inspector will visit the site on Friday.",
+    ],
+  },
+  recommend: {
+    wordForms: [{ form: "recommendation", partOfSpeech: "n" }],
+    collocations: [
+      "I would highly recommend this supplier to other businesses.",
+      "Applicants should include a letter of recommendation from a former employer.",
+    ],
+  },
+  satisfaction: {
+    wordForms: [{ form: "satisfy", partOfSpeech: "v" }, { form: "satisfied", partOfSpeech: "adj" }, { form: "satisfactory", partOfSpeech: "adj" }],
+    collocations: [
+      "Customer satisfaction is our highest priority.",
+      "Most clients were satisfied with the results of the project.",
+      "The new product must satisfy strict safety standards.",
+      "The quality of the repairs was satisfactory, so we paid the invoice.",
+    ],
+  },
+  qualified: {
+    wordForms: [{ form: "qualify", partOfSpeech: "v" }, { form: "qualification", partOfSpeech: "n" }],
+    collocations: [
+      "She is highly qualified for the position.",
+      "Orders over $50 will qualify for free delivery.",
+      "A degree in accounting is the main qualification for this job.",
+    ],
+  },
+  responsibility: {
+    wordForms: [{ form: "responsible", partOfSpeech: "adj" }, { form: "responsibly", partOfSpeech: "adv" }],
+    collocations: [
+      "The manager takes full responsibility for the error.",
+      "Mr. Chen is responsible for the department's annual budget.",
+      "All employees are expected to use company resources responsibly.",
+    ],
+  },
+  analyze: {
+    wordForms: [{ form: "analysis", partOfSpeech: "n" }, { form: "analyst", partOfSpeech: "n" }, { form: "analytical", partOfSpeech: "adj" }],
+    collocations: [
+      "Our team will analyze the survey results next week.",
+      "The report includes a detailed analysis of sales trends.",
+      "A financial analyst will review the company's accounts.",
+    ],
+  },
+  approve: {
+    wordForms: [{ form: "approval", partOfSpeech: "n" }],
+    collocations: [
+      "The board must approve the budget before work can begin.",
+      "All travel requests require approval from a manager.",
+    ],
+  },
+  confirm: {
+    wordForms: [{ form: "confirmation", partOfSpeech: "n" }],
+    collocations: [
+      "Please call the hotel to confirm your reservation.",
+      "We have not yet received confirmation of your payment.",
+    ],
+  },
+  expand: {
+    wordForms: [{ form: "expansion", partOfSpeech: "n" }, { form: "expansive", partOfSpeech: "adj" }],
+    collocations: [
+      "The company plans to expand into overseas markets.",
+      "A major expansion of the factory will create 200 new jobs.",
+    ],
+  },
+  submit: {
+    wordForms: [{ form: "submission", partOfSpeech: "n" }],
+    collocations: [
+      "Please submit your application before the end of the month.",
+      "Each submission must include a cover letter.",
+    ],
+  },
+  accurate: {
+    wordForms: [{ form: "accurately", partOfSpeech: "adv" }, { form: "accuracy", partOfSpeech: "n" }],
+    collocations: [
+      "Please keep accurate records of all expenses.",
+      "The report accurately describes the state of the market.",
+      "The accuracy of the data is essential.",
+    ],
+  },
+  reliable: {
+    wordForms: [{ form: "rely", partOfSpeech: "v" }, { form: "reliability", partOfSpeech: "n" }, { form: "reliably", partOfSpeech: "adv" }],
+    collocations: [
+      "We need a reliable supplier who can deliver on time.",
+      "Many small businesses have to rely on local suppliers.",
+      "Customers value the reliability of our delivery service.",
+      "The new system has performed reliably since it was installed.",
+    ],
+  },
+  innovative: {
+    wordForms: [{ form: "innovate", partOfSpeech: "v" }, { form: "innovation", partOfSpeech: "n" }],
+    collocations: [
+      "The company is known for its innovative designs.",
+      "Companies must innovate to stay ahead of the competition.",
+      "The firm is a leader in technological innovation.",
+    ],
+  },
+  complaint: {
+    wordForms: [{ form: "complain", partOfSpeech: "v" }],
+    collocations: [
+      "The customer filed a formal complaint about the delay.",
+      "Several guests called to complain about the noise.",
+    ],
+  },
+  collaborate: {
+    wordForms: [{ form: "collaboration", partOfSpeech: "n" }, { form: "collaborative", partOfSpeech: "adj" }],
+    collocations: [
+      "Our designers will collaborate closely with overseas partners.",
+      "The course was developed in collaboration with a local university.",
+    ],
+  },
+  establish: {
+    wordForms: [{ form: "establishment", partOfSpeech: "n" }],
+    collocations: [
+      "The company plans to establish a branch office in Singapore.",
+      "Since the establishment of the company in 1998, sales have grown every year.",
+    ],
+  },
+};
@@ -248,6 +248,93 @@ export const subscribeToVietMixArticles = (userId, callback) => {
   });
 };
 
+// ────────────────────────────────────────────────────────────
+// REVIEW LOG (append-only)
+// ────────────────────────────────────────────────────────────
+
+/**
+ * Append review events (each event is its own document, never updated)
+ */
+export const saveReviewEvents = async (userId, events) => {
+  try {
+    const chunkSize = 500;
+    for (let i = 0; i < events.length; i += chunkSize) {
+      const batch = writeBatch(db);
+      events.slice(i, i + chunkSize).forEach(event => {
+        const eventRef = doc(db, 'users', userId, 'reviewLog', event.id);
+        batch.set(eventRef, {
+          ...event,
+          createdAt: serverTimestamp()
+        });
+      });
+      await batch.commit();
+    }
+    return { success: true };
+  } catch (error) {
+    console.error('Error saving review events:', error);
+    return { success: false, error };
+  }
+};
+
+/**
+ * Get the full review log (one-time read, oldest first)
+ */
+export const getReviewLog = async (userId) => {
+  try {
+    const logRef = collection(db, 'users', userId, 'reviewLog');
+    const snapshot = await getDocs(logRef);
+    const events = snapshot.docs.map(docSnapshot => ({
+      id: docSnapshot.id,
+      ...docSnapshot.data()
+    }));
+    events.sort((a, b) => (a.timestamp || '').localeCompare(b.timestamp || ''));
+    return { success: true, data: events };
+  } catch (error) {
+    console.error('Error getting review log:', error);
+    return { success: false, error, data: [] };
+  }
+};
+
+// ────────────────────────────────────────────────────────────
+// QUIZ HISTORY
+// ────────────────────────────────────────────────────────────
+
+/**
+ * Save a completed quiz (one document per quiz)
+ */
+export const saveQuizResult = async (userId, record) => {
+  try {
+    const recordRef = doc(db, 'users', userId, 'quizHistory', record.id);
+    await setDoc(recordRef, {
+      ...record,
+      createdAt: serverTimestamp()
+    });
+    return { success: true };
+  } catch (error) {
+    console.error('Error saving quiz result:', error);
+    return { success: false, error };
+  }
+};
+
+/**
+ * Get all completed quizzes (one-time read, oldest first)
+ */
+export const getQuizHistory = async (userId) => {
+  try {
+    const historyRef = collection(db, 'users', userId, 'quizHistory');
+    const snapshot = await getDocs(historyRef);
+    const records = snapshot.docs.map(docSnapshot => ({
+      id: docSnapshot.id,
+      ...docSnapshot.data()
+    }));
+    records.sort((a, b) => (a.finishedAt || '').localeCompare(b.finishedAt || ''));
+    return { success: true, data: records };
+  } catch (error) {
+    console.error('Error getting quiz history:', error);
+    return { success: false, error, data: [] };
+  }
+};
+
 // ────────────────────────────────────────────────────────────
 // TOEIC VOCABULARY IMPORT
 // ────────────────────────────────────────────────────────────
@@ -366,10 +453,20 @@ export const deleteAllUserData = async (userId) => {
     const deleteArticlePromises = articlesSnapshot.docs.map(docSnapshot => deleteDoc(docSnapshot.ref));
     await Promise.all(deleteArticlePromises);
 
-    console.log(`✅ Deleted ${snapshot.docs.length} words, stats, and ${articlesSnapshot.docs.length} VietMix articles`);
+    // Delete review log
+    const logRef = collection(db, 'users', userId, 'reviewLog');
+    const logSnapshot = await getDocs(logRef);
+    await Promise.all(logSnapshot.docs.map(docSnapshot => deleteDoc(docSnapshot.ref)));
+
+    // Delete quiz history
+    const quizHistoryRef = collection(db, 'users', userId, 'quizHistory');
+    const quizSnapshot = await getDocs(quizHistoryRef);
+    await Promise.all(quizSnapshot.docs.map(docSnapshot => deleteDoc(docSnapshot.ref)));
+
+    console.log(`✅ Deleted ${snapshot.docs.length} words, stats, ${articlesSnapshot.docs.length} VietMix articles, ${logSnapshot.docs.length} review events, and ${quizSnapshot.docs.length} quizzes`);
     return {
       success: true,
-      deletedCount: snapshot.docs.length + articlesSnapshot.docs.length
+      deletedCount: snapshot.docs.length + articlesSnapshot.docs.length + logSnapshot.docs.length + quizSnapshot.docs.length
     };
   } catch (error) {
     console.error('Error deleting user data:', error);
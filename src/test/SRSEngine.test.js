@@ -3,6 +3,7 @@ import { describe, it, expect } from 'vitest';
 // Mock SRS Engine matching the actual implementation
 const SRSEngine = {
   INTERVALS: [1, 3, 7, 14, 30, 60],
+  MAINTENANCE_INTERVALS: [120, 240, 365],
 
   processReview(word, quality) {
     let { easeFactor = 2.5, interval = 0, repetitions = 0 } = word.srs || {};
@@ -12,8 +13,9 @@ const SRSEngine = {
       if (repetitions < SRSEngine.INTERVALS.length) {
         interval = SRSEngine.INTERVALS[repetitions];
       } else {
-        // After all intervals, word is mastered
-        interval = 60;
+        // After all intervals, word is mastered - maintenance reviews
+        const step = Math.min(repetitions - SRSEngine.INTERVALS.length, SRSEngine.MAINTENANCE_INTERVALS.length - 1);
+        interval = SRSEngine.MAINTENANCE_INTERVALS[step];
       }
       repetitions++;
     } else {
@@ -47,8 +49,8 @@ const SRSEngine = {
   },
 
   isDueForReview(word) {
-    // Mastered words don't need review
-    if (word.srs?.mastered) return false;
+    // Mastered words come back for maintenance reviews
+    if (word.srs?.suspended) return false;
     if (!word.srs?.nextReview) return true;
     return new Date(word.srs.nextReview) <= new Date();
   },
@@ -104,9 +106,16 @@ describe('SRS Engine', () => {
       expect(word.srs.interval).toBe(60);
       expect(word.srs.mastered).toBe(true);
 
-      // After mastery: stays at 60 days
+      // After mastery: maintenance reviews at growing intervals
       word.srs = SRSEngine.processReview(word, 4);
-      expect(word.srs.interval).toBe(60);
+      expect(word.srs.interval).toBe(120);
+      word.srs = SRSEngine.processReview(word, 4);
+      expect(word.srs.interval).toBe(240);
+      word.srs = SRSEngine.processReview(word, 4);
+      expect(word.srs.interval).toBe(365);
+      word.srs = SRSEngine.processReview(word, 4);
+      expect(word.srs.interval).toBe(365);
+      expect(word.srs.mastered).toBe(true);
     });
   });
 
@@ -141,8 +150,18 @@ describe('SRS Engine', () => {
       expect(SRSEngine.isDueForReview(word)).toBe(false);
     });
 
-    it('should return false for mastered words', () => {
+    it('should never return suspended words', () => {
+      const word = { id: '1', term: 'test', srs: { suspended: true, nextReview: new Date(0).toISOString() } };
+      expect(SRSEngine.isDueForReview(word)).toBe(false);
+    });
+
+    it('should bring mastered words back for maintenance', () => {
       const word = { id: '1', term: 'test', srs: { mastered: true, nextReview: new Date().toISOString() } };
+      expect(SRSEngine.isDueForReview(word)).toBe(true);
+
+      const tomorrow = new Date();
+      tomorrow.setDate(tomorrow.getDate() + 1);
+      word.srs.nextReview = tomorrow.toISOString();
       expect(SRSEngine.isDueForReview(word)).toBe(false);
     });
   });
@@ -170,5 +189,15 @@ describe('SRS Engine', () => {
       expect(word.srs.interval).toBe(1);
       expect(word.srs.mastered).toBe(false);
     });
+
+    it('should send a failed maintenance review back to relearning', () => {
+      let word = { id: '1', term: 'test', srs: { repetitions: 7, interval: 120, mastered: true } };
+
+      word.srs = SRSEngine.processReview(word, 1);
+
+      expect(word.srs.repetitions).toBe(0);
+      expect(word.srs.interval).toBe(1);
+      expect(word.srs.mastered).toBe(false);
+    });
   });
 });
@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getDateKey,
+  recordActivity,
+  getActivityRange,
+  summarizeActivity,
+  getHeatmapLevel,
+  getHeatmapWeeks,
+} from '../utils/activityHistory';
+
+describe('Activity History', () => {
+  const today = new Date(2024, 2, 15, 14, 30); // Fri 15 Mar 2024, local time
+
+  it('should key days by local calendar date', () => {
+    expect(getDateKey(new Date(2024, 0, 5, 23, 59))).toBe('2024-01-05');
+  });
+
+  it('should accumulate sessions on the same day', () => {
+    let history = recordActivity(undefined, { reviews: 10, correct: 8, xp: 120 }, today);
+    history = recordActivity(history, { reviews: 5, correct: 2, xp: 40 }, today);
+
+    expect(history['2024-03-15']).toEqual({ reviews: 15, correct: 10, xp: 160 });
+  });
+
+  it('should fill missing days with zeros, oldest first', () => {
+    const history = { '2024-03-15': { reviews: 4, correct: 3, xp: 50 }, '2024-03-10': { reviews: 2, correct: 2, xp: 30 } };
+    const range = getActivityRange(history, 7, today);
+
+    expect(range).toHaveLength(7);
+    expect(range[0].date).toBe('2024-03-09');
+    expect(range[6]).toMatchObject({ date: '2024-03-15', day: 'Fri', reviews: 4, accuracy: 75 });
+    expect(range[1]).toMatchObject({ date: '2024-03-10', reviews: 2, accuracy: 100 });
+    expect(range[2].accuracy).toBeNull();
+
+    expect(summarizeActivity(range)).toEqual({ reviews: 6, correct: 5, xp: 80, activeDays: 2, accuracy: 83 });
+  });
+
+  it('should bucket review counts into heatmap levels', () => {
+    expect([0, 1, 10, 25, 50].map(getHeatmapLevel)).toEqual([0, 1, 2, 3, 4]);
+  });
+
+  it('should build week columns ending today', () => {
+    const weeks = getHeatmapWeeks({ '2024-03-15': { reviews: 30, correct: 30, xp: 0 } }, today);
+    const lastWeek = weeks[weeks.length - 1];
+
+    expect(weeks).toHaveLength(53);
+    expect(weeks[0][0].date).toBe('2023-03-12'); // a Sunday
+    expect(lastWeek[5]).toMatchObject({ date: '2024-03-15', reviews: 30, level: 3 });
+    expect(lastWeek[6]).toBeNull();
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeAnswer,
+  editDistance,
+  diffAnswer,
+  gradeAnswer,
+} from '../utils/answerGrading';
+
+describe('Answer Grading', () => {
+  it('should normalize case, hyphens, diacritics and leading articles', () => {
+    expect(normalizeAnswer('  The Carry-Out! ')).toBe('carry out');
+    expect(normalizeAnswer('Café')).toBe('cafe');
+    expect(normalizeAnswer('to comply with')).toBe('comply with');
+    expect(normalizeAnswer('The budget', { ignoreArticles: false })).toBe('the budget');
+  });
+
+  it('should measure edit distance', () => {
+    expect(editDistance('postpone', 'postpone')).toBe(0);
+    expect(editDistance('postpne', 'postpone')).toBe(1);
+    expect(editDistance('recieve', 'receive')).toBe(1);
+    expect(editDistance('', 'abc')).toBe(3);
+  });
+
+  it('should accept typos on longer words as partial credit', () => {
+    const typo = gradeAnswer('recieve', ['receive']);
+    expect(typo).toMatchObject({ correct: true, exact: false, verdict: 'typo', quality: 3 });
+    expect(gradeAnswer('recieve', ['receive'], { typoTolerance: false }).correct).toBe(false);
+    // Short words must be spelled exactly
+    expect(gradeAnswer('fee', ['fix']).correct).toBe(false);
+    expect(gradeAnswer('Receive', ['receive'])).toMatchObject({ exact: true, quality: 5, diff: [] });
+  });
+
+  it('should accept any listed answer and synonyms', () => {
+    expect(gradeAnswer('implemented', ['implement', 'implemented']).exact).toBe(true);
+    const synonym = gradeAnswer('delay', ['postpone'], { synonyms: ['delay', 'put off'] });
+    expect(synonym).toMatchObject({ correct: true, verdict: 'synonym', expected: 'postpone', quality: 3 });
+  });
+
+  it('should grade empty and wrong answers with low quality', () => {
+    expect(gradeAnswer('  ', ['budget'])).toMatchObject({ correct: false, quality: 1 });
+    expect(gradeAnswer('revenue', ['budget'])).toMatchObject({ correct: false, verdict: 'wrong', quality: 1 });
+  });
+
+  it('should diff the typed answer letter by letter', () => {
+    expect(diffAnswer('recieve', 'receive').map((d) => d.status)).toEqual(
+      ['match', 'match', 'match', 'wrong', 'wrong', 'match', 'match']
+    );
+    expect(diffAnswer('bugt', 'budget').filter((d) => d.status === 'missing').map((d) => d.char).join('')).toBe('de');
+  });
+});
@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import { pickAutoMode, summarizeByExercise } from '../utils/autoMode';
+
+const card = (repetitions = 0) => ({ id: 'a', term: 'budget', srs: { repetitions } });
+
+describe('Auto Mode', () => {
+  it('should pick the exercise from the mastery level', () => {
+    expect(pickAutoMode(card(), { masteryLevel: 0 })).toBe('flashcard');
+    expect(pickAutoMode(card(0), { masteryLevel: 1 })).toBe('recall');
+    expect(pickAutoMode(card(1), { masteryLevel: 1 })).toBe('listen');
+    expect(pickAutoMode(card(), { masteryLevel: 2 })).toBe('type');
+    expect(pickAutoMode(card(0), { masteryLevel: 3 })).toBe('cloze');
+    expect(pickAutoMode(card(1), { masteryLevel: 3 })).toBe('dictation');
+  });
+
+  it('should step weak words back one stage', () => {
+    expect(pickAutoMode(card(), { masteryLevel: 3, failureRate: 0.5 })).toBe('type');
+    expect(pickAutoMode(card(), { masteryLevel: 2, failureRate: 0.4 })).toBe('recall');
+    expect(pickAutoMode(card(), { masteryLevel: 2, failureRate: 0.2 })).toBe('type');
+  });
+
+  it('should skip exercises the card cannot do', () => {
+    const noSentences = (mode) => mode !== 'cloze' && mode !== 'dictation';
+    expect(pickAutoMode(card(), { masteryLevel: 4, supports: noSentences })).toBe('type');
+    expect(pickAutoMode(card(), { masteryLevel: 4, supports: (mode) => mode !== 'dictation' })).toBe('cloze');
+  });
+
+  it('should type production cards', () => {
+    expect(pickAutoMode(card(), { masteryLevel: 0, isProduction: true })).toBe('type');
+    expect(pickAutoMode(card(), { masteryLevel: 3, isProduction: true })).toBe('cloze');
+    expect(pickAutoMode(card(), { masteryLevel: 3, isProduction: true, supports: () => false })).toBe('type');
+  });
+
+  it('should keep recognition cards to recognition exercises when production cards are on', () => {
+    const context = { productionCards: true };
+    const picked = [0, 1, 2, 3, 4].flatMap((masteryLevel) => [0, 1].map((repetitions) => pickAutoMode(card(repetitions), { ...context, masteryLevel })));
+
+    picked.forEach((mode) => expect(['flashcard', 'recall', 'listen']).toContain(mode));
+    expect(pickAutoMode(card(), { ...context, masteryLevel: 3 })).toBe('recall');
+    expect(pickAutoMode(card(), { ...context, masteryLevel: 3, supports: (mode) => mode !== 'recall' })).toBe('listen');
+    expect(pickAutoMode(card(), { ...context, masteryLevel: 3, isProduction: true })).toBe('cloze');
+  });
+
+  it('should total results per exercise', () => {
+    const history = [
+      { mode: 'flashcard', isGood: true },
+      { mode: 'type', isGood: false },
+      { mode: 'flashcard', isGood: false },
+      { mode: 'type', isGood: true },
+    ];
+    expect(summarizeByExercise(history)).toEqual([
+      { mode: 'flashcard', correct: 1, total: 2 },
+      { mode: 'type', correct: 1, total: 2 },
+    ]);
+  });
+});
@@ -0,0 +1,44 @@
+import { describe, it, expect } from 'vitest';
+import {
+  PRODUCTION,
+  getCardView,
+  getCardWordId,
+  expandCards,
+  applyCards,
+  mergeCards,
+} from '../utils/cardDirections';
+
+const learned = { id: 'w1', term: 'deadline', srs: { lastReview: '2024-05-01T09:00:00.000Z', learningStep: null, interval: 3 }, srsProduction: { interval: 1 } };
+const fresh = { id: 'w2', term: 'budget', srs: {} };
+
+describe('Card Directions', () => {
+  it('should view a word through its production SRS state', () => {
+    const card = getCardView(learned, PRODUCTION);
+
+    expect(card).toMatchObject({ id: 'w1:production', wordId: 'w1', direction: 'production', term: 'deadline', srs: { interval: 1 } });
+    expect(getCardWordId(card)).toBe('w1');
+    expect(getCardView(learned)).toBe(learned);
+  });
+
+  it('should add production cards only when enabled and recognition has graduated', () => {
+    expect(expandCards([learned, fresh], false)).toEqual([learned, fresh]);
+    expect(expandCards([learned, fresh], true).map(c => c.id)).toEqual(['w1', 'w1:production', 'w2']);
+  });
+
+  it('should merge both directions back into the stored word', () => {
+    const recognition = { ...learned, srs: { ...learned.srs, interval: 7 } };
+    const production = { ...getCardView(learned, PRODUCTION), srs: { interval: 3 } };
+    const merged = applyCards([learned, fresh], [recognition, production]);
+
+    expect(merged[0].srs.interval).toBe(7);
+    expect(merged[0].srsProduction).toEqual({ interval: 3 });
+    expect(merged[0].id).toBe('w1');
+    expect(merged[0].direction).toBeUndefined();
+    expect(merged[1]).toBe(fresh);
+  });
+
+  it('should only return the touched words for saving', () => {
+    const production = { ...getCardView(learned, PRODUCTION), srs: { interval: 3 } };
+    expect(mergeCards([learned, fresh], [production]).map(w => w.id)).toEqual(['w1']);
+  });
+});
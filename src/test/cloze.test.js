@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest';
+import {
+  splitExample,
+  getInflections,
+  findClozeTarget,
+  buildCloze,
+} from '../utils/cloze';
+
+describe('Cloze Deletion', () => {
+  it('should split the Vietnamese translation off an example', () => {
+    expect(splitExample('The deadline for the report is Friday (Hạn chót nộp báo cáo là thứ Sáu)')).toEqual({
+      sentence: 'The deadline for the report is Friday',
+      translation: 'Hạn chót nộp báo cáo là thứ Sáu',
+    });
+    expect(splitExample('No translation here')).toEqual({ sentence: 'No translation here', translation: '' });
+  });
+
+  it('should generate regular inflections', () => {
+    expect(getInflections('postpone')).toEqual(expect.arrayContaining(['postpones', 'postponed', 'postponing']));
+    expect(getInflections('apply')).toEqual(expect.arrayContaining(['applies', 'applied', 'applying']));
+    expect(getInflections('plan')).toEqual(expect.arrayContaining(['planned', 'planning']));
+    expect(getInflections('submit')).toEqual(expect.arrayContaining(['submitted', 'submitting']));
+  });
+
+  it('should only double the last letter of stressed endings', () => {
+    expect(getInflections('open')).toEqual(['open', 'opens', 'opened', 'opening']);
+    expect(getInflections('offer')).toEqual(['offer', 'offers', 'offered', 'offering']);
+    expect(getInflections('visit')).toEqual(['visit', 'visits', 'visited', 'visiting']);
+  });
+
+  it('should blank inflected forms and phrases but not longer words', () => {
+    expect(findClozeTarget('The meeting was postponed until next week', 'postpone')).toEqual({
+      before: 'The meeting was ', answer: 'postponed', after: ' until next week',
+    });
+    expect(findClozeTarget('She complied with the rules', 'comply with').answer).toBe('complied with');
+    expect(findClozeTarget('Deadlines matter', 'deadline').answer).toBe('Deadlines');
+    expect(findClozeTarget('He is an implementer', 'implement')).toBeNull();
+  });
+
+  it('should build a cloze from the first matching example', () => {
+    const word = {
+      term: 'implement',
+      examples: ['Nothing to see here (Không có gì)', 'The policy was implemented last year (Chính sách được triển khai năm ngoái)'],
+    };
+    expect(buildCloze(word)).toEqual({
+      before: 'The policy was ', answer: 'implemented', after: ' last year',
+      translation: 'Chính sách được triển khai năm ngoái',
+    });
+    expect(buildCloze({ term: 'x', examples: [] })).toBeNull();
+  });
+});
@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createCramProgress,
+  recordCramAnswer,
+  isCramCardDone,
+  requeueForCram,
+  summarizeCram,
+} from '../utils/cram';
+
+describe('Cram', () => {
+  it('should count correct and wrong answers per card', () => {
+    let progress = createCramProgress(2);
+    progress = recordCramAnswer(progress, 'a', false);
+    progress = recordCramAnswer(progress, 'a', true);
+    progress = recordCramAnswer(progress, 'b', true);
+
+    expect(progress.attempts).toBe(3);
+    expect(progress.correct).toEqual({ a: 1, b: 1 });
+    expect(progress.wrong).toEqual({ a: 1 });
+  });
+
+  it('should finish a card only after the target number of correct answers', () => {
+    let progress = createCramProgress(2);
+    progress = recordCramAnswer(progress, 'a', true);
+    expect(isCramCardDone(progress, 'a')).toBe(false);
+    progress = recordCramAnswer(progress, 'a', false);
+    expect(isCramCardDone(progress, 'a')).toBe(false);
+    progress = recordCramAnswer(progress, 'a', true);
+    expect(isCramCardDone(progress, 'a')).toBe(true);
+  });
+
+  it('should requeue a card a few places ahead, or at the end', () => {
+    const queue = ['a', 'b', 'c', 'd', 'e', 'f'];
+    expect(requeueForCram(queue, 0, 'a')).toEqual(['a', 'b', 'c', 'd', 'a', 'e', 'f']);
+    expect(requeueForCram(queue, 4, 'e')).toEqual(['a', 'b', 'c', 'd', 'e', 'f', 'e']);
+    expect(requeueForCram(queue, 1, 'b', 1)).toEqual(['a', 'b', 'c', 'b', 'd', 'e', 'f']);
+  });
+
+  it('should summarize accuracy and the most missed cards', () => {
+    const cards = [{ id: 'a', term: 'budget' }, { id: 'b', term: 'agenda' }, { id: 'c', term: 'comply' }];
+    let progress = createCramProgress(1);
+    [['a', false], ['a', false], ['a', true], ['b', false], ['b', true], ['c', true]].forEach(([id, correct]) => {
+      progress = recordCramAnswer(progress, id, correct);
+    });
+    const summary = summarizeCram(progress, cards);
+
+    expect(summary).toMatchObject({ cards: 3, attempts: 6, accuracy: 50, firstTry: 1 });
+    expect(summary.toughest.map(({ card, misses }) => [card.term, misses])).toEqual([['budget', 2], ['agenda', 1]]);
+    expect(summarizeCram(createCramProgress(), []).accuracy).toBe(0);
+  });
+});
@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_CUSTOM_STUDY,
+  getAddedAt,
+  getFailedTodayIds,
+  getCustomStudyOptions,
+  matchesCustomStudy,
+  buildCustomStudyQueue,
+} from '../utils/customStudy';
+
+const now = new Date('2024-03-10T12:00:00');
+const cards = [
+  { id: 'a', term: 'budget', lesson: 'lesson-1', category: 'toeic', partOfSpeech: 'n', tags: ['money'], srs: { totalReviews: 4, wrongReviews: 2, lastReview: '2024-03-09T12:00:00' } },
+  { id: 'w_1709900000000', term: 'agenda', lesson: 'lesson-1', category: 'custom', partOfSpeech: 'n', srs: {} },
+  { id: 'c', term: 'comply', lesson: 'lesson-2', category: 'toeic', partOfSpeech: 'v', srs: { totalReviews: 10, wrongReviews: 1, lastReview: '2024-01-01T12:00:00' } },
+  { id: 'd', term: 'defer', lesson: 'lesson-2', category: 'toeic', partOfSpeech: 'v', srs: { suspended: true } },
+];
+const filters = (patch) => ({ ...DEFAULT_CUSTOM_STUDY, ...patch });
+const ids = (list) => list.map((card) => card.id);
+
+describe('Custom Study', () => {
+  it('should read the added date from addedAt or the word id', () => {
+    expect(getAddedAt({ addedAt: '2024-03-01T00:00:00.000Z' }).toISOString()).toBe('2024-03-01T00:00:00.000Z');
+    expect(getAddedAt({ id: 'imp_1709900000000_3' }).getTime()).toBe(1709900000000);
+    expect(getAddedAt({ id: 'toeic_lesson-1_budget' })).toBeNull();
+  });
+
+  it('should collect failed-today ids and filter options', () => {
+    const log = [
+      { wordId: 'a', quality: 1, timestamp: '2024-03-10T08:00:00' },
+      { wordId: 'c', quality: 4, timestamp: '2024-03-10T08:00:00' },
+      { wordId: 'c', quality: 1, timestamp: '2024-03-09T08:00:00' },
+    ];
+    expect([...getFailedTodayIds(log, now)]).toEqual(['a']);
+    expect(getCustomStudyOptions(cards)).toEqual({ categories: ['custom', 'toeic'], partsOfSpeech: ['n', 'v'], tags: ['money'] });
+  });
+
+  it('should combine filters', () => {
+    const context = { now, getMasteryLevel: (card) => (card.srs.totalReviews || 0) >= 10 ? 4 : 0, failedTodayIds: new Set(['a']) };
+    const match = (patch) => ids(cards.filter((card) => matchesCustomStudy(card, filters(patch), context)));
+
+    expect(match({ lessons: ['lesson-1'], partsOfSpeech: ['n'] })).toEqual(['a', 'w_1709900000000']);
+    expect(match({ mastery: [4] })).toEqual(['c']);
+    expect(match({ tags: ['money'] })).toEqual(['a']);
+    expect(match({ minFailureRate: 0.5 })).toEqual(['a']);
+    expect(match({ addedWithinDays: 7 })).toEqual(['w_1709900000000']);
+    expect(match({ reviewedWithinDays: 1 })).toEqual(['a']);
+    expect(match({ notReviewedForDays: 30 })).toEqual(['w_1709900000000', 'c', 'd']);
+    expect(match({ failedToday: true })).toEqual(['a']);
+  });
+
+  it('should order, limit and skip suspended cards', () => {
+    expect(ids(buildCustomStudyQueue(cards, filters({ order: 'alphabetical' })))).toEqual(['w_1709900000000', 'a', 'c']);
+    const byReviews = { getPriority: (card) => card.srs.totalReviews || 0 };
+    expect(ids(buildCustomStudyQueue(cards, filters({ order: 'priority', limit: 2 }), byReviews))).toEqual(['c', 'a']);
+    expect(buildCustomStudyQueue(cards, filters({ order: 'random', limit: null }))).toHaveLength(3);
+  });
+});
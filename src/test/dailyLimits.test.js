@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getCardKind,
+  getTodayCounts,
+  recordStudiedCards,
+  getRemainingAllowance,
+  applyDailyLimits,
+} from '../utils/dailyLimits';
+
+const now = new Date(2024, 4, 10, 9, 0);
+const yesterday = new Date(2024, 4, 9, 20, 0);
+
+const newWord = (id) => ({ id, srs: {} });
+const reviewWord = (id) => ({ id, srs: { lastReview: yesterday.toISOString(), learningStep: null, repetitions: 2 } });
+const learningWord = (id) => ({ id, srs: { lastReview: now.toISOString(), learningStep: 1 } });
+
+describe('Daily Limits', () => {
+  it('should classify words by where they are in learning', () => {
+    expect(getCardKind(newWord('a'))).toBe('new');
+    expect(getCardKind({ id: 'a' })).toBe('new');
+    expect(getCardKind(learningWord('b'))).toBe('learning');
+    expect(getCardKind(reviewWord('c'))).toBe('review');
+  });
+
+  it('should reset counts on a new day', () => {
+    const counts = { date: yesterday.toDateString(), newCards: 12, reviews: 80 };
+    expect(getTodayCounts(counts, now)).toEqual({ date: now.toDateString(), newCards: 0, reviews: 0 });
+  });
+
+  it('should count new words and reviews but not learning repeats', () => {
+    const counts = recordStudiedCards(undefined, ['new', 'new', 'learning', 'review'], now);
+    expect(counts).toEqual({ date: now.toDateString(), newCards: 2, reviews: 1 });
+
+    const more = recordStudiedCards(counts, ['review'], now);
+    expect(more.reviews).toBe(2);
+  });
+
+  it('should report what is left of the limits', () => {
+    const stats = { newCardsPerDay: 10, reviewsPerDay: 50, todayCounts: { date: now.toDateString(), newCards: 12, reviews: 20 } };
+    expect(getRemainingAllowance(stats, now)).toEqual({ newLimit: 10, reviewLimit: 50, newCards: 0, reviews: 30 });
+    expect(getRemainingAllowance({}, now)).toMatchObject({ newCards: 20, reviews: 200 });
+  });
+
+  it('should trim an ordered list to the allowance', () => {
+    const words = [reviewWord('r1'), newWord('n1'), learningWord('l1'), reviewWord('r2'), newWord('n2'), newWord('n3')];
+    const limited = applyDailyLimits(words, { newCards: 2, reviews: 1 });
+
+    expect(limited.map(w => w.id)).toEqual(['r1', 'n1', 'l1', 'n2']);
+    expect(applyDailyLimits(words, null)).toBe(words);
+  });
+});
@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import {
+  tokenizeSentence,
+  getDictationSentence,
+  alignWords,
+  scoreDictation,
+} from '../utils/dictation';
+
+const word = {
+  term: 'postpone',
+  examples: [
+    'They postponed the meeting until Friday. (Họ hoãn cuộc họp đến thứ Sáu)',
+    'Please do not postpone the payment. (Vui lòng không trì hoãn thanh toán)',
+  ],
+  srs: {},
+};
+
+describe('Dictation', () => {
+  it('should tokenize without punctuation and split hyphens', () => {
+    expect(tokenizeSentence('A follow-up, please!').map((t) => t.key)).toEqual(['a', 'follow', 'up', 'please']);
+  });
+
+  it('should pick an example containing the word, rotating with reviews', () => {
+    expect(getDictationSentence(word)).toEqual({
+      sentence: 'They postponed the meeting until Friday.',
+      translation: 'Họ hoãn cuộc họp đến thứ Sáu',
+      targetStart: 1,
+      targetLength: 1,
+    });
+    expect(getDictationSentence({ ...word, srs: { repetitions: 1 } }).sentence).toBe('Please do not postpone the payment.');
+    expect(getDictationSentence({ term: 'budget', examples: ['No match here'] })).toBeNull();
+  });
+
+  it('should align typed words against the sentence', () => {
+    const statuses = alignWords(tokenizeSentence('they postpone meeting untill friday now'), tokenizeSentence('They postponed the meeting until Friday.'))
+      .map((entry) => entry.status);
+    expect(statuses).toEqual(['match', 'typo', 'missing', 'match', 'typo', 'match', 'extra']);
+  });
+
+  it('should rate Good only when the target and most of the sentence are right', () => {
+    const dictation = getDictationSentence(word);
+    expect(scoreDictation('They postponed the meeting until Friday', dictation)).toMatchObject({
+      correctWords: 6, totalWords: 6, accuracy: 1, targetExact: true, rating: 'good',
+    });
+    expect(scoreDictation('They postponned the meeting until Friday', dictation)).toMatchObject({ targetCaptured: true, targetExact: false, rating: 'hard' });
+    expect(scoreDictation('postponed', dictation).rating).toBe('hard');
+  });
+
+  it('should rate Again when the target word was missed', () => {
+    const dictation = getDictationSentence(word);
+    expect(scoreDictation('They posted the meeting until Friday', dictation)).toMatchObject({ targetCaptured: false, rating: 'again' });
+    expect(scoreDictation('', dictation)).toMatchObject({ correctWords: 0, accuracy: 0, rating: 'again' });
+  });
+});
@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import { getConfusions, getSpellingSimilarity, scoreDistractor, pickDistractors } from '../utils/distractors';
+
+const words = [
+  { id: 'budget', term: 'budget', definition: 'money plan', partOfSpeech: 'noun', lesson: 'lesson-1', category: 'toeic' },
+  { id: 'agenda', term: 'agenda', definition: 'list of topics', partOfSpeech: 'noun', lesson: 'lesson-1', category: 'toeic' },
+  { id: 'invoice', term: 'invoice', definition: 'bill', partOfSpeech: 'noun', lesson: 'lesson-2', category: 'toeic' },
+  { id: 'comply', term: 'comply', definition: 'follow rules', partOfSpeech: 'verb', lesson: 'lesson-1', category: 'toeic' },
+  { id: 'budge', term: 'budge', definition: 'move slightly', partOfSpeech: 'verb', lesson: 'lesson-3', category: 'custom' },
+  { id: 'allocate', term: 'allocate', definition: 'money plan', partOfSpeech: 'verb', lesson: 'lesson-4', category: 'toeic' },
+];
+const noJitter = () => 0;
+
+describe('Distractors', () => {
+  it('should collect confusions in both directions, per word', () => {
+    const confusions = getConfusions([
+      { wordId: 'budget', confusedWith: 'budge' },
+      { wordId: 'agenda:production', confusedWith: 'invoice' },
+      { wordId: 'comply' },
+    ]);
+    expect([...confusions.get('budget')]).toEqual(['budge']);
+    expect([...confusions.get('budge')]).toEqual(['budget']);
+    expect([...confusions.get('invoice')]).toEqual(['agenda']);
+    expect(confusions.has('comply')).toBe(false);
+  });
+
+  it('should score look-alikes, synonyms and shared part of speech/lesson', () => {
+    expect(getSpellingSimilarity('affect', 'effect')).toBeGreaterThan(0.8);
+    expect(getSpellingSimilarity('budget', 'procurement')).toBe(0);
+    const target = { ...words[0], synonyms: ['allocation'] };
+    expect(scoreDistractor(target, words[1])).toBe(5);
+    expect(scoreDistractor(target, words[3])).toBe(2);
+    expect(scoreDistractor(target, { id: 'x', term: 'allocation' })).toBe(2.5);
+    expect(scoreDistractor(target, words[3], { confusedIds: new Set(['comply']) })).toBe(7);
+  });
+
+  it('should prefer same part of speech and lesson, then fill from the rest', () => {
+    const picked = pickDistractors(words[0], words, { random: noJitter });
+    expect(picked.map((w) => w.id)).toEqual(['agenda', 'invoice', 'budge']);
+  });
+
+  it('should rank past confusions first', () => {
+    const confusions = getConfusions([{ wordId: 'budget', confusedWith: 'comply' }]);
+    const picked = pickDistractors(words[0], words, { count: 1, confusions, random: noJitter });
+    expect(picked.map((w) => w.id)).toEqual(['comply']);
+  });
+
+  it('should never offer a second right answer', () => {
+    const picked = pickDistractors(words[0], [...words, { id: 'dup', term: 'Budget', definition: 'x' }], { field: 'definition', count: 10, random: noJitter });
+    expect(picked.map((w) => w.id)).not.toContain('allocate');
+    expect(picked.map((w) => w.id)).not.toContain('dup');
+    expect(picked).toHaveLength(4);
+  });
+});
@@ -88,6 +88,34 @@ describe('Firestore Service', () => {
     });
   });
 
+  describe('quiz history', () => {
+    it('should save each quiz as its own document', async () => {
+      mockSetDoc.mockResolvedValue();
+
+      const { saveQuizResult } = await import('../firebase/firestoreService');
+      const result = await saveQuizResult('user123', { id: 'quiz_1', type: 'mc', correct: 4, total: 5 });
+
+      expect(result.success).toBe(true);
+      expect(mockSetDoc.mock.calls[0][0]._path).toEqual(['users', 'user123', 'quizHistory', 'quiz_1']);
+      expect(mockSetDoc.mock.calls[0][1].type).toBe('mc');
+    });
+
+    it('should return quizzes oldest first', async () => {
+      mockGetDocs.mockResolvedValue({
+        docs: [
+          { id: 'quiz_2', data: () => ({ finishedAt: '2026-03-02T10:00:00.000Z' }) },
+          { id: 'quiz_1', data: () => ({ finishedAt: '2026-03-01T10:00:00.000Z' }) },
+        ],
+      });
+
+      const { getQuizHistory } = await import('../firebase/firestoreService');
+      const result = await getQuizHistory('user123');
+
+      expect(result.success).toBe(true);
+      expect(result.data.map((record) => record.id)).toEqual(['quiz_1', 'quiz_2']);
+    });
+  });
+
   describe('subscribeToWords', () => {
     it('should setup realtime listener', async () => {
       const callback = vi.fn();
@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getDaysUntilDue,
+  getDueForecast,
+  buildDueLoad,
+  balanceInterval,
+  rationOverdueWords,
+  recordCatchUpReviews,
+} from '../utils/forecast';
+
+const now = new Date(2024, 4, 10, 9, 0); // 10 May 2024, local time
+const inDays = (days, hour = 12) => new Date(2024, 4, 10 + days, hour).toISOString();
+const word = (id, days) => ({ id, srs: days === null ? {} : { nextReview: inDays(days) } });
+
+describe('Review Forecast', () => {
+  it('should count whole calendar days until due', () => {
+    expect(getDaysUntilDue(word('a', 0), now)).toBe(0);
+    expect(getDaysUntilDue(word('a', 3), now)).toBe(3);
+    expect(getDaysUntilDue(word('a', -2), now)).toBe(-2);
+    expect(getDaysUntilDue(word('a', null), now)).toBeNull();
+  });
+
+  it('should bucket due words per day and fold the backlog into today', () => {
+    const words = [word('a', -4), word('b', -1), word('c', 0), word('d', 1), word('e', 1), word('f', 40), word('g', null)];
+    const forecast = getDueForecast(words, 30, now);
+
+    expect(forecast).toHaveLength(30);
+    expect(forecast[0]).toMatchObject({ date: '2024-05-10', count: 3, overdue: 2 });
+    expect(forecast[1].count).toBe(2);
+    expect(forecast.reduce((sum, d) => sum + d.count, 0)).toBe(5);
+  });
+
+  it('should move intervals toward the least loaded nearby day', () => {
+    const load = buildDueLoad([word('a', 20), word('b', 20), word('c', 21), word('d', 22), word('e', 22)]);
+
+    expect(load['2024-05-30']).toBe(2);
+    expect(balanceInterval(20, load, now)).toBe(19);
+    expect(balanceInterval(2, load, now)).toBe(2); // short intervals stay exact
+    expect(balanceInterval(20, null, now)).toBe(20);
+  });
+
+  it('should ration the overdue backlog by priority', () => {
+    const due = [word('today', 0), word('late1', -1), word('late5', -5), word('late3', -3), word('late2', -2)];
+    const overduePriority = (w) => -getDaysUntilDue(w, now);
+    const plan = rationOverdueWords(due, 2, overduePriority, now);
+
+    expect(plan.overdueCount).toBe(4);
+    expect(plan.dailyShare).toBe(2);
+    expect(plan.selected.map(w => w.id)).toEqual(['today', 'late5', 'late3']);
+    expect([...plan.deferredIds].sort()).toEqual(['late1', 'late2']);
+  });
+
+  it('should release no more overdue words once today\'s share is rated', () => {
+    const due = Array.from({ length: 100 }, (_, i) => word(`late${i}`, -1 - (i % 3)));
+    const first = rationOverdueWords(due, 5, () => 0, now);
+    expect(first.dailyShare).toBe(20);
+    expect(first.selected).toHaveLength(20);
+
+    // Today's share rated: those words are no longer overdue
+    const saved = recordCatchUpReviews(null, first.plan, 20, now);
+    const rest = due.filter(w => !first.selected.includes(w));
+    const later = rationOverdueWords(rest, 5, () => 0, new Date(2024, 4, 10, 18, 0), saved);
+    expect(later.selected).toHaveLength(0);
+    expect(later.deferredIds.size).toBe(80);
+
+    const tomorrow = rationOverdueWords(rest, 5, () => 0, new Date(2024, 4, 11, 9, 0), saved);
+    expect(tomorrow.dailyShare).toBe(20);
+    expect(tomorrow.selected).toHaveLength(20);
+  });
+
+  it('should keep every due word when catch-up is off', () => {
+    const due = [word('today', 0), word('late', -3)];
+    const plan = rationOverdueWords(due, 0, () => 0, now);
+
+    expect(plan.selected).toBe(due);
+    expect(plan.deferredIds.size).toBe(0);
+  });
+});
@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest';
+import {
+  isLapse,
+  isLeechLapse,
+  getLapseUpdate,
+  getLeeches,
+  unsuspendWord,
+  resetWordProgress,
+} from '../utils/leech';
+
+const graduated = { lastReview: '2024-05-01T09:00:00.000Z', learningStep: null, interval: 7, lapses: 0 };
+
+describe('Leech Detection', () => {
+  it('should count only failed reviews of graduated words as lapses', () => {
+    expect(isLapse(graduated, 1)).toBe(true);
+    expect(isLapse(graduated, 4)).toBe(false);
+    expect(isLapse({}, 1)).toBe(false); // new word
+    expect(isLapse({ ...graduated, learningStep: 0 }, 1)).toBe(false); // relearning
+  });
+
+  it('should mark leeches at the threshold and every half threshold after', () => {
+    expect(isLeechLapse(7, 8)).toBe(false);
+    expect(isLeechLapse(8, 8)).toBe(true);
+    expect(isLeechLapse(10, 8)).toBe(false);
+    expect(isLeechLapse(12, 8)).toBe(true);
+    expect(isLeechLapse(8, 0)).toBe(false); // off
+  });
+
+  it('should suspend a word on the lapse that reaches the threshold', () => {
+    expect(getLapseUpdate({ ...graduated, lapses: 6 }, 1, 8)).toEqual({ lapses: 7 });
+    expect(getLapseUpdate({ ...graduated, lapses: 7 }, 1, 8)).toEqual({ lapses: 8, leech: true, suspended: true });
+    // Passing reviews never re-suspend an unsuspended leech
+    expect(getLapseUpdate({ ...graduated, lapses: 8 }, 4, 8)).toEqual({ lapses: 8 });
+  });
+
+  it('should list leeches with suspended words first', () => {
+    const words = [
+      { id: 'a', srs: { leech: true, suspended: false, lapses: 12 } },
+      { id: 'b', srs: { leech: true, suspended: true, lapses: 8 } },
+      { id: 'c', srs: { lapses: 3 } },
+    ];
+    expect(getLeeches(words).map(w => w.id)).toEqual(['b', 'a']);
+  });
+
+  it('should unsuspend or reset a leech', () => {
+    const leech = { id: 'a', term: 'x', srs: { ...graduated, lapses: 8, leech: true, suspended: true } };
+
+    expect(unsuspendWord(leech).srs).toMatchObject({ leech: true, suspended: false, lapses: 8 });
+    expect(resetWordProgress(leech)).toEqual({ id: 'a', term: 'x', srs: {} });
+  });
+});
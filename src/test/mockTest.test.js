@@ -0,0 +1,128 @@
+import { describe, it, expect } from 'vitest';
+import {
+  buildMockTest,
+  estimateReadingScore,
+  scoreMockTest,
+  addMockTestResult,
+  inflectAs,
+  buildGapOptions,
+  getPartTimeLeft,
+  startMockTest,
+  advanceMockTest,
+  openMockTestPart,
+  MAX_MOCK_TEST_HISTORY,
+} from '../utils/mockTest';
+import { getAllTOEICWords } from '../data/toeicVocab';
+
+// Deterministic random so the built test is stable
+const seeded = (seed = 1) => () => {
+  seed = (seed * 16807) % 2147483647;
+  return (seed - 1) / 2147483646;
+};
+
+describe('Mock Test', () => {
+  it('should build Parts 5, 6 and 7 with one right option per question', () => {
+    const test = buildMockTest(getAllTOEICWords(), { random: seeded(7) });
+    expect(test.parts.map((part) => part.id)).toEqual(['part5', 'part6', 'part7']);
+    expect(test.questions.map((q) => q.number)).toEqual(test.questions.map((_, i) => i + 1));
+    test.questions.forEach((q) => {
+      expect(q.options.filter((o) => o.correct)).toHaveLength(1);
+      expect(new Set(q.options.map((o) => o.text)).size).toBe(q.options.length);
+    });
+    const part5 = test.parts.find((part) => part.id === 'part5');
+    expect(part5.timeLimitSec).toBe(part5.questionCount * part5.secondsPerQuestion);
+    expect(getPartTimeLeft(part5, { part5: 30 }, 1000, 11000)).toBe(part5.timeLimitSec - 40);
+    expect(getPartTimeLeft(part5, { part5: 9999 })).toBe(0);
+    expect(test.passages.some((p) => p.texts.length === 2)).toBe(true);
+  });
+
+  it('should return null when too few words have example sentences', () => {
+    expect(buildMockTest([])).toBeNull();
+    expect(buildMockTest([{ id: 'a', term: 'budget', definition: 'Ngân sách', examples: [] }])).toBeNull();
+  });
+
+  it('should interpolate a scaled Reading score in steps of 5', () => {
+    expect(estimateReadingScore(0, 20)).toBe(5);
+    expect(estimateReadingScore(20, 20)).toBe(495);
+    expect(estimateReadingScore(12, 20)).toBe(265);
+    expect(estimateReadingScore(14, 20)).toBe(325);
+    expect(estimateReadingScore(0, 0)).toBe(5);
+  });
+
+  it('should bank part time and skip parts that ran out', () => {
+    const test = {
+      parts: [
+        { id: 'part5', timeLimitSec: 60 },
+        { id: 'part6', timeLimitSec: 60 },
+        { id: 'part7', timeLimitSec: 60 },
+      ],
+      questions: [],
+    };
+    let session = advanceMockTest(startMockTest(test, 0), 20000);
+    expect(session).toMatchObject({ phase: 'part', partIdx: 1, openedAt: 20000, timeUsed: { part5: 20 } });
+
+    session = openMockTestPart({ ...session, timeUsed: { ...session.timeUsed, part7: 60 } }, 0, 50000);
+    expect(session).toMatchObject({ partIdx: 0, timeUsed: { part5: 20, part6: 30 } });
+
+    session = advanceMockTest(session, 200000);
+    expect(session).toMatchObject({ phase: 'part', partIdx: 1, timeUsed: { part5: 60 } });
+    session = advanceMockTest(session, 500000);
+    expect(session).toMatchObject({ phase: 'review', openedAt: null, timeUsed: { part6: 60 } });
+  });
+
+  it('should score answers per part', () => {
+    const option = (correct) => ({ text: correct ? 'right' : 'wrong', correct });
+    const test = {
+      parts: [
+        { id: 'part5', title: 'Part 5', timeLimitSec: 50 },
+        { id: 'part7', title: 'Part 7', timeLimitSec: 60 },
+      ],
+      questions: [
+        { id: 'q1', part: 'part5', options: [option(true), option(false)] },
+        { id: 'q2', part: 'part5', options: [option(false), option(true)] },
+        { id: 'q3', part: 'part7', options: [option(true), option(false)] },
+      ],
+    };
+    const result = scoreMockTest(test, { q1: 0, q2: 0 }, { part5: 41.6 });
+    expect(result.correct).toBe(1);
+    expect(result.total).toBe(3);
+    expect(result.parts).toEqual([
+      { id: 'part5', title: 'Part 5', correct: 1, total: 2, timeUsedSec: 42, timeLimitSec: 50 },
+      { id: 'part7', title: 'Part 7', correct: 0, total: 1, timeUsedSec: 0, timeLimitSec: 60 },
+    ]);
+  });
+
+  it('should keep the most recent results and inflect distractors like the answer', () => {
+    let history = [];
+    for (let i = 0; i < MAX_MOCK_TEST_HISTORY + 3; i++) {
+      history = addMockTestResult(history, { score: i }, new Date(2026, 0, i + 1));
+    }
+    expect(history).toHaveLength(MAX_MOCK_TEST_HISTORY);
+    expect(history[history.length - 1].score).toBe(MAX_MOCK_TEST_HISTORY + 2);
+
+    expect(inflectAs('postpone', 'ed')).toBe('postponed');
+    expect(inflectAs('plan', 'ing')).toBe('planning');
+    expect(inflectAs('follow up', 'ed')).toBe('follow up');
+  });
+
+  it('should inflect longer verbs regularly', () => {
+    expect(inflectAs('visit', 'ed')).toBe('visited');
+    expect(inflectAs('offer', 'ing')).toBe('offering');
+    expect(inflectAs('open', 'ed')).toBe('opened');
+    expect(inflectAs('submit', 'ed')).toBe('submitted');
+  });
+
+  it('should only give gap distractors inflections they can take', () => {
+    const word = (id, term, partOfSpeech) => ({ id, term, partOfSpeech, definition: `${term} definition` });
+    const postpone = word('w1', 'postpone', 'v');
+    const deadline = word('w2', 'deadline', 'n');
+    const nounsAndAdjectives = [postpone, word('w3', 'audit', 'n'), word('w4', 'asset', 'n'), word('w5', 'vital', 'adj')];
+    const context = { confusions: new Map(), random: seeded(3) };
+    const texts = (options) => options.filter((o) => !o.correct).map((o) => o.text).sort();
+
+    expect(texts(buildGapOptions(postpone, 'postponed', { ...context, words: nounsAndAdjectives }))).toEqual(['asset', 'audit', 'vital']);
+    expect(texts(buildGapOptions(postpone, 'postponed', { ...context, words: [...nounsAndAdjectives, word('w6', 'visit', 'v'), word('w7', 'offer', 'v'), word('w8', 'open', 'v')] })))
+      .toEqual(['offered', 'opened', 'visited']);
+    expect(texts(buildGapOptions(deadline, 'deadlines', { ...context, words: [deadline, ...nounsAndAdjectives.slice(1)] }))).toEqual(['assets', 'audits', 'vital']);
+  });
+});
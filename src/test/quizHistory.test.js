@@ -0,0 +1,76 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  createQuizAnswer,
+  createQuizRecord,
+  appendQuizRecord,
+  loadQuizHistory,
+  mergeQuizHistory,
+  getWrongWordIds,
+  summarizeQuizHistory,
+  MAX_LOCAL_QUIZ_HISTORY,
+} from '../utils/quizHistory';
+
+const budget = { id: 'a', term: 'budget', definition: 'Ngân sách' };
+const agenda = { id: 'b', term: 'agenda', definition: 'Chương trình nghị sự' };
+
+// In-memory backing store for the localStorage mock
+let store = {};
+
+const record = (type, correct, total, finishedAt = '2026-03-01T10:00:00.000Z') => ({ id: `${type}_${finishedAt}`, type, correct, total, finishedAt });
+
+describe('Quiz History', () => {
+  beforeEach(() => {
+    store = {};
+    localStorage.getItem.mockImplementation((key) => (key in store ? store[key] : null));
+    localStorage.setItem.mockImplementation((key, value) => { store[key] = value; });
+  });
+
+  it('should describe each answered question', () => {
+    expect(createQuizAnswer({ type: 'mc', word: budget }, { text: 'Chương trình nghị sự', correct: false }, false)).toEqual({
+      type: 'mc', wordIds: ['a'], terms: ['budget'], prompt: 'budget', given: 'Chương trình nghị sự', expected: 'Ngân sách', correct: false,
+    });
+    expect(createQuizAnswer({ type: 'tf', word: budget, shownDef: 'Ngân sách', isTrue: true }, false, false)).toMatchObject({ given: 'False', expected: 'True' });
+    expect(createQuizAnswer({ type: 'spell', word: budget }, 'budjet', false)).toMatchObject({ given: 'budjet', expected: 'budget' });
+    expect(createQuizAnswer({ type: 'mc', word: budget }, { text: '', correct: false }, false).given).toBeNull();
+    expect(createQuizAnswer({ type: 'match', words: [budget, agenda] }, null, true)).toMatchObject({ wordIds: ['a', 'b'], prompt: 'budget, agenda' });
+  });
+
+  it('should build a record with score and duration', () => {
+    const answers = [
+      createQuizAnswer({ type: 'mc', word: budget }, { text: 'Ngân sách', correct: true }, true),
+      createQuizAnswer({ type: 'mc', word: agenda }, { text: 'Ngân sách', correct: false }, false),
+    ];
+    const quiz = { type: 'mc', setup: { scope: 'tag', tag: 'finance' }, startedAt: '2026-03-01T10:00:00.000Z', total: 5, timedOut: true, answers };
+    expect(createQuizRecord(quiz, new Date('2026-03-01T10:01:30.000Z'))).toMatchObject({
+      type: 'mc', scope: 'tag', tag: 'finance', durationSec: 90, timedOut: true, correct: 1, total: 5,
+    });
+    expect(getWrongWordIds({ answers })).toEqual(['b']);
+  });
+
+  it('should keep the most recent records locally', () => {
+    for (let i = 0; i < MAX_LOCAL_QUIZ_HISTORY + 2; i++) {
+      appendQuizRecord({ id: `quiz_${i}` }, 'user1');
+    }
+    const history = loadQuizHistory('user1');
+    expect(history).toHaveLength(MAX_LOCAL_QUIZ_HISTORY);
+    expect(history[0].id).toBe('quiz_2');
+    expect(loadQuizHistory('user2')).toEqual([]);
+  });
+
+  it('should merge local and cloud records without duplicates', () => {
+    const first = record('mc', 1, 2, '2026-03-01T10:00:00.000Z');
+    const second = record('tf', 2, 2, '2026-03-02T10:00:00.000Z');
+    expect(mergeQuizHistory([second], [first, second])).toEqual([first, second]);
+  });
+
+  it('should summarize accuracy and trend per quiz type', () => {
+    const history = [
+      ...[1, 1, 2, 2, 2].map((correct) => record('mc', correct, 4)),
+      ...[3, 3, 4, 4, 4].map((correct) => record('mc', correct, 4)),
+      record('tf', 3, 4),
+    ];
+    const [mc, tf] = summarizeQuizHistory(history);
+    expect(mc).toMatchObject({ type: 'mc', count: 10, best: 100, recent: [75, 75, 100, 100, 100], trend: 50 });
+    expect(tf).toMatchObject({ type: 'tf', count: 1, average: 75, trend: null });
+  });
+});
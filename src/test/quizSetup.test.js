@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_QUIZ_SETUP,
+  getQuizSetup,
+  filterQuizScope,
+  planQuizItems,
+  getQuestionTimeLimit,
+} from '../utils/quizSetup';
+
+const words = [
+  { id: 'a', term: 'budget', tags: ['finance'], srs: { mastered: true } },
+  { id: 'b', term: 'agenda', tags: ['meeting'], srs: {} },
+  { id: 'c', term: 'invoice', tags: ['finance'] },
+];
+
+describe('Quiz Setup', () => {
+  it('should fill a saved setup with the defaults', () => {
+    expect(getQuizSetup(undefined)).toEqual(DEFAULT_QUIZ_SETUP);
+    expect(getQuizSetup({ count: 20, timer: 'total' })).toMatchObject({ count: 20, timer: 'total', scope: 'lesson' });
+  });
+
+  it('should filter words by scope', () => {
+    const ids = (list) => list.map((w) => w.id);
+    const checks = { isDue: (w) => w.id === 'b', isWeak: (w) => w.id === 'c' };
+    expect(ids(filterQuizScope(words, { scope: 'lesson' }, checks))).toEqual(['a', 'b', 'c']);
+    expect(ids(filterQuizScope(words, { scope: 'due' }, checks))).toEqual(['b']);
+    expect(ids(filterQuizScope(words, { scope: 'weak' }, checks))).toEqual(['c']);
+    expect(ids(filterQuizScope(words, { scope: 'mastered' }, checks))).toEqual(['a']);
+    expect(ids(filterQuizScope(words, { scope: 'tag', tag: 'finance' }, checks))).toEqual(['a', 'c']);
+  });
+
+  it('should plan items until they hold the question count', () => {
+    expect(planQuizItems(['mc'], 3)).toEqual(['mc', 'mc', 'mc']);
+    expect(planQuizItems(['match'], 10)).toEqual(['match', 'match', 'match']);
+    expect(planQuizItems(['reading'], 6)).toEqual(['reading', 'reading']);
+    expect(planQuizItems([], 10)).toEqual([]);
+  });
+
+  it('should use every mixed type once per round', () => {
+    const plan = planQuizItems(['mc', 'tf', 'spell'], 6, () => 0.3);
+    expect([...plan.slice(0, 3)].sort()).toEqual(['mc', 'spell', 'tf']);
+    expect([...plan.slice(3)].sort()).toEqual(['mc', 'spell', 'tf']);
+  });
+
+  it('should give a time per question only with the per-question timer', () => {
+    expect(getQuestionTimeLimit({ timer: 'off', questionSeconds: 20 }, 'mc')).toBeNull();
+    expect(getQuestionTimeLimit({ timer: 'total', questionSeconds: 20 }, 'mc')).toBeNull();
+    expect(getQuestionTimeLimit({ timer: 'question', questionSeconds: 20 }, 'mc')).toBe(20);
+    expect(getQuestionTimeLimit({ timer: 'question', questionSeconds: 20 }, 'match')).toBe(80);
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  createReviewEvent,
+  appendReviewEvents,
+  loadReviewLog,
+  getReviewLogStorageKey,
+  getWordReviewHistory,
+  MAX_LOCAL_REVIEW_EVENTS,
+} from '../utils/reviewLog';
+
+// In-memory backing store for the localStorage mock
+let store = {};
+
+describe('Review Log', () => {
+  beforeEach(() => {
+    store = {};
+    localStorage.getItem.mockImplementation((key) => (key in store ? store[key] : null));
+    localStorage.setItem.mockImplementation((key, value) => { store[key] = value; });
+  });
+
+  describe('createReviewEvent', () => {
+    it('should capture the review details and interval change', () => {
+      const word = { id: 'w1', term: 'budget', srs: { interval: 3, lastReview: '2024-01-01T00:00:00.000Z' } };
+      const event = createReviewEvent(
+        word,
+        { interval: 7 },
+        { rating: 'good', quality: 4, mode: 'type', hintsUsed: 1, responseTimeMs: 4200.6 },
+        new Date('2024-01-04T12:00:00.000Z')
+      );
+
+      expect(event).toMatchObject({
+        wordId: 'w1',
+        direction: 'recognition',
+        term: 'budget',
+        timestamp: '2024-01-04T12:00:00.000Z',
+        rating: 'good',
+        quality: 4,
+        mode: 'type',
+        hintsUsed: 1,
+        responseTimeMs: 4201,
+        elapsedDays: 3.5,
+        lastInterval: 3,
+        interval: 7,
+      });
+      expect(event.id).toMatch(/^rev_/);
+    });
+
+    it('should leave elapsedDays null on the first review', () => {
+      const event = createReviewEvent({ id: 'w1', term: 'budget', srs: {} }, { interval: 1 }, { rating: 'again', quality: 1 });
+
+      expect(event.elapsedDays).toBeNull();
+      expect(event.lastInterval).toBe(0);
+      expect(event.responseTimeMs).toBeNull();
+      expect(event.mode).toBe('review');
+      expect(event).not.toHaveProperty('confusedWith');
+    });
+
+    it('should record the word a wrong answer was confused with', () => {
+      const event = createReviewEvent({ id: 'w1', term: 'affect', srs: {} }, { interval: 1 }, { rating: 'again', quality: 1, confusedWith: 'w2' });
+
+      expect(event.confusedWith).toBe('w2');
+    });
+  });
+
+  describe('appendReviewEvents', () => {
+    it('should append without rewriting earlier events', () => {
+      appendReviewEvents([{ id: 'a', wordId: 'w1' }], 'user1');
+      appendReviewEvents([{ id: 'b', wordId: 'w2' }, { id: 'c', wordId: 'w1' }], 'user1');
+
+      const log = loadReviewLog('user1');
+      expect(log.map(e => e.id)).toEqual(['a', 'b', 'c']);
+      expect(getWordReviewHistory(log, 'w1').map(e => e.id)).toEqual(['a', 'c']);
+    });
+
+    it('should keep logs separate per user', () => {
+      appendReviewEvents([{ id: 'a' }], 'user1');
+
+      expect(getReviewLogStorageKey('user1')).toBe('vm_review_log_user1');
+      expect(loadReviewLog('user2')).toEqual([]);
+      expect(loadReviewLog(null)).toEqual([]);
+    });
+
+    it('should keep only the most recent events locally', () => {
+      const events = Array.from({ length: MAX_LOCAL_REVIEW_EVENTS + 5 }, (_, i) => ({ id: `e${i}` }));
+      appendReviewEvents(events, 'user1');
+
+      const log = loadReviewLog('user1');
+      expect(log).toHaveLength(MAX_LOCAL_REVIEW_EVENTS);
+      expect(log[0].id).toBe('e5');
+    });
+
+    it('should return an empty log for corrupt data', () => {
+      store[getReviewLogStorageKey('user1')] = '{not json';
+      expect(loadReviewLog('user1')).toEqual([]);
+    });
+  });
+});
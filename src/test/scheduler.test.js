@@ -0,0 +1,144 @@
+import { describe, it, expect } from 'vitest';
+import {
+  classicScheduler,
+  fsrsScheduler,
+  getScheduler,
+  gradeFromQuality,
+  fsrsRetrievability,
+  fsrsInterval,
+  nextFsrsState,
+  scheduleReview,
+  previewInterval,
+  isInLearning,
+  formatInterval,
+  FSRS_DEFAULT_PARAMS,
+} from '../utils/scheduler';
+
+const daysAgo = (days, now) => new Date(now.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+
+describe('Schedulers', () => {
+  const now = new Date('2024-06-01T12:00:00.000Z');
+
+  describe('registry', () => {
+    it('should fall back to Classic for unknown ids', () => {
+      expect(getScheduler('fsrs')).toBe(fsrsScheduler);
+      expect(getScheduler(undefined)).toBe(classicScheduler);
+      expect(getScheduler('nope')).toBe(classicScheduler);
+    });
+  });
+
+  describe('classic', () => {
+    it('should walk the fixed ladder and reset on failure', () => {
+      expect(classicScheduler.schedule({}, 4).interval).toBe(1);
+      expect(classicScheduler.schedule({ repetitions: 2 }, 4)).toMatchObject({ interval: 7, repetitions: 3, mastered: false });
+      expect(classicScheduler.schedule({ repetitions: 5 }, 4)).toMatchObject({ interval: 60, mastered: true });
+      expect(classicScheduler.schedule({ repetitions: 4, interval: 30 }, 1)).toMatchObject({ interval: 1, repetitions: 0 });
+    });
+
+    it('should keep mastered words on the maintenance ladder', () => {
+      expect(classicScheduler.schedule({ repetitions: 6, mastered: true }, 4)).toMatchObject({ interval: 120, mastered: true });
+      expect(classicScheduler.schedule({ repetitions: 7, mastered: true }, 4).interval).toBe(240);
+      expect(classicScheduler.schedule({ repetitions: 12, mastered: true }, 4).interval).toBe(365);
+      expect(classicScheduler.schedule({ repetitions: 8, mastered: true }, 1)).toMatchObject({ interval: 1, repetitions: 0, mastered: false });
+    });
+  });
+
+  describe('fsrs', () => {
+    it('should map quality to FSRS grades', () => {
+      expect([0, 1, 3, 4, 5].map(gradeFromQuality)).toEqual([1, 1, 2, 3, 4]);
+    });
+
+    it('should make the interval equal stability at 90% retention', () => {
+      expect(fsrsRetrievability(10, 10)).toBeCloseTo(0.9, 5);
+      expect(fsrsInterval(10, 0.9)).toBe(10);
+      expect(fsrsInterval(10, 0.8)).toBeGreaterThan(10);
+      expect(fsrsInterval(0.01, 0.9)).toBe(1);
+    });
+
+    it('should seed new words from the grade weights', () => {
+      const state = nextFsrsState(null, 3, 0);
+      expect(state.stability).toBe(FSRS_DEFAULT_PARAMS[2]);
+      expect(state.difficulty).toBeGreaterThan(1);
+      expect(state.difficulty).toBeLessThan(10);
+    });
+
+    it('should space easy words further than hard ones', () => {
+      const srs = { stability: 10, difficulty: 5, repetitions: 3, lastReview: daysAgo(10, now) };
+      const hard = fsrsScheduler.schedule(srs, 3, {}, now);
+      const good = fsrsScheduler.schedule(srs, 4, {}, now);
+      const easy = fsrsScheduler.schedule(srs, 5, {}, now);
+
+      expect(hard.interval).toBeLessThan(good.interval);
+      expect(good.interval).toBeLessThan(easy.interval);
+      expect(easy.difficulty).toBeLessThan(hard.difficulty);
+      expect(good.repetitions).toBe(4);
+    });
+
+    it('should shrink stability and reset repetitions on a lapse', () => {
+      const srs = { stability: 20, difficulty: 5, repetitions: 4, lastReview: daysAgo(20, now) };
+      const result = fsrsScheduler.schedule(srs, 1, {}, now);
+
+      expect(result.stability).toBeLessThan(20);
+      expect(result.repetitions).toBe(0);
+      expect(result.mastered).toBe(false);
+    });
+
+    it('should review more often at a higher target retention', () => {
+      const srs = { stability: 30, difficulty: 5, repetitions: 4, lastReview: daysAgo(30, now) };
+      const relaxed = fsrsScheduler.schedule(srs, 4, { requestRetention: 0.8 }, now);
+      const strict = fsrsScheduler.schedule(srs, 4, { requestRetention: 0.95 }, now);
+
+      expect(strict.interval).toBeLessThan(relaxed.interval);
+    });
+
+    it('should seed words reviewed under Classic from their interval', () => {
+      const result = fsrsScheduler.schedule({ interval: 14, repetitions: 4, lastReview: daysAgo(14, now) }, 4, {}, now);
+      expect(result.stability).toBeGreaterThan(14);
+      expect(result.interval).toBeGreaterThan(14);
+    });
+  });
+
+  describe('learning steps', () => {
+    const minutesLater = (result) => (new Date(result.nextReview) - now) / 60000;
+
+    it('should walk new words through minute steps before day intervals', () => {
+      const first = scheduleReview({}, 3, {}, now);
+      expect(first).toMatchObject({ learningStep: 1 });
+      expect(minutesLater(first)).toBe(10);
+
+      const graduated = scheduleReview({ learningStep: 1, lastReview: now.toISOString() }, 3, {}, now);
+      expect(graduated).toMatchObject({ learningStep: null, interval: 1, repetitions: 1 });
+    });
+
+    it('should restart the steps on "again" and graduate straight away on "easy"', () => {
+      const again = scheduleReview({ learningStep: 1, lastReview: now.toISOString() }, 1, {}, now);
+      expect(again.learningStep).toBe(0);
+      expect(minutesLater(again)).toBe(1);
+
+      expect(scheduleReview({}, 5, {}, now).learningStep).toBeNull();
+    });
+
+    it('should send lapsed review words back into the steps', () => {
+      const srs = { repetitions: 4, interval: 14, lastReview: daysAgo(14, now) };
+      expect(isInLearning(srs)).toBe(false);
+
+      const lapse = scheduleReview(srs, 1, {}, now);
+      expect(lapse).toMatchObject({ learningStep: 0, repetitions: 0, mastered: false });
+      expect(minutesLater(lapse)).toBe(1);
+
+      expect(scheduleReview(srs, 4, {}, now)).toMatchObject({ learningStep: null, interval: 30 });
+    });
+
+    it('should preview learning steps as fractions of a day', () => {
+      expect(formatInterval(previewInterval({}, 1, {}, now))).toBe('1m');
+      expect(formatInterval(previewInterval({}, 3, {}, now))).toBe('10m');
+      expect(previewInterval({ repetitions: 2, interval: 3, lastReview: daysAgo(3, now) }, 4, {}, now)).toBe(7);
+    });
+  });
+
+  it('should format long intervals compactly', () => {
+    expect(formatInterval(12)).toBe('12d');
+    expect(formatInterval(105)).toBe('3.5mo');
+    expect(formatInterval(438)).toBe('1.2y');
+  });
+});
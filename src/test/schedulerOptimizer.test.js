@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import {
+  buildReviewSequences,
+  evaluateParams,
+  optimizeSchedulerParams,
+  MIN_OPTIMIZER_REVIEWS,
+} from '../utils/schedulerOptimizer';
+import { FSRS_DEFAULT_PARAMS, fsrsRetrievability } from '../utils/scheduler';
+
+// Deterministic PRNG so the simulated history is stable
+const createRandom = (seed) => () => {
+  seed = (seed + 0x6D2B79F5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+// A learner who forgets much faster than the default model expects
+const simulateLog = (wordCount, reviewsPerWord) => {
+  const random = createRandom(42);
+  const events = [];
+  for (let w = 0; w < wordCount; w++) {
+    let stability = 0.8;
+    let time = Date.UTC(2024, 0, 1);
+    for (let r = 0; r < reviewsPerWord; r++) {
+      const elapsedDays = r === 0 ? null : [1, 3, 7, 14][Math.min(r - 1, 3)];
+      const recalled = r === 0 || random() < fsrsRetrievability(elapsedDays, stability);
+      time += (elapsedDays || 0) * 86400000;
+      events.push({
+        wordId: `w${w}`,
+        timestamp: new Date(time).toISOString(),
+        quality: recalled ? 4 : 1,
+        elapsedDays,
+      });
+      stability = recalled ? stability * 1.6 : 0.8;
+    }
+  }
+  return events;
+};
+
+describe('Scheduler Optimizer', () => {
+  it('should group events per word in time order', () => {
+    const sequences = buildReviewSequences([
+      { wordId: 'a', timestamp: '2024-01-03T00:00:00Z', quality: 1, elapsedDays: 2 },
+      { wordId: 'a', timestamp: '2024-01-01T00:00:00Z', quality: 4, elapsedDays: null },
+      { wordId: 'b', timestamp: '2024-01-01T00:00:00Z', quality: 4, elapsedDays: null },
+    ]);
+
+    expect(sequences).toEqual([[
+      { grade: 3, elapsedDays: 0, recalled: true },
+      { grade: 1, elapsedDays: 2, recalled: false },
+    ]]);
+  });
+
+  it('should skip same-day repeats when scoring', () => {
+    const metrics = evaluateParams([[
+      { grade: 1, elapsedDays: 0, recalled: false },
+      { grade: 3, elapsedDays: 0.01, recalled: true },
+      { grade: 3, elapsedDays: 2, recalled: true },
+    ]]);
+
+    expect(metrics.count).toBe(1);
+    expect(metrics.actualRetention).toBe(1);
+  });
+
+  it('should refuse to fit a short history', () => {
+    const result = optimizeSchedulerParams(simulateLog(5, 4));
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain(`${MIN_OPTIMIZER_REVIEWS}`);
+  });
+
+  it('should fit a fast forgetter better than the defaults', () => {
+    const result = optimizeSchedulerParams(simulateLog(60, 5), { maxPasses: 6 });
+
+    expect(result.success).toBe(true);
+    expect(result.params).toHaveLength(FSRS_DEFAULT_PARAMS.length);
+    expect(result.after.logLoss).toBeLessThan(result.before.logLoss);
+    // Closer to what actually happened than the default model
+    expect(Math.abs(result.after.predictedRetention - result.after.actualRetention))
+      .toBeLessThan(Math.abs(result.before.predictedRetention - result.before.actualRetention));
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  getSessionCheckpointKey,
+  saveSessionCheckpoint,
+  loadSessionCheckpoint,
+  clearSessionCheckpoint,
+  getRatedCards,
+  isMidBatch,
+} from '../utils/sessionCheckpoint';
+
+// In-memory backing store for the localStorage mock
+let store = {};
+
+const checkpoint = {
+  screen: 'learn',
+  mode: 'type',
+  queue: [{ id: 'w1' }, { id: 'w2' }, { id: 'w3' }],
+  idx: 1,
+  reviews: [{ quality: 4, rating: 'good', hintsUsed: 0, kind: 'review' }],
+  cards: [{ id: 'w1', srs: { interval: 3 } }],
+};
+
+describe('Session Checkpoint', () => {
+  beforeEach(() => {
+    store = {};
+    localStorage.getItem.mockImplementation((key) => (key in store ? store[key] : null));
+    localStorage.setItem.mockImplementation((key, value) => { store[key] = value; });
+    localStorage.removeItem.mockImplementation((key) => { delete store[key]; });
+  });
+
+  it('should keep checkpoints per user', () => {
+    expect(getSessionCheckpointKey('u1')).toBe('vm_session_checkpoint_u1');
+    expect(getSessionCheckpointKey(null)).toBe('vm_session_checkpoint');
+  });
+
+  it('should save, load and clear a checkpoint', () => {
+    saveSessionCheckpoint('u1', checkpoint, new Date('2024-03-01T10:00:00.000Z'));
+    expect(loadSessionCheckpoint('u1')).toEqual({ ...checkpoint, savedAt: '2024-03-01T10:00:00.000Z' });
+    expect(loadSessionCheckpoint('u2')).toBeNull();
+
+    clearSessionCheckpoint('u1');
+    expect(loadSessionCheckpoint('u1')).toBeNull();
+  });
+
+  it('should ignore checkpoints with nothing rated or broken data', () => {
+    saveSessionCheckpoint('u1', { ...checkpoint, reviews: [] });
+    expect(loadSessionCheckpoint('u1')).toBeNull();
+
+    store[getSessionCheckpointKey('u1')] = '{not json';
+    expect(loadSessionCheckpoint('u1')).toBeNull();
+  });
+
+  it('should take the rated cards from the front of the queue', () => {
+    expect(getRatedCards(checkpoint.queue, 2).map((card) => card.id)).toEqual(['w1', 'w2']);
+    expect(getRatedCards(checkpoint.queue, 0)).toEqual([]);
+  });
+
+  it('should tell a mid-batch stop from a finished batch', () => {
+    expect(isMidBatch(checkpoint)).toBe(true);
+    expect(isMidBatch({ ...checkpoint, idx: 3 })).toBe(false);
+    expect(isMidBatch(null)).toBe(false);
+  });
+});
@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_SHORTCUTS,
+  getShortcuts,
+  getEventKey,
+  formatShortcutKey,
+  getShortcutAction,
+  findShortcutConflicts,
+} from '../utils/shortcuts';
+
+const keydown = (key, extra = {}) => ({ key, target: { tagName: 'BODY' }, ...extra });
+
+describe('Keyboard Shortcuts', () => {
+  it('should merge custom keys over the defaults', () => {
+    const shortcuts = getShortcuts({ reveal: 'f' });
+    expect(shortcuts.reveal).toBe('f');
+    expect(shortcuts.again).toBe('1');
+    expect(getShortcuts(undefined)).toEqual(DEFAULT_SHORTCUTS);
+  });
+
+  it('should read keys in lower case, using the physical key with Alt', () => {
+    expect(getEventKey({ key: 'H' })).toBe('h');
+    expect(getEventKey({ key: 'Escape' })).toBe('Escape');
+    expect(getEventKey({ key: '˙', code: 'KeyH', altKey: true })).toBe('h');
+    expect(formatShortcutKey(' ')).toBe('Space');
+    expect(formatShortcutKey('Escape')).toBe('Esc');
+    expect(formatShortcutKey('r')).toBe('R');
+  });
+
+  it('should only match actions the screen has active', () => {
+    const shortcuts = getShortcuts();
+    expect(getShortcutAction(keydown('1'), shortcuts, ['again', 'hard'])).toBe('again');
+    expect(getShortcutAction(keydown('1'), shortcuts, ['option1', 'option2'])).toBe('option1');
+    expect(getShortcutAction(keydown('1'), shortcuts, ['reveal'])).toBeNull();
+    expect(getShortcutAction(keydown('1', { ctrlKey: true }), shortcuts, ['again'])).toBeNull();
+  });
+
+  it('should leave typing in answer fields alone except for Esc and Alt+key', () => {
+    const shortcuts = getShortcuts();
+    const input = { tagName: 'INPUT' };
+    expect(getShortcutAction(keydown('h', { target: input }), shortcuts, ['hint'])).toBeNull();
+    expect(getShortcutAction(keydown('˙', { target: input, altKey: true, code: 'KeyH' }), shortcuts, ['hint'])).toBe('hint');
+    expect(getShortcutAction(keydown('Escape', { target: input }), shortcuts, ['exit'])).toBe('exit');
+  });
+
+  it('should report keys shared by actions that are live together', () => {
+    expect(findShortcutConflicts(getShortcuts())).toEqual([]);
+    expect(findShortcutConflicts(getShortcuts({ hint: 'r' }))).toEqual([['replay', 'hint']]);
+    expect(findShortcutConflicts(getShortcuts({ reveal: '1' }))).toEqual([['reveal', 'again'], ['reveal', 'option1']]);
+  });
+});
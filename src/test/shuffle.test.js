@@ -0,0 +1,13 @@
+import { describe, it, expect } from 'vitest';
+import { shuffle } from '../utils/shuffle';
+
+describe('Shuffle', () => {
+  it('should return a reordered copy and leave the list alone', () => {
+    const list = [1, 2, 3, 4];
+
+    expect(shuffle(list, () => 0)).toEqual([2, 3, 4, 1]);
+    expect(shuffle(list, () => 0.999)).toEqual([1, 2, 3, 4]);
+    expect(list).toEqual([1, 2, 3, 4]);
+    expect(shuffle(list).sort()).toEqual([1, 2, 3, 4]);
+  });
+});
@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createBrowserRecognizer,
+  createFakeRecognizer,
+  isSpeechRecognitionSupported,
+  scorePronunciation,
+} from '../utils/speechRecognition';
+
+// Minimal stand-in for window.SpeechRecognition: emits the given event on start()
+const fakeWindow = (emit) => ({
+  webkitSpeechRecognition: class {
+    start() {
+      emit(this);
+    }
+    stop() {}
+    abort() {}
+  },
+});
+
+describe('Speech Recognition', () => {
+  it('should rate a clear pronunciation as good', () => {
+    expect(scorePronunciation(['Budget'], 'budget')).toMatchObject({ heard: 'Budget', similarity: 1, rating: 'good' });
+    // Saying the word inside a phrase counts
+    expect(scorePronunciation(['the budget please'], 'budget').rating).toBe('good');
+  });
+
+  it('should rate near misses and less likely alternatives as hard', () => {
+    expect(scorePronunciation(['inventor'], 'inventory').rating).toBe('hard');
+    expect(scorePronunciation(['budge it', 'budget'], 'budget')).toMatchObject({ heard: 'budget', rating: 'hard' });
+  });
+
+  it('should rate wrong or empty transcripts as again', () => {
+    expect(scorePronunciation(['revenue'], 'budget').rating).toBe('again');
+    expect(scorePronunciation([], 'budget')).toMatchObject({ heard: '', similarity: 0, rating: 'again' });
+  });
+
+  it('should replay scripted transcripts from the fake recognizer', async () => {
+    const recognizer = createFakeRecognizer(['budget', ['a', 'b'], new Error('not-allowed')]);
+    await expect(recognizer.listen({ lang: 'en-US' })).resolves.toEqual({ transcripts: ['budget'], confidence: null });
+    await expect(recognizer.listen()).resolves.toMatchObject({ transcripts: ['a', 'b'] });
+    await expect(recognizer.listen()).rejects.toThrow('not-allowed');
+    await expect(recognizer.listen()).resolves.toMatchObject({ transcripts: [] });
+    expect(recognizer.requests[0]).toEqual({ lang: 'en-US' });
+  });
+
+  it('should wrap the browser SpeechRecognition API', async () => {
+    expect(isSpeechRecognitionSupported({})).toBe(false);
+    expect(createBrowserRecognizer({})).toBeNull();
+
+    const heard = createBrowserRecognizer(fakeWindow((recognition) => recognition.onresult({
+      results: [[{ transcript: 'budget', confidence: 0.9 }, { transcript: 'budge it', confidence: 0.4 }]],
+    })));
+    await expect(heard.listen()).resolves.toEqual({ transcripts: ['budget', 'budge it'], confidence: 0.9 });
+
+    const silent = createBrowserRecognizer(fakeWindow((recognition) => recognition.onerror({ error: 'no-speech' })));
+    await expect(silent.listen()).resolves.toEqual({ transcripts: [], confidence: null });
+
+    const blocked = createBrowserRecognizer(fakeWindow((recognition) => recognition.onerror({ error: 'not-allowed' })));
+    await expect(blocked.listen()).rejects.toMatchObject({ code: 'not-allowed' });
+  });
+});
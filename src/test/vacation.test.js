@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getVacationDays,
+  isVacationActive,
+  getDueClock,
+  needsVacationShift,
+  isStreakBridged,
+  shiftWordsForVacation,
+} from '../utils/vacation';
+
+const vacation = { start: '2024-05-10', end: '2024-05-14', appliedAt: null };
+const at = (day, hour = 9) => new Date(2024, 4, day, hour);
+
+describe('Vacation Mode', () => {
+  it('should know how long and when the vacation runs', () => {
+    expect(getVacationDays(vacation)).toBe(5);
+    expect(getVacationDays({ start: '2024-05-14', end: '2024-05-10' })).toBe(0);
+    expect(isVacationActive(vacation, at(9))).toBe(false);
+    expect(isVacationActive(vacation, at(12))).toBe(true);
+    expect(isVacationActive(vacation, at(14, 23))).toBe(true);
+    expect(isVacationActive(vacation, at(15))).toBe(false);
+  });
+
+  it('should freeze the due clock at the vacation start', () => {
+    expect(getDueClock(vacation, at(12))).toEqual(new Date(2024, 4, 10));
+    expect(getDueClock(vacation, at(15))).toEqual(at(15));
+    expect(getDueClock(null, at(12))).toEqual(at(12));
+  });
+
+  it('should shift due dates once the vacation is over', () => {
+    expect(needsVacationShift(vacation, at(14))).toBe(false);
+    expect(needsVacationShift(vacation, at(15))).toBe(true);
+    expect(needsVacationShift({ ...vacation, appliedAt: at(15).toISOString() }, at(16))).toBe(false);
+  });
+
+  it('should move only reviews due from the vacation start onward', () => {
+    const words = [
+      { id: 'before', srs: { nextReview: at(9).toISOString() } },
+      { id: 'during', srs: { nextReview: at(11).toISOString() } },
+      { id: 'after', srs: { nextReview: at(20).toISOString() } },
+      { id: 'new', srs: {} },
+    ];
+    const shifted = shiftWordsForVacation(words, vacation);
+
+    expect(shifted.map(w => w.id)).toEqual(['during', 'after']);
+    expect(shifted[0].srs.nextReview).toBe(at(16).toISOString());
+    expect(shifted[1].srs.nextReview).toBe(at(25).toISOString());
+  });
+
+  it('should leave words reviewed during the vacation as they are', () => {
+    const words = [
+      { id: 'reviewedBefore', srs: { lastReview: at(8).toISOString(), nextReview: at(12).toISOString() } },
+      { id: 'reviewedDuring', srs: { lastReview: at(12).toISOString(), nextReview: at(19).toISOString() } },
+    ];
+    const shifted = shiftWordsForVacation(words, vacation);
+
+    expect(shifted.map(w => w.id)).toEqual(['reviewedBefore']);
+    expect(shifted[0].srs.nextReview).toBe(at(17).toISOString());
+  });
+
+  it('should keep the streak when every missed day was a vacation day', () => {
+    const lastStudy = at(9).toDateString();
+
+    expect(isStreakBridged(lastStudy, vacation, at(15))).toBe(true);
+    expect(isStreakBridged(lastStudy, vacation, at(16))).toBe(false); // skipped the 15th too
+    expect(isStreakBridged(at(8).toDateString(), vacation, at(15))).toBe(false); // skipped the 9th
+    expect(isStreakBridged(lastStudy, null, at(15))).toBe(false);
+  });
+});
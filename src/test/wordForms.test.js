@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest';
+import { getWordFamily, parseWordForms, formatWordForms, buildWordFormQuestion } from '../utils/wordForms';
+import { getAllTOEICWords } from '../data/toeicVocab';
+import { WORD_FAMILIES } from '../data/wordFamilies';
+
+describe('Word Forms', () => {
+  const comply = { id: 'w1', term: 'comply', partOfSpeech: 'v', examples: [] };
+
+  it('should fall back to the built-in family for words saved without one', () => {
+    const family = getWordFamily(comply);
+
+    expect(family.forms.map((f) => f.form)).toEqual(['comply', 'compliance', 'compliant']);
+    expect(family.collocations).toContain('All visitors must comply with the safety regulations.');
+    expect(getWordFamily({ term: 'agenda', partOfSpeech: 'n' }).forms).toHaveLength(1);
+  });
+
+  it('should prefer the word\'s own forms and drop duplicates of its term', () => {
+    const word = { term: 'deliver', partOfSpeech: 'v', wordForms: [{ form: 'delivery', partOfSpeech: 'n' }, { form: 'Deliver', partOfSpeech: 'v' }] };
+
+    expect(getWordFamily(word).forms).toEqual([
+      { form: 'deliver', partOfSpeech: 'v' },
+      { form: 'delivery', partOfSpeech: 'n' },
+    ]);
+  });
+
+  it('should parse and format forms with their part of speech', () => {
+    const forms = parseWordForms('implementation (n), implementable (adj), , implementer');
+
+    expect(forms).toEqual([
+      { form: 'implementation', partOfSpeech: 'n' },
+      { form: 'implementable', partOfSpeech: 'adj' },
+      { form: 'implementer', partOfSpeech: '' },
+    ]);
+    expect(formatWordForms(forms)).toBe('implementation (n), implementable (adj), implementer');
+  });
+
+  it('should blank a family member and offer the rest of the family', () => {
+    const word = { ...comply, collocations: ['The plant operates in compliance with safety standards.'] };
+    const question = buildWordFormQuestion(word, () => 0);
+
+    expect(question).toMatchObject({ blank: 'The plant operates in _____ with safety standards.', answer: 'compliance', partOfSpeech: 'n' });
+    expect(question.options).toHaveLength(4);
+    expect(question.options.map((o) => o.text)).toEqual(expect.arrayContaining(['compliance', 'compliant', 'comply']));
+    expect(question.options.filter((o) => o.correct).map((o) => o.text)).toEqual(['compliance']);
+  });
+
+  it('should top up small families with inflections of their members', () => {
+    const postpone = { term: 'postpone', partOfSpeech: 'v', wordForms: [{ form: 'postponement', partOfSpeech: 'n' }], collocations: ['The board decided to postpone the meeting.'] };
+    const deposit = { term: 'deposit', partOfSpeech: 'v', wordForms: [{ form: 'depositor', partOfSpeech: 'n' }], collocations: ['Please deposit the check.'] };
+    const postponeOptions = buildWordFormQuestion(postpone, () => 0).options.map((o) => o.text);
+
+    expect(postponeOptions).toHaveLength(4);
+    expect(postponeOptions).toEqual(expect.arrayContaining(['postpone', 'postponement']));
+    postponeOptions.forEach((text) => expect(['postpone', 'postponement', 'postpones', 'postponed', 'postponing']).toContain(text));
+    expect(buildWordFormQuestion(deposit, () => 0).options.map((o) => o.text).sort()).toEqual(['deposit', 'depositor', 'depositors', 'deposits']);
+  });
+
+  it('should only use collocations, not examples', () => {
+    const word = { ...comply, examples: ['We comply with all laws (Chúng tôi tuân thủ luật)'], collocations: ['a rule'] };
+
+    expect(buildWordFormQuestion(word)).toBeNull();
+    expect(buildWordFormQuestion({ term: 'agenda', collocations: ['The agenda is long.'] })).toBeNull();
+  });
+
+  it('should give every built-in family a question', () => {
+    const words = getAllTOEICWords().filter((word) => WORD_FAMILIES[word.term]);
+
+    expect(words).toHaveLength(Object.keys(WORD_FAMILIES).length);
+    words.forEach((word) => expect(buildWordFormQuestion(word).options).toHaveLength(4));
+  });
+});
@@ -0,0 +1,106 @@
+// Activity History - per-day study totals stored in stats.dailyHistory
+// Shape: { "YYYY-MM-DD": { reviews, correct, xp } }
+
+const DAY_LABELS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+/**
+ * Local calendar date key (YYYY-MM-DD)
+ */
+export const getDateKey = (date = new Date()) => {
+  const d = new Date(date);
+  const month = `${d.getMonth() + 1}`.padStart(2, "0");
+  const day = `${d.getDate()}`.padStart(2, "0");
+  return `${d.getFullYear()}-${month}-${day}`;
+};
+
+const addDays = (date, days) => {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  d.setDate(d.getDate() + days);
+  return d;
+};
+
+/**
+ * Add a session's totals to the given day (returns a new history object)
+ * @param {Object} history - Existing stats.dailyHistory
+ * @param {Object} activity - { reviews, correct, xp }
+ */
+export const recordActivity = (history, activity, date = new Date()) => {
+  const key = getDateKey(date);
+  const current = history?.[key] || { reviews: 0, correct: 0, xp: 0 };
+  return {
+    ...(history || {}),
+    [key]: {
+      reviews: current.reviews + (activity.reviews || 0),
+      correct: current.correct + (activity.correct || 0),
+      xp: current.xp + (activity.xp || 0),
+    },
+  };
+};
+
+/**
+ * Day-by-day totals for the last `days` days, oldest first (missing days are zero)
+ */
+export const getActivityRange = (history, days, today = new Date()) => {
+  return Array.from({ length: days }, (_, i) => {
+    const date = addDays(today, i - days + 1);
+    const key = getDateKey(date);
+    const entry = history?.[key] || { reviews: 0, correct: 0, xp: 0 };
+    return {
+      date: key,
+      day: DAY_LABELS[date.getDay()],
+      label: `${date.getDate()}/${date.getMonth() + 1}`,
+      reviews: entry.reviews,
+      correct: entry.correct,
+      xp: entry.xp,
+      accuracy: entry.reviews > 0 ? Math.round((entry.correct / entry.reviews) * 100) : null,
+    };
+  });
+};
+
+/**
+ * Totals over a range returned by getActivityRange
+ */
+export const summarizeActivity = (range) => {
+  const totals = range.reduce((sum, d) => ({
+    reviews: sum.reviews + d.reviews,
+    correct: sum.correct + d.correct,
+    xp: sum.xp + d.xp,
+    activeDays: sum.activeDays + (d.reviews > 0 ? 1 : 0),
+  }), { reviews: 0, correct: 0, xp: 0, activeDays: 0 });
+
+  return {
+    ...totals,
+    accuracy: totals.reviews > 0 ? Math.round((totals.correct / totals.reviews) * 100) : null,
+  };
+};
+
+/**
+ * Heatmap intensity 0-4 for a day's review count
+ */
+export const getHeatmapLevel = (reviews) => {
+  if (!reviews) return 0;
+  if (reviews < 10) return 1;
+  if (reviews < 25) return 2;
+  if (reviews < 50) return 3;
+  return 4;
+};
+
+/**
+ * GitHub-style yearly heatmap: columns of weeks (Sun-Sat), oldest first.
+ * Days after `today` are null so the last column can be partial.
+ */
+export const getHeatmapWeeks = (history, today = new Date(), weeks = 53) => {
+  const end = addDays(today, 0);
+  const start = addDays(end, -((weeks - 1) * 7 + end.getDay()));
+
+  return Array.from({ length: weeks }, (_, w) =>
+    Array.from({ length: 7 }, (_, d) => {
+      const date = addDays(start, w * 7 + d);
+      if (date > end) return null;
+      const key = getDateKey(date);
+      const reviews = history?.[key]?.reviews || 0;
+      return { date: key, reviews, level: getHeatmapLevel(reviews) };
+    })
+  );
+};
@@ -0,0 +1,117 @@
+// Answer Grading - typo-tolerant checking of typed answers with partial credit
+// Options (stats.answerChecking): { typoTolerance, ignoreDiacritics, ignoreArticles } - all on by default
+
+export const DEFAULT_ANSWER_CHECKING = { typoTolerance: true, ignoreDiacritics: true, ignoreArticles: true };
+
+const LEADING_ARTICLES = /^(?:a|an|the|to)\s+/;
+
+/**
+ * Normalize for comparison: case, hyphens ("carry-out" = "carry out"), punctuation,
+ * and optionally diacritics and a leading article / infinitive "to"
+ */
+export const normalizeAnswer = (text, options = DEFAULT_ANSWER_CHECKING) => {
+  let value = `${text || ""}`.toLowerCase().trim();
+  if (options.ignoreDiacritics) value = value.normalize("NFD").replace(/[\u0300-\u036f]/g, "").replace(/đ/g, "d");
+  value = value.replace(/[-_/]+/g, " ").replace(/[^\p{L}\p{N}'\s]/gu, "").replace(/\s+/g, " ").trim();
+  if (options.ignoreArticles) value = value.replace(LEADING_ARTICLES, "");
+  return value;
+};
+
+/**
+ * Edit distance where swapping two adjacent letters ("recieve") is a single typo
+ * (optimal string alignment)
+ */
+export const editDistance = (a, b) => {
+  const table = Array.from({ length: a.length + 1 }, (_, i) => Array.from({ length: b.length + 1 }, (_, j) => (i === 0 ? j : j === 0 ? i : 0)));
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      table[i][j] = Math.min(table[i - 1][j] + 1, table[i][j - 1] + 1, table[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        table[i][j] = Math.min(table[i][j], table[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return table[a.length][b.length];
+};
+
+/**
+ * Typos allowed for an answer of this length (none for short words)
+ */
+export const getAllowedTypos = (length) => (length <= 4 ? 0 : length <= 8 ? 1 : 2);
+
+/**
+ * Letter-by-letter diff of the typed answer against the expected one
+ * @returns {Array<{ char, status: "match" | "wrong" | "missing" | "extra" }>}
+ */
+export const diffAnswer = (typed, expected) => {
+  const a = `${typed || ""}`.trim();
+  const b = `${expected || ""}`.trim();
+  const al = a.toLowerCase();
+  const bl = b.toLowerCase();
+
+  // Full table for the backtrace (answers are short)
+  const table = Array.from({ length: a.length + 1 }, (_, i) => Array.from({ length: b.length + 1 }, (_, j) => (i === 0 ? j : j === 0 ? i : 0)));
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      table[i][j] = Math.min(table[i - 1][j] + 1, table[i][j - 1] + 1, table[i - 1][j - 1] + (al[i - 1] === bl[j - 1] ? 0 : 1));
+    }
+  }
+
+  const diff = [];
+  let i = a.length;
+  let j = b.length;
+  while (i > 0 || j > 0) {
+    if (i > 0 && j > 0 && table[i][j] === table[i - 1][j - 1] + (al[i - 1] === bl[j - 1] ? 0 : 1)) {
+      diff.unshift(al[i - 1] === bl[j - 1] ? { char: b[j - 1], status: "match" } : { char: b[j - 1], status: "wrong" });
+      i--;
+      j--;
+    } else if (j > 0 && table[i][j] === table[i][j - 1] + 1) {
+      diff.unshift({ char: b[j - 1], status: "missing" });
+      j--;
+    } else {
+      diff.unshift({ char: a[i - 1], status: "extra" });
+      i--;
+    }
+  }
+  return diff;
+};
+
+/**
+ * Grade a typed answer
+ * @param {string} typed - What the learner typed
+ * @param {Array<string>} answers - Accepted answers (the first is shown as the expected one)
+ * @param {Object} options - { synonyms, typoTolerance, ignoreDiacritics, ignoreArticles }
+ * @returns {{ correct, exact, verdict: "exact" | "typo" | "synonym" | "wrong", expected, distance, quality, diff }}
+ */
+export const gradeAnswer = (typed, answers, options = {}) => {
+  const { synonyms = [], ...checking } = { ...DEFAULT_ANSWER_CHECKING, ...options };
+  const accepted = (answers || []).filter(Boolean);
+  const input = normalizeAnswer(typed, checking);
+  const expected = accepted[0] || "";
+
+  let best = { answer: expected, distance: Infinity };
+  accepted.forEach((answer) => {
+    const distance = editDistance(input, normalizeAnswer(answer, checking));
+    if (distance < best.distance) best = { answer, distance };
+  });
+
+  const result = (verdict, quality) => ({
+    correct: verdict !== "wrong",
+    exact: verdict === "exact",
+    verdict,
+    expected: best.answer,
+    distance: best.distance,
+    quality,
+    // A synonym is a different word, so a letter diff would only be noise
+    diff: verdict === "exact" || verdict === "synonym" ? [] : diffAnswer(typed, best.answer),
+  });
+
+  if (!input) return result("wrong", 1);
+  if (best.distance === 0) return result("exact", 5);
+  if (checking.typoTolerance && best.distance <= getAllowedTypos(normalizeAnswer(best.answer, checking).length)) {
+    return result("typo", 3);
+  }
+  if (synonyms.some((synonym) => normalizeAnswer(synonym, checking) === input)) return result("synonym", 3);
+  // Near misses still earn a little credit
+  return result("wrong", best.distance <= getAllowedTypos(input.length) + 1 ? 2 : 1);
+};
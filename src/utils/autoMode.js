@@ -0,0 +1,59 @@
+// Auto Mode - one mixed Learn session where each card gets the exercise that suits it
+// New words are introduced passively, familiar ones are typed, known ones move to sentence
+// exercises. Weak words (high failure rate) step back one stage; production cards are always typed.
+// With production cards on, typing belongs to them, so recognition cards keep to recognition exercises.
+
+// Exercise candidates per mastery level (New → Mastered); repeated reviews rotate through them
+export const AUTO_MODE_STAGES = [
+  ["flashcard"],
+  ["recall", "listen"],
+  ["type"],
+  ["cloze", "dictation"],
+  ["dictation", "cloze"],
+];
+
+// Exercises that test recognition (word → meaning), for recognition cards next to production cards
+export const AUTO_RECOGNITION_EXERCISES = ["flashcard", "recall", "listen"];
+
+// Failure rate at which a word counts as weak
+export const AUTO_WEAK_FAILURE_RATE = 0.4;
+
+/**
+ * Exercise for a card
+ * @param {Object} context - { masteryLevel, failureRate, isProduction, productionCards, supports(mode) }
+ *   productionCards is true when the word also has a production card (stats.productionCards);
+ *   supports is false for exercises the card can't do (cloze/dictation without a usable example sentence)
+ * @returns {string} - A Learn mode id
+ */
+export const pickAutoMode = (card, context = {}) => {
+  const { masteryLevel = 0, failureRate = 0, isProduction = false, productionCards = false, supports = () => true } = context;
+  const weak = masteryLevel > 0 && failureRate >= AUTO_WEAK_FAILURE_RATE;
+  const stage = Math.max(0, Math.min(masteryLevel, AUTO_MODE_STAGES.length - 1) - (weak ? 1 : 0));
+
+  if (isProduction) return stage >= 3 && supports("cloze") ? "cloze" : "type";
+
+  if (productionCards) {
+    const recognition = AUTO_MODE_STAGES[stage].filter((mode) => AUTO_RECOGNITION_EXERCISES.includes(mode) && supports(mode));
+    const candidates = recognition.length ? recognition : ["recall", "listen"].filter(supports);
+    if (candidates.length === 0) return "flashcard";
+    return candidates[(card?.srs?.repetitions || 0) % candidates.length];
+  }
+
+  const candidates = AUTO_MODE_STAGES[stage].filter(supports);
+  if (candidates.length === 0) return "type";
+  return candidates[(card?.srs?.repetitions || 0) % candidates.length];
+};
+
+/**
+ * Per-exercise totals of an Auto session's history ({ mode, isGood } entries)
+ * @returns {Array<{ mode, correct, total }>} - In order of first appearance
+ */
+export const summarizeByExercise = (history) => {
+  const byMode = new Map();
+  (history || []).forEach(({ mode, isGood }) => {
+    if (!mode) return;
+    const entry = byMode.get(mode) || { mode, correct: 0, total: 0 };
+    byMode.set(mode, { ...entry, correct: entry.correct + (isGood ? 1 : 0), total: entry.total + 1 });
+  });
+  return [...byMode.values()];
+};
@@ -0,0 +1,68 @@
+// Card Directions - recognition (English → meaning) and production (meaning → English)
+// Each direction keeps its own SRS state: word.srs (recognition) and word.srsProduction.
+// Sessions work on card views: the word with `srs` swapped for the direction's state,
+// so SRSEngine and the schedulers don't need to know about directions.
+import { isInLearning } from "./scheduler";
+
+export const RECOGNITION = "recognition";
+export const PRODUCTION = "production";
+
+const SRS_KEYS = { [RECOGNITION]: "srs", [PRODUCTION]: "srsProduction" };
+
+export const getCardDirection = (card) => card?.direction || RECOGNITION;
+
+/**
+ * Id of the stored word behind a card (recognition cards keep the word id)
+ */
+export const getCardWordId = (card) => card?.wordId || card?.id;
+
+/**
+ * Card view of a word for one direction. Recognition cards are the word itself.
+ */
+export const getCardView = (word, direction = RECOGNITION) => {
+  if (direction === RECOGNITION) return word;
+  return { ...word, id: `${word.id}:${direction}`, wordId: word.id, direction, srs: word[SRS_KEYS[direction]] || {} };
+};
+
+/**
+ * Production unlocks once the word has graduated from recognition learning
+ */
+export const hasProductionCard = (word) => !!word?.srs?.lastReview && !isInLearning(word.srs);
+
+/**
+ * All cards of a word list (production cards only when enabled)
+ */
+export const expandCards = (words, productionEnabled = false) => {
+  if (!productionEnabled) return words || [];
+  const cards = [];
+  (words || []).forEach((word) => {
+    cards.push(word);
+    if (hasProductionCard(word)) cards.push(getCardView(word, PRODUCTION));
+  });
+  return cards;
+};
+
+/**
+ * Write a card's SRS state back onto its stored word
+ */
+export const mergeCard = (word, card) => ({ ...word, [SRS_KEYS[getCardDirection(card)]]: card.srs });
+
+/**
+ * Apply cards (in order, latest wins) to a word list
+ */
+export const applyCards = (words, cards) => {
+  const byId = new Map(words.map((word) => [word.id, word]));
+  (cards || []).forEach((card) => {
+    const id = getCardWordId(card);
+    if (byId.has(id)) byId.set(id, mergeCard(byId.get(id), card));
+  });
+  return words.map((word) => byId.get(word.id));
+};
+
+/**
+ * Stored words touched by `cards`, with every card applied (for saving)
+ */
+export const mergeCards = (words, cards) => {
+  const ids = new Set((cards || []).map(getCardWordId));
+  return applyCards(words, cards).filter((word) => ids.has(word.id));
+};
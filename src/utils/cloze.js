@@ -0,0 +1,87 @@
+// Cloze Deletion - blank the target word (or an inflected form) out of an example sentence
+// TOEIC examples are bilingual: "The deadline for the report is Friday (Hạn chót …)"
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const isVowel = (ch) => "aeiou".includes(ch);
+
+// Longer verbs stressed on the last syllable, which double like one-syllable words (submit → submitted)
+const DOUBLING_VERBS = new Set([
+  "admit", "begin", "commit", "compel", "control", "occur", "omit", "permit", "prefer", "refer",
+  "regret", "submit", "transfer", "transmit", "forget", "equip", "expel", "incur", "propel", "rebel",
+]);
+
+const isOneSyllable = (word) => (word.match(/[aeiouy]+/g) || []).length === 1;
+
+/**
+ * Split a bilingual example into the English sentence and its trailing (translation)
+ */
+export const splitExample = (example) => {
+  const text = `${example || ""}`.trim();
+  const match = text.match(/^(.*?)\s*\(([^()]*)\)\s*$/);
+  if (!match || !match[1]) return { sentence: text, translation: "" };
+  return { sentence: match[1].trim(), translation: match[2].trim() };
+};
+
+/**
+ * Regular inflections of a single word: plurals/3rd person, past, -ing
+ * e.g. postpone → postponed, postponing; apply → applied; plan → planned; visit → visited
+ */
+export const getInflections = (term) => {
+  const base = `${term || ""}`.toLowerCase().trim();
+  if (!base) return [];
+  const forms = new Set([base]);
+  const last = base[base.length - 1];
+  const beforeLast = base[base.length - 2] || "";
+
+  if (last === "e") {
+    forms.add(`${base}s`).add(`${base}d`).add(`${base.slice(0, -1)}ing`);
+  } else if (last === "y" && !isVowel(beforeLast)) {
+    forms.add(`${base.slice(0, -1)}ies`).add(`${base.slice(0, -1)}ied`).add(`${base}ing`);
+  } else {
+    forms.add(/(s|x|z|ch|sh|o)$/.test(base) ? `${base}es` : `${base}s`).add(`${base}ed`).add(`${base}ing`);
+  }
+  // Stressed consonant-vowel-consonant endings double the last letter (plan → planned), but
+  // unstressed ones do not (open → opened, visit → visited)
+  if ((isOneSyllable(base) || DOUBLING_VERBS.has(base)) && !isVowel(last) && !"wxy".includes(last) && isVowel(beforeLast) && !isVowel(base[base.length - 3] || "a")) {
+    forms.add(`${base}${last}ed`).add(`${base}${last}ing`);
+  }
+  return [...forms];
+};
+
+/**
+ * Find the target word in a sentence
+ * @returns {{ before, answer, after } | null}
+ */
+export const findClozeTarget = (sentence, term) => {
+  const text = `${sentence || ""}`;
+  const words = `${term || ""}`.trim().split(/\s+/).filter(Boolean);
+  if (!text || words.length === 0) return null;
+
+  // Longest forms first so "postponed" wins over "postpone"
+  const formsOf = (word) => `(?:${getInflections(word).sort((a, b) => b.length - a.length).map(escapeRegExp).join("|")})`;
+  const exact = (list) => list.map(escapeRegExp).join("\\s+");
+  // Phrases: inflect the first word ("complied with") or the last one ("board meetings")
+  const pattern = words.length === 1
+    ? formsOf(words[0])
+    : `${formsOf(words[0])}\\s+${exact(words.slice(1))}|${exact(words.slice(0, -1))}\\s+${formsOf(words[words.length - 1])}`;
+  const match = text.match(new RegExp(`(^|[^A-Za-z])(${pattern})(?![A-Za-z])`, "i"));
+  if (!match) return null;
+
+  const start = match.index + match[1].length;
+  const answer = match[2];
+  return { before: text.slice(0, start), answer, after: text.slice(start + answer.length) };
+};
+
+/**
+ * Cloze card for a word: the first example that contains it
+ * @returns {{ before, answer, after, translation } | null}
+ */
+export const buildCloze = (word) => {
+  for (const example of word?.examples || []) {
+    const { sentence, translation } = splitExample(example);
+    const target = findClozeTarget(sentence, word.term);
+    if (target) return { ...target, translation };
+  }
+  return null;
+};
@@ -0,0 +1,47 @@
+// Cram - exam-prep drilling that never touches SRS scheduling
+// Each card comes back until it has been answered correctly `target` times; the score is
+// kept only for the session: { target, correct: { [cardId]: n }, wrong: { [cardId]: n }, attempts }
+export const CRAM_TARGETS = [1, 2, 3];
+
+// Cards shown before a card comes back
+export const CRAM_REQUEUE_GAP = 3;
+
+export const createCramProgress = (target = 2) => ({ target, correct: {}, wrong: {}, attempts: 0 });
+
+export const recordCramAnswer = (progress, cardId, isCorrect) => {
+  const key = isCorrect ? "correct" : "wrong";
+  return {
+    ...progress,
+    attempts: progress.attempts + 1,
+    [key]: { ...progress[key], [cardId]: (progress[key][cardId] || 0) + 1 },
+  };
+};
+
+export const isCramCardDone = (progress, cardId) => (progress.correct[cardId] || 0) >= progress.target;
+
+/**
+ * Queue with `item` inserted again a few places after the current position
+ */
+export const requeueForCram = (queue, idx, item, gap = CRAM_REQUEUE_GAP) => {
+  const insertAt = Math.min(idx + 1 + gap, queue.length);
+  return [...queue.slice(0, insertAt), item, ...queue.slice(insertAt)];
+};
+
+/**
+ * End-of-cram summary; toughest cards are the ones missed most
+ * @param {Array} cards - The distinct cards drilled
+ */
+export const summarizeCram = (progress, cards) => {
+  const wrongTotal = Object.values(progress.wrong).reduce((sum, n) => sum + n, 0);
+  return {
+    cards: cards.length,
+    attempts: progress.attempts,
+    accuracy: progress.attempts > 0 ? Math.round(((progress.attempts - wrongTotal) / progress.attempts) * 100) : 0,
+    firstTry: cards.filter((card) => !progress.wrong[card.id]).length,
+    toughest: cards
+      .filter((card) => progress.wrong[card.id])
+      .sort((a, b) => progress.wrong[b.id] - progress.wrong[a.id])
+      .slice(0, 5)
+      .map((card) => ({ card, misses: progress.wrong[card.id] })),
+  };
+};
@@ -0,0 +1,104 @@
+// Custom Study - build a session queue from a combination of filters
+// Presets are stored in stats.customStudyPresets: [{ id, name, filters }]
+// Empty lists and null values mean "any"; custom sessions skip the daily limits.
+import { getDateKey } from "./activityHistory";
+import { isSuspended } from "./leech";
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+export const DEFAULT_CUSTOM_STUDY = {
+  lessons: [],
+  categories: [],
+  mastery: [],
+  partsOfSpeech: [],
+  tags: [],
+  minFailureRate: 0,
+  addedWithinDays: null,
+  reviewedWithinDays: null,
+  notReviewedForDays: null,
+  failedToday: false,
+  order: "priority", // "priority" | "random" | "alphabetical"
+  limit: 50, // null = every matching card
+};
+
+/**
+ * When a word was added: word.addedAt, or the timestamp in ids of added/imported words ("w_1712…")
+ */
+export const getAddedAt = (word) => {
+  if (word?.addedAt) return new Date(word.addedAt);
+  const match = `${word?.wordId || word?.id || ""}`.match(/_(\d{13})(?:_|$)/);
+  return match ? new Date(Number(match[1])) : null;
+};
+
+/**
+ * Card ids failed (quality < 3) today, from the review log
+ */
+export const getFailedTodayIds = (log, now = new Date()) => {
+  const today = getDateKey(now);
+  return new Set(
+    (log || [])
+      .filter((event) => event.quality < 3 && getDateKey(new Date(event.timestamp)) === today)
+      .map((event) => event.wordId)
+  );
+};
+
+/**
+ * Values present in the word list, for the builder's filter chips
+ */
+export const getCustomStudyOptions = (words) => {
+  const collect = (pick) => [...new Set((words || []).flatMap(pick).filter(Boolean))].sort();
+  return {
+    categories: collect((word) => [word.category]),
+    partsOfSpeech: collect((word) => [word.partOfSpeech]),
+    tags: collect((word) => word.tags || []),
+  };
+};
+
+const daysSince = (date, now) => (now.getTime() - date.getTime()) / DAY_MS;
+
+/**
+ * @param {Object} context - { now, failedTodayIds, getMasteryLevel }
+ */
+export const matchesCustomStudy = (card, filters, context = {}) => {
+  const { now = new Date(), failedTodayIds = new Set(), getMasteryLevel = () => 0 } = context;
+  const inList = (list, value) => !list?.length || list.includes(value);
+  const srs = card.srs || {};
+
+  if (!inList(filters.lessons, card.lesson)) return false;
+  if (!inList(filters.categories, card.category)) return false;
+  if (!inList(filters.partsOfSpeech, card.partOfSpeech)) return false;
+  if (!inList(filters.mastery, getMasteryLevel(card))) return false;
+  if (filters.tags?.length && !filters.tags.some((tag) => (card.tags || []).includes(tag))) return false;
+
+  if (filters.minFailureRate > 0) {
+    if (!srs.totalReviews || (srs.wrongReviews || 0) / srs.totalReviews < filters.minFailureRate) return false;
+  }
+  if (filters.addedWithinDays != null) {
+    const addedAt = getAddedAt(card);
+    if (!addedAt || daysSince(addedAt, now) > filters.addedWithinDays) return false;
+  }
+  const lastReview = srs.lastReview ? new Date(srs.lastReview) : null;
+  if (filters.reviewedWithinDays != null && (!lastReview || daysSince(lastReview, now) > filters.reviewedWithinDays)) return false;
+  if (filters.notReviewedForDays != null && lastReview && daysSince(lastReview, now) < filters.notReviewedForDays) return false;
+  if (filters.failedToday && !failedTodayIds.has(card.id)) return false;
+  return true;
+};
+
+/**
+ * Matching cards (suspended ones excluded), ordered and limited
+ * @param {Object} context - matchesCustomStudy context plus getPriority(card) for "priority" order
+ */
+export const buildCustomStudyQueue = (cards, filters, context = {}) => {
+  const { getPriority = () => 0, random = Math.random } = context;
+  const matching = (cards || []).filter((card) => !isSuspended(card) && matchesCustomStudy(card, filters, context));
+
+  let ordered;
+  if (filters.order === "alphabetical") {
+    ordered = [...matching].sort((a, b) => a.term.localeCompare(b.term));
+  } else if (filters.order === "random") {
+    ordered = matching.map((card) => ({ card, key: random() })).sort((a, b) => a.key - b.key).map(({ card }) => card);
+  } else {
+    ordered = [...matching].sort((a, b) => getPriority(b) - getPriority(a));
+  }
+  return filters.limit ? ordered.slice(0, filters.limit) : ordered;
+};
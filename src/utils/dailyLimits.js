@@ -0,0 +1,69 @@
+// Daily Limits - caps on brand-new words and reviews per day
+// Today's counts live in stats.todayCounts: { date, newCards, reviews }
+import { isInLearning } from "./scheduler";
+
+export const DEFAULT_NEW_CARDS_PER_DAY = 20;
+export const DEFAULT_REVIEWS_PER_DAY = 200;
+
+/**
+ * "new" (never reviewed), "learning" (in learning steps) or "review"
+ * Learning repeats don't count against either limit.
+ */
+export const getCardKind = (word) => {
+  const srs = word?.srs || {};
+  if (!srs.lastReview) return "new";
+  if (isInLearning(srs)) return "learning";
+  return "review";
+};
+
+/**
+ * Today's counts (zero when the stored counts are from another day)
+ */
+export const getTodayCounts = (todayCounts, now = new Date()) => {
+  if (todayCounts?.date !== now.toDateString()) return { date: now.toDateString(), newCards: 0, reviews: 0 };
+  return { newCards: 0, reviews: 0, ...todayCounts };
+};
+
+/**
+ * Add studied cards (by kind) to today's counts
+ */
+export const recordStudiedCards = (todayCounts, kinds, now = new Date()) => {
+  const counts = getTodayCounts(todayCounts, now);
+  return {
+    ...counts,
+    newCards: counts.newCards + kinds.filter((kind) => kind === "new").length,
+    reviews: counts.reviews + kinds.filter((kind) => kind === "review").length,
+  };
+};
+
+/**
+ * What is left of today's limits
+ */
+export const getRemainingAllowance = (stats, now = new Date()) => {
+  const counts = getTodayCounts(stats?.todayCounts, now);
+  const newLimit = stats?.newCardsPerDay || DEFAULT_NEW_CARDS_PER_DAY;
+  const reviewLimit = stats?.reviewsPerDay || DEFAULT_REVIEWS_PER_DAY;
+  return {
+    newLimit,
+    reviewLimit,
+    newCards: Math.max(0, newLimit - counts.newCards),
+    reviews: Math.max(0, reviewLimit - counts.reviews),
+  };
+};
+
+/**
+ * Keep an ordered word list within the allowance (learning words always pass)
+ * @param {Object} allowance - { newCards, reviews } remaining today
+ */
+export const applyDailyLimits = (words, allowance) => {
+  if (!allowance) return words;
+  let newLeft = allowance.newCards;
+  let reviewsLeft = allowance.reviews;
+
+  return words.filter((word) => {
+    const kind = getCardKind(word);
+    if (kind === "new") return newLeft-- > 0;
+    if (kind === "review") return reviewsLeft-- > 0;
+    return true;
+  });
+};
@@ -1,4 +1,5 @@
 // Data Management Utilities for VocabMaster Pro
+import { formatWordForms } from "./wordForms";
 
 /**
  * Export user data to JSON file
@@ -58,7 +59,7 @@ export const importData = (file) => {
  * Export to CSV format
  */
 export const exportToCSV = (words) => {
-  const headers = ["Term", "Definition", "Phonetic", "Part of Speech", "Examples", "Synonyms", "Category", "Lesson"];
+  const headers = ["Term", "Definition", "Phonetic", "Part of Speech", "Examples", "Synonyms", "Category", "Lesson", "Word Forms", "Collocations"];
   const rows = words.map(w => [
     w.term,
     w.definition,
@@ -68,6 +69,8 @@ export const exportToCSV = (words) => {
     (w.synonyms || []).join(", "),
     w.category || "",
     w.lessonTitle || w.lesson || "",
+    formatWordForms(w.wordForms),
+    (w.collocations || []).join("; "),
   ]);
 
   const csvContent = [
@@ -0,0 +1,97 @@
+// Dictation - hear an example sentence, type it, score it word by word
+// The target word's SRS rating depends on whether its span in the sentence was captured.
+import { DEFAULT_ANSWER_CHECKING, editDistance, getAllowedTypos, normalizeAnswer } from "./answerGrading";
+import { findClozeTarget, splitExample } from "./cloze";
+
+// Share of sentence words needed (besides the target) for a Good rating
+export const DICTATION_GOOD_ACCURACY = 0.8;
+
+/**
+ * Words of a sentence with their comparison keys (hyphenated words are split, punctuation dropped)
+ */
+export const tokenizeSentence = (text, options = DEFAULT_ANSWER_CHECKING) =>
+  `${text || ""}`
+    .split(/[\s\-–—/]+/)
+    .map((word) => ({ word, key: normalizeAnswer(word, { ...options, ignoreArticles: false }).replace(/\s+/g, "") }))
+    .filter((token) => token.key);
+
+/**
+ * Dictation sentence for a word: its examples that contain the word, rotating with each review
+ * @returns {{ sentence, translation, targetStart, targetLength } | null} - target span in token indices
+ */
+export const getDictationSentence = (word) => {
+  const usable = (word?.examples || [])
+    .map(splitExample)
+    .map((example) => ({ ...example, target: findClozeTarget(example.sentence, word.term) }))
+    .filter((example) => example.target);
+  if (usable.length === 0) return null;
+
+  const { sentence, translation, target } = usable[(word.srs?.repetitions || 0) % usable.length];
+  return {
+    sentence,
+    translation,
+    targetStart: tokenizeSentence(target.before).length,
+    targetLength: tokenizeSentence(target.answer).length,
+  };
+};
+
+/**
+ * Word-level alignment of the typed text against the sentence
+ * @returns {Array<{ word, typed, status: "match" | "typo" | "wrong" | "missing" | "extra" }>}
+ */
+export const alignWords = (typedTokens, expectedTokens, options = DEFAULT_ANSWER_CHECKING) => {
+  const isTypo = (a, b) => options.typoTolerance && editDistance(a.key, b.key) <= getAllowedTypos(b.key.length);
+  const substitution = (a, b) => (a.key === b.key ? 0 : isTypo(a, b) ? 0.5 : 1);
+
+  const rows = typedTokens.length;
+  const cols = expectedTokens.length;
+  const table = Array.from({ length: rows + 1 }, (_, i) => Array.from({ length: cols + 1 }, (_, j) => (i === 0 ? j : j === 0 ? i : 0)));
+  for (let i = 1; i <= rows; i++) {
+    for (let j = 1; j <= cols; j++) {
+      table[i][j] = Math.min(table[i - 1][j] + 1, table[i][j - 1] + 1, table[i - 1][j - 1] + substitution(typedTokens[i - 1], expectedTokens[j - 1]));
+    }
+  }
+
+  const alignment = [];
+  let i = rows;
+  let j = cols;
+  while (i > 0 || j > 0) {
+    const typed = typedTokens[i - 1];
+    const expected = expectedTokens[j - 1];
+    if (i > 0 && j > 0 && table[i][j] === table[i - 1][j - 1] + substitution(typed, expected)) {
+      const cost = substitution(typed, expected);
+      alignment.unshift({ word: expected.word, typed: typed.word, status: cost === 0 ? "match" : cost < 1 ? "typo" : "wrong" });
+      i--;
+      j--;
+    } else if (j > 0 && table[i][j] === table[i][j - 1] + 1) {
+      alignment.unshift({ word: expected.word, typed: "", status: "missing" });
+      j--;
+    } else {
+      alignment.unshift({ word: "", typed: typed.word, status: "extra" });
+      i--;
+    }
+  }
+  return alignment;
+};
+
+/**
+ * Score a dictation attempt
+ * @param {Object} dictation - From getDictationSentence
+ * @returns {{ alignment, correctWords, totalWords, accuracy, targetCaptured, targetExact, rating }}
+ */
+export const scoreDictation = (typed, dictation, options = DEFAULT_ANSWER_CHECKING) => {
+  const expected = tokenizeSentence(dictation.sentence, options);
+  const alignment = alignWords(tokenizeSentence(typed, options), expected, options);
+
+  // Statuses of the sentence words only (extras don't belong to any), to find the target span
+  const sentenceWords = alignment.filter((entry) => entry.status !== "extra");
+  const target = sentenceWords.slice(dictation.targetStart, dictation.targetStart + dictation.targetLength);
+  const targetCaptured = target.length > 0 && target.every((entry) => entry.status === "match" || entry.status === "typo");
+  const targetExact = targetCaptured && target.every((entry) => entry.status === "match");
+
+  const correctWords = sentenceWords.filter((entry) => entry.status === "match" || entry.status === "typo").length;
+  const accuracy = expected.length > 0 ? correctWords / expected.length : 0;
+  const rating = !targetCaptured ? "again" : targetExact && accuracy >= DICTATION_GOOD_ACCURACY ? "good" : "hard";
+
+  return { alignment, correctWords, totalWords: expected.length, accuracy: Math.round(accuracy * 100) / 100, targetCaptured, targetExact, rating };
+};
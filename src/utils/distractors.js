@@ -0,0 +1,86 @@
+// Distractors - plausible wrong options for multiple-choice questions and hints
+// Candidates are ranked by how easily they could be mistaken for the answer: words the
+// user confused before, look-alike spellings, confusable synonyms, then the same part of
+// speech, lesson and category. A little randomness keeps the options from repeating.
+import { editDistance, normalizeAnswer } from "./answerGrading";
+
+// Random spread added to each score, so equally good candidates rotate
+const DISTRACTOR_JITTER = 1.5;
+
+// Spelling similarity from which two terms count as look-alikes ("affect" / "effect")
+export const LOOK_ALIKE_SIMILARITY = 0.6;
+
+// Card ids of production cards are "<wordId>:production"
+const toWordId = (id) => `${id ?? ""}`.split(":")[0];
+
+/**
+ * Words each word was confused with, from review events that carry confusedWith (both ways)
+ * @returns {Map<string, Set<string>>}
+ */
+export const getConfusions = (log) => {
+  const confusions = new Map();
+  const link = (a, b) => confusions.set(a, new Set([...(confusions.get(a) || []), b]));
+  (log || []).forEach((event) => {
+    if (!event.confusedWith) return;
+    const a = toWordId(event.wordId);
+    const b = toWordId(event.confusedWith);
+    if (a === b) return;
+    link(a, b);
+    link(b, a);
+  });
+  return confusions;
+};
+
+export const getSpellingSimilarity = (a, b) => {
+  const x = normalizeAnswer(a);
+  const y = normalizeAnswer(b);
+  if (!x || !y || Math.abs(x.length - y.length) > 3) return 0;
+  return 1 - editDistance(x, y) / Math.max(x.length, y.length);
+};
+
+const isSynonymOf = (word, other) => {
+  const term = normalizeAnswer(other.term);
+  return (word.synonyms || []).some((synonym) => normalizeAnswer(synonym) === term);
+};
+
+/**
+ * How easily `candidate` could be mistaken for `target` (higher = better distractor)
+ * @param {Object} context - { confusedIds: Set of word ids the user confused with the target }
+ */
+export const scoreDistractor = (target, candidate, context = {}) => {
+  const { confusedIds } = context;
+  let score = 0;
+  if (confusedIds?.has(toWordId(candidate.id))) score += 5;
+  const similarity = getSpellingSimilarity(target.term, candidate.term);
+  if (similarity >= LOOK_ALIKE_SIMILARITY) score += 3 * similarity;
+  if (isSynonymOf(target, candidate) || isSynonymOf(candidate, target)) score += 2.5;
+  if (target.partOfSpeech && candidate.partOfSpeech === target.partOfSpeech) score += 3;
+  if (target.lesson && candidate.lesson === target.lesson) score += 1.5;
+  if (target.category && candidate.category === target.category) score += 0.5;
+  return score;
+};
+
+/**
+ * Best `count` distractors for a word
+ * Candidates sharing the target's term, or the same `field` value (e.g. the definition the
+ * question asks for), are skipped so no option is a second right answer.
+ * @param {Object} options - { count, field, confusions (from getConfusions), random }
+ */
+export const pickDistractors = (target, candidates, options = {}) => {
+  const { count = 3, field = "term", confusions = new Map(), random = Math.random } = options;
+  const confusedIds = confusions.get(toWordId(target.id)) || new Set();
+  const seen = new Set([normalizeAnswer(target.term), normalizeAnswer(target[field])]);
+
+  return (candidates || [])
+    .filter((candidate) => toWordId(candidate.id) !== toWordId(target.id) && candidate[field])
+    .map((candidate) => ({ candidate, score: scoreDistractor(target, candidate, { confusedIds }) + random() * DISTRACTOR_JITTER }))
+    .sort((a, b) => b.score - a.score)
+    .filter(({ candidate }) => {
+      const keys = [normalizeAnswer(candidate.term), normalizeAnswer(candidate[field])];
+      if (keys.some((key) => seen.has(key))) return false;
+      keys.forEach((key) => seen.add(key));
+      return true;
+    })
+    .slice(0, count)
+    .map(({ candidate }) => candidate);
+};
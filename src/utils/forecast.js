@@ -0,0 +1,170 @@
+// Review Forecast - upcoming due counts, load balancing and overdue catch-up
+import { getDateKey } from "./activityHistory";
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const startOfDay = (date) => {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+};
+
+/**
+ * Whole days from today until a word's nextReview (negative when overdue, null for new words)
+ */
+export const getDaysUntilDue = (word, now = new Date()) => {
+  if (!word?.srs?.nextReview) return null;
+  return Math.round((startOfDay(word.srs.nextReview) - startOfDay(now)) / DAY_MS);
+};
+
+/**
+ * Past its due day (rated overdue words count against the catch-up share)
+ */
+export const isOverdue = (word, now = new Date()) => {
+  const daysUntil = getDaysUntilDue(word, now);
+  return daysUntil !== null && daysUntil < 0;
+};
+
+/**
+ * Due counts per day for the next `days` days (day 0 also holds the overdue backlog)
+ * @returns {Array<{ date, label, count, overdue }>}
+ */
+export const getDueForecast = (words, days = 30, now = new Date()) => {
+  const forecast = Array.from({ length: days }, (_, i) => {
+    const date = new Date(startOfDay(now).getTime());
+    date.setDate(date.getDate() + i);
+    return { date: getDateKey(date), label: `${date.getDate()}/${date.getMonth() + 1}`, count: 0, overdue: 0 };
+  });
+
+  (words || []).forEach((word) => {
+    const daysUntil = getDaysUntilDue(word, now);
+    if (daysUntil === null || daysUntil >= days) return;
+    if (daysUntil < 0) {
+      forecast[0].count++;
+      forecast[0].overdue++;
+    } else {
+      forecast[daysUntil].count++;
+    }
+  });
+
+  return forecast;
+};
+
+/**
+ * Reviews already scheduled per calendar day ({ "YYYY-MM-DD": count })
+ */
+export const buildDueLoad = (words) => {
+  const load = {};
+  (words || []).forEach((word) => {
+    if (!word.srs?.nextReview) return;
+    const key = getDateKey(new Date(word.srs.nextReview));
+    load[key] = (load[key] || 0) + 1;
+  });
+  return load;
+};
+
+/**
+ * Load balancing: move an interval a little toward the least busy nearby day.
+ * Short intervals stay exact; the window grows by ~10% of the interval (max 7 days).
+ */
+export const balanceInterval = (interval, dueLoad, now = new Date()) => {
+  if (!dueLoad || interval < 3) return interval;
+
+  const spread = Math.min(7, Math.max(1, Math.round(interval * 0.1)));
+  let best = interval;
+  let bestLoad = Infinity;
+
+  for (let offset = 0; offset <= spread; offset++) {
+    for (const candidate of offset === 0 ? [interval] : [interval - offset, interval + offset]) {
+      if (candidate < 1) continue;
+      const date = new Date(now);
+      date.setDate(date.getDate() + candidate);
+      const load = dueLoad[getDateKey(date)] || 0;
+      if (load < bestLoad) {
+        best = candidate;
+        bestLoad = load;
+      }
+    }
+  }
+
+  return best;
+};
+
+/**
+ * Catch-up plan in use: the saved one (stats.catchUp) until its days run out, or a new one
+ * sharing out the current backlog. The plan is saved with the first overdue word rated on it,
+ * so its daily share does not shrink as the backlog is worked off.
+ * @returns {{ startedAt, days, backlog, dailyShare, date, reviewed } | null}
+ *   date/reviewed: overdue words rated on that day
+ */
+export const getCatchUpPlan = (saved, overdueCount, days, now = new Date()) => {
+  if (!days || days <= 1) return null;
+  if (saved?.days === days && getCatchUpDay(saved, now) < days) return saved;
+  if (overdueCount === 0) return null;
+  return {
+    startedAt: startOfDay(now).toISOString(),
+    days,
+    backlog: overdueCount,
+    dailyShare: Math.ceil(overdueCount / days),
+    date: getDateKey(now),
+    reviewed: 0,
+  };
+};
+
+/**
+ * Day of the plan, from 0
+ */
+export const getCatchUpDay = (plan, now = new Date()) => Math.round((startOfDay(now) - startOfDay(plan.startedAt)) / DAY_MS);
+
+export const getCatchUpReviewedToday = (plan, now = new Date()) => (plan?.date === getDateKey(now) ? plan.reviewed : 0);
+
+/**
+ * Count overdue words rated today against the plan
+ * @param {Object} saved - stats.catchUp (kept when nothing overdue was rated)
+ */
+export const recordCatchUpReviews = (saved, plan, count, now = new Date()) => {
+  if (!plan || count <= 0) return saved || null;
+  const current = saved?.startedAt === plan.startedAt && saved.days === plan.days ? saved : plan;
+  return { ...current, date: getDateKey(now), reviewed: getCatchUpReviewedToday(current, now) + count };
+};
+
+/**
+ * Catch-up mode: spread the overdue backlog over `days` days.
+ * Words due today are always kept; the most urgent overdue words (by `priority`) fill what is
+ * left of today's share.
+ * @param {Object} saved - The saved plan (stats.catchUp)
+ * @returns {{ selected: Array, deferredIds: Set, overdueCount: number, dailyShare: number, remainingToday: number, plan }}
+ */
+export const rationOverdueWords = (dueWords, days, priority, now = new Date(), saved = null) => {
+  const overdue = [];
+  const dueToday = [];
+  (dueWords || []).forEach((word) => {
+    if (isOverdue(word, now)) overdue.push(word);
+    else dueToday.push(word);
+  });
+
+  const plan = getCatchUpPlan(saved, overdue.length, days, now);
+  if (!plan) {
+    return {
+      selected: dueWords || [],
+      deferredIds: new Set(),
+      overdueCount: overdue.length,
+      dailyShare: overdue.length,
+      remainingToday: overdue.length,
+      plan: null,
+    };
+  }
+
+  const remainingToday = Math.max(0, plan.dailyShare - getCatchUpReviewedToday(plan, now));
+  const ranked = [...overdue].sort((a, b) => priority(b, true) - priority(a, true));
+  const deferred = ranked.slice(remainingToday);
+
+  return {
+    selected: [...dueToday, ...ranked.slice(0, remainingToday)],
+    deferredIds: new Set(deferred.map((word) => word.id)),
+    overdueCount: overdue.length,
+    dailyShare: plan.dailyShare,
+    remainingToday,
+    plan,
+  };
+};
@@ -0,0 +1,45 @@
+// Leech Detection - words that keep lapsing get suspended for a rewrite
+// srs.lapses counts failed reviews of graduated words; srs.leech / srs.suspended are set at the threshold
+import { isInLearning } from "./scheduler";
+
+export const DEFAULT_LEECH_THRESHOLD = 8;
+
+/**
+ * A lapse is forgetting a word that had graduated from learning steps
+ */
+export const isLapse = (srs, quality) => quality < 3 && !isInLearning(srs || {});
+
+/**
+ * The first leech mark comes at the threshold, then again every half threshold
+ * (so an unsuspended leech that keeps lapsing is suspended again)
+ */
+export const isLeechLapse = (lapses, threshold = DEFAULT_LEECH_THRESHOLD) => {
+  if (!threshold || lapses < threshold) return false;
+  return (lapses - threshold) % Math.max(1, Math.ceil(threshold / 2)) === 0;
+};
+
+/**
+ * SRS fields to merge after a review: the lapse count, plus the leech mark when it is reached
+ */
+export const getLapseUpdate = (srs, quality, threshold = DEFAULT_LEECH_THRESHOLD) => {
+  const lapses = (srs?.lapses || 0) + (isLapse(srs, quality) ? 1 : 0);
+  if (lapses === (srs?.lapses || 0) || !isLeechLapse(lapses, threshold)) return { lapses };
+  return { lapses, leech: true, suspended: true };
+};
+
+export const isSuspended = (word) => !!word?.srs?.suspended;
+
+/**
+ * Leeches for the workbench: suspended ones first, then by lapses
+ */
+export const getLeeches = (words) =>
+  (words || [])
+    .filter((word) => word.srs?.leech)
+    .sort((a, b) => Number(isSuspended(b)) - Number(isSuspended(a)) || (b.srs.lapses || 0) - (a.srs.lapses || 0));
+
+export const unsuspendWord = (word) => ({ ...word, srs: { ...word.srs, suspended: false } });
+
+/**
+ * Start the word over as new (its review log history is kept)
+ */
+export const resetWordProgress = (word) => ({ ...word, srs: {} });
@@ -0,0 +1,304 @@
+// Mock Test - a short timed TOEIC Reading test (Parts 5, 6 and 7) built from the user's words
+// Every item comes from the words' example sentences, so only words with one that contains
+// the word are used. A test is { parts, passages, questions }:
+//   questions: { id, number, part, passageId, prompt, options: [{ text, correct }] }
+//   passages:  { id, part, texts: [{ heading, body }] } - Part 6 bodies hold numbered gaps
+// A session taking a test is { test, phase: "part" | "review" | "result", partIdx, answers,
+// flagged, timeUsed, openedAt, result }. Results go to stats.mockTestHistory (latest last).
+import { buildCloze, findClozeTarget, getInflections, splitExample } from "./cloze";
+import { pickDistractors } from "./distractors";
+import { shuffle } from "./shuffle";
+
+export const MOCK_TEST_PARTS = [
+  {
+    id: "part5",
+    title: "Part 5 · Incomplete Sentences",
+    instructions: "Choose the word that best completes each sentence.",
+    secondsPerQuestion: 25,
+  },
+  {
+    id: "part6",
+    title: "Part 6 · Text Completion",
+    instructions: "Read the texts and choose the word that best fits each numbered gap.",
+    secondsPerQuestion: 35,
+  },
+  {
+    id: "part7",
+    title: "Part 7 · Reading Comprehension",
+    instructions: "Read the texts and answer the questions about them.",
+    secondsPerQuestion: 60,
+  },
+];
+
+// Items per part: Part 5 sentences, Part 6 texts × gaps, Part 7 single and double passages
+export const MOCK_TEST_SIZE = { part5: 10, part6Texts: 2, part6Gaps: 4, part7Single: 2, part7Double: 1 };
+
+export const MAX_MOCK_TEST_HISTORY = 20;
+
+// Wrong options per Part 5/6 gap
+const GAP_DISTRACTORS = 3;
+
+// Percent correct → scaled TOEIC Reading score (5-495), interpolated between anchors
+const READING_SCALE = [[0, 5], [0.2, 60], [0.4, 155], [0.6, 265], [0.8, 380], [0.9, 440], [1, 495]];
+
+const PASSAGE_FORMATS = [
+  { type: "e-mail", heading: "To: All staff\nFrom: Office Manager\nSubject: This week's updates", opening: "Dear colleagues," },
+  { type: "memo", heading: "MEMO\nTo: Department heads\nRe: Planning for next quarter", opening: "" },
+  { type: "notice", heading: "NOTICE TO ALL EMPLOYEES", opening: "" },
+  { type: "article", heading: "Business Today", opening: "" },
+];
+const REPLY_FORMAT = { type: "reply", heading: "To: Office Manager\nFrom: Team Leader\nSubject: RE: This week's updates", opening: "Thank you for the update." };
+
+// Which inflection the sentence uses, so distractors can match it ("postponed" → "cancelled")
+const getFormKind = (term, answer) => {
+  const base = term.toLowerCase();
+  const form = answer.toLowerCase();
+  if (form === base || /\s/.test(term)) return "base";
+  if (form.endsWith("ing")) return "ing";
+  if (form.endsWith("d")) return "ed";
+  if (form.endsWith("s")) return "s";
+  return "base";
+};
+
+export const inflectAs = (term, kind) => {
+  if (kind === "base" || /\s/.test(term)) return term;
+  // getInflections: [base, -s, -ed, -ing, doubled -ed, doubled -ing]. It only doubles
+  // stressed endings (plan → planned, but visit → visited), so a doubled form replaces the
+  // regular one only when it exists.
+  const forms = getInflections(term);
+  if (kind === "s") return forms[1] || term;
+  if (kind === "ed") return forms[4] || forms[2] || term;
+  return forms[5] || forms[3] || term;
+};
+
+// Whether a distractor can take the answer's inflection: verbs any, nouns only a plural -s
+const canInflectAs = (word, kind) => {
+  if (kind === "base") return true;
+  const partsOfSpeech = `${word.partOfSpeech || ""}`.split("/");
+  return partsOfSpeech.includes("v") || (kind === "s" && partsOfSpeech.includes("n"));
+};
+
+// English sentences of a word's examples that contain the word
+const getUsableSentences = (word) =>
+  (word.examples || []).map((example) => splitExample(example).sentence).filter((sentence) => findClozeTarget(sentence, word.term));
+
+// Example sentences often lack a full stop; passages join several of them
+const toSentence = (text) => (/[.!?]$/.test(text.trim()) ? text.trim() : `${text.trim()}.`);
+const joinSentences = (sentences) => sentences.map(toSentence).join(" ");
+
+const capitalizeLike = (text, model) => (/^[A-Z]/.test(model) ? text.charAt(0).toUpperCase() + text.slice(1) : text);
+
+/**
+ * Gap options: the form in the sentence plus distractors inflected the same way. Words that
+ * can take the inflection go first; the rest keep their base form ("auditted" is no word).
+ * @param {Object} context - { words, confusions, random }
+ */
+export const buildGapOptions = (word, answer, context) => {
+  const kind = getFormKind(word.term, answer);
+  const options = { count: GAP_DISTRACTORS, confusions: context.confusions, random: context.random };
+  const inflectable = pickDistractors(word, context.words.filter((w) => canInflectAs(w, kind)), options);
+  const rest = pickDistractors(word, context.words.filter((w) => !canInflectAs(w, kind)), { ...options, count: GAP_DISTRACTORS - inflectable.length });
+  return shuffle([
+    { text: answer, correct: true },
+    ...[...inflectable, ...rest].map((d) => ({ text: capitalizeLike(canInflectAs(d, kind) ? inflectAs(d.term, kind) : d.term, answer), correct: false })),
+  ], context.random);
+};
+
+const buildMeaningQuestion = (word, sentence, passageType, context) => {
+  const target = findClozeTarget(sentence, word.term);
+  const distractors = pickDistractors(word, context.words, { field: "definition", confusions: context.confusions, random: context.random });
+  return {
+    prompt: `In the ${passageType}, the word "${target?.answer || word.term}" is closest in meaning to`,
+    options: shuffle([
+      { text: word.definition, correct: true },
+      ...distractors.map((d) => ({ text: d.definition, correct: false })),
+    ], context.random),
+  };
+};
+
+// "Which sentence uses a word that means …?" - the options are sentences of the passage
+const buildLocateQuestion = (word, sentences, passageType, random) => ({
+  prompt: `Which sentence in the ${passageType} uses a word that means "${word.definition}"?`,
+  options: shuffle(sentences.slice(0, 4).map((s) => ({ text: s.sentence, correct: s.word.id === word.id })), random),
+});
+
+/**
+ * Build a mock test; null when fewer than 5 questions could be made
+ * @param {Array} words - The word list (also the distractor pool)
+ * @param {Object} options - { confusions (distractors.getConfusions), random }
+ */
+export const buildMockTest = (words, options = {}) => {
+  const { confusions = new Map(), random = Math.random } = options;
+  const context = { words, confusions, random };
+  const usable = shuffle((words || []).filter((word) => word.definition && buildCloze(word)), random);
+  let next = 0;
+  const take = (count) => {
+    const picked = usable.slice(next, next + count);
+    next += picked.length;
+    return picked;
+  };
+
+  const questions = [];
+  const passages = [];
+  const addQuestion = (part, question, passageId = null) => {
+    questions.push({ id: `q${questions.length + 1}`, number: questions.length + 1, part, passageId, ...question });
+  };
+
+  // Part 5 - one sentence per word
+  take(MOCK_TEST_SIZE.part5).forEach((word) => {
+    const cloze = buildCloze(word);
+    addQuestion("part5", { prompt: `${cloze.before}_______${cloze.after}`, options: buildGapOptions(word, cloze.answer, context) });
+  });
+
+  // Part 6 - a short text with a numbered gap per word
+  for (let t = 0; t < MOCK_TEST_SIZE.part6Texts; t++) {
+    const gapWords = take(MOCK_TEST_SIZE.part6Gaps);
+    if (gapWords.length < 2) break;
+    const format = PASSAGE_FORMATS[t % PASSAGE_FORMATS.length];
+    const passageId = `p6_${t + 1}`;
+    const sentences = gapWords.map((word) => {
+      const cloze = buildCloze(word);
+      const number = questions.length + 1;
+      addQuestion("part6", { prompt: `Gap (${number})`, options: buildGapOptions(word, cloze.answer, context) }, passageId);
+      return `${cloze.before}(${number}) _______${cloze.after}`;
+    });
+    passages.push({ id: passageId, part: "part6", texts: [{ heading: format.heading, body: [format.opening, joinSentences(sentences)].filter(Boolean).join("\n\n") }] });
+  }
+
+  // Part 7 - single passages (two meaning questions and one locate question each)
+  const sentenceOf = (word) => ({ word, sentence: getUsableSentences(word)[0] });
+  for (let t = 0; t < MOCK_TEST_SIZE.part7Single; t++) {
+    const passageWords = take(4);
+    if (passageWords.length < 3) break;
+    const format = PASSAGE_FORMATS[(t + 2) % PASSAGE_FORMATS.length];
+    const passageId = `p7_${t + 1}`;
+    const sentences = passageWords.map(sentenceOf);
+    passages.push({ id: passageId, part: "part7", texts: [{ heading: format.heading, body: [format.opening, joinSentences(sentences.map((s) => s.sentence))].filter(Boolean).join("\n\n") }] });
+    sentences.slice(0, 2).forEach(({ word, sentence }) => addQuestion("part7", buildMeaningQuestion(word, sentence, format.type, context), passageId));
+    addQuestion("part7", buildLocateQuestion(sentences[2].word, shuffle(sentences, random), format.type, random), passageId);
+  }
+
+  // Part 7 - double passage: an e-mail and its reply sharing one word
+  for (let t = 0; t < MOCK_TEST_SIZE.part7Double; t++) {
+    const sharedIndex = usable.slice(next).findIndex((word) => getUsableSentences(word).length >= 2);
+    if (sharedIndex < 0) break;
+    const shared = usable.splice(next + sharedIndex, 1)[0];
+    const [firstWords, secondWords] = [take(2), take(2)];
+    if (secondWords.length < 2) break;
+
+    const sharedSentences = getUsableSentences(shared);
+    const first = [...firstWords.map(sentenceOf), { word: shared, sentence: sharedSentences[0] }];
+    const second = [{ word: shared, sentence: sharedSentences[1] }, ...secondWords.map(sentenceOf)];
+    const passageId = `p7_d${t + 1}`;
+    const format = PASSAGE_FORMATS[0];
+    passages.push({
+      id: passageId,
+      part: "part7",
+      texts: [
+        { heading: format.heading, body: [format.opening, joinSentences(first.map((s) => s.sentence))].join("\n\n") },
+        { heading: REPLY_FORMAT.heading, body: [REPLY_FORMAT.opening, joinSentences(second.map((s) => s.sentence))].join("\n\n") },
+      ],
+    });
+    addQuestion("part7", buildMeaningQuestion(firstWords[0], first[0].sentence, format.type, context), passageId);
+    addQuestion("part7", buildMeaningQuestion(secondWords[1], second[2].sentence, REPLY_FORMAT.type, context), passageId);
+    addQuestion("part7", {
+      prompt: `Which word appears in both the ${format.type} and the ${REPLY_FORMAT.type}?`,
+      options: shuffle([shared, firstWords[1], ...secondWords].map((word) => ({ text: word.term, correct: word.id === shared.id })), random),
+    }, passageId);
+  }
+
+  if (questions.length < 5) return null;
+  const parts = MOCK_TEST_PARTS
+    .map((part) => {
+      const count = questions.filter((q) => q.part === part.id).length;
+      return { ...part, questionCount: count, timeLimitSec: count * part.secondsPerQuestion };
+    })
+    .filter((part) => part.questionCount > 0);
+  return { parts, passages, questions };
+};
+
+/**
+ * Seconds left in a part: its limit minus time already used and time since it was opened
+ * @param {number|null} openedAt - Timestamp the part was (re)opened, null while closed
+ */
+export const getPartTimeLeft = (part, timeUsed = {}, openedAt = null, now = Date.now()) =>
+  Math.max(0, part.timeLimitSec - (timeUsed[part.id] || 0) - (openedAt ? (now - openedAt) / 1000 : 0));
+
+export const startMockTest = (test, now = Date.now()) => ({
+  test,
+  phase: "part",
+  partIdx: 0,
+  answers: {},
+  flagged: {},
+  timeUsed: {},
+  openedAt: now,
+  result: null,
+});
+
+/**
+ * Session with the open part closed and the time spent in it banked
+ */
+export const closeMockTestPart = (session, now = Date.now()) => {
+  if (session.phase !== "part") return session;
+  const part = session.test.parts[session.partIdx];
+  const used = Math.min(part.timeLimitSec, (session.timeUsed[part.id] || 0) + (now - session.openedAt) / 1000);
+  return { ...session, phase: "review", timeUsed: { ...session.timeUsed, [part.id]: used }, openedAt: null };
+};
+
+export const openMockTestPart = (session, partIdx, now = Date.now()) => ({
+  ...closeMockTestPart(session, now),
+  phase: "part",
+  partIdx,
+  openedAt: now,
+});
+
+/**
+ * Leave the open part: on to the next part that still has time, else to the review screen
+ */
+export const advanceMockTest = (session, now = Date.now()) => {
+  const closed = closeMockTestPart(session, now);
+  const nextIdx = closed.test.parts.findIndex((part, i) => i > session.partIdx && getPartTimeLeft(part, closed.timeUsed) > 0);
+  return nextIdx >= 0 ? openMockTestPart(closed, nextIdx, now) : closed;
+};
+
+/**
+ * Scaled TOEIC Reading estimate (5-495, steps of 5)
+ */
+export const estimateReadingScore = (correct, total) => {
+  const ratio = total > 0 ? Math.min(1, Math.max(0, correct / total)) : 0;
+  const upper = READING_SCALE.findIndex(([at]) => at >= ratio);
+  const [x1, y1] = READING_SCALE[Math.max(0, upper - 1)];
+  const [x2, y2] = READING_SCALE[upper];
+  const score = x2 === x1 ? y2 : y1 + ((ratio - x1) / (x2 - x1)) * (y2 - y1);
+  return Math.round(score / 5) * 5;
+};
+
+/**
+ * Score a finished test
+ * @param {Object} answers - { [questionId]: option index }
+ * @param {Object} timeUsed - { [partId]: seconds }
+ * @returns {{ correct, total, score, parts: Array<{ id, title, correct, total, timeUsedSec, timeLimitSec }> }}
+ */
+export const scoreMockTest = (test, answers, timeUsed = {}) => {
+  const isRight = (q) => q.options[answers[q.id]]?.correct === true;
+  const parts = test.parts.map((part) => {
+    const partQuestions = test.questions.filter((q) => q.part === part.id);
+    return {
+      id: part.id,
+      title: part.title,
+      correct: partQuestions.filter(isRight).length,
+      total: partQuestions.length,
+      timeUsedSec: Math.round(timeUsed[part.id] || 0),
+      timeLimitSec: part.timeLimitSec,
+    };
+  });
+  const correct = parts.reduce((sum, part) => sum + part.correct, 0);
+  const total = test.questions.length;
+  return { correct, total, score: estimateReadingScore(correct, total), parts };
+};
+
+/**
+ * History with a result added (most recent MAX_MOCK_TEST_HISTORY kept)
+ */
+export const addMockTestResult = (history, result, now = new Date()) =>
+  [...(history || []), { id: `mock_${now.getTime()}`, takenAt: now.toISOString(), ...result }].slice(-MAX_MOCK_TEST_HISTORY);
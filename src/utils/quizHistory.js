@@ -0,0 +1,149 @@
+// Quiz History - every completed quiz with its setup, score, duration and answers
+// Records are kept per user in localStorage (most recent MAX_LOCAL_QUIZ_HISTORY) and in the
+// Firestore quizHistory collection, which keeps them all. A record:
+//   { id, type, scope, tag, lesson, cram, startedAt, finishedAt, durationSec, timedOut,
+//     correct, total, answers: [{ type, wordIds, terms, prompt, given, expected, correct }] }
+
+const QUIZ_HISTORY_KEY = "vm_quiz_history";
+
+export const MAX_LOCAL_QUIZ_HISTORY = 200;
+
+// Quizzes per type the trend compares
+const TREND_WINDOW = 5;
+
+export const getQuizHistoryStorageKey = (userId) => (userId ? `${QUIZ_HISTORY_KEY}_${userId}` : QUIZ_HISTORY_KEY);
+
+const TF_LABELS = { true: "True", false: "False" };
+
+/**
+ * One answered question
+ * @param {Object} question - Quiz item ({ type, word } or { type, words } for matching/reading)
+ * @param {*} answer - Picked option, true/false or typed text (null for matching, "" when time ran out)
+ * @param {Object} readingQuestion - The passage question answered ({ question, options })
+ */
+export const createQuizAnswer = (question, answer, correct, readingQuestion = null) => {
+  const words = question.words || (question.word ? [question.word] : []);
+  const { word } = question;
+  const given = typeof answer === "string" ? answer : answer?.text ?? TF_LABELS[answer] ?? null;
+  const entry = (prompt, expected) => ({
+    type: question.type,
+    wordIds: words.map((w) => w.id),
+    terms: words.map((w) => w.term),
+    prompt,
+    given: given || null,
+    expected,
+    correct,
+  });
+
+  switch (question.type) {
+    case "mc":
+      return entry(word.term, word.definition);
+    case "listen":
+      return entry(word.definition, word.term);
+    case "tf":
+      return entry(`${word.term}: "${question.shownDef}"`, TF_LABELS[question.isTrue]);
+    case "fill":
+      return entry(question.blank, word.term);
+    case "spell":
+      return entry(word.definition, word.term);
+    case "wordform":
+      return entry(question.blank, question.answer);
+    case "reading":
+      return entry(readingQuestion?.question || "", readingQuestion?.options.find((o) => o.correct)?.text || null);
+    default:
+      return entry(words.map((w) => w.term).join(", "), null);
+  }
+};
+
+/**
+ * Build a history record for a finished quiz
+ * @param {Object} quiz - { type, setup, lesson, cram, startedAt, timedOut, total, answers }
+ */
+export const createQuizRecord = (quiz, now = new Date()) => {
+  const { type, setup = {}, lesson = null, cram = false, startedAt, timedOut = false, answers = [] } = quiz;
+  const started = startedAt ? new Date(startedAt) : now;
+  return {
+    id: `quiz_${now.getTime()}_${Math.random().toString(36).slice(2, 8)}`,
+    type,
+    scope: setup.scope || "lesson",
+    tag: setup.scope === "tag" ? setup.tag || null : null,
+    lesson,
+    cram,
+    startedAt: started.toISOString(),
+    finishedAt: now.toISOString(),
+    durationSec: Math.max(0, Math.round((now.getTime() - started.getTime()) / 1000)),
+    timedOut,
+    correct: answers.filter((a) => a.correct).length,
+    total: Math.max(quiz.total || 0, answers.length),
+    answers,
+  };
+};
+
+/**
+ * Load the local quiz history (oldest first)
+ */
+export const loadQuizHistory = (userId) => {
+  try {
+    const saved = localStorage?.getItem?.(getQuizHistoryStorageKey(userId));
+    const parsed = saved ? JSON.parse(saved) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Records from both sources, without duplicates (oldest first)
+ */
+export const mergeQuizHistory = (local, remote) => {
+  const byId = new Map([...(local || []), ...(remote || [])].map((record) => [record.id, record]));
+  return [...byId.values()].sort((a, b) => (a.finishedAt || "").localeCompare(b.finishedAt || ""));
+};
+
+export const saveQuizHistory = (history, userId) => {
+  try {
+    const trimmed = history.slice(-MAX_LOCAL_QUIZ_HISTORY);
+    localStorage?.setItem?.(getQuizHistoryStorageKey(userId), JSON.stringify(trimmed));
+  } catch (error) {
+    console.warn("Quiz history save failed:", error);
+  }
+};
+
+export const appendQuizRecord = (record, userId) => saveQuizHistory([...loadQuizHistory(userId), record], userId);
+
+export const getQuizAccuracy = (record) => (record.total > 0 ? Math.round((record.correct / record.total) * 100) : 0);
+
+/**
+ * Words answered wrong at least once in a quiz (each once, in quiz order)
+ */
+export const getWrongWordIds = (record) => [
+  ...new Set((record?.answers || []).filter((a) => !a.correct).flatMap((a) => a.wordIds)),
+];
+
+/**
+ * Accuracy per quiz type, most played first
+ * trend: average of the last TREND_WINDOW quizzes minus that of the ones before (null until both exist)
+ * @returns {Array<{ type, count, average, best, recent: Array<number>, trend }>}
+ */
+export const summarizeQuizHistory = (history) => {
+  const byType = new Map();
+  (history || []).forEach((record) => {
+    byType.set(record.type, [...(byType.get(record.type) || []), getQuizAccuracy(record)]);
+  });
+  const average = (list) => Math.round(list.reduce((sum, value) => sum + value, 0) / list.length);
+
+  return [...byType.entries()]
+    .map(([type, accuracies]) => {
+      const recent = accuracies.slice(-TREND_WINDOW);
+      const earlier = accuracies.slice(-TREND_WINDOW * 2, -TREND_WINDOW);
+      return {
+        type,
+        count: accuracies.length,
+        average: average(accuracies),
+        best: Math.max(...accuracies),
+        recent,
+        trend: earlier.length > 0 ? average(recent) - average(earlier) : null,
+      };
+    })
+    .sort((a, b) => b.count - a.count);
+};
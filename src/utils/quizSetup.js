@@ -0,0 +1,85 @@
+// Quiz Setup - how many questions a quiz asks, about which words, and how much time it gets
+// The setup is saved per user in stats.quizSetup. A quiz is a list of items: most items ask
+// about one word, a matching round pairs several and a reading passage asks several questions.
+import { shuffle } from "./shuffle";
+
+export const QUIZ_TYPE_IDS = ["mc", "tf", "reading", "fill", "spell", "listen", "match", "wordform"];
+
+export const QUIZ_COUNTS = [5, 10, 20, 30];
+
+export const QUIZ_SCOPES = [
+  { id: "lesson", label: "All words" },
+  { id: "due", label: "Due only" },
+  { id: "weak", label: "Weak only" },
+  { id: "mastered", label: "Mastered only" },
+  { id: "tag", label: "Tag" },
+];
+
+// Per-question limits in seconds, total limits in minutes
+export const QUESTION_TIME_LIMITS = [10, 20, 30];
+export const TOTAL_TIME_LIMITS = [3, 5, 10];
+
+export const DEFAULT_QUIZ_SETUP = {
+  count: 10,
+  scope: "lesson",
+  tag: null,
+  timer: "off", // "off" | "question" | "total"
+  questionSeconds: 20,
+  totalMinutes: 5,
+  mixTypes: ["mc", "tf", "fill", "listen"],
+};
+
+// Questions in one item: matching pairs four words, a passage asks three questions
+export const QUIZ_ITEM_QUESTIONS = { match: 4, reading: 3 };
+
+// Words one item uses, and the fewest it can be built from
+export const QUIZ_ITEM_WORDS = { match: { max: 4, min: 2 }, reading: { max: 5, min: 3 } };
+
+export const getQuizSetup = (saved) => ({ ...DEFAULT_QUIZ_SETUP, ...saved });
+
+/**
+ * Words in the setup's scope
+ * @param {Object} checks - { isDue, isWeak } (they depend on the scheduler clock and leeches)
+ */
+export const filterQuizScope = (words, setup, checks = {}) => {
+  const { isDue = () => false, isWeak = () => false } = checks;
+  const list = words || [];
+  switch (setup.scope) {
+    case "due":
+      return list.filter((word) => isDue(word));
+    case "weak":
+      return list.filter((word) => isWeak(word));
+    case "mastered":
+      return list.filter((word) => word.srs?.mastered);
+    case "tag":
+      return setup.tag ? list.filter((word) => (word.tags || []).includes(setup.tag)) : list;
+    default:
+      return list;
+  }
+};
+
+/**
+ * Question type of each item, until the items hold `count` questions
+ * A mixed quiz cycles through its types, reshuffled every round.
+ */
+export const planQuizItems = (types, count, random = Math.random) => {
+  const plan = [];
+  let questions = 0;
+  let round = [];
+  while (types.length > 0 && questions < count) {
+    if (round.length === 0) {
+      round = shuffle(types, random);
+    }
+    const type = round.shift();
+    plan.push(type);
+    questions += QUIZ_ITEM_QUESTIONS[type] || 1;
+  }
+  return plan;
+};
+
+/**
+ * Seconds an item's question gets with a per-question timer (null when the timer is off)
+ * A matching round gets the time of all its pairs.
+ */
+export const getQuestionTimeLimit = (setup, type) =>
+  setup.timer === "question" ? setup.questionSeconds * (type === "match" ? QUIZ_ITEM_QUESTIONS.match : 1) : null;
@@ -0,0 +1,82 @@
+// Review Log - append-only history of every individual review
+
+const REVIEW_LOG_KEY = "vm_review_log";
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// localStorage is capped around 5MB; keep the most recent events locally.
+// Firestore keeps the full history.
+export const MAX_LOCAL_REVIEW_EVENTS = 10000;
+
+/**
+ * localStorage key for a user's review log (falls back to the anonymous key)
+ */
+export const getReviewLogStorageKey = (userId) => (userId ? `${REVIEW_LOG_KEY}_${userId}` : REVIEW_LOG_KEY);
+
+/**
+ * Build a review event from the word state before and after a review
+ * @param {Object} word - Word (or card) BEFORE the review (its srs is the previous state);
+ *   production cards are logged under their card id ("<wordId>:production")
+ * @param {Object} nextSrs - SRS state returned by SRSEngine.processReview
+ * @param {Object} details - { rating, quality, mode, hintsUsed, responseTimeMs, confusedWith }
+ *   confusedWith: id of the word picked or typed instead (wrong answers only)
+ * @param {Date} now - Review time (defaults to now)
+ */
+export const createReviewEvent = (word, nextSrs, details = {}, now = new Date()) => {
+  const { rating, quality, mode = "review", hintsUsed = 0, responseTimeMs = null, confusedWith = null } = details;
+  const lastReview = word?.srs?.lastReview;
+  const elapsedDays = lastReview
+    ? Math.max(0, Math.round(((now.getTime() - new Date(lastReview).getTime()) / DAY_MS) * 100) / 100)
+    : null;
+
+  return {
+    id: `rev_${now.getTime()}_${word?.id}_${Math.random().toString(36).slice(2, 8)}`,
+    wordId: word?.id,
+    direction: word?.direction || "recognition",
+    term: word?.term || "",
+    timestamp: now.toISOString(),
+    rating,
+    quality,
+    mode,
+    hintsUsed,
+    responseTimeMs: Number.isFinite(responseTimeMs) ? Math.max(0, Math.round(responseTimeMs)) : null,
+    elapsedDays,
+    lastInterval: word?.srs?.interval || 0,
+    interval: nextSrs?.interval || 0,
+    ...(confusedWith ? { confusedWith } : {}),
+  };
+};
+
+/**
+ * Load the local review log (oldest first)
+ */
+export const loadReviewLog = (userId) => {
+  try {
+    const saved = localStorage?.getItem?.(getReviewLogStorageKey(userId));
+    const parsed = saved ? JSON.parse(saved) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Append review events to the local log (never rewrites existing events)
+ */
+export const appendReviewEvents = (events, userId) => {
+  if (!Array.isArray(events) || events.length === 0) return;
+
+  try {
+    const log = [...loadReviewLog(userId), ...events];
+    const trimmed = log.length > MAX_LOCAL_REVIEW_EVENTS ? log.slice(log.length - MAX_LOCAL_REVIEW_EVENTS) : log;
+    localStorage?.setItem?.(getReviewLogStorageKey(userId), JSON.stringify(trimmed));
+  } catch (error) {
+    console.warn("Review log append failed:", error);
+  }
+};
+
+/**
+ * Get the review history of a single word (oldest first)
+ */
+export const getWordReviewHistory = (log, wordId) => {
+  return (log || []).filter((event) => event.wordId === wordId);
+};
@@ -0,0 +1,247 @@
+// Schedulers - pluggable interval models behind SRSEngine
+// Each scheduler exposes schedule(srs, quality, settings, now) and returns the
+// scheduling fields of the next SRS state ({ interval, repetitions, mastered, ... }).
+import { balanceInterval } from "./forecast";
+
+const MINUTE_MS = 1000 * 60;
+const DAY_MS = MINUTE_MS * 60 * 24;
+const MAX_INTERVAL = 36500;
+
+export const DEFAULT_SCHEDULER_ID = "classic";
+export const DEFAULT_REQUEST_RETENTION = 0.9;
+export const MIN_REQUEST_RETENTION = 0.75;
+export const MAX_REQUEST_RETENTION = 0.97;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Days since the previous review (0 for new words)
+ */
+export const getElapsedDays = (srs, now = new Date()) => {
+  if (!srs?.lastReview) return 0;
+  return Math.max(0, (now.getTime() - new Date(srs.lastReview).getTime()) / DAY_MS);
+};
+
+// ────────────────────────────────────────────────────────────
+// CLASSIC (fixed ladder)
+// ────────────────────────────────────────────────────────────
+
+export const CLASSIC_INTERVALS = [1, 3, 7, 14, 30, 60];
+// Long-term maintenance reviews once a word is mastered
+export const CLASSIC_MAINTENANCE_INTERVALS = [120, 240, 365];
+
+export const classicScheduler = {
+  id: "classic",
+  name: "Classic",
+  description: "Fixed ladder: 1 → 3 → 7 → 14 → 30 → 60 days, then maintenance every 120 → 240 → 365 days",
+
+  schedule(srs = {}, quality) {
+    let { easeFactor = 2.5, interval = 0, repetitions = 0 } = srs;
+
+    if (quality >= 3) {
+      // Correct answer - advance to next interval, then along the maintenance ladder
+      const maintenanceStep = repetitions - CLASSIC_INTERVALS.length;
+      interval = maintenanceStep < 0
+        ? CLASSIC_INTERVALS[repetitions]
+        : CLASSIC_MAINTENANCE_INTERVALS[Math.min(maintenanceStep, CLASSIC_MAINTENANCE_INTERVALS.length - 1)];
+      repetitions++;
+    } else {
+      // Wrong answer - reset to beginning (a failed maintenance review goes back to relearning)
+      repetitions = 0;
+      interval = 1;
+    }
+
+    // Adjust ease factor based on quality (SM-2 algorithm)
+    easeFactor = Math.max(1.3, easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+
+    return {
+      easeFactor,
+      interval,
+      repetitions,
+      mastered: repetitions >= CLASSIC_INTERVALS.length,
+    };
+  },
+};
+
+// ────────────────────────────────────────────────────────────
+// FSRS (stability / difficulty model)
+// ────────────────────────────────────────────────────────────
+
+// FSRS-4.5 default weights
+export const FSRS_DEFAULT_PARAMS = [
+  0.4872, 1.4003, 3.7145, 13.8206, 5.1618, 1.2298, 0.8975, 0.031, 1.6474,
+  0.1367, 1.0461, 2.1072, 0.0793, 0.3246, 1.587, 0.2272, 2.8755,
+];
+
+const DECAY = -0.5;
+const FACTOR = 19 / 81;
+
+// FSRS has no final rung; treat a two-month interval like Classic's mastery
+export const FSRS_MASTERED_INTERVAL = 60;
+
+/**
+ * Map app quality (0-5) to an FSRS grade: 1=again, 2=hard, 3=good, 4=easy
+ */
+export const gradeFromQuality = (quality) => {
+  if (quality < 3) return 1;
+  if (quality === 3) return 2;
+  if (quality === 4) return 3;
+  return 4;
+};
+
+/**
+ * Probability of recall after `elapsedDays` for a memory of the given stability
+ */
+export const fsrsRetrievability = (elapsedDays, stability) => {
+  return Math.pow(1 + (FACTOR * elapsedDays) / stability, DECAY);
+};
+
+/**
+ * Interval (days) at which recall probability drops to `requestRetention`
+ */
+export const fsrsInterval = (stability, requestRetention = DEFAULT_REQUEST_RETENTION) => {
+  const days = (stability / FACTOR) * (Math.pow(requestRetention, 1 / DECAY) - 1);
+  return clamp(Math.round(days), 1, MAX_INTERVAL);
+};
+
+const initialDifficulty = (w, grade) => clamp(w[4] - (grade - 3) * w[5], 1, 10);
+
+/**
+ * Memory state after one review. `state` is null for a word's first review.
+ * @returns {{ stability: number, difficulty: number }}
+ */
+export const nextFsrsState = (state, grade, elapsedDays, w = FSRS_DEFAULT_PARAMS) => {
+  if (!state) {
+    return { stability: Math.max(w[grade - 1], 0.1), difficulty: initialDifficulty(w, grade) };
+  }
+
+  const { stability: s, difficulty: d } = state;
+  const r = fsrsRetrievability(elapsedDays, s);
+
+  // Difficulty moves with the grade, then reverts toward the "good" default
+  const shifted = d - w[6] * (grade - 3);
+  const difficulty = clamp(w[7] * initialDifficulty(w, 3) + (1 - w[7]) * shifted, 1, 10);
+
+  let stability;
+  if (grade === 1) {
+    stability = Math.min(s, w[11] * Math.pow(d, -w[12]) * (Math.pow(s + 1, w[13]) - 1) * Math.exp(w[14] * (1 - r)));
+  } else {
+    const hardPenalty = grade === 2 ? w[15] : 1;
+    const easyBonus = grade === 4 ? w[16] : 1;
+    stability = s * (1 + Math.exp(w[8]) * (11 - d) * Math.pow(s, -w[9]) * (Math.exp(w[10] * (1 - r)) - 1) * hardPenalty * easyBonus);
+  }
+
+  return { stability: Math.max(stability, 0.1), difficulty };
+};
+
+export const fsrsScheduler = {
+  id: "fsrs",
+  name: "FSRS",
+  description: "Adapts to each word's stability and difficulty to hit your target retention",
+
+  schedule(srs = {}, quality, settings = {}, now = new Date()) {
+    const w = Array.isArray(settings.params) && settings.params.length === FSRS_DEFAULT_PARAMS.length
+      ? settings.params
+      : FSRS_DEFAULT_PARAMS;
+    const retention = clamp(settings.requestRetention || DEFAULT_REQUEST_RETENTION, MIN_REQUEST_RETENTION, MAX_REQUEST_RETENTION);
+    const grade = gradeFromQuality(quality);
+
+    // Words reviewed under Classic have no memory state yet: seed it from their interval
+    let state = null;
+    if (srs.stability) {
+      state = { stability: srs.stability, difficulty: srs.difficulty || initialDifficulty(w, 3) };
+    } else if (srs.lastReview && srs.interval) {
+      state = { stability: Math.max(srs.interval, 0.1), difficulty: initialDifficulty(w, 3) };
+    }
+
+    const next = nextFsrsState(state, grade, getElapsedDays(srs, now), w);
+    const interval = fsrsInterval(next.stability, retention);
+
+    return {
+      stability: Math.round(next.stability * 10000) / 10000,
+      difficulty: Math.round(next.difficulty * 10000) / 10000,
+      interval,
+      repetitions: grade === 1 ? 0 : (srs.repetitions || 0) + 1,
+      mastered: interval >= FSRS_MASTERED_INTERVAL,
+    };
+  },
+};
+
+// ────────────────────────────────────────────────────────────
+// REGISTRY
+// ────────────────────────────────────────────────────────────
+
+export const SCHEDULERS = {
+  [classicScheduler.id]: classicScheduler,
+  [fsrsScheduler.id]: fsrsScheduler,
+};
+
+/**
+ * Look up a scheduler by id (unknown ids fall back to Classic)
+ */
+export const getScheduler = (id) => SCHEDULERS[id] || SCHEDULERS[DEFAULT_SCHEDULER_ID];
+
+// ────────────────────────────────────────────────────────────
+// LEARNING STEPS (intra-day repeats before day intervals)
+// ────────────────────────────────────────────────────────────
+
+export const LEARNING_STEPS = [1, 10]; // minutes
+
+/**
+ * New words and words relearning after a lapse
+ */
+export const isInLearning = (srs = {}) => srs.learningStep != null || !srs.lastReview;
+
+/**
+ * Schedule a review: the active scheduler plus learning steps.
+ * New and lapsed words repeat at minute steps; passing the last step (or "easy") graduates them.
+ * With settings.loadBalance, day intervals are nudged toward quieter days in settings.dueLoad.
+ * @returns {Object} Scheduling fields plus learningStep (null once graduated) and nextReview (ISO)
+ */
+export const scheduleReview = (srs = {}, quality, settings = {}, now = new Date()) => {
+  const steps = settings.learningSteps?.length ? settings.learningSteps : LEARNING_STEPS;
+  const scheduler = getScheduler(settings.id);
+
+  const atStep = (step, fields = {}) => ({
+    ...fields,
+    learningStep: step,
+    nextReview: new Date(now.getTime() + steps[step] * MINUTE_MS).toISOString(),
+  });
+  const inDays = () => {
+    const fields = scheduler.schedule(srs, quality, settings, now);
+    const interval = settings.loadBalance ? balanceInterval(fields.interval, settings.dueLoad, now) : fields.interval;
+    const nextReview = new Date(now);
+    nextReview.setDate(nextReview.getDate() + interval);
+    return { ...fields, interval, learningStep: null, nextReview: nextReview.toISOString() };
+  };
+
+  if (!isInLearning(srs)) {
+    if (quality >= 3) return inDays();
+    // Lapse: the scheduler resets the word, then it relearns through the steps
+    return atStep(0, scheduler.schedule(srs, quality, settings, now));
+  }
+
+  if (quality < 3) return atStep(0);
+  const nextStep = (srs.learningStep ?? 0) + 1;
+  if (quality >= 5 || nextStep >= steps.length) return inDays();
+  return atStep(nextStep);
+};
+
+/**
+ * Days until the next review for a rating (fractional for learning steps)
+ */
+export const previewInterval = (srs = {}, quality, settings = {}, now = new Date()) => {
+  const next = scheduleReview(srs, quality, settings, now);
+  if (next.learningStep == null) return next.interval;
+  return (new Date(next.nextReview).getTime() - now.getTime()) / DAY_MS;
+};
+
+/**
+ * Short label for an interval in days (e.g. "10m", "12d", "3.5mo", "1.2y")
+ */
+export const formatInterval = (days) => {
+  if (days < 1) return `${Math.max(1, Math.round(days * 24 * 60))}m`;
+  if (days < 30) return `${days}d`;
+  if (days < 365) return `${Math.round((days / 30) * 10) / 10}mo`;
+  return `${Math.round((days / 365) * 10) / 10}y`;
+};
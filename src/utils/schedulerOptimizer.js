@@ -0,0 +1,143 @@
+// Scheduler Optimizer - fits FSRS parameters to a user's own review log
+// Pure functions so it can run inside a Web Worker (see workers/optimizer.worker.js)
+import { FSRS_DEFAULT_PARAMS, fsrsRetrievability, gradeFromQuality, nextFsrsState } from "./scheduler";
+
+// Fewer predictions than this and the fit mostly learns noise
+export const MIN_OPTIMIZER_REVIEWS = 100;
+
+// [min, max] for each FSRS weight
+const PARAM_BOUNDS = [
+  [0.1, 100], [0.1, 100], [0.1, 100], [0.1, 100],
+  [1, 10], [0.01, 4], [0.01, 4], [0, 0.75],
+  [0, 4.5], [0, 0.8], [0.01, 3.5], [0.1, 5],
+  [0.01, 0.25], [0.01, 0.9], [0.01, 4], [0, 1], [1, 6],
+];
+
+// Pull toward the defaults so small logs don't produce extreme weights
+const PRIOR_WEIGHT = 1;
+const EPSILON = 1e-6;
+
+const clampParam = (value, i) => Math.min(PARAM_BOUNDS[i][1], Math.max(PARAM_BOUNDS[i][0], value));
+
+/**
+ * Group review events per word, oldest first, keeping only what the model needs
+ * @returns {Array<Array<{ grade: number, elapsedDays: number, recalled: boolean }>>}
+ */
+export const buildReviewSequences = (events) => {
+  const byWord = new Map();
+  (events || []).forEach((event) => {
+    if (!event?.wordId || !Number.isFinite(event.quality)) return;
+    if (!byWord.has(event.wordId)) byWord.set(event.wordId, []);
+    byWord.get(event.wordId).push(event);
+  });
+
+  return [...byWord.values()]
+    .map((wordEvents) => wordEvents
+      .sort((a, b) => (a.timestamp || "").localeCompare(b.timestamp || ""))
+      .map((event) => ({
+        grade: gradeFromQuality(event.quality),
+        elapsedDays: event.elapsedDays || 0,
+        recalled: event.quality >= 3,
+      })))
+    .filter((sequence) => sequence.length > 1);
+};
+
+/**
+ * Replay every sequence with the given weights and score the recall predictions.
+ * Same-day repeats (learning steps) update nothing and are not scored.
+ */
+export const evaluateParams = (sequences, params = FSRS_DEFAULT_PARAMS) => {
+  let loss = 0;
+  let predicted = 0;
+  let actual = 0;
+  let count = 0;
+
+  sequences.forEach((sequence) => {
+    let state = null;
+    sequence.forEach(({ grade, elapsedDays, recalled }) => {
+      if (!state) {
+        state = nextFsrsState(null, grade, 0, params);
+        return;
+      }
+      if (elapsedDays < 1) return;
+
+      const p = Math.min(1 - EPSILON, Math.max(EPSILON, fsrsRetrievability(elapsedDays, state.stability)));
+      loss -= recalled ? Math.log(p) : Math.log(1 - p);
+      predicted += p;
+      actual += recalled ? 1 : 0;
+      count++;
+
+      state = nextFsrsState(state, grade, elapsedDays, params);
+    });
+  });
+
+  return {
+    count,
+    logLoss: count > 0 ? loss / count : null,
+    predictedRetention: count > 0 ? predicted / count : null,
+    actualRetention: count > 0 ? actual / count : null,
+  };
+};
+
+const objective = (sequences, params, count) => {
+  const { logLoss } = evaluateParams(sequences, params);
+  const prior = params.reduce((sum, w, i) => {
+    const scale = Math.abs(FSRS_DEFAULT_PARAMS[i]) + 0.1;
+    return sum + ((w - FSRS_DEFAULT_PARAMS[i]) / scale) ** 2;
+  }, 0);
+  return logLoss + (PRIOR_WEIGHT * prior) / count;
+};
+
+/**
+ * Fit FSRS weights to a review log by coordinate descent on log loss
+ * @param {Array} events - Review log events (utils/reviewLog.js)
+ * @param {Object} options - { initialParams, maxPasses, onProgress(pass, maxPasses) }
+ * @returns {Object} { success, params, before, after } or { success: false, error }
+ */
+export const optimizeSchedulerParams = (events, options = {}) => {
+  const { initialParams = FSRS_DEFAULT_PARAMS, maxPasses = 12, onProgress } = options;
+  const sequences = buildReviewSequences(events);
+  const start = initialParams.length === FSRS_DEFAULT_PARAMS.length ? initialParams : FSRS_DEFAULT_PARAMS;
+  const before = evaluateParams(sequences, start);
+
+  if (before.count < MIN_OPTIMIZER_REVIEWS) {
+    return {
+      success: false,
+      error: `Need at least ${MIN_OPTIMIZER_REVIEWS} spaced reviews to optimize (you have ${before.count})`,
+      before,
+    };
+  }
+
+  let params = start.map(clampParam);
+  let best = objective(sequences, params, before.count);
+  const steps = params.map((w) => Math.max(Math.abs(w) * 0.25, 0.02));
+
+  for (let pass = 0; pass < maxPasses; pass++) {
+    let improved = false;
+    for (let i = 0; i < params.length; i++) {
+      for (const direction of [1, -1]) {
+        const candidate = [...params];
+        candidate[i] = clampParam(params[i] + direction * steps[i], i);
+        if (candidate[i] === params[i]) continue;
+
+        const score = objective(sequences, candidate, before.count);
+        if (score < best) {
+          best = score;
+          params = candidate;
+          improved = true;
+          break;
+        }
+      }
+    }
+    if (!improved) steps.forEach((_, i) => { steps[i] /= 2; });
+    onProgress?.(pass + 1, maxPasses);
+  }
+
+  const rounded = params.map((w) => Math.round(w * 10000) / 10000);
+  return {
+    success: true,
+    params: rounded,
+    before,
+    after: evaluateParams(sequences, rounded),
+  };
+};
@@ -0,0 +1,54 @@
+// Session Checkpoint - the in-progress Learn/Review session, saved after every rating
+// so a closed tab can be resumed (or its ratings committed) on the next visit.
+// Shape: { screen: "learn" | "review", mode, focusMode, batchIndex, availableIds, queue, idx,
+//          sessionStats, sessionHistory, reviews, cards, savedAt }
+// `reviews` ({ quality, rating, hintsUsed, kind }) and `cards` (card states, latest last) are
+// everything rated but not yet committed to words/stats.
+
+const SESSION_CHECKPOINT_KEY = "vm_session_checkpoint";
+
+/**
+ * localStorage key for a user's checkpoint (falls back to the anonymous key)
+ */
+export const getSessionCheckpointKey = (userId) => (userId ? `${SESSION_CHECKPOINT_KEY}_${userId}` : SESSION_CHECKPOINT_KEY);
+
+export const saveSessionCheckpoint = (userId, checkpoint, now = new Date()) => {
+  try {
+    localStorage?.setItem?.(getSessionCheckpointKey(userId), JSON.stringify({ ...checkpoint, savedAt: now.toISOString() }));
+  } catch (error) {
+    console.warn("Session checkpoint save failed:", error);
+  }
+};
+
+/**
+ * Saved checkpoint, or null when there is none (or nothing in it was rated)
+ */
+export const loadSessionCheckpoint = (userId) => {
+  try {
+    const saved = localStorage?.getItem?.(getSessionCheckpointKey(userId));
+    const parsed = saved ? JSON.parse(saved) : null;
+    if (!parsed || !Array.isArray(parsed.queue) || !Array.isArray(parsed.reviews) || parsed.reviews.length === 0) return null;
+    return { ...parsed, cards: Array.isArray(parsed.cards) ? parsed.cards : [] };
+  } catch {
+    return null;
+  }
+};
+
+export const clearSessionCheckpoint = (userId) => {
+  try {
+    localStorage?.removeItem?.(getSessionCheckpointKey(userId));
+  } catch (error) {
+    console.warn("Session checkpoint clear failed:", error);
+  }
+};
+
+/**
+ * Cards rated so far in a batch: every queue position before the current one
+ * (re-queued copies are kept current, so the latest state wins)
+ */
+export const getRatedCards = (queue, idx) => (queue || []).slice(0, Math.max(0, idx));
+
+/**
+ * Whether the checkpoint stopped between cards of a batch (false once the batch was finished)
+ */
+export const isMidBatch = (checkpoint) => !!checkpoint && checkpoint.idx < checkpoint.queue.length;
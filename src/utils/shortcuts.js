@@ -0,0 +1,76 @@
+// Keyboard Shortcuts - global keys for the study screens, remappable in Settings
+// Custom keys are stored in stats.shortcuts ({ [action]: key }) as KeyboardEvent.key values,
+// letters in lower case. Rating and quiz-option keys may overlap: they never share a screen.
+
+export const SHORTCUT_ACTIONS = [
+  { id: "reveal", label: "Flip / reveal answer", group: "study", key: " " },
+  { id: "replay", label: "Replay audio", group: "study", key: "r" },
+  { id: "hint", label: "Next hint", group: "study", key: "h" },
+  { id: "exit", label: "Exit session", group: "study", key: "Escape" },
+  { id: "again", label: "Again", group: "rating", key: "1" },
+  { id: "hard", label: "Hard", group: "rating", key: "2" },
+  { id: "good", label: "Good", group: "rating", key: "3" },
+  { id: "easy", label: "Easy", group: "rating", key: "4" },
+  { id: "option1", label: "Option A / True", group: "quiz", key: "1" },
+  { id: "option2", label: "Option B / False", group: "quiz", key: "2" },
+  { id: "option3", label: "Option C", group: "quiz", key: "3" },
+  { id: "option4", label: "Option D", group: "quiz", key: "4" },
+  { id: "help", label: "Show shortcuts", group: "general", key: "?" },
+];
+
+export const DEFAULT_SHORTCUTS = Object.fromEntries(SHORTCUT_ACTIONS.map((action) => [action.id, action.key]));
+
+// Groups whose keys are live at the same time (study screens vs quizzes)
+const SHORTCUT_SCOPES = [
+  ["study", "rating", "general"],
+  ["study", "quiz", "general"],
+];
+
+export const getShortcuts = (custom) => ({ ...DEFAULT_SHORTCUTS, ...custom });
+
+/**
+ * Key of a keydown in shortcut form; with Alt held the physical key is used
+ * (Alt+letter types a symbol on some layouts)
+ */
+export const getEventKey = (event) => {
+  if (event.altKey) {
+    const match = `${event.code || ""}`.match(/^(?:Key|Digit)(\w)$/);
+    if (match) return match[1].toLowerCase();
+  }
+  return event.key?.length === 1 ? event.key.toLowerCase() : event.key;
+};
+
+export const formatShortcutKey = (key) => {
+  const names = { " ": "Space", Escape: "Esc", ArrowLeft: "←", ArrowRight: "→", ArrowUp: "↑", ArrowDown: "↓" };
+  return names[key] || (key?.length === 1 ? key.toUpperCase() : key || "—");
+};
+
+const isEditableTarget = (target) =>
+  !!target && (target.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName));
+
+/**
+ * Action a keydown triggers among the active ones, or null
+ * In a text field only Esc and Alt+key count, so typing an answer never fires a shortcut.
+ * @param {Array<string>} activeActions - Actions the current screen handles
+ */
+export const getShortcutAction = (event, shortcuts, activeActions) => {
+  if (event.ctrlKey || event.metaKey || event.repeat) return null;
+  const key = getEventKey(event);
+  if (isEditableTarget(event.target) && key !== "Escape" && !event.altKey) return null;
+  return activeActions.find((action) => shortcuts[action] === key) || null;
+};
+
+/**
+ * Pairs of actions that share a key while both can be active
+ * @returns {Array<[string, string]>}
+ */
+export const findShortcutConflicts = (shortcuts) => {
+  const conflicts = [];
+  SHORTCUT_ACTIONS.forEach((a, i) => {
+    SHORTCUT_ACTIONS.slice(i + 1).forEach((b) => {
+      const sameScope = SHORTCUT_SCOPES.some((scope) => scope.includes(a.group) && scope.includes(b.group));
+      if (sameScope && shortcuts[a.id] && shortcuts[a.id] === shortcuts[b.id]) conflicts.push([a.id, b.id]);
+    });
+  });
+  return conflicts;
+};
@@ -0,0 +1,14 @@
+// Shuffle - Fisher-Yates shuffle shared by quizzes, mock tests and word-form questions
+
+/**
+ * A shuffled copy of a list
+ * @param {Function} random - Returns a number in [0, 1); tests pass a seeded one
+ */
+export const shuffle = (list, random = Math.random) => {
+  const result = [...list];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
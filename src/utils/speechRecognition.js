@@ -0,0 +1,109 @@
+// Speech Recognition - pronunciation practice through a small recognizer interface
+// A recognizer is { listen({ lang, maxAlternatives }) => Promise<{ transcripts, confidence }>, stop() }.
+// The browser recognizer wraps the Web Speech API; the fake one replays scripted transcripts
+// so the Speak mode works (and is testable) without a microphone.
+import { editDistance, normalizeAnswer } from "./answerGrading";
+
+// Similarity at or above this is a near miss ("hard" rather than "again")
+export const NEAR_PRONUNCIATION = 0.8;
+
+const getRecognitionClass = (win) => win?.SpeechRecognition || win?.webkitSpeechRecognition || null;
+
+export const isSpeechRecognitionSupported = (win = globalThis.window) => !!getRecognitionClass(win);
+
+/**
+ * Recognizer backed by the browser's SpeechRecognition (null when unsupported)
+ * listen() resolves with no transcripts when nothing was heard and rejects with
+ * an Error whose `code` is the API error (e.g. "not-allowed" for a denied microphone)
+ */
+export const createBrowserRecognizer = (win = globalThis.window) => {
+  const Recognition = getRecognitionClass(win);
+  if (!Recognition) return null;
+  let active = null;
+
+  return {
+    listen: ({ lang = "en-US", maxAlternatives = 5 } = {}) => new Promise((resolve, reject) => {
+      active?.abort();
+      const recognition = new Recognition();
+      recognition.lang = lang;
+      recognition.continuous = false;
+      recognition.interimResults = false;
+      recognition.maxAlternatives = maxAlternatives;
+
+      let settled = false;
+      const settle = (callback, value) => {
+        if (settled) return;
+        settled = true;
+        if (active === recognition) active = null;
+        callback(value);
+      };
+
+      recognition.onresult = (event) => {
+        const result = event.results[0];
+        settle(resolve, {
+          transcripts: Array.from(result || [], (alternative) => alternative.transcript),
+          confidence: result?.[0]?.confidence ?? null,
+        });
+      };
+      recognition.onerror = (event) => {
+        if (event.error === "no-speech" || event.error === "aborted") {
+          settle(resolve, { transcripts: [], confidence: null });
+          return;
+        }
+        const error = new Error(`Speech recognition failed: ${event.error}`);
+        error.code = event.error;
+        settle(reject, error);
+      };
+      recognition.onend = () => settle(resolve, { transcripts: [], confidence: null });
+
+      active = recognition;
+      recognition.start();
+    }),
+    stop: () => active?.stop(),
+  };
+};
+
+/**
+ * Scripted recognizer: each listen() takes the next entry (a transcript, a list of
+ * alternatives, or an Error to reject with). `requests` records the listen options.
+ */
+export const createFakeRecognizer = (script = []) => {
+  const queue = [...script];
+  const requests = [];
+  return {
+    requests,
+    listen: (options = {}) => {
+      requests.push(options);
+      const next = queue.shift();
+      if (next instanceof Error) return Promise.reject(next);
+      return Promise.resolve({ transcripts: next == null ? [] : [].concat(next), confidence: null });
+    },
+    stop: () => {},
+  };
+};
+
+/**
+ * Compare what the recognizer heard with the target term or sentence
+ * Saying the target inside a longer phrase counts ("budget, the budget").
+ * @param {Array<string>} transcripts - Recognizer alternatives, most likely first
+ * @returns {{ heard, similarity, rating: "good" | "hard" | "again" }}
+ */
+export const scorePronunciation = (transcripts, target) => {
+  const expected = normalizeAnswer(target);
+  let best = { heard: "", similarity: 0, index: -1 };
+
+  (transcripts || []).forEach((transcript, index) => {
+    const heard = normalizeAnswer(transcript);
+    if (!heard || !expected) return;
+    const similarity = ` ${heard} `.includes(` ${expected} `)
+      ? 1
+      : 1 - editDistance(heard, expected) / Math.max(heard.length, expected.length);
+    if (similarity > best.similarity) best = { heard: transcript, similarity, index };
+  });
+
+  // Only matching through a less likely alternative means the pronunciation was unclear
+  const rating = best.similarity === 1 && best.index === 0
+    ? "good"
+    : best.similarity >= NEAR_PRONUNCIATION ? "hard" : "again";
+  return { heard: best.heard || transcripts?.[0] || "", similarity: Math.round(best.similarity * 100) / 100, rating };
+};
@@ -0,0 +1,82 @@
+// Vacation Mode - freeze the schedule and the streak for a date range
+// stats.vacation: { start: "YYYY-MM-DD", end: "YYYY-MM-DD", appliedAt: ISO | null }
+import { getDateKey } from "./activityHistory";
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * Local midnight for a YYYY-MM-DD key
+ */
+export const parseDateKey = (key) => {
+  const [year, month, day] = `${key}`.split("-").map(Number);
+  return new Date(year, month - 1, day);
+};
+
+const isValidVacation = (vacation) => !!vacation?.start && !!vacation?.end && vacation.start <= vacation.end;
+
+/**
+ * Number of days the vacation covers (inclusive)
+ */
+export const getVacationDays = (vacation) => {
+  if (!isValidVacation(vacation)) return 0;
+  return Math.round((parseDateKey(vacation.end) - parseDateKey(vacation.start)) / DAY_MS) + 1;
+};
+
+export const isVacationActive = (vacation, now = new Date()) => {
+  if (!isValidVacation(vacation)) return false;
+  const today = getDateKey(now);
+  return vacation.start <= today && today <= vacation.end;
+};
+
+/**
+ * Clock for due checks: frozen at the start of an active vacation
+ */
+export const getDueClock = (vacation, now = new Date()) => {
+  return isVacationActive(vacation, now) ? parseDateKey(vacation.start) : now;
+};
+
+/**
+ * The vacation is over but its due dates have not been shifted yet
+ */
+export const needsVacationShift = (vacation, now = new Date()) => {
+  return isValidVacation(vacation) && !vacation.appliedAt && getDateKey(now) > vacation.end;
+};
+
+/**
+ * Whether a streak survives the gap between the last study day and today.
+ * Every skipped day must fall inside the vacation.
+ * @param {string} lastStudyDate - Date.toDateString() of the last study day
+ */
+export const isStreakBridged = (lastStudyDate, vacation, now = new Date()) => {
+  if (!lastStudyDate || !isValidVacation(vacation)) return false;
+
+  const day = new Date(lastStudyDate);
+  day.setDate(day.getDate() + 1);
+  const today = getDateKey(now);
+
+  for (let key = getDateKey(day); key < today; key = getDateKey(day)) {
+    if (key < vacation.start || key > vacation.end) return false;
+    day.setDate(day.getDate() + 1);
+  }
+  return true;
+};
+
+/**
+ * Push back every due date from the vacation start onward by the vacation length
+ * Words reviewed during the vacation already have a due date counted from that review.
+ * @returns {Array} Only the words that changed
+ */
+export const shiftWordsForVacation = (words, vacation) => {
+  const days = getVacationDays(vacation);
+  if (days === 0) return [];
+  const start = parseDateKey(vacation.start);
+
+  return (words || [])
+    .filter((word) => word.srs?.nextReview && new Date(word.srs.nextReview) >= start)
+    .filter((word) => !word.srs.lastReview || new Date(word.srs.lastReview) < start)
+    .map((word) => {
+      const nextReview = new Date(word.srs.nextReview);
+      nextReview.setDate(nextReview.getDate() + days);
+      return { ...word, srs: { ...word.srs, nextReview: nextReview.toISOString() } };
+    });
+};
@@ -0,0 +1,112 @@
+// Word Forms - word families (implement / implementation / implementable) and collocations
+// ("comply with", "in compliance with"), the core of TOEIC Part 5. A word carries
+//   wordForms: [{ form, partOfSpeech }] - the other members of its family
+//   collocations: [string]            - sentences using a member exactly as written
+// Words saved before families existed fall back to the built-in data (data/wordFamilies).
+// A word-form question blanks one member out of a collocation sentence and offers the other
+// members as options, topped up with inflections of the members (comply → complied).
+// Examples are not used: they are written for the word, not to rule out its other forms.
+import { WORD_FAMILIES } from "../data/wordFamilies";
+import { findClozeTarget, getInflections } from "./cloze";
+import { shuffle } from "./shuffle";
+
+// Options a question offers, the answer included
+const WORD_FORM_OPTIONS = 4;
+
+/**
+ * The word's family, its own term first
+ * @returns {{ forms: Array<{ form, partOfSpeech }>, collocations: Array<string> }}
+ */
+export const getWordFamily = (word) => {
+  const builtIn = WORD_FAMILIES[word?.term] || {};
+  const wordForms = word?.wordForms?.length ? word.wordForms : builtIn.wordForms || [];
+  const collocations = word?.collocations?.length ? word.collocations : builtIn.collocations || [];
+  const seen = new Set();
+  const forms = [{ form: word?.term || "", partOfSpeech: word?.partOfSpeech || "" }, ...wordForms].filter(({ form }) => {
+    const key = form.toLowerCase().trim();
+    if (!key || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+  return { forms, collocations };
+};
+
+/**
+ * Parse "implementation (n), implementable (adj)" into word forms
+ */
+export const parseWordForms = (text) =>
+  `${text || ""}`
+    .split(",")
+    .map((part) => part.trim().match(/^(.*?)\s*(?:\(([^()]*)\))?$/))
+    .filter((match) => match && match[1])
+    .map((match) => ({ form: match[1], partOfSpeech: (match[2] || "").trim() }));
+
+export const formatWordForms = (wordForms) =>
+  (wordForms || []).map(({ form, partOfSpeech }) => (partOfSpeech ? `${form} (${partOfSpeech})` : form)).join(", ");
+
+const hasPartOfSpeech = (member, partOfSpeech) => `${member.partOfSpeech || ""}`.split("/").includes(partOfSpeech);
+
+/**
+ * Inflections of the family that can fill up the options: verbs in -s/-ed/-ing first, then
+ * noun plurals. Long verbs ending consonant-vowel-consonant that getInflections does not
+ * double only get -s, since doubling depends on the stress (deter → deterred, but develop → developed).
+ */
+const getFamilyInflections = (forms) => {
+  const single = forms.filter((member) => member.form && !member.form.includes(" "));
+  const verbForms = single
+    .filter((member) => hasPartOfSpeech(member, "v"))
+    .flatMap(({ form, partOfSpeech }) => {
+      const [, third, ...rest] = getInflections(form);
+      const doubled = rest.length > 2;
+      const stressUnknown = !doubled && /[^aeiou][aeiou][^aeiouwxy]$/i.test(form);
+      const others = doubled ? rest.slice(2) : stressUnknown ? [] : rest;
+      return [third, ...others].map((inflected) => ({ form: inflected, partOfSpeech }));
+    });
+  const plurals = single
+    .filter((member) => hasPartOfSpeech(member, "n") && !/s$/i.test(member.form))
+    .map(({ form, partOfSpeech }) => ({ form: getInflections(form)[1], partOfSpeech }));
+
+  const members = new Set(forms.map((member) => member.form.toLowerCase()));
+  return { verbForms: verbForms.filter(({ form }) => !members.has(form)), plurals: plurals.filter(({ form }) => !members.has(form)) };
+};
+
+// Where a family member appears as written (an inflected form would not fit the options)
+const findFamilyMember = (sentence, forms) => {
+  for (const member of forms) {
+    const target = findClozeTarget(sentence, member.form);
+    if (target && target.answer.toLowerCase() === member.form.toLowerCase()) return { member, target };
+  }
+  return null;
+};
+
+/**
+ * Word-form question: a collocation sentence with one family member blanked out, and
+ * options from the same family (members first, then inflections)
+ * @returns {{ blank, answer, partOfSpeech, options: Array<{ text, partOfSpeech, correct }> } | null}
+ *   null when the word has no family or no collocation uses one of its members
+ */
+export const buildWordFormQuestion = (word, random = Math.random) => {
+  const { forms, collocations } = getWordFamily(word);
+  if (forms.length < 2) return null;
+
+  const found = collocations.map((sentence) => findFamilyMember(sentence, forms)).filter(Boolean);
+  if (found.length === 0) return null;
+
+  const { member, target } = found[Math.floor(random() * found.length)];
+  const { verbForms, plurals } = getFamilyInflections(forms);
+  const others = [...shuffle(forms.filter((f) => f !== member), random), ...shuffle(verbForms, random), ...shuffle(plurals, random)]
+    .filter((f, i, list) => list.findIndex((other) => other.form === f.form) === i)
+    .slice(0, WORD_FORM_OPTIONS - 1);
+  return {
+    blank: `${target.before}_____${target.after}`,
+    answer: member.form,
+    partOfSpeech: member.partOfSpeech,
+    options: shuffle(
+      [
+        { text: member.form, partOfSpeech: member.partOfSpeech, correct: true },
+        ...others.map((f) => ({ text: f.form, partOfSpeech: f.partOfSpeech, correct: false })),
+      ],
+      random
+    ),
+  };
+};
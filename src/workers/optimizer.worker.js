@@ -0,0 +1,18 @@
+// Scheduler optimizer worker - keeps the fit off the UI thread
+// In:  { events, initialParams }
+// Out: { type: "progress", pass, maxPasses } ... then { type: "done", result }
+import { optimizeSchedulerParams } from "../utils/schedulerOptimizer";
+
+self.onmessage = (e) => {
+  const { events, initialParams } = e.data || {};
+
+  try {
+    const result = optimizeSchedulerParams(events, {
+      initialParams,
+      onProgress: (pass, maxPasses) => self.postMessage({ type: "progress", pass, maxPasses }),
+    });
+    self.postMessage({ type: "done", result });
+  } catch (error) {
+    self.postMessage({ type: "done", result: { success: false, error: error.message } });
+  }
+};